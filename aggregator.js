@@ -6,81 +6,334 @@
  * - The Universe is the Browser Session.
  * - Each Active Tab is a PLANET.
  * - Each Network Request/Domain within that Tab is a SATELLITE (Moon).
- * - Unassociated traffic (background processes) are "Interstellar Debris".
+ * - Unassociated traffic (background processes) are "Interstellar Debris",
+ *   split into belts by who made it (attribution.js): other extensions,
+ *   browser services, the service workers of each site, and unknown.
+ *   Asteroid ids stay registrable domains; `belt` says which belt they are in.
+ * - Failed requests (packet.error) are first-class: they count towards
+ *   frequency and put the node into the 'error' state until it next succeeds.
  * 
  * This ensures that opening "yahoo.com" creates ONE Planet (Yahoo),
  * and all its third-party scripts (ads, cdns) orbit IT, rather than
  * cluttering the solar system as separate planets.
+ *
+ * Satellites and planet labels are registrable domains (eTLD+1, psl.js):
+ * "news.bbc.co.uk" and "static.bbc.co.uk" are one "bbc.co.uk" moon.
+ * getState() tags each satellite first-party / same-org / third-party
+ * relative to its planet (entity_map.js) and gives each planet its
+ * third-party ratios, by moon count and by request count.
+ * Nodes also collect the tracker categories of their packets
+ * (categorizer.js); planets count moons per category in `categoryCounts`.
+ * Each planet also gets a `privacy` report and grade (privacy.js), fed by
+ * per-node cookie counts and requests sent before the user first interacted
+ * with the page (`markInteraction`; a main_frame navigation resets both the
+ * interaction and those counts).
+ * Every main_frame response is audited for security headers and later
+ * http: subrequests are counted as mixed content; planets carry the
+ * resulting `security` checklist (security_audit.js).
+ *
+ * `snapshot()` / `restore()` carry the live nodes across service-worker
+ * restarts.
+ *
+ * Which node lives in which row, the per-row volume / frequency / errors /
+ * last activity, pruning and the coagulation order are kept by a universe
+ * core (universe_core.js): the JS one by default, the WebAssembly one once
+ * `useCore()` hands it over. The nodes here keep everything else, including
+ * the ids domains and belts are interned to for the core (released again
+ * when their rows are pruned). Packets a full core has no room for are
+ * counted in `dropped`.
+ *
+ * Time comes from an injectable clock (clock.js) rather than Date.now(), so
+ * the same windowing works for live traffic and for replays.
+ *
+ * Deterministic mode (`UniverseAggregator.deterministic()`) runs on a
+ * ManualClock and makes getState() a pure function of the packets fed and
+ * the clock: planets are ordered by id, coagulation ties are broken by
+ * frequency then id, and cluster moons take their members' last activity
+ * instead of "now".
  */
 
+import { logger } from './logger.js';
+import { systemClock, ManualClock } from './clock.js';
+import { getRegistrableDomain } from './psl.js';
+import { classifyParty, PARTY } from './entity_map.js';
+import { countSetCookies, buildPrivacyReport } from './privacy.js';
+import { auditResponseHeaders, createMixedContent, recordMixedContent, buildSecurityReport } from './security_audit.js';
+import { attributeBackground, BELT_ORDER } from './attribution.js';
+import { JsUniverseCore, ENTITY_TYPES, NO_ROW } from './universe_core.js';
+
+function compareIds(a, b) {
+    const na = Number(a);
+    const nb = Number(b);
+    if (Number.isFinite(na) && Number.isFinite(nb)) return na - nb;
+    return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+// Tab ids are the planets' u32 keys in the core
+function tabKey(tabId) {
+    return Number(tabId) >>> 0;
+}
+
+// When the request was sent: timeStamp marks its terminal event
+function packetStart(packet) {
+    const duration = packet.timing && typeof packet.timing.totalMs === 'number'
+        ? packet.timing.totalMs
+        : (packet.latencyMs || 0);
+    return packet.timeStamp - duration;
+}
+
 class UniverseAggregator {
-    constructor(windowDurationMs = 60000) {
+    constructor(windowDurationMs = 60000, clock = systemClock, { deterministic = false } = {}) {
         this.windowDurationMs = windowDurationMs;
+        this.clock = clock;
+        this.deterministic = deterministic;
         this.tabs = new Map(); // Map<TabId, PlanetNode>
-        this.interstellar = new Map(); // Map<Domain, SatelliteNode> (No parent tab)
+        this.interstellar = new Map(); // Map<beltId|Domain, AsteroidNode> (No parent tab)
         this.config = {
             maxSatellitesPerPlanet: 8
         };
+        this.core = new JsUniverseCore();
+        this.rows = []; // core row -> { node, key } (planets, asteroids) or { node, planet } (moons)
+        this.planetRows = new Map(); // Map<planet id, core row>
+        this.keyIds = new Map(); // Map<domain|beltId, u32 key for the core>
+        this.freeKeyIds = []; // ids released by prune, handed out again first
+        this.nextKeyId = 0;
+        this.dropped = 0; // packets the core had no room for
+    }
+
+    static deterministic(windowDurationMs = 60000, startTime = 0) {
+        return new UniverseAggregator(windowDurationMs, new ManualClock(startTime), { deterministic: true });
+    }
+
+    setClock(clock) {
+        this.clock = clock;
     }
 
     setConfig(newConfig) {
         Object.assign(this.config, newConfig);
     }
 
+    reset() {
+        this.tabs.clear();
+        this.interstellar.clear();
+        this.core.reset();
+        this.rows = [];
+        this.planetRows.clear();
+        this.keyIds.clear();
+        this.freeKeyIds = [];
+        this.nextKeyId = 0;
+    }
+
+    // Move the live nodes onto another core (the WebAssembly one, background.js).
+    // Each core owns its memory, so one core serves one aggregator.
+    useCore(core) {
+        const tabs = Array.from(this.tabs);
+        const interstellar = Array.from(this.interstellar);
+        this.core = core;
+        this.reset();
+        tabs.forEach(([tabId, planet]) => this.adoptPlanet(tabId, planet));
+        interstellar.forEach(([key, node]) => this.adoptAsteroid(key, node));
+    }
+
+    keyId(text) {
+        let id = this.keyIds.get(text);
+        if (id === undefined) {
+            id = this.freeKeyIds.length > 0 ? this.freeKeyIds.pop() : this.nextKeyId++;
+            this.keyIds.set(text, id);
+        }
+        return id;
+    }
+
+    // Give back the ids no live row refers to. Every row's label is its key
+    // id, except planets, whose label is their site and whose key is the tab.
+    releaseKeyIds() {
+        const c = this.core.columns();
+        const used = new Set();
+        for (let row = 0; row < this.core.count; row++) {
+            if (c.types[row] !== ENTITY_TYPES.FREE) used.add(c.labels[row]);
+        }
+        this.keyIds.forEach((id, text) => {
+            if (used.has(id)) return;
+            this.keyIds.delete(text);
+            this.freeKeyIds.push(id);
+        });
+    }
+
+    // The core is full (MAX_ENTITIES rows): count the packet instead
+    dropPacket(packet) {
+        if (this.dropped++ % 1000 === 0) {
+            logger.warn(`Aggregator core is full (${this.core.capacity} rows): dropped ${this.dropped} packet(s)`, { url: packet.url, tabId: packet.tabId });
+        }
+    }
+
+    // Plain-data copy of the live nodes, for checkpoints (background.js)
+    snapshot() {
+        return JSON.parse(JSON.stringify({
+            tabs: Array.from(this.tabs.entries()),
+            interstellar: Array.from(this.interstellar.entries())
+        }));
+    }
+
+    // Bring back checkpointed nodes. Tabs and asteroids already seen since
+    // (live traffic after a restart) win; stale ones go at the next prune.
+    restore(snapshot) {
+        if (!snapshot || typeof snapshot !== 'object') return;
+        (snapshot.tabs || []).forEach(([tabId, planet]) => {
+            if (!this.tabs.has(tabId)) this.adoptPlanet(tabId, planet);
+        });
+        (snapshot.interstellar || []).forEach(([key, node]) => {
+            if (!this.interstellar.has(key)) this.adoptAsteroid(key, node);
+        });
+    }
+
+    // Give an existing planet and its moons rows in the core
+    adoptPlanet(tabId, planet) {
+        const root = this.core.root(ENTITY_TYPES.PLANET, tabKey(tabId));
+        if (root === NO_ROW) return;
+        this.setRowMetrics(root, planet.metrics);
+        this.core.setLabel(root, this.keyId(planet.label));
+        this.rows[root] = { node: planet, key: tabId };
+        this.planetRows.set(planet.id, root);
+        this.tabs.set(tabId, planet);
+        planet.children = planet.children.filter(moon => {
+            const row = this.core.child(root, this.keyId(moon.id));
+            if (row === NO_ROW) return false;
+            this.setRowMetrics(row, moon.metrics);
+            this.rows[row] = { node: moon, planet };
+            return true;
+        });
+    }
+
+    // Asteroids add up into their belt's row
+    adoptAsteroid(key, node) {
+        const belt = this.core.root(ENTITY_TYPES.BELT, this.keyId(node.belt.id));
+        const row = this.core.child(belt, this.keyId(node.id));
+        if (row === NO_ROW) return;
+        const m = node.metrics;
+        const c = this.core.columns();
+        this.core.setMetrics(belt, c.volumes[belt] + m.volume, c.frequencies[belt] + m.frequency,
+            c.errors[belt] + m.errors, Math.max(c.lastActive[belt], m.lastActive));
+        this.setRowMetrics(row, m);
+        this.rows[row] = { node, key };
+        this.interstellar.set(key, node);
+    }
+
+    setRowMetrics(row, metrics) {
+        this.core.setMetrics(row, metrics.volume, metrics.frequency, metrics.errors, metrics.lastActive);
+    }
+
     addPacket(packet) {
         // 1. Identify the Planet (Tab)
         const tabId = packet.tabId;
         const { domain } = this.extractTaxonomy(packet.url);
+        const volume = (packet.responseContentLength || 0) + (packet.requestContentLength || 0);
+        const now = this.clock.now();
 
         let planet;
 
         if (tabId && tabId !== -1) {
             // It belongs to a specific tab/planet
-            if (!this.tabs.has(tabId)) {
+            const row = this.core.ingest(ENTITY_TYPES.PLANET, tabKey(tabId), this.keyId(domain), volume, Boolean(packet.error), now);
+            if (row === NO_ROW) return this.dropPacket(packet);
+            const root = this.core.lastRoot();
+            if (!this.rows[root]) {
                 // Create new Planet for this Tab
                 // ID is the TabID (Stable), Label is the Domain (Dynamic)
-                this.tabs.set(tabId, this.createNode(String(tabId), 'planet', domain));
+                const node = this.createNode(String(tabId), 'planet', domain);
+                node.interactedAt = null; // first user interaction on the current page
+                node.pageAudit = null; // { url, checks } of the last main_frame response
+                node.mixedContent = createMixedContent();
+                this.tabs.set(tabId, node);
+                this.rows[root] = { node, key: tabId };
+                this.planetRows.set(node.id, root);
+                this.core.setLabel(root, this.keyId(domain));
             }
-            planet = this.tabs.get(tabId);
+            planet = this.rows[root].node;
             
             // If this packet is a "Main Frame" navigation, update the Planet's Label
             if (packet.type === 'main_frame' || planet.label === `Tab ${tabId}`) {
                 planet.label = domain;
+                this.core.setLabel(root, this.keyId(domain));
+            }
+            // A new page has to be interacted with afresh, and is audited afresh
+            if (packet.type === 'main_frame') {
+                planet.interactedAt = null;
+                planet.metrics.preInteraction = 0;
+                planet.children.forEach(satellite => { satellite.metrics.preInteraction = 0; });
+                // A failed navigation has no response headers to audit
+                planet.pageAudit = packet.error ? null : { url: packet.url, checks: auditResponseHeaders(packet.url, packet.responseHeaders) };
+                planet.mixedContent = createMixedContent();
+            } else if (planet.pageAudit) {
+                recordMixedContent(planet.mixedContent, planet.pageAudit.url, packet);
             }
 
             this.updateNodeMetrics(planet, packet);
 
             // Add Satellite (The specific domain resource)
-            this.addSatellite(planet, domain, packet);
+            const satellite = this.addSatellite(planet, row, domain, packet);
+
+            if (planet.interactedAt === null || packetStart(packet) < planet.interactedAt) {
+                planet.metrics.preInteraction++;
+                satellite.metrics.preInteraction++;
+            }
 
         } else {
             // Background/System traffic
-            this.addInterstellar(domain, packet);
+            this.addInterstellar(domain, packet, volume, now);
         }
     }
 
-    addSatellite(planet, domain, packet) {
-        // Check if this domain already exists as a moon
-        let satellite = planet.children.find(c => c.id === domain);
-        if (!satellite) {
-            satellite = this.createNode(domain, 'satellite');
-            planet.children.push(satellite);
+    // `row` is the moon's row, found (or just created) by the core
+    addSatellite(planet, row, domain, packet) {
+        if (!this.rows[row]) {
+            const node = this.createNode(domain, 'satellite');
+            planet.children.push(node);
+            this.rows[row] = { node, planet };
         }
+        const satellite = this.rows[row].node;
         this.updateNodeMetrics(satellite, packet);
+        return satellite;
+    }
+
+    // First click / key press in a tab (reported by interaction_probe.js)
+    markInteraction(tabId, time) {
+        const planet = this.tabs.get(tabId);
+        if (planet && planet.interactedAt === null) planet.interactedAt = time;
     }
 
-    addInterstellar(domain, packet) {
-        if (!this.interstellar.has(domain)) {
-            this.interstellar.set(domain, this.createNode(domain, 'asteroid'));
+    addInterstellar(domain, packet, volume, now) {
+        const belt = attributeBackground(packet);
+        const row = this.core.ingest(ENTITY_TYPES.BELT, this.keyId(belt.id), this.keyId(domain), volume, Boolean(packet.error), now);
+        if (row === NO_ROW) return this.dropPacket(packet);
+        if (!this.rows[row]) {
+            const node = this.createNode(domain, 'asteroid');
+            node.belt = belt;
+            const key = `${belt.id}|${domain}`;
+            this.interstellar.set(key, node);
+            this.rows[row] = { node, key };
         }
-        const node = this.interstellar.get(domain);
-        this.updateNodeMetrics(node, packet);
+        this.updateNodeMetrics(this.rows[row].node, packet);
+    }
+
+    // One entry per belt with live asteroids, in BELT_ORDER then by label
+    summarizeBelts(asteroids) {
+        const belts = new Map();
+        asteroids.forEach(node => {
+            if (!belts.has(node.belt.id)) belts.set(node.belt.id, { ...node.belt, members: 0, frequency: 0, volume: 0, errors: 0 });
+            const belt = belts.get(node.belt.id);
+            belt.members++;
+            belt.frequency += node.metrics.frequency;
+            belt.volume += node.metrics.volume;
+            belt.errors += node.metrics.errors;
+        });
+        return Array.from(belts.values()).sort((a, b) =>
+            (BELT_ORDER.indexOf(a.kind) - BELT_ORDER.indexOf(b.kind)) || (a.label < b.label ? -1 : (a.label > b.label ? 1 : 0)));
     }
 
     extractTaxonomy(urlStr) {
         try {
             const url = new URL(urlStr);
-            return { domain: url.hostname };
+            return { domain: getRegistrableDomain(url.hostname) || 'unknown' };
         } catch (e) {
             return { domain: 'unknown' };
         }
@@ -91,11 +344,28 @@ class UniverseAggregator {
             id,
             type,
             label: label || id,
+            state: 'ok', // 'ok' | 'error' (last packet failed)
+            categories: [], // union of packet categories (advertising, analytics, ...)
             children: [],
             metrics: {
                 frequency: 0,
                 volume: 0,
-                lastActive: Date.now()
+                errors: 0,
+                redirects: 0,
+                unsized: 0, // packets whose body size is unknown (chunked/streamed)
+                cached: 0,
+                cookiesSet: 0, // Set-Cookie headers received
+                preInteraction: 0, // requests started before the tab's first user interaction
+                // Timing: running totals over packets with a measured phase,
+                // so "slow to respond" (TTFB) and "slow to transfer" (download)
+                // can be told apart per satellite.
+                ttfbTotalMs: 0,
+                ttfbSamples: 0,
+                downloadTotalMs: 0,
+                downloadSamples: 0,
+                avgTtfbMs: null,
+                avgDownloadMs: null,
+                lastActive: this.clock.now()
             }
         };
     }
@@ -103,28 +373,86 @@ class UniverseAggregator {
     updateNodeMetrics(node, packet) {
         node.metrics.frequency++;
         node.metrics.volume += (packet.responseContentLength || 0) + (packet.requestContentLength || 0);
-        node.metrics.lastActive = Date.now();
+        if (packet.sizeUnknown) node.metrics.unsized++;
+        if (packet.fromCache) node.metrics.cached++;
+        node.metrics.cookiesSet += countSetCookies(packet.responseHeaders);
+        if (packet.error) node.metrics.errors++;
+        if (packet.redirectChain) node.metrics.redirects += packet.redirectChain.length;
+        if (packet.categories) {
+            packet.categories.forEach(c => { if (!node.categories.includes(c)) node.categories.push(c); });
+        }
+        const timing = packet.timing;
+        if (timing && timing.ttfbMs !== null && timing.ttfbMs !== undefined) {
+            node.metrics.ttfbTotalMs += timing.ttfbMs;
+            node.metrics.ttfbSamples++;
+            node.metrics.avgTtfbMs = node.metrics.ttfbTotalMs / node.metrics.ttfbSamples;
+        }
+        if (timing && timing.downloadMs !== null && timing.downloadMs !== undefined) {
+            node.metrics.downloadTotalMs += timing.downloadMs;
+            node.metrics.downloadSamples++;
+            node.metrics.avgDownloadMs = node.metrics.downloadTotalMs / node.metrics.downloadSamples;
+        }
+        node.state = packet.error ? 'error' : 'ok';
+        node.metrics.lastActive = this.clock.now();
     }
 
     prune() {
-        const now = Date.now();
+        const now = this.clock.now();
         const cutoff = now - this.windowDurationMs;
 
-        // Prune Tabs (Planets)
-        for (const [tabId, planet] of this.tabs) {
-            if (planet.metrics.lastActive < cutoff) {
-                this.tabs.delete(tabId);
-                continue;
+        // Nodes active exactly at the cutoff are still inside the window.
+        // The core frees moons and asteroids first, then planets and belts.
+        const goneMoons = new Set();
+        const thinned = new Set();
+        const freed = this.core.prune(cutoff);
+        freed.forEach(row => {
+            const entry = this.rows[row];
+            this.rows[row] = undefined;
+            if (!entry) return; // a belt: nothing but its asteroids
+            if (entry.planet) {
+                goneMoons.add(entry.node);
+                thinned.add(entry.planet);
+            } else if (entry.node.type === 'planet') {
+                this.tabs.delete(entry.key);
+                this.planetRows.delete(entry.node.id);
+            } else {
+                this.interstellar.delete(entry.key);
             }
-            
-            // Prune Satellites
-            planet.children = planet.children.filter(sat => sat.metrics.lastActive > cutoff);
-        }
+        });
+        thinned.forEach(planet => {
+            planet.children = planet.children.filter(sat => !goneMoons.has(sat));
+        });
+        if (freed.length > 0) this.releaseKeyIds();
+    }
 
-        // Prune Interstellar
-        for (const [id, node] of this.interstellar) {
-            if (node.metrics.lastActive < cutoff) this.interstellar.delete(id);
-        }
+    // Labels can change on navigation, so classes are recomputed per snapshot
+    classifySatellites(planet) {
+        const parties = {
+            firstParty: 0,
+            sameOrg: 0,
+            thirdParty: 0,
+            thirdPartyRatio: 0, // share of moons
+            thirdPartyRequestRatio: 0 // share of requests
+        };
+        const categoryCounts = {};
+        let requests = 0;
+        let thirdPartyRequests = 0;
+
+        planet.children.forEach(satellite => {
+            satellite.party = classifyParty(satellite.id, planet.label);
+            satellite.categories.forEach(c => { categoryCounts[c] = (categoryCounts[c] || 0) + 1; });
+            requests += satellite.metrics.frequency;
+            if (satellite.party === PARTY.FIRST) parties.firstParty++;
+            else if (satellite.party === PARTY.SAME_ORG) parties.sameOrg++;
+            else {
+                parties.thirdParty++;
+                thirdPartyRequests += satellite.metrics.frequency;
+            }
+        });
+
+        if (planet.children.length > 0) parties.thirdPartyRatio = parties.thirdParty / planet.children.length;
+        if (requests > 0) parties.thirdPartyRequestRatio = thirdPartyRequests / requests;
+        return { ...planet, parties, categoryCounts };
     }
 
     getState() {
@@ -132,28 +460,67 @@ class UniverseAggregator {
 
         // 1. Get Raw Planets
         let planets = Array.from(this.tabs.values());
+        if (this.deterministic) {
+            planets.sort((a, b) => compareIds(a.id, b.id));
+        }
+
+        // 2. Party classification, over all moons before any are squashed
+        planets = planets.map(planet => this.classifySatellites(planet));
 
-        // 2. Coagulation Logic (Lofi Squash)
+        // Privacy report, also over the full set of moons, and the security checklist
+        planets = planets.map(({ pageAudit, mixedContent, ...planet }) => ({
+            ...planet,
+            privacy: buildPrivacyReport(planet),
+            security: buildSecurityReport(pageAudit, mixedContent)
+        }));
+
+        // 3. Coagulation Logic (Lofi Squash)
         const MAX_SATELLITES_PER_PLANET = this.config.maxSatellitesPerPlanet;
 
         planets = planets.map(planet => {
             if (planet.children.length > MAX_SATELLITES_PER_PLANET) {
-                // Sort by importance (Volume + Freq)
-                const sorted = [...planet.children].sort((a, b) => (b.metrics.volume) - (a.metrics.volume));
+                // Sort by importance: volume, then (deterministic) frequency and id,
+                // otherwise the order the moons arrived in (the core's order)
+                const sorted = this.deterministic
+                    ? [...planet.children].sort((a, b) =>
+                        (b.metrics.volume - a.metrics.volume) || (b.metrics.frequency - a.metrics.frequency) || compareIds(a.id, b.id))
+                    : this.core.coagulate(this.planetRows.get(planet.id)).map(row => this.rows[row].node);
                 
                 const kept = sorted.slice(0, MAX_SATELLITES_PER_PLANET);
                 const squashed = sorted.slice(MAX_SATELLITES_PER_PLANET);
                     
                 if (squashed.length > 0) {
+                    const sum = (key) => squashed.reduce((total, s) => total + s.metrics[key], 0);
+                    const ttfbSamples = sum('ttfbSamples');
+                    const downloadSamples = sum('downloadSamples');
+
                     // Create a "Cluster" moon
                     const clusterMoon = {
                         id: `${planet.id}-cluster`,
                         type: 'satellite', 
                         label: `+${squashed.length} Others`,
+                        memberCount: squashed.length,
+                        party: squashed.every(s => s.party === squashed[0].party) ? squashed[0].party : 'mixed',
+                        categories: Array.from(new Set(squashed.flatMap(s => s.categories))),
+                        state: squashed.some(s => s.state === 'error') ? 'error' : 'ok',
                         metrics: {
-                            frequency: squashed.reduce((sum, s) => sum + s.metrics.frequency, 0),
-                            volume: squashed.reduce((sum, s) => sum + s.metrics.volume, 0),
-                            lastActive: Date.now()
+                            frequency: sum('frequency'),
+                            volume: sum('volume'),
+                            errors: sum('errors'),
+                            redirects: sum('redirects'),
+                            unsized: sum('unsized'),
+                            cached: sum('cached'),
+                            cookiesSet: sum('cookiesSet'),
+                            preInteraction: sum('preInteraction'),
+                            ttfbTotalMs: sum('ttfbTotalMs'),
+                            ttfbSamples,
+                            downloadTotalMs: sum('downloadTotalMs'),
+                            downloadSamples,
+                            avgTtfbMs: ttfbSamples > 0 ? sum('ttfbTotalMs') / ttfbSamples : null,
+                            avgDownloadMs: downloadSamples > 0 ? sum('downloadTotalMs') / downloadSamples : null,
+                            lastActive: this.deterministic
+                                ? Math.max(...squashed.map(s => s.metrics.lastActive))
+                                : this.clock.now()
                         }
                     };
                     return { ...planet, children: [...kept, clusterMoon] };
@@ -162,13 +529,16 @@ class UniverseAggregator {
             return planet;
         });
 
+        const interstellar = Array.from(this.interstellar.values());
         return {
-            timestamp: Date.now(),
+            timestamp: this.clock.now(),
             windowDuration: this.windowDurationMs,
             domains: planets,
-            interstellar: Array.from(this.interstellar.values())
+            interstellar,
+            belts: this.summarizeBelts(interstellar)
         };
     }
 }
 
+export { UniverseAggregator };
 export const aggregator = new UniverseAggregator();
@@ -0,0 +1,228 @@
+/**
+ * alerts.js
+ * Rule-based alerting on the packet stream, evaluated in the service worker.
+ *
+ * Rule types:
+ * - requestRate:  more than `threshold` requests from one tab in `windowMs`.
+ * - uploadVolume: more than `threshold` bytes uploaded by one tab in `windowMs`.
+ * - newHosts:     more than `threshold` hosts the tab had never contacted
+ *                 before, first seen within `windowMs`.
+ * - errorRate:    a planet's failed-request share above `threshold` (0-1),
+ *                 once it has made at least `minRequests` requests. Evaluated
+ *                 on each universeState tick rather than per packet.
+ * - pattern:      any request whose host + path matches `pattern` (`*` is a
+ *                 wildcard, e.g. `*.tracker.test/collect*`).
+ *
+ * Each rule fires at most once per tab per `cooldownMs`. Alerts go to an
+ * in-memory log (newest first, capped) that background.js persists as
+ * `alertLog`, and to `onAlert` for delivery (chrome.notifications when the
+ * rule has `notify` set and the permission was granted). Rules are stored as
+ * `alertRules` and edited on the options page (alerts_panel.js).
+ *
+ * Windows and cooldowns run on an injectable clock (clock.js) so tests can
+ * step time deterministically.
+ */
+
+import { systemClock } from './clock.js';
+
+export const RULE_TYPES = ['requestRate', 'uploadVolume', 'newHosts', 'errorRate', 'pattern'];
+
+export const DEFAULT_RULES = [
+    { id: 'new-hosts', name: 'Burst of new hosts', type: 'newHosts', threshold: 40, windowMs: 60 * 1000, cooldownMs: 5 * 60 * 1000, enabled: true, notify: false },
+    { id: 'upload-volume', name: 'Large upload', type: 'uploadVolume', threshold: 5 * 1024 * 1024, windowMs: 60 * 1000, cooldownMs: 5 * 60 * 1000, enabled: true, notify: false },
+    { id: 'request-rate', name: 'Request flood', type: 'requestRate', threshold: 300, windowMs: 10 * 1000, cooldownMs: 5 * 60 * 1000, enabled: true, notify: false },
+    { id: 'error-rate', name: 'High error rate', type: 'errorRate', threshold: 0.5, minRequests: 20, cooldownMs: 5 * 60 * 1000, enabled: true, notify: false }
+];
+
+const LOG_LIMIT = 200;
+const MAX_HOSTS_PER_TAB = 5000;
+const TAB_IDLE_MS = 10 * 60 * 1000; // per-tab state is dropped after this long without packets
+
+function globToRegExp(glob) {
+    const body = glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp(`^${body}$`, 'i');
+}
+
+function parseUrl(urlStr) {
+    try {
+        return new URL(urlStr);
+    } catch (e) {
+        return null;
+    }
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Normalise a rule from storage or the options page. Throws on rules that
+ * can't be evaluated so a bad edit is rejected instead of silently ignored.
+ */
+export function validateRule(rule) {
+    if (!rule || typeof rule.id !== 'string' || !rule.id) throw new Error('Alert rule needs an id');
+    if (!RULE_TYPES.includes(rule.type)) throw new Error(`Unknown alert rule type: ${rule.type}`);
+    const normalized = {
+        id: rule.id,
+        name: rule.name || rule.id,
+        type: rule.type,
+        enabled: rule.enabled !== false,
+        notify: !!rule.notify,
+        cooldownMs: Math.max(0, Number(rule.cooldownMs) || 0)
+    };
+    if (rule.type === 'pattern') {
+        if (typeof rule.pattern !== 'string' || !rule.pattern.trim()) throw new Error(`Alert rule ${rule.id} needs a pattern`);
+        normalized.pattern = rule.pattern.trim();
+        return normalized;
+    }
+    const threshold = Number(rule.threshold);
+    if (!Number.isFinite(threshold) || threshold < 0) throw new Error(`Alert rule ${rule.id} needs a threshold`);
+    normalized.threshold = threshold;
+    if (rule.type === 'errorRate') {
+        normalized.minRequests = Math.max(1, Number(rule.minRequests) || 1);
+    } else {
+        normalized.windowMs = Math.max(1000, Number(rule.windowMs) || 60 * 1000);
+    }
+    return normalized;
+}
+
+export class AlertEngine {
+    constructor({ clock = systemClock, rules = DEFAULT_RULES, onAlert = () => {} } = {}) {
+        this.clock = clock;
+        this.onAlert = onAlert;
+        this.log = []; // newest first
+        this.windows = new Map(); // Map<ruleId|tabKey, [{ t, v }]>
+        this.lastFired = new Map(); // Map<ruleId|tabKey, time>
+        this.tabs = new Map(); // Map<tabKey, { label, hosts: Set, lastSeen }>
+        this.sequence = 0;
+        this.setRules(rules);
+    }
+
+    setRules(rules) {
+        this.rules = (rules || []).map(validateRule);
+        this.patterns = new Map(this.rules.filter(r => r.type === 'pattern').map(r => [r.id, globToRegExp(r.pattern)]));
+        this.windows.clear(); // thresholds or windows may have changed
+    }
+
+    restoreLog(log) {
+        this.log = Array.isArray(log) ? log.slice(0, LOG_LIMIT) : [];
+    }
+
+    clearLog() {
+        this.log = [];
+    }
+
+    tabState(packet, url) {
+        const key = packet.tabId && packet.tabId !== -1 ? String(packet.tabId) : 'background';
+        if (!this.tabs.has(key)) this.tabs.set(key, { label: key === 'background' ? 'Background' : `Tab ${key}`, hosts: new Set(), lastSeen: 0 });
+        const tab = this.tabs.get(key);
+        if (packet.type === 'main_frame' && url) tab.label = url.hostname;
+        tab.lastSeen = this.clock.now();
+        return { key, tab };
+    }
+
+    // Append to the rule's window for this tab and return the live entries
+    slide(rule, tabKey, value) {
+        const key = `${rule.id}|${tabKey}`;
+        const cutoff = this.clock.now() - rule.windowMs;
+        const entries = (this.windows.get(key) || []).filter(e => e.t > cutoff);
+        if (value !== undefined) entries.push({ t: this.clock.now(), v: value });
+        this.windows.set(key, entries);
+        return entries;
+    }
+
+    fire(rule, tabKey, label, value, message) {
+        const key = `${rule.id}|${tabKey}`;
+        const now = this.clock.now();
+        const last = this.lastFired.get(key);
+        if (last !== undefined && now - last < rule.cooldownMs) return null;
+        this.lastFired.set(key, now);
+
+        const alert = {
+            id: `${now}-${++this.sequence}`,
+            ruleId: rule.id,
+            ruleName: rule.name,
+            type: rule.type,
+            tab: tabKey,
+            label,
+            value,
+            threshold: rule.threshold === undefined ? null : rule.threshold,
+            message: `${label}: ${message}`,
+            time: now
+        };
+        this.log.unshift(alert);
+        if (this.log.length > LOG_LIMIT) this.log.length = LOG_LIMIT;
+        this.onAlert(alert, rule);
+        return alert;
+    }
+
+    /**
+     * Run the per-packet rules. Returns the alerts that fired.
+     */
+    evaluatePacket(packet) {
+        const url = parseUrl(packet.url);
+        const { key, tab } = this.tabState(packet, url);
+        const hostname = url ? url.hostname : '';
+        const isNewHost = !!hostname && !tab.hosts.has(hostname);
+        if (isNewHost && tab.hosts.size < MAX_HOSTS_PER_TAB) tab.hosts.add(hostname);
+
+        const fired = [];
+        this.rules.forEach(rule => {
+            if (!rule.enabled) return;
+            let alert = null;
+            const seconds = Math.round(rule.windowMs / 1000);
+            if (rule.type === 'requestRate') {
+                const count = this.slide(rule, key, 1).length;
+                if (count > rule.threshold) alert = this.fire(rule, key, tab.label, count, `${count} requests in ${seconds}s (limit ${rule.threshold})`);
+            } else if (rule.type === 'uploadVolume') {
+                const bytes = this.slide(rule, key, packet.requestContentLength || 0).reduce((sum, e) => sum + e.v, 0);
+                if (bytes > rule.threshold) alert = this.fire(rule, key, tab.label, bytes, `uploaded ${formatBytes(bytes)} in ${seconds}s (limit ${formatBytes(rule.threshold)})`);
+            } else if (rule.type === 'newHosts') {
+                const count = this.slide(rule, key, isNewHost ? 1 : undefined).length;
+                if (isNewHost && count > rule.threshold) alert = this.fire(rule, key, tab.label, count, `${count} new hosts in ${seconds}s (limit ${rule.threshold})`);
+            } else if (rule.type === 'pattern' && url) {
+                const target = `${hostname}${url.pathname}${url.search}`;
+                if (this.patterns.get(rule.id).test(target)) alert = this.fire(rule, key, tab.label, target, `request to ${target} matched "${rule.pattern}"`);
+            }
+            if (alert) fired.push(alert);
+        });
+        return fired;
+    }
+
+    /**
+     * Run the snapshot rules against a universeState, and forget tabs that
+     * have gone quiet. Returns the alerts that fired.
+     */
+    evaluateState(state) {
+        const fired = [];
+        const now = this.clock.now();
+        for (const [key, tab] of this.tabs) {
+            if (now - tab.lastSeen <= TAB_IDLE_MS) continue;
+            this.tabs.delete(key);
+            for (const windowKey of this.windows.keys()) {
+                if (windowKey.endsWith(`|${key}`)) this.windows.delete(windowKey);
+            }
+        }
+        // Expired cooldowns carry no information
+        const cooldowns = new Map(this.rules.map(r => [r.id, r.cooldownMs]));
+        for (const [key, time] of this.lastFired) {
+            if (now - time >= (cooldowns.get(key.split('|')[0]) || 0)) this.lastFired.delete(key);
+        }
+        if (!state || !state.domains) return fired;
+
+        this.rules.filter(r => r.enabled && r.type === 'errorRate').forEach(rule => {
+            state.domains.forEach(planet => {
+                const { frequency, errors } = planet.metrics;
+                if (frequency < rule.minRequests) return;
+                const rate = errors / frequency;
+                if (rate <= rule.threshold) return;
+                const alert = this.fire(rule, planet.id, planet.label, rate,
+                    `${Math.round(rate * 100)}% of ${frequency} requests failed (limit ${Math.round(rule.threshold * 100)}%)`);
+                if (alert) fired.push(alert);
+            });
+        });
+        return fired;
+    }
+}
@@ -0,0 +1,151 @@
+/**
+ * alerts_panel.js
+ * Options-page editor for the alert rules (alerts.js) and viewer for the
+ * alert log the service worker persists.
+ *
+ * Rules are saved to `alertRules` in chrome.storage.local; background.js
+ * picks them up through storage.onChanged. Upload thresholds are edited in
+ * KB and error rates in percent, stored in bytes and as a 0-1 share.
+ * Ticking "Notify" asks for the optional notifications permission. The log
+ * arrives over the alerts stream (streams.js).
+ */
+
+import { sendRequest } from './messaging.js';
+import { DEFAULT_RULES, validateRule } from './alerts.js';
+import { subscribe, STREAMS } from './streams.js';
+import { escapeHtml } from './dom_utils.js';
+
+const UNITS = {
+    requestRate: { label: 'requests', toInput: v => v, fromInput: v => v },
+    uploadVolume: { label: 'KB', toInput: v => Math.round(v / 1024), fromInput: v => v * 1024 },
+    newHosts: { label: 'hosts', toInput: v => v, fromInput: v => v },
+    errorRate: { label: '%', toInput: v => Math.round(v * 100), fromInput: v => v / 100 }
+};
+
+const LOG_LIMIT = 200;
+
+let rules = [];
+let log = []; // newest first
+let rulesBody, logList, statusEl;
+
+function renderRules() {
+    rulesBody.innerHTML = rules.map((rule, i) => {
+        const limit = rule.type === 'pattern'
+            ? `<input data-field="pattern" value="${escapeHtml(rule.pattern)}" style="width: 220px;"/>`
+            : `<input data-field="threshold" type="number" min="0" value="${UNITS[rule.type].toInput(rule.threshold)}" style="width: 80px;"/> ${UNITS[rule.type].label}`;
+        const span = rule.windowMs === undefined
+            ? '-'
+            : `<input data-field="windowMs" type="number" min="1" value="${rule.windowMs / 1000}" style="width: 60px;"/>`;
+        return `<tr data-index="${i}">
+            <td><input data-field="enabled" type="checkbox" ${rule.enabled ? 'checked' : ''}/></td>
+            <td>${escapeHtml(rule.name)}</td>
+            <td>${escapeHtml(rule.type)}</td>
+            <td>${limit}</td>
+            <td>${span}</td>
+            <td><input data-field="cooldownMs" type="number" min="0" value="${rule.cooldownMs / 1000}" style="width: 60px;"/></td>
+            <td><input data-field="notify" type="checkbox" ${rule.notify ? 'checked' : ''}/></td>
+            <td>${rule.type === 'pattern' ? '<button data-action="remove" style="padding: 2px 8px;">Remove</button>' : ''}</td>
+        </tr>`;
+    }).join('');
+}
+
+function renderLog() {
+    if (!log.length) {
+        logList.innerHTML = '<li style="color: #555;">No alerts yet.</li>';
+        return;
+    }
+    logList.innerHTML = log.map(a => `<li><span style="color: #555;">${new Date(a.time).toLocaleString()}</span>
+        <strong>${escapeHtml(a.ruleName)}</strong> - ${escapeHtml(a.message)}</li>`).join('');
+}
+
+// Read the edited table back into rule objects (seconds / KB / % -> storage units)
+function readRules() {
+    return rules.map((rule, i) => {
+        const row = rulesBody.querySelector(`tr[data-index="${i}"]`);
+        const field = (name) => row.querySelector(`[data-field="${name}"]`);
+        const next = { ...rule, enabled: field('enabled').checked, notify: field('notify').checked };
+        next.cooldownMs = (parseFloat(field('cooldownMs').value) || 0) * 1000;
+        if (rule.type === 'pattern') {
+            next.pattern = field('pattern').value;
+        } else {
+            next.threshold = UNITS[rule.type].fromInput(parseFloat(field('threshold').value));
+            if (field('windowMs')) next.windowMs = (parseFloat(field('windowMs').value) || 0) * 1000;
+        }
+        return validateRule(next);
+    });
+}
+
+// Keep unsaved edits across re-renders (adding / removing a rule)
+function keepEdits() {
+    try {
+        rules = readRules();
+    } catch (e) {
+        // An invalid field is reported on save
+    }
+}
+
+function save() {
+    try {
+        rules = readRules();
+    } catch (e) {
+        statusEl.textContent = e.message;
+        return;
+    }
+    chrome.storage.local.set({ alertRules: rules }, () => {
+        statusEl.textContent = 'Saved';
+    });
+}
+
+export function initAlertsPanel() {
+    rulesBody = document.querySelector('#alert-rules tbody');
+    logList = document.getElementById('alert-log');
+    statusEl = document.getElementById('alert-status');
+    if (!rulesBody) return;
+
+    chrome.storage.local.get(['alertRules'], (result) => {
+        rules = (result.alertRules || DEFAULT_RULES).map(validateRule);
+        renderRules();
+    });
+    // New alerts come oldest first
+    subscribe(STREAMS.ALERTS, (alerts, { snapshot }) => {
+        log = alerts.slice().reverse().concat(snapshot ? [] : log).slice(0, LOG_LIMIT);
+        renderLog();
+    });
+
+    rulesBody.addEventListener('change', (event) => {
+        // Must run inside the click for Chrome to show the permission prompt
+        if (event.target.dataset.field === 'notify' && event.target.checked && chrome.permissions) {
+            chrome.permissions.request({ permissions: ['notifications'] }, (granted) => {
+                if (!granted) {
+                    event.target.checked = false;
+                    statusEl.textContent = 'Notifications permission was not granted';
+                }
+            });
+        }
+    });
+    rulesBody.addEventListener('click', (event) => {
+        if (event.target.dataset.action !== 'remove') return;
+        const index = parseInt(event.target.closest('tr').dataset.index, 10);
+        keepEdits();
+        rules.splice(index, 1);
+        renderRules();
+    });
+
+    document.getElementById('alert-add-pattern').addEventListener('click', () => {
+        const input = document.getElementById('alert-pattern');
+        const pattern = input.value.trim();
+        if (!pattern) return;
+        keepEdits();
+        rules.push(validateRule({ id: `pattern-${Date.now()}`, name: `Pattern ${pattern}`, type: 'pattern', pattern, cooldownMs: 60 * 1000 }));
+        input.value = '';
+        renderRules();
+    });
+    document.getElementById('alert-save').addEventListener('click', save);
+    document.getElementById('alert-reset').addEventListener('click', () => {
+        rules = DEFAULT_RULES.map(validateRule);
+        renderRules();
+    });
+    document.getElementById('alert-clear-log').addEventListener('click', () => {
+        sendRequest('alerts:clear').catch(e => { statusEl.textContent = `Could not clear: ${e.message}`; });
+    });
+}
@@ -0,0 +1,278 @@
+/**
+ * anomaly.js
+ * Online anomaly detection on per-host and per-tab traffic baselines.
+ *
+ * Traffic is cut into 10s buckets per key - each registrable domain
+ * (`host:<domain>`, matching satellite and interstellar ids) and each tab
+ * (`tab:<tabId>`, matching planet ids). When a bucket closes, its request
+ * count, bytes and mean latency are compared with the key's baseline and
+ * then folded into it:
+ * - Baselines are EWMA mean / variance (alpha 0.1), one overall and one per
+ *   hour of day (seasonal). The seasonal slot is used once it has warmed up.
+ * - A metric more than 3 standard deviations ABOVE its baseline is a
+ *   'spike'. Only active buckets are learned from, so baselines describe
+ *   how busy a host is while it is in use rather than how often it is.
+ * - A registrable domain never contacted before is a 'new-host', once the
+ *   detector has been learning for 5 minutes (otherwise every host of the
+ *   first session would be new).
+ *
+ * Flags stay active for a minute. `annotateState` copies them onto the
+ * matching nodes of a universeState as `anomaly` so the views can pulse
+ * them; every flag onset is also appended to `log` for the options-page
+ * timeline (anomaly_timeline.js). `snapshot()` / `restore()` let
+ * background.js keep baselines across service-worker restarts.
+ */
+
+import { systemClock } from './clock.js';
+import { getRegistrableDomain } from './psl.js';
+import { hostnameOf } from './url_utils.js';
+
+export const BUCKET_MS = 10 * 1000;
+export const METRICS = ['requests', 'bytes', 'latency'];
+
+const ALPHA = 0.1; // EWMA weight of the newest bucket
+const WARMUP_BUCKETS = 12; // buckets learned before z-scores are trusted
+const Z_THRESHOLD = 3;
+const FLAG_TTL_MS = 60 * 1000;
+const LEARNING_MS = 5 * 60 * 1000;
+const MAX_BASELINES = 2000;
+const MAX_KNOWN_HOSTS = 20000;
+const LOG_LIMIT = 500;
+// Standard deviation floors, so a perfectly steady baseline doesn't turn
+// one extra request into an infinite z-score
+const MIN_STD = { requests: 2, bytes: 4096, latency: 50 };
+
+function emptyStats() {
+    return { mean: 0, variance: 0, n: 0 };
+}
+
+function emptyBaseline(scope, id, label) {
+    return {
+        scope,
+        id,
+        label,
+        lastSeen: 0,
+        bucket: null, // { start, requests, bytes, latencySum, latencyCount }
+        stats: { requests: emptyStats(), bytes: emptyStats(), latency: emptyStats() },
+        seasonal: {} // hour of day -> { requests, bytes, latency } stats
+    };
+}
+
+// Exponentially weighted mean and variance
+function learn(stats, value) {
+    if (stats.n === 0) {
+        stats.mean = value;
+        stats.variance = 0;
+    } else {
+        const diff = value - stats.mean;
+        stats.mean += ALPHA * diff;
+        stats.variance = (1 - ALPHA) * (stats.variance + ALPHA * diff * diff);
+    }
+    stats.n++;
+}
+
+export function zScore(stats, value, metric) {
+    const std = Math.max(Math.sqrt(stats.variance), Math.abs(stats.mean) * 0.1, MIN_STD[metric]);
+    return (value - stats.mean) / std;
+}
+
+function packetLatency(packet) {
+    if (packet.timing && typeof packet.timing.totalMs === 'number') return packet.timing.totalMs;
+    return typeof packet.latencyMs === 'number' ? packet.latencyMs : null;
+}
+
+export class AnomalyDetector {
+    constructor({ clock = systemClock } = {}) {
+        this.clock = clock;
+        this.baselines = new Map(); // Map<key, baseline>
+        this.knownHosts = new Set();
+        this.flags = new Map(); // Map<key|metric, flag>
+        this.log = []; // flag onsets, newest first
+        this.logVersion = 0; // bumped on every log change, for cheap persistence checks
+        this.learningSince = clock.now();
+    }
+
+    baseline(key, scope, id, label) {
+        let baseline = this.baselines.get(key);
+        if (!baseline) {
+            if (this.baselines.size >= MAX_BASELINES) this.evictOldest();
+            baseline = emptyBaseline(scope, id, label);
+            this.baselines.set(key, baseline);
+        }
+        if (label) baseline.label = label;
+        return baseline;
+    }
+
+    evictOldest() {
+        let oldestKey = null;
+        let oldest = Infinity;
+        for (const [key, b] of this.baselines) {
+            if (b.lastSeen < oldest) {
+                oldest = b.lastSeen;
+                oldestKey = key;
+            }
+        }
+        if (oldestKey !== null) this.baselines.delete(oldestKey);
+    }
+
+    /**
+     * Account one finished packet. Returns the flags it raised.
+     */
+    observe(packet) {
+        const hostname = hostnameOf(packet.url);
+        if (!hostname) return [];
+        const domain = getRegistrableDomain(hostname) || hostname;
+        const now = this.clock.now();
+        const raised = [];
+
+        if (!this.knownHosts.has(domain)) {
+            if (now - this.learningSince >= LEARNING_MS) {
+                const flag = this.raise(`host:${domain}`, 'host', domain, domain, 'new-host', null, { value: 1, mean: 0, z: null, tabId: packet.tabId });
+                if (flag) raised.push(flag);
+            }
+            if (this.knownHosts.size < MAX_KNOWN_HOSTS) this.knownHosts.add(domain);
+        }
+
+        const targets = [this.baseline(`host:${domain}`, 'host', domain, domain)];
+        if (packet.tabId && packet.tabId !== -1) {
+            const tabId = String(packet.tabId);
+            targets.push(this.baseline(`tab:${tabId}`, 'tab', tabId, packet.type === 'main_frame' ? domain : null));
+        }
+
+        const bytes = (packet.requestContentLength || 0) + (packet.responseContentLength || 0);
+        const latency = packetLatency(packet);
+        const bucketStart = now - (now % BUCKET_MS);
+        targets.forEach(b => {
+            if (b.bucket && b.bucket.start !== bucketStart) raised.push(...this.closeBucket(b));
+            if (!b.bucket) b.bucket = { start: bucketStart, requests: 0, bytes: 0, latencySum: 0, latencyCount: 0 };
+            b.bucket.requests++;
+            b.bucket.bytes += bytes;
+            if (latency !== null) {
+                b.bucket.latencySum += latency;
+                b.bucket.latencyCount++;
+            }
+            b.lastSeen = now;
+        });
+        return raised;
+    }
+
+    /**
+     * Close buckets that have ended and expire old flags. Call regularly
+     * (background.js does so on every universeState tick).
+     */
+    tick() {
+        const now = this.clock.now();
+        const raised = [];
+        for (const b of this.baselines.values()) {
+            if (b.bucket && now >= b.bucket.start + BUCKET_MS) raised.push(...this.closeBucket(b));
+        }
+        for (const [key, flag] of this.flags) {
+            if (flag.until <= now) this.flags.delete(key);
+        }
+        return raised;
+    }
+
+    // Score the finished bucket against the baseline, then learn from it
+    closeBucket(b) {
+        const bucket = b.bucket;
+        b.bucket = null;
+        const slot = String(new Date(bucket.start).getHours());
+        if (!b.seasonal[slot]) b.seasonal[slot] = { requests: emptyStats(), bytes: emptyStats(), latency: emptyStats() };
+        const values = {
+            requests: bucket.requests,
+            bytes: bucket.bytes,
+            latency: bucket.latencyCount ? bucket.latencySum / bucket.latencyCount : null
+        };
+
+        const raised = [];
+        METRICS.forEach(metric => {
+            const value = values[metric];
+            if (value === null) return;
+            const seasonal = b.seasonal[slot][metric];
+            const reference = seasonal.n >= WARMUP_BUCKETS ? seasonal : b.stats[metric];
+            if (reference.n >= WARMUP_BUCKETS) {
+                const z = zScore(reference, value, metric);
+                if (z >= Z_THRESHOLD) {
+                    const flag = this.raise(`${b.scope}:${b.id}`, b.scope, b.id, b.label, 'spike', metric, { value, mean: reference.mean, z });
+                    if (flag) raised.push(flag);
+                }
+            }
+            learn(b.stats[metric], value);
+            learn(seasonal, value);
+        });
+        return raised;
+    }
+
+    raise(key, scope, id, label, kind, metric, details) {
+        const now = this.clock.now();
+        const flagKey = `${key}|${metric || kind}`;
+        const active = this.flags.get(flagKey);
+        if (active) {
+            // Still anomalous: extend, but log the onset only once
+            active.until = now + FLAG_TTL_MS;
+            return null;
+        }
+        const flag = { scope, id, label: label || (scope === 'tab' ? `Tab ${id}` : id), kind, metric, ...details, time: now, until: now + FLAG_TTL_MS };
+        this.flags.set(flagKey, flag);
+        this.log.unshift(flag);
+        if (this.log.length > LOG_LIMIT) this.log.length = LOG_LIMIT;
+        this.logVersion++;
+        return flag;
+    }
+
+    activeFlags() {
+        return Array.from(this.flags.values());
+    }
+
+    clearLog() {
+        this.log = [];
+        this.logVersion++;
+    }
+
+    /**
+     * Copy of `state` with `anomaly` (a list of active flags) on each flagged
+     * planet, satellite and interstellar node, and all flags as `anomalies`.
+     */
+    annotateState(state) {
+        if (!state || !state.domains) return state;
+        const byNode = new Map(); // Map<scope:id, flag[]>
+        this.flags.forEach(flag => {
+            const key = `${flag.scope}:${flag.id}`;
+            if (!byNode.has(key)) byNode.set(key, []);
+            byNode.get(key).push({ kind: flag.kind, metric: flag.metric, value: flag.value, z: flag.z, time: flag.time });
+        });
+        const mark = (node, key) => (byNode.has(key) ? { ...node, anomaly: byNode.get(key) } : node);
+
+        return {
+            ...state,
+            domains: state.domains.map(planet => ({
+                ...mark(planet, `tab:${planet.id}`),
+                children: planet.children.map(child => mark(child, `host:${child.id}`))
+            })),
+            interstellar: (state.interstellar || []).map(node => mark(node, `host:${node.id}`)),
+            anomalies: this.activeFlags()
+        };
+    }
+
+    snapshot() {
+        const baselines = {};
+        this.baselines.forEach((b, key) => {
+            baselines[key] = { scope: b.scope, id: b.id, label: b.label, lastSeen: b.lastSeen, stats: b.stats, seasonal: b.seasonal };
+        });
+        return { learningSince: this.learningSince, knownHosts: Array.from(this.knownHosts), baselines };
+    }
+
+    restore(snapshot) {
+        if (!snapshot || typeof snapshot !== 'object') return;
+        if (typeof snapshot.learningSince === 'number') this.learningSince = Math.min(this.learningSince, snapshot.learningSince);
+        (snapshot.knownHosts || []).slice(0, MAX_KNOWN_HOSTS).forEach(h => this.knownHosts.add(h));
+        Object.entries(snapshot.baselines || {}).forEach(([key, saved]) => {
+            if (this.baselines.has(key) || this.baselines.size >= MAX_BASELINES) return;
+            this.baselines.set(key, { ...emptyBaseline(saved.scope, saved.id, saved.label), lastSeen: saved.lastSeen, stats: saved.stats, seasonal: saved.seasonal || {} });
+        });
+    }
+
+    restoreLog(log) {
+        this.log = Array.isArray(log) ? log.slice(0, LOG_LIMIT) : [];
+    }
+}
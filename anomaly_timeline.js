@@ -0,0 +1,115 @@
+/**
+ * anomaly_timeline.js
+ * "Anomalies" tab of the options page: a timeline of the flags raised by
+ * the anomaly detector (anomaly.js) and a table of the most recent ones.
+ *
+ * Reads the persisted `anomalyLog` from chrome.storage.local and follows
+ * its changes. One lane per kind of flag (new host, request / byte /
+ * latency spike); tab flags are drawn as squares, host flags as circles.
+ */
+
+import { logger } from './logger.js';
+import { sendRequest } from './messaging.js';
+import { escapeHtml } from './dom_utils.js';
+
+const LANES = [
+    { id: 'new-host', label: 'New host', color: '#a855f7' },
+    { id: 'requests', label: 'Request spike', color: '#3b82f6' },
+    { id: 'bytes', label: 'Byte spike', color: '#f97316' },
+    { id: 'latency', label: 'Latency spike', color: '#ef4444' }
+];
+const RANGES = { '15m': 15 * 60 * 1000, '1h': 60 * 60 * 1000, '24h': 24 * 60 * 60 * 1000, all: Infinity };
+const LANE_HEIGHT = 36;
+const LABEL_WIDTH = 110;
+const TABLE_ROWS = 100;
+
+let initialized = false;
+let log = [];
+let svg, rangeSelect, tableBody, summaryEl;
+
+function laneOf(flag) {
+    return flag.kind === 'new-host' ? 'new-host' : flag.metric;
+}
+
+function laneLabel(flag) {
+    const lane = LANES.find(l => l.id === laneOf(flag));
+    return lane ? lane.label : flag.kind;
+}
+
+function describe(flag) {
+    if (flag.kind === 'new-host') return 'first contact';
+    const value = flag.metric === 'bytes' ? `${Math.round(flag.value / 1024)} KB`
+        : flag.metric === 'latency' ? `${Math.round(flag.value)} ms` : `${flag.value} requests`;
+    const mean = flag.metric === 'bytes' ? `${Math.round(flag.mean / 1024)} KB`
+        : flag.metric === 'latency' ? `${Math.round(flag.mean)} ms` : flag.mean.toFixed(1);
+    return `${value} in 10s vs ${mean} usual (z ${flag.z.toFixed(1)})`;
+}
+
+function render() {
+    const now = Date.now();
+    const span = RANGES[rangeSelect.value] || RANGES['1h'];
+    const shown = log.filter(f => now - f.time <= span);
+    const start = span === Infinity ? (shown.length ? shown[shown.length - 1].time : now) : now - span;
+    const width = Math.max(400, svg.clientWidth || 800);
+    const height = LANES.length * LANE_HEIGHT + 20;
+    const x = (t) => LABEL_WIDTH + ((t - start) / Math.max(1, now - start)) * (width - LABEL_WIDTH - 10);
+
+    const lanes = LANES.map((lane, i) => `
+        <line x1="${LABEL_WIDTH}" y1="${(i + 0.5) * LANE_HEIGHT}" x2="${width - 10}" y2="${(i + 0.5) * LANE_HEIGHT}" stroke="#e5e7eb"/>
+        <text x="4" y="${(i + 0.5) * LANE_HEIGHT + 4}" font-size="12" fill="#334155">${lane.label}</text>`).join('');
+    const marks = shown.map(flag => {
+        const i = LANES.findIndex(l => l.id === laneOf(flag));
+        if (i === -1) return '';
+        const cx = x(flag.time);
+        const cy = (i + 0.5) * LANE_HEIGHT;
+        const title = `<title>${escapeHtml(`${new Date(flag.time).toLocaleTimeString()} ${flag.label}: ${describe(flag)}`)}</title>`;
+        return flag.scope === 'tab'
+            ? `<rect x="${cx - 5}" y="${cy - 5}" width="10" height="10" fill="${LANES[i].color}" fill-opacity="0.8">${title}</rect>`
+            : `<circle cx="${cx}" cy="${cy}" r="5" fill="${LANES[i].color}" fill-opacity="0.8">${title}</circle>`;
+    }).join('');
+    const axis = `<text x="${LABEL_WIDTH}" y="${height - 4}" font-size="11" fill="#555">${new Date(start).toLocaleString()}</text>
+        <text x="${width - 10}" y="${height - 4}" font-size="11" fill="#555" text-anchor="end">now</text>`;
+
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('height', height);
+    svg.innerHTML = lanes + marks + axis;
+
+    summaryEl.textContent = `${shown.length} flag(s) in range, ${log.length} logged`;
+    tableBody.innerHTML = shown.slice(0, TABLE_ROWS).map(flag => `<tr>
+        <td>${new Date(flag.time).toLocaleString()}</td>
+        <td>${escapeHtml(flag.scope === 'tab' ? `${flag.label} (tab ${flag.id})` : flag.label)}</td>
+        <td>${escapeHtml(laneLabel(flag))}</td>
+        <td>${escapeHtml(describe(flag))}</td>
+    </tr>`).join('') || '<tr><td colspan="4">No anomalies in this range.</td></tr>';
+}
+
+export function init() {
+    if (initialized) {
+        render();
+        return;
+    }
+    svg = document.getElementById('anomaly-timeline');
+    rangeSelect = document.getElementById('anomaly-range');
+    tableBody = document.querySelector('#anomaly-table tbody');
+    summaryEl = document.getElementById('anomaly-summary');
+    if (!svg || !tableBody) {
+        logger.error('Anomaly timeline container not found');
+        return;
+    }
+
+    chrome.storage.local.get(['anomalyLog'], (result) => {
+        log = result.anomalyLog || [];
+        render();
+    });
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area !== 'local' || !changes.anomalyLog) return;
+        log = changes.anomalyLog.newValue || [];
+        render();
+    });
+    rangeSelect.addEventListener('change', render);
+    document.getElementById('anomaly-clear').addEventListener('click', () => {
+        sendRequest('anomalies:clear').catch(e => logger.error('Failed to clear anomaly log', e));
+    });
+
+    initialized = true;
+}
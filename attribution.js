@@ -0,0 +1,89 @@
+/**
+ * attribution.js
+ * Who is behind traffic that has no tab (tabId -1), so the "interstellar"
+ * debris can be split into belts instead of one anonymous bucket.
+ *
+ * Decided from the request's initiator - or, for requests made by a
+ * document (frameId >= 0), its documentUrl:
+ * - 'extension':      a chrome-extension:// initiator (other extensions, or
+ *                     this one's offscreen / background pages).
+ * - 'browser':        a chrome:// / devtools:// initiator, or no initiator at
+ *                     all on a host of the browser's own services (updates,
+ *                     Safe Browsing, component downloads, sync).
+ * - 'service-worker': an http(s) initiator. Tab-less requests with a web
+ *                     origin come from that site's service worker (or
+ *                     shared worker / prerendering); one belt per site,
+ *                     keyed by its registrable domain.
+ * - 'unknown':        everything else.
+ */
+
+import { getRegistrableDomain } from './psl.js';
+
+export const BELT_KINDS = {
+    EXTENSION: 'extension',
+    BROWSER: 'browser',
+    SERVICE_WORKER: 'service-worker',
+    UNKNOWN: 'unknown'
+};
+
+// Shared by the views so every belt kind keeps one colour
+export const BELT_COLORS = {
+    extension: '#a855f7',
+    browser: '#38bdf8',
+    'service-worker': '#22c55e',
+    unknown: '#94a3b8'
+};
+
+// Order the belts are listed / drawn in, innermost first
+export const BELT_ORDER = [BELT_KINDS.SERVICE_WORKER, BELT_KINDS.EXTENSION, BELT_KINDS.BROWSER, BELT_KINDS.UNKNOWN];
+
+const BROWSER_SCHEMES = ['chrome:', 'chrome-untrusted:', 'chrome-search:', 'devtools:', 'edge:'];
+
+// Hosts the browser itself talks to without any page or extension involved
+const BROWSER_SERVICE_HOSTS = [
+    'update.googleapis.com', 'clients1.google.com', 'clients2.google.com', 'clients4.google.com',
+    'clientservices.googleapis.com', 'safebrowsing.googleapis.com', 'safebrowsing.google.com',
+    'optimizationguide-pa.googleapis.com', 'content-autofill.googleapis.com', 'chromesyncpasswords-pa.googleapis.com',
+    'android.clients.google.com', 'redirector.gvt1.com', 'gvt1.com', 'gvt2.com', 'edge.microsoft.com'
+];
+
+function parseUrl(urlStr) {
+    try {
+        return new URL(urlStr);
+    } catch (e) {
+        return null;
+    }
+}
+
+function isBrowserServiceHost(hostname) {
+    return BROWSER_SERVICE_HOSTS.some(host => hostname === host || hostname.endsWith(`.${host}`));
+}
+
+const BELTS = {
+    [BELT_KINDS.EXTENSION]: { id: 'extension', kind: BELT_KINDS.EXTENSION, owner: null, label: 'Other extensions' },
+    [BELT_KINDS.BROWSER]: { id: 'browser', kind: BELT_KINDS.BROWSER, owner: null, label: 'Browser services' },
+    [BELT_KINDS.UNKNOWN]: { id: 'unknown', kind: BELT_KINDS.UNKNOWN, owner: null, label: 'Unknown' }
+};
+
+/**
+ * Belt for a tab-less packet: { id, kind, owner, label }. `owner` is the
+ * site for service-worker belts, null otherwise.
+ */
+export function attributeBackground(packet) {
+    const initiator = parseUrl(packet.initiator)
+        || (packet.frameId >= 0 ? parseUrl(packet.documentUrl) : null);
+
+    if (initiator) {
+        if (initiator.protocol === 'chrome-extension:' || initiator.protocol === 'moz-extension:') return BELTS.extension;
+        if (BROWSER_SCHEMES.includes(initiator.protocol)) return BELTS.browser;
+        if (initiator.protocol === 'https:' || initiator.protocol === 'http:') {
+            const site = getRegistrableDomain(initiator.hostname) || initiator.hostname;
+            return { id: `sw:${site}`, kind: BELT_KINDS.SERVICE_WORKER, owner: site, label: `Service workers of ${site}` };
+        }
+        return BELTS.unknown;
+    }
+
+    const url = parseUrl(packet.url);
+    if (url && isBrowserServiceHost(url.hostname)) return BELTS.browser;
+    return BELTS.unknown;
+}
@@ -1,5 +1,20 @@
-import { queuePacket } from './vectorizer.js';
-import { aggregator } from './aggregator.js';
+import { queuePacket, onPoints, recentPoints, snapshotModel, restoreModel, queueReplayPacket, onReplayPoints, recentReplayPoints, clearReplayPoints } from './vectorizer.js';
+import { aggregator, UniverseAggregator } from './aggregator.js';
+import { VirtualClock } from './clock.js';
+import { ReplayEngine } from './replay.js';
+import { historyStore, handleHistoryMessage } from './history_store.js';
+import { headersSize, requestBodySize, accountRequestBytes, accountResponseBytes } from './byte_accounting.js';
+import { derivePhases } from './request_timing.js';
+import { serveRequests } from './messaging.js';
+import { categorizer } from './categorizer.js';
+import { redactCookieHeaders } from './cookie_flow.js';
+import { AlertEngine } from './alerts.js';
+import { AnomalyDetector } from './anomaly.js';
+import { ExfiltrationDetector } from './exfiltration.js';
+import { StreamHub, STREAMS } from './streams.js';
+import { DeltaEncoder } from './state_delta.js';
+import { loadUniverseCore } from './universe_core.js';
+import { logger } from './logger.js';
 
 let packetsInCount = 0;
 let packetsOutCount = 0;
@@ -9,18 +24,140 @@ let recentPackets = [];
 let trafficHistory = [];
 const requestData = {}; // Temporary storage for request details
 
+// Live state, points and alerts go to open pages over ports (streams.js);
+// chrome.storage only keeps what must survive a restart. The state goes out
+// as deltas with keyframes (state_delta.js).
+const streamHub = new StreamHub();
+streamHub.listen();
+const stateEncoder = new DeltaEncoder();
+let latestState = null;
+streamHub.provideSnapshot(STREAMS.STATE, () => stateEncoder.keyframe());
+streamHub.provideSnapshot(STREAMS.POINTS, recentPoints);
+onPoints((points) => streamHub.publish(STREAMS.POINTS, points));
+// Written on every tick by earlier versions; now just dead weight
+chrome.storage.local.remove(['universeState', 'vectorizedPackets']);
+
+// Replay runs on its own aggregator + virtual clock, and its points (projected
+// without training the vectorizer) go out on their own stream; live capture
+// continues into `aggregator` and the vectorizer, and is published again once
+// the replay is stopped.
+const replayClock = new VirtualClock();
+const replayAggregator = new UniverseAggregator(aggregator.windowDurationMs, replayClock);
+const replay = new ReplayEngine({ aggregator: replayAggregator, queuePacket: queueReplayPacket, clock: replayClock });
+streamHub.provideSnapshot(STREAMS.REPLAY_POINTS, recentReplayPoints);
+onReplayPoints((points) => streamHub.publish(STREAMS.REPLAY_POINTS, points));
+
+// Loading, seeking and stopping start the replay's points over
+function resetReplayPoints() {
+  clearReplayPoints();
+  streamHub.publish(STREAMS.REPLAY_POINTS, [], { snapshot: true });
+}
+
+// Alert rules run on live capture only (not imports or replays)
+const ALERT_ICON = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAACAAAAAgCAYAAABzenr0AAAAZ0lEQVR42u3X0Q0AEAxFUcN1/1WMwACiQbV94kl83/NFW8prp4o07aZEXTGncTPCGjZBbse3EF7xZUQqwDuuIqLiU8TfgOj4gCCAAALSAXwJIQDp3zEnIpihFGIsh1hMYFYziOXU83RuD+JjCoyGkgAAAABJRU5ErkJggg==';
+const alertEngine = new AlertEngine({ onAlert: deliverAlert });
+streamHub.provideSnapshot(STREAMS.ALERTS, () => alertEngine.log.slice().reverse());
+
+function deliverAlert(alert, rule) {
+  chrome.storage.local.set({ alertLog: alertEngine.log });
+  streamHub.publish(STREAMS.ALERTS, [alert]);
+  // chrome.notifications only exists once the optional permission is granted
+  if (rule.notify && chrome.notifications) {
+    chrome.notifications.create(alert.id, { type: 'basic', iconUrl: ALERT_ICON, title: rule.name, message: alert.message });
+  }
+}
+
+function applyAlertRules(rules) {
+  try {
+    alertEngine.setRules(rules);
+  } catch (e) {
+    logger.error('Invalid alert rules, keeping the previous ones', e);
+  }
+}
+
+// Per-host / per-tab traffic baselines, live capture only like the alerts.
+// The anomaly log is persisted whenever it changes, baselines once a minute.
+const anomalyDetector = new AnomalyDetector();
+let anomalyLogVersion = 0;
+
+// Outbound-payload heuristics; matches are persisted as `exfilLog`
+const exfilDetector = new ExfiltrationDetector();
+let exfilLogVersion = 0;
+chrome.tabs.onRemoved.addListener((tabId) => exfilDetector.tabClosed(tabId));
+
+// MV3 stops the service worker when it idles, taking the live aggregator,
+// in-flight requests and the vectorizer model with it. They are checkpointed
+// and restored on startup: the aggregator and requestData to storage.session
+// (tab ids mean nothing after the browser restarts), the model to
+// storage.local so points stay in the same embedding space for good.
+const CHECKPOINT_INTERVAL_MS = 10 * 1000;
+// storage.session holds 10 MB: only the most recently seen in-flight
+// requests are carried over, and without their headers (already counted in
+// requestHeadersSize)
+const CHECKPOINT_MAX_REQUESTS = 200;
+
+function checkpointRequests() {
+  return Object.fromEntries(Object.entries(requestData)
+    .sort(([, a], [, b]) => b.seenAt - a.seenAt)
+    .slice(0, CHECKPOINT_MAX_REQUESTS)
+    .map(([requestId, entry]) => [requestId, { ...entry, requestHeaders: [] }]));
+}
+
+// A failed write (e.g. over quota) is logged; the next tick tries again
+function saveCheckpoint() {
+  chrome.storage.session.set({ workerCheckpoint: { savedAt: Date.now(), aggregator: aggregator.snapshot(), requestData: checkpointRequests() } })
+    .catch(e => logger.warn('Worker checkpoint not saved:', e.message));
+  chrome.storage.local.set({ vectorizerModel: snapshotModel() })
+    .catch(e => logger.warn('Vectorizer model not saved:', e.message));
+}
+
+// A checkpoint in this browser session means the worker was restarted:
+// pick up where it left off and mark the restart in the traffic history
+function restoreCheckpoint(checkpoint) {
+  if (!checkpoint) return;
+  aggregator.restore(checkpoint.aggregator);
+  Object.entries(checkpoint.requestData || {}).forEach(([requestId, entry]) => {
+    if (!requestData[requestId]) requestData[requestId] = entry;
+  });
+  trafficHistory.push({ time: Date.now(), value: packetsInCount + packetsOutCount, restart: true, checkpointAt: checkpoint.savedAt });
+  chrome.storage.local.set({ trafficHistory });
+}
+
+setInterval(saveCheckpoint, CHECKPOINT_INTERVAL_MS);
+chrome.runtime.onSuspend.addListener(saveCheckpoint); // best effort, not always sent
+
+// The live aggregator moves onto the WebAssembly core once it loads (the
+// replay aggregator stays on the JS one); without it, nothing changes.
+loadUniverseCore(chrome.runtime.getURL('wasm/universe_core.wasm')).then(core => aggregator.useCore(core));
+
+// Tracker/ad-tech lists ship with the extension; packets seen before they
+// finish loading are simply left uncategorised.
+categorizer.loadLists();
+
 // Initialize stats from storage to ensure persistence
-chrome.storage.local.get(['packetsInCount', 'packetsOutCount', 'totalBytesIn', 'totalBytesOut', 'recentPackets', 'trafficHistory', 'vizConfig'], (result) => {
+chrome.storage.local.get(['packetsInCount', 'packetsOutCount', 'totalBytesIn', 'totalBytesOut', 'recentPackets', 'trafficHistory', 'vizConfig', 'historyConfig', 'alertRules', 'alertLog', 'anomalyBaselines', 'anomalyLog', 'exfilLog', 'vectorizerModel'], (result) => {
   packetsInCount = result.packetsInCount || 0;
   packetsOutCount = result.packetsOutCount || 0;
   
   if (result.vizConfig) {
       aggregator.setConfig(result.vizConfig);
+      replayAggregator.setConfig(result.vizConfig);
   }
+  if (result.historyConfig) {
+      historyStore.setRetention(result.historyConfig);
+  }
+  if (result.alertRules) applyAlertRules(result.alertRules);
+  alertEngine.restoreLog(result.alertLog);
+  anomalyDetector.restore(result.anomalyBaselines);
+  anomalyDetector.restoreLog(result.anomalyLog);
+  anomalyLogVersion = anomalyDetector.logVersion;
+  exfilDetector.restoreLog(result.exfilLog);
   totalBytesIn = result.totalBytesIn || 0;
   totalBytesOut = result.totalBytesOut || 0;
   recentPackets = result.recentPackets || [];
   trafficHistory = result.trafficHistory || [];
+  restoreModel(result.vectorizerModel);
+  chrome.storage.session.get(['workerCheckpoint'], (session) => restoreCheckpoint(session.workerCheckpoint));
 });
 
 // Periodically save the total packet count for the chart AND the universe state
@@ -31,25 +168,95 @@ setInterval(() => {
     chrome.storage.local.set({ trafficHistory });
   }
 
-  // Save the hierarchical universe state for the 4D viz
+  // Publish the hierarchical universe state for the views
   // 200ms update rate for smoother animation
-  const universeState = aggregator.getState();
-  chrome.storage.local.set({ universeState });
+  anomalyDetector.tick();
+  const universeState = replay.active
+    ? { ...replayAggregator.getState(), replay: replay.status() }
+    : anomalyDetector.annotateState(aggregator.getState());
+  latestState = universeState;
+  if (streamHub.hasSubscribers(STREAMS.STATE)) {
+    streamHub.publish(STREAMS.STATE, stateEncoder.encode(universeState));
+  } else {
+    stateEncoder.hold(universeState); // no page open: skip the diff
+  }
+  if (!replay.active) alertEngine.evaluateState(universeState);
+
+  if (anomalyDetector.logVersion !== anomalyLogVersion) {
+    anomalyLogVersion = anomalyDetector.logVersion;
+    chrome.storage.local.set({ anomalyLog: anomalyDetector.log });
+  }
+  if (exfilDetector.logVersion !== exfilLogVersion) {
+    exfilLogVersion = exfilDetector.logVersion;
+    chrome.storage.local.set({ exfilLog: exfilDetector.log });
+  }
 }, 200);
 
+// Apply history retention policies (max age / max bytes) and save anomaly
+// baselines once a minute
+setInterval(() => {
+  historyStore.enforceRetention().catch(e => logger.error('History retention failed', e));
+  chrome.storage.local.set({ anomalyBaselines: anomalyDetector.snapshot() });
+}, 60 * 1000);
+
+// Requests with no terminal event (onCompleted/onErrorOccurred) within this
+// window are considered orphaned and dropped from requestData.
+const ORPHAN_TIMEOUT_MS = 2 * 60 * 1000;
+
+function createRequestEntry(details) {
+  return {
+    requestHeadersSize: 0,
+    startTime: details.timeStamp,
+    requestHeaders: [],
+    redirects: [],
+    requestBodyBytes: null, // from onBeforeRequest, null when not observable
+    bodyCounted: false,
+    timings: {}, // lifecycle marks, see request_timing.js
+    seenAt: 0,
+  };
+}
+
+function getRequestEntry(details) {
+  if (!requestData[details.requestId]) {
+    requestData[details.requestId] = createRequestEntry(details);
+  }
+  const entry = requestData[details.requestId];
+  entry.seenAt = Date.now();
+  return entry;
+}
+
+// Capture upload body sizes (only exposed to onBeforeRequest) and the first timing mark
+chrome.webRequest.onBeforeRequest.addListener(
+  (details) => {
+    const entry = getRequestEntry(details);
+    if (entry.requestBodyBytes === null) entry.requestBodyBytes = requestBodySize(details.requestBody);
+    if (entry.timings.beforeRequest === undefined) entry.timings.beforeRequest = details.timeStamp;
+    if (details.type === 'main_frame') exfilDetector.navigationStarted(details.tabId, details.requestId, details.url, details.timeStamp);
+  },
+  { urls: ["<all_urls>"] },
+  ["requestBody"]
+);
+
 // Listener for outgoing requests
 chrome.webRequest.onSendHeaders.addListener(
   (details) => {
     packetsOutCount++;
-    const requestHeadersSize = details.requestHeaders.reduce((acc, header) => acc + header.name.length + (header.value ? header.value.length : 0), 0);
+    const requestHeadersSize = headersSize(details.requestHeaders);
     totalBytesOut += requestHeadersSize;
 
-    // Store request size and start time to use it in onCompleted
-    requestData[details.requestId] = {
-      requestHeadersSize,
-      startTime: details.timeStamp,
-      requestHeaders: details.requestHeaders || [],
-    };
+    // Store request size and start time to use it in onCompleted.
+    // A redirected request re-sends headers under the same requestId, so the
+    // original start time and redirect chain are kept.
+    const entry = getRequestEntry(details);
+    entry.requestHeadersSize += requestHeadersSize;
+    entry.requestHeaders = redactCookieHeaders(details.requestHeaders || []);
+    entry.timings.sendHeaders = details.timeStamp;
+
+    // Count the upload body once, not again for each redirect hop
+    if (!entry.bodyCounted) {
+      totalBytesOut += accountRequestBytes(details.method, entry.requestHeaders, entry.requestBodyBytes).bytes;
+      entry.bodyCounted = true;
+    }
 
     chrome.storage.local.set({
       packetsOutCount,
@@ -57,67 +264,205 @@ chrome.webRequest.onSendHeaders.addListener(
     });
   },
   { urls: ["<all_urls>"] },
-  ["requestHeaders"]
+  ["requestHeaders", "extraHeaders"] // extraHeaders: Chrome hides Cookie without it
+);
+
+// Redirect hops stay linked to the originating requestId
+chrome.webRequest.onBeforeRedirect.addListener(
+  (details) => {
+    const entry = getRequestEntry(details);
+    entry.redirects.push({
+      url: details.url,
+      redirectUrl: details.redirectUrl,
+      statusCode: details.statusCode,
+      timeStamp: details.timeStamp,
+    });
+  },
+  { urls: ["<all_urls>"] }
+);
+
+// Response timing marks (the last hop wins for redirected requests)
+chrome.webRequest.onHeadersReceived.addListener(
+  (details) => {
+    getRequestEntry(details).timings.headersReceived = details.timeStamp;
+  },
+  { urls: ["<all_urls>"] }
+);
+
+chrome.webRequest.onResponseStarted.addListener(
+  (details) => {
+    getRequestEntry(details).timings.responseStarted = details.timeStamp;
+  },
+  { urls: ["<all_urls>"] }
 );
 
 // Listen for config changes from UI
 chrome.storage.onChanged.addListener((changes, area) => {
   if (area === 'local' && changes.vizConfig) {
     aggregator.setConfig(changes.vizConfig.newValue);
+    replayAggregator.setConfig(changes.vizConfig.newValue);
+  }
+  if (area === 'local' && changes.historyConfig) {
+    historyStore.setRetention(changes.historyConfig.newValue);
+  }
+  if (area === 'local' && changes.alertRules) {
+    applyAlertRules(changes.alertRules.newValue);
   }
 });
 
-// Listener for incoming responses
-chrome.webRequest.onCompleted.addListener(
-  (details) => {
-    packetsInCount++;
-    
-    const responseHeadersSize = details.responseHeaders ? details.responseHeaders.reduce((acc, header) => acc + header.name.length + (header.value ? header.value.length : 0), 0) : 0;
-    totalBytesIn += responseHeadersSize;
+// Feed imported packets (e.g. from a HAR file) into the live pipeline.
+// They are not written to history or recentPackets: they already exist elsewhere.
+// Imported or older stored packets may predate categorisation, and HAR
+// files carry cookie values, which are never kept
+function prepareImported(packetInfo) {
+  if (!Array.isArray(packetInfo.categories)) packetInfo.categories = categorizer.categorize(packetInfo.url);
+  packetInfo.requestHeaders = redactCookieHeaders(packetInfo.requestHeaders);
+  packetInfo.responseHeaders = redactCookieHeaders(packetInfo.responseHeaders);
+  return packetInfo;
+}
 
-    const storedRequestData = requestData[details.requestId] || { requestHeadersSize: 0, startTime: details.timeStamp, requestHeaders: [] };
+// Imported tabs get ids of their own, clear of Chrome's tab ids, of HAR's
+// synthetic ones (har.js) and of earlier imports, so they never merge into
+// a live planet
+const IMPORT_TAB_BASE = 2000000;
+let nextImportTabId = IMPORT_TAB_BASE;
 
-    // Approximate latency (ms) from first sendHeaders to completed
-    const latencyMs = Math.max(0, details.timeStamp - (storedRequestData.startTime || details.timeStamp));
+function importPackets(packets) {
+  if (!Array.isArray(packets)) return Promise.reject(new Error('Expected an array of packets'));
+  const tabIds = new Map();
+  packets.map(prepareImported).forEach((packetInfo) => {
+    if (packetInfo.tabId >= 0) {
+      if (!tabIds.has(packetInfo.tabId)) tabIds.set(packetInfo.tabId, nextImportTabId++);
+      packetInfo.tabId = tabIds.get(packetInfo.tabId);
+    }
+    queuePacket(packetInfo);
+    aggregator.addPacket(packetInfo);
+  });
+  return Promise.resolve({ imported: packets.length });
+}
 
-    function getHeader(headers, name) {
-      const lower = name.toLowerCase();
-      if (!headers) return null;
-      for (const h of headers) {
-        if ((h.name || '').toLowerCase() === lower) return h.value || null;
-      }
-      return null;
+// Replay controls. Sources: stored history (filter) or explicit packets (imported HAR).
+async function handleReplayMessage(message) {
+  switch (message.type) {
+    case 'replay:load': {
+      resetReplayPoints();
+      if (Array.isArray(message.packets)) return replay.load(message.packets.map(prepareImported), message.label || 'import');
+      const packets = await historyStore.query({ limit: 20000, ...(message.filter || {}), order: 'asc' });
+      return replay.load(packets.map(prepareImported), 'history');
     }
+    case 'replay:play':
+      // Playing after the end starts over
+      if (replay.state === 'ended') resetReplayPoints();
+      return replay.play(message.speed);
+    case 'replay:pause':
+      return replay.pause();
+    case 'replay:speed':
+      return replay.setSpeed(message.speed);
+    case 'replay:seek':
+      resetReplayPoints();
+      return replay.seek(message.time);
+    case 'replay:stop':
+      replay.stop();
+      resetReplayPoints();
+      return replay.status();
+    case 'replay:status':
+      return replay.status();
+    default:
+      throw new Error(`Unknown replay message: ${message.type}`);
+  }
+}
+
+// Request API for the options page (history queries, imports, replay, current state, alerts, anomalies, exfiltration),
+// plus first-interaction reports from the content script
+serveRequests((message, sender) => {
+  if (message.type === 'page:interaction') {
+    if (sender.tab) aggregator.markInteraction(sender.tab.id, message.timeStamp);
+    return Promise.resolve(true);
+  }
+  if (message.type.startsWith('history:')) return handleHistoryMessage(message);
+  if (message.type.startsWith('replay:')) return handleReplayMessage(message);
+  if (message.type === 'har:import') return importPackets(message.packets);
+  if (message.type === 'anomalies:clear') {
+    anomalyDetector.clearLog();
+    return Promise.resolve(true); // persisted by the state loop
+  }
+  if (message.type === 'exfil:clear') {
+    exfilDetector.clearLog();
+    return Promise.resolve(true);
+  }
+  if (message.type === 'state:get') return Promise.resolve(latestState);
+  if (message.type === 'alerts:clear') {
+    alertEngine.clearLog();
+    streamHub.publish(STREAMS.ALERTS, [], { snapshot: true });
+    return new Promise((resolve) => chrome.storage.local.set({ alertLog: [] }, () => resolve(true)));
+  }
+  return null;
+});
 
-    const reqContentLength = parseInt(getHeader(storedRequestData.requestHeaders, 'content-length') || '0', 10) || 0;
-    const resContentLength = parseInt(getHeader(details.responseHeaders || [], 'content-length') || '0', 10) || 0;
+function buildPacketInfo(details, storedRequestData, responseHeadersSize) {
+  // Approximate latency (ms) from first sendHeaders to the terminal event
+  const latencyMs = Math.max(0, details.timeStamp - (storedRequestData.startTime || details.timeStamp));
 
-    const packetInfo = {
-      requestId: details.requestId,
-      url: details.url,
-      method: details.method,
-      statusCode: details.statusCode,
-      type: details.type,
-      tabId: details.tabId, // Crucial for grouping by Tab/Planet
-      timeStamp: details.timeStamp,
-      requestHeadersSize: storedRequestData.requestHeadersSize,
-      responseHeadersSize,
-      responseHeaders: details.responseHeaders || [],
-      latencyMs,
-      requestContentLength: reqContentLength,
-      responseContentLength: resContentLength,
-    };
+  const requestBytes = accountRequestBytes(details.method, storedRequestData.requestHeaders, storedRequestData.requestBodyBytes);
+  const responseBytes = accountResponseBytes(details);
 
-    queuePacket(packetInfo);
-    aggregator.addPacket(packetInfo); // Add to hierarchical aggregator
+  return {
+    requestId: details.requestId,
+    url: details.url,
+    method: details.method,
+    statusCode: details.statusCode || 0,
+    type: details.type,
+    tabId: details.tabId, // Crucial for grouping by Tab/Planet
+    frameId: details.frameId,
+    initiator: details.initiator || null, // Attribution of tab-less traffic (attribution.js)
+    documentUrl: details.documentUrl || null,
+    timeStamp: details.timeStamp,
+    requestHeadersSize: storedRequestData.requestHeadersSize,
+    responseHeadersSize,
+    requestHeaders: storedRequestData.requestHeaders,
+    responseHeaders: redactCookieHeaders(details.responseHeaders || []),
+    latencyMs,
+    requestContentLength: requestBytes.bytes,
+    responseContentLength: responseBytes.bytes,
+    requestSizeSource: requestBytes.source,
+    responseSizeSource: responseBytes.source,
+    sizeUnknown: !requestBytes.known || !responseBytes.known,
+    fromCache: !!details.fromCache,
+    timing: derivePhases({ ...storedRequestData.timings, completed: details.timeStamp }),
+    error: details.error || null, // e.g. net::ERR_NAME_NOT_RESOLVED
+    redirectChain: storedRequestData.redirects,
+    categories: categorizer.categorize(details.url, details.initiator || details.documentUrl),
+  };
+}
 
-    recentPackets.unshift(packetInfo);
-    if (recentPackets.length > 30) {
-      recentPackets.pop();
-    }
+// Feed a finished packet (completed or failed) through the pipeline
+function recordPacket(packetInfo) {
+  queuePacket(packetInfo);
+  aggregator.addPacket(packetInfo); // Add to hierarchical aggregator
+  historyStore.add(packetInfo); // Persist for after-the-fact queries
+  alertEngine.evaluatePacket(packetInfo);
+  anomalyDetector.observe(packetInfo);
+  exfilDetector.inspect(packetInfo);
 
-    // Clean up stored data
-    delete requestData[details.requestId];
+  recentPackets.unshift(packetInfo);
+  if (recentPackets.length > 30) {
+    recentPackets.pop();
+  }
+
+  // Clean up stored data
+  delete requestData[packetInfo.requestId];
+}
+
+// Listener for incoming responses
+chrome.webRequest.onCompleted.addListener(
+  (details) => {
+    packetsInCount++;
+    
+    const responseHeadersSize = headersSize(details.responseHeaders);
+    const storedRequestData = requestData[details.requestId] || createRequestEntry(details);
+    const packetInfo = buildPacketInfo(details, storedRequestData, responseHeadersSize);
+    totalBytesIn += responseHeadersSize + packetInfo.responseContentLength;
+    recordPacket(packetInfo);
 
     chrome.storage.local.set({
       packetsInCount,
@@ -126,5 +471,24 @@ chrome.webRequest.onCompleted.addListener(
     });
   },
   { urls: ["<all_urls>"] },
-  ["responseHeaders"]
+  ["responseHeaders", "extraHeaders"] // extraHeaders: Chrome hides Set-Cookie without it
 );
+
+// Listener for failed requests (DNS failures, CORS blocks, aborts, blocked by client)
+chrome.webRequest.onErrorOccurred.addListener(
+  (details) => {
+    const storedRequestData = requestData[details.requestId] || createRequestEntry(details);
+    recordPacket(buildPacketInfo(details, storedRequestData, 0));
+
+    chrome.storage.local.set({ recentPackets });
+  },
+  { urls: ["<all_urls>"] }
+);
+
+// Sweep requestData entries that never reached a terminal event
+setInterval(() => {
+  const cutoff = Date.now() - ORPHAN_TIMEOUT_MS;
+  for (const requestId of Object.keys(requestData)) {
+    if (requestData[requestId].seenAt < cutoff) delete requestData[requestId];
+  }
+}, 30 * 1000);
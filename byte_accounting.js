@@ -0,0 +1,108 @@
+/**
+ * byte_accounting.js
+ * Body byte accounting for request/response pairs.
+ *
+ * Header string lengths say nothing about payloads, and `content-length`
+ * is absent for chunked or compressed responses. Sizes are resolved from
+ * the best available source and, when nothing is known, flagged as
+ * 'unknown' instead of silently counting as zero.
+ *
+ * Response sources (best first):
+ * 1. 'encoded'        - encodedDataLength (bytes on the wire), when provided
+ *                       by the caller (e.g. imported captures).
+ * 2. 'cache'          - details.fromCache: nothing crossed the network,
+ *                       even when the cached headers declare a length.
+ * 3. 'content-length' - the response header.
+ * 4. 'unknown'        - chunked/streamed bodies with no length information.
+ *
+ * Request sources: raw upload bytes from onBeforeRequest ('body'), then
+ * the content-length header, then 'none' for body-less methods.
+ */
+
+const BODYLESS_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'DELETE', 'TRACE']);
+
+function getHeader(headers, name) {
+    const lower = name.toLowerCase();
+    if (!headers) return null;
+    for (const h of headers) {
+        if ((h.name || '').toLowerCase() === lower) return h.value || null;
+    }
+    return null;
+}
+
+function parseLength(value) {
+    if (value === null || value === undefined) return null;
+    const n = parseInt(value, 10);
+    return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+export function headersSize(headers) {
+    if (!headers) return 0;
+    return headers.reduce((acc, header) => acc + header.name.length + (header.value ? header.value.length : 0), 0);
+}
+
+/**
+ * Size of an upload body as reported by onBeforeRequest's `requestBody`.
+ * Returns null when the body is not observable (e.g. file uploads).
+ */
+export function requestBodySize(requestBody) {
+    if (!requestBody) return null;
+    if (requestBody.raw) {
+        let total = 0;
+        for (const part of requestBody.raw) {
+            if (part.bytes) total += part.bytes.byteLength;
+            else return null; // file-backed part, size not exposed
+        }
+        return total;
+    }
+    if (requestBody.formData) {
+        // Approximate the urlencoded form: key=value&key=value
+        let total = 0;
+        for (const [key, values] of Object.entries(requestBody.formData)) {
+            for (const value of values) total += encodeURIComponent(key).length + encodeURIComponent(value).length + 2;
+        }
+        return Math.max(0, total - 1);
+    }
+    return null;
+}
+
+export function accountRequestBytes(method, requestHeaders, bodyBytes) {
+    if (typeof bodyBytes === 'number') return { bytes: bodyBytes, source: 'body', known: true };
+    const declared = parseLength(getHeader(requestHeaders, 'content-length'));
+    if (declared !== null) return { bytes: declared, source: 'content-length', known: true };
+    if (BODYLESS_METHODS.has((method || '').toUpperCase())) return { bytes: 0, source: 'none', known: true };
+    return { bytes: 0, source: 'unknown', known: false };
+}
+
+export function accountResponseBytes(details) {
+    if (typeof details.encodedDataLength === 'number' && details.encodedDataLength >= 0) {
+        return { bytes: details.encodedDataLength, source: 'encoded', known: true };
+    }
+    if (details.fromCache) return { bytes: 0, source: 'cache', known: true };
+    const declared = parseLength(getHeader(details.responseHeaders, 'content-length'));
+    if (declared !== null) return { bytes: declared, source: 'content-length', known: true };
+    if (details.error || details.statusCode === 204 || details.statusCode === 304 || details.method === 'HEAD') {
+        return { bytes: 0, source: 'none', known: true };
+    }
+    return { bytes: 0, source: 'unknown', known: false };
+}
+
+/**
+ * Volume for visual scaling. Packets with unknown size are extrapolated from
+ * the average of the sized ones on the same node, and `uncertainty` (0..1)
+ * reports how much of the figure is extrapolated so renderers can show it.
+ */
+export function estimateVolume(metrics) {
+    if (!metrics) return { volume: 0, uncertainty: 0 };
+    const volume = metrics.volume || 0;
+    const unsized = metrics.unsized || 0;
+    const frequency = metrics.frequency || 0;
+    if (unsized === 0 || frequency === 0) return { volume, uncertainty: 0 };
+
+    const sized = Math.max(0, frequency - unsized);
+    const perPacket = sized > 0 ? volume / sized : 0;
+    return {
+        volume: volume + unsized * perPacket,
+        uncertainty: unsized / frequency
+    };
+}
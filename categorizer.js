@@ -0,0 +1,244 @@
+/**
+ * categorizer.js
+ * Tracker / ad-tech categorisation of requests from lists shipped in lists/.
+ *
+ * Categories: advertising, analytics, social, fingerprinting, cdn, content.
+ *
+ * Two list formats are understood:
+ * - Disconnect-style services.json: { categories: { Advertising: [{ Org:
+ *   { homepage: [domains] } }] } }. Domains match themselves and their
+ *   subdomains.
+ * - EasyList / EasyPrivacy network rules, one category per list:
+ *   `||host^` / `||host/path` anchors, plain patterns with `*` and `^`,
+ *   `@@` exceptions and the `$third-party` option. Element hiding (`##`) and
+ *   other options are ignored.
+ *
+ * The shipped lists are generated by scripts/update_lists.js from
+ * third-party-web's entities and EasyList / EasyPrivacy, cut down to rules
+ * that can be looked up by host. Results are cached per host and matched
+ * path rules, so a host serving many distinct URLs costs one cache entry.
+ *
+ * background.js tags every packet with `categories`; the aggregator unions
+ * them per satellite and the vectorizer emits `category:<name>` tokens.
+ */
+
+import { logger } from './logger.js';
+import { getRegistrableDomain } from './psl.js';
+import { hostnameOf } from './url_utils.js';
+
+export const CATEGORIES = ['advertising', 'analytics', 'social', 'fingerprinting', 'cdn', 'content'];
+
+// Disconnect category names -> ours. Unlisted ones (Email, Cryptomining...) are skipped.
+const DISCONNECT_CATEGORIES = {
+    Advertising: 'advertising',
+    Analytics: 'analytics',
+    Social: 'social',
+    FingerprintingInvasive: 'fingerprinting',
+    FingerprintingGeneral: 'fingerprinting',
+    Content: 'content',
+    CDN: 'cdn'
+};
+
+// Small subsets of the real lists; `npm run update:lists` regenerates them in full
+export const DEFAULT_LISTS = [
+    { path: 'lists/services.json', format: 'disconnect' },
+    { path: 'lists/easylist.txt', format: 'abp', category: 'advertising' },
+    { path: 'lists/easyprivacy.txt', format: 'abp', category: 'analytics' }
+];
+
+const CACHE_LIMIT = 5000;
+
+// ABP pattern -> RegExp. `*` is any run, `^` a separator or end of URL.
+function patternToRegExp(pattern) {
+    const body = pattern
+        .replace(/[.+?${}()[\]\\|]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\^/g, '(?:[^\\w.%-]|$)');
+    return new RegExp(body, 'i');
+}
+
+function parseAbpRule(line) {
+    let text = line.trim();
+    if (!text || text.startsWith('!') || text.startsWith('[') || text.includes('##') || text.includes('#@#')) return null;
+
+    const exception = text.startsWith('@@');
+    if (exception) text = text.slice(2);
+
+    let thirdParty = null; // null = either, true = only third-party, false = only first-party
+    const dollar = text.lastIndexOf('$');
+    if (dollar > 0) {
+        text.slice(dollar + 1).split(',').forEach(option => {
+            if (option === 'third-party') thirdParty = true;
+            else if (option === '~third-party') thirdParty = false;
+        });
+        text = text.slice(0, dollar);
+    }
+
+    if (text.startsWith('||')) {
+        // Domain anchor: host (and subdomains), optionally followed by a path pattern
+        const rest = text.slice(2);
+        const split = rest.search(/[/^*]/);
+        const host = (split === -1 ? rest : rest.slice(0, split)).toLowerCase();
+        const tail = split === -1 ? '' : rest.slice(split);
+        if (!host) return null;
+        const regex = tail && tail !== '^' ? new RegExp('^(?::\\d+)?' + patternToRegExp(tail).source, 'i') : null;
+        return { exception, thirdParty, host, regex };
+    }
+
+    const anchored = text.startsWith('|');
+    if (anchored) text = text.slice(1);
+    if (!text) return null;
+    const regex = patternToRegExp(text);
+    return { exception, thirdParty, host: null, regex: anchored ? new RegExp('^' + regex.source, 'i') : regex };
+}
+
+function remember(cache, key, value) {
+    if (cache.size >= CACHE_LIMIT) cache.delete(cache.keys().next().value);
+    cache.set(key, value);
+}
+
+export class Categorizer {
+    constructor() {
+        this.domainCategories = new Map(); // Map<domain, Set<category>>
+        this.abpRules = []; // [{ id, category, exception, thirdParty, host, regex }]
+        this.hostRules = new Map(); // Map<host, rules[]>, the `||host` anchored rules
+        this.patternRules = []; // rules without a host anchor, tested on every URL
+        // Both keyed by host and party, so they stay small however many URLs
+        // a host serves: what the host's domains and host-only rules say, and
+        // the result for each combination of path rules that matched
+        this.hostCache = new Map(); // Map<host|party, { found, matched, excepted, pathRules }>
+        this.cache = new Map(); // Map<host|party|path rule ids, categories[]>
+        this.loaded = false;
+    }
+
+    addDomain(domain, category) {
+        const key = domain.toLowerCase();
+        if (!this.domainCategories.has(key)) this.domainCategories.set(key, new Set());
+        this.domainCategories.get(key).add(category);
+    }
+
+    addDisconnectList(json) {
+        const doc = typeof json === 'string' ? JSON.parse(json) : json;
+        let count = 0;
+        for (const [name, entries] of Object.entries((doc && doc.categories) || {})) {
+            const category = DISCONNECT_CATEGORIES[name];
+            if (!category) continue;
+            entries.forEach(entry => {
+                Object.values(entry).forEach(homepages => {
+                    Object.values(homepages).forEach(domains => {
+                        if (!Array.isArray(domains)) return;
+                        domains.forEach(domain => { this.addDomain(domain, category); count++; });
+                    });
+                });
+            });
+        }
+        this.clearCache();
+        return count;
+    }
+
+    addAbpList(text, category) {
+        let count = 0;
+        text.split(/\r?\n/).forEach(line => {
+            const parsed = parseAbpRule(line);
+            if (!parsed) return;
+            const rule = { id: this.abpRules.length, category, ...parsed };
+            this.abpRules.push(rule);
+            if (!rule.host) this.patternRules.push(rule);
+            else if (this.hostRules.has(rule.host)) this.hostRules.get(rule.host).push(rule);
+            else this.hostRules.set(rule.host, [rule]);
+            count++;
+        });
+        this.clearCache();
+        return count;
+    }
+
+    clearCache() {
+        this.hostCache.clear();
+        this.cache.clear();
+    }
+
+    /**
+     * Fetch and parse the shipped lists. Failures are logged per list so one
+     * missing file doesn't disable categorisation altogether.
+     */
+    async loadLists(lists = DEFAULT_LISTS, resolveUrl = (path) => chrome.runtime.getURL(path)) {
+        for (const list of lists) {
+            try {
+                const response = await fetch(resolveUrl(list.path));
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                const count = list.format === 'disconnect'
+                    ? this.addDisconnectList(await response.json())
+                    : this.addAbpList(await response.text(), list.category);
+                logger.info(`Loaded ${count} rules from ${list.path}`);
+            } catch (e) {
+                logger.warn(`Could not load category list ${list.path}`, e);
+            }
+        }
+        this.loaded = true;
+    }
+
+    /**
+     * Categories for a request URL, sorted. `siteUrl` (the tab's page or the
+     * request initiator) decides `$third-party` rules; without it they are
+     * treated as matching.
+     */
+    categorize(url, siteUrl) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (e) {
+            return [];
+        }
+        const hostname = parsed.hostname;
+        if (!hostname) return [];
+        const siteHost = siteUrl ? hostnameOf(siteUrl) : '';
+        const isThirdParty = siteHost ? getRegistrableDomain(siteHost) !== getRegistrableDomain(hostname) : null;
+        const applies = rule => rule.thirdParty === null || isThirdParty === null || rule.thirdParty === isThirdParty;
+
+        const hostKey = `${hostname}|${isThirdParty}`;
+        const host = this.hostCache.get(hostKey) || this.lookupHost(hostname, hostKey, applies);
+
+        // Path rules are the only part that depends on the rest of the URL
+        const pathMatches = [];
+        if (host.pathRules.length > 0) {
+            const rest = parsed.pathname + parsed.search;
+            host.pathRules.forEach(rule => { if (rule.regex.test(rest)) pathMatches.push(rule); });
+        }
+        this.patternRules.forEach(rule => { if (applies(rule) && rule.regex.test(url)) pathMatches.push(rule); });
+
+        const cacheKey = `${hostKey}|${pathMatches.map(rule => rule.id).join(',')}`;
+        if (this.cache.has(cacheKey)) return this.cache.get(cacheKey);
+
+        // A list's category counts unless one of its exceptions matches
+        const matched = new Set(host.matched);
+        const excepted = new Set(host.excepted);
+        pathMatches.forEach(rule => (rule.exception ? excepted : matched).add(rule.category));
+        const found = new Set(host.found);
+        matched.forEach(c => { if (!excepted.has(c)) found.add(c); });
+
+        const result = CATEGORIES.filter(c => found.has(c));
+        remember(this.cache, cacheKey, result);
+        return result;
+    }
+
+    // Domain list categories and host-only rule matches for the host and each
+    // parent domain, plus the host-anchored path rules left to test per URL
+    lookupHost(hostname, hostKey, applies) {
+        const host = { found: new Set(), matched: new Set(), excepted: new Set(), pathRules: [] };
+        const labels = hostname.split('.');
+        for (let i = 0; i < labels.length; i++) {
+            const domain = labels.slice(i).join('.');
+            const categories = i < labels.length - 1 && this.domainCategories.get(domain);
+            if (categories) categories.forEach(c => host.found.add(c));
+            (this.hostRules.get(domain) || []).forEach(rule => {
+                if (!applies(rule)) return;
+                if (rule.regex) host.pathRules.push(rule);
+                else (rule.exception ? host.excepted : host.matched).add(rule.category);
+            });
+        }
+        remember(this.hostCache, hostKey, host);
+        return host;
+    }
+}
+
+export const categorizer = new Categorizer();
@@ -0,0 +1,76 @@
+/**
+ * clock.js
+ * Time sources for components that window or timestamp data.
+ *
+ * - systemClock: wall time (Date.now). The default everywhere.
+ * - VirtualClock: a replay clock that advances at `speed` x wall time from
+ *   an arbitrary origin, and can be paused and seeked. Used so recorded
+ *   packets replayed at 4x still fall inside the aggregator's time window.
+ * - ManualClock: advanced explicitly; for deterministic runs and tests.
+ */
+
+export const systemClock = {
+    now: () => Date.now()
+};
+
+export class VirtualClock {
+    constructor(startTime = 0) {
+        this.virtualAnchor = startTime; // virtual time at realAnchor
+        this.realAnchor = Date.now();
+        this.speed = 1;
+        this.paused = true;
+    }
+
+    now() {
+        if (this.paused) return this.virtualAnchor;
+        return this.virtualAnchor + (Date.now() - this.realAnchor) * this.speed;
+    }
+
+    // Re-anchor at the current virtual time so speed/pause changes don't jump
+    rebase() {
+        this.virtualAnchor = this.now();
+        this.realAnchor = Date.now();
+    }
+
+    setSpeed(speed) {
+        this.rebase();
+        this.speed = speed;
+    }
+
+    pause() {
+        this.rebase();
+        this.paused = true;
+    }
+
+    resume() {
+        this.rebase();
+        this.paused = false;
+    }
+
+    seek(time) {
+        this.virtualAnchor = time;
+        this.realAnchor = Date.now();
+    }
+}
+
+/**
+ * ManualClock: time only moves when told to. Used for deterministic runs
+ * (unit tests, parity checks) where results must not depend on wall time.
+ */
+export class ManualClock {
+    constructor(startTime = 0) {
+        this.time = startTime;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    set(time) {
+        this.time = time;
+    }
+
+    advance(ms) {
+        this.time += ms;
+    }
+}
@@ -0,0 +1,195 @@
+/**
+ * cookie_flow.js
+ * Cookie flow analysis from captured request / response headers: which
+ * hosts set which cookies, which hosts receive them, and which cookies
+ * leave the site.
+ *
+ * Only cookie NAMES and attributes are ever looked at or kept. background.js
+ * runs every packet through `redactCookieHeaders` before it reaches the
+ * aggregator, history or HAR export, so values never leave the listener.
+ *
+ * `buildCookieFlows(packets)` works on one tab's packets (the same history
+ * records the waterfall uses) and returns:
+ * - `cookies`:   every cookie set, with its setter and attributes.
+ * - `receivers`: per registrable domain, the cookie names it was sent.
+ * - `leaving`:   receivers outside the site - the cookies leaving it.
+ * - `graph`:     nodes (domains) and edges: `sends` (site -> a cross-site
+ *   domain that got cookies) and `redirect` (a redirect hop between two
+ *   cookie-bearing domains, the usual shape of cookie syncing). Without
+ *   values an ID match can't be proven, so `redirect` edges mark where a
+ *   sync could happen rather than where one did.
+ */
+
+import { getRegistrableDomain } from './psl.js';
+import { classifyParty, PARTY } from './entity_map.js';
+import { hostnameOf } from './url_utils.js';
+
+const REDACTED_HEADERS = ['cookie', 'set-cookie'];
+
+function domainOf(urlStr) {
+    const hostname = hostnameOf(urlStr);
+    return getRegistrableDomain(hostname) || hostname;
+}
+
+function headerValues(headers, name) {
+    return (headers || [])
+        .filter(h => (h.name || '').toLowerCase() === name && h.value)
+        .flatMap(h => h.value.split('\n'))
+        .filter(line => line.trim());
+}
+
+function nameOf(pair) {
+    const eq = pair.indexOf('=');
+    return (eq === -1 ? pair : pair.slice(0, eq)).trim();
+}
+
+/**
+ * Names from a request `Cookie` header ("a=1; b=2" -> ['a', 'b']).
+ */
+export function parseCookieHeader(value) {
+    if (!value) return [];
+    return value.split(';').map(nameOf).filter(Boolean);
+}
+
+/**
+ * Name and attributes of one Set-Cookie line; the value is dropped.
+ * SameSite is null when absent (Chrome then treats the cookie as Lax).
+ */
+export function parseSetCookie(line) {
+    const [pair, ...attributes] = line.split(';');
+    const cookie = {
+        name: nameOf(pair),
+        domain: null,
+        path: null,
+        secure: false,
+        httpOnly: false,
+        sameSite: null,
+        partitioned: false,
+        session: true
+    };
+    attributes.forEach(attribute => {
+        const eq = attribute.indexOf('=');
+        const key = (eq === -1 ? attribute : attribute.slice(0, eq)).trim().toLowerCase();
+        const value = eq === -1 ? '' : attribute.slice(eq + 1).trim();
+        if (key === 'domain') cookie.domain = value.replace(/^\./, '').toLowerCase() || null;
+        else if (key === 'path') cookie.path = value || null;
+        else if (key === 'secure') cookie.secure = true;
+        else if (key === 'httponly') cookie.httpOnly = true;
+        else if (key === 'partitioned') cookie.partitioned = true;
+        else if (key === 'expires' || key === 'max-age') cookie.session = false;
+        else if (key === 'samesite') {
+            const mode = value.toLowerCase();
+            cookie.sameSite = mode === 'none' ? 'None' : (mode === 'strict' ? 'Strict' : (mode === 'lax' ? 'Lax' : null));
+        }
+    });
+    return cookie;
+}
+
+function redactSetCookie(line) {
+    const [pair, ...attributes] = line.split(';');
+    return [nameOf(pair), ...attributes.map(a => a.trim())].join('; ');
+}
+
+/**
+ * Copy of `headers` with cookie values removed: `Cookie` keeps the names,
+ * `Set-Cookie` keeps the name and attributes. Other headers are untouched.
+ */
+export function redactCookieHeaders(headers) {
+    if (!Array.isArray(headers)) return headers;
+    return headers.map(h => {
+        const name = (h.name || '').toLowerCase();
+        if (!REDACTED_HEADERS.includes(name) || !h.value) return h;
+        const value = name === 'cookie'
+            ? parseCookieHeader(h.value).join('; ')
+            : h.value.split('\n').filter(line => line.trim()).map(redactSetCookie).join('\n');
+        return { ...h, value };
+    });
+}
+
+// Attribute combinations worth pointing out in the UI
+function cookieIssues(cookie, crossSite) {
+    const issues = [];
+    if (cookie.sameSite === 'None' && !cookie.secure) issues.push('SameSite=None without Secure (rejected by Chrome)');
+    if (crossSite && cookie.sameSite === 'None' && !cookie.partitioned) issues.push('unpartitioned cross-site cookie');
+    return issues;
+}
+
+/**
+ * Analyse one tab's packets (chronological). The site is the registrable
+ * domain of the last main_frame request, or of the first packet without one.
+ */
+export function buildCookieFlows(packets) {
+    const navigations = packets.filter(p => p.type === 'main_frame');
+    const siteUrl = navigations.length ? navigations[navigations.length - 1].url : (packets[0] && packets[0].url);
+    const site = siteUrl ? domainOf(siteUrl) : null;
+
+    const cookies = new Map(); // Map<setterDomain|name, cookie>
+    const receivers = new Map(); // Map<domain, { domain, names: Set, requests }>
+    const nodes = new Map(); // Map<domain, node>
+    const redirects = [];
+
+    const nodeFor = (domain) => {
+        if (!nodes.has(domain)) {
+            nodes.set(domain, { id: domain, party: site ? classifyParty(domain, site) : PARTY.FIRST, sets: 0, receives: 0 });
+        }
+        return nodes.get(domain);
+    };
+
+    packets.forEach(packet => {
+        const host = hostnameOf(packet.url);
+        if (!host) return;
+        const domain = getRegistrableDomain(host) || host;
+        const crossSite = !!site && domain !== site;
+
+        headerValues(packet.responseHeaders, 'set-cookie').forEach(line => {
+            const parsed = parseSetCookie(line);
+            if (!parsed.name) return;
+            const key = `${parsed.domain || domain}|${parsed.name}`;
+            cookies.set(key, { ...parsed, setBy: host, setterDomain: domain, crossSite, issues: cookieIssues(parsed, crossSite) });
+            nodeFor(domain).sets++;
+        });
+
+        const names = headerValues(packet.requestHeaders, 'cookie').flatMap(parseCookieHeader);
+        if (names.length) {
+            if (!receivers.has(domain)) receivers.set(domain, { domain, names: new Set(), requests: 0, crossSite });
+            const receiver = receivers.get(domain);
+            names.forEach(n => receiver.names.add(n));
+            receiver.requests++;
+            nodeFor(domain).receives++;
+        }
+
+        (packet.redirectChain || []).forEach(hop => {
+            const from = domainOf(hop.url);
+            const to = domainOf(hop.redirectUrl);
+            if (from && to && from !== to) redirects.push({ from, to });
+        });
+    });
+
+    const edges = new Map(); // Map<'from>to|kind', edge>
+    const addEdge = (from, to, kind) => {
+        const key = `${from}>${to}|${kind}`;
+        if (edges.has(key)) edges.get(key).count++;
+        else edges.set(key, { from, to, kind, count: 1 });
+    };
+    receivers.forEach(r => {
+        if (r.crossSite) {
+            nodeFor(site);
+            addEdge(site, r.domain, 'sends');
+        }
+    });
+    redirects.forEach(({ from, to }) => {
+        if (nodes.has(from) && nodes.has(to)) addEdge(from, to, 'redirect');
+    });
+
+    const receiverList = Array.from(receivers.values())
+        .map(r => ({ domain: r.domain, party: nodeFor(r.domain).party, names: Array.from(r.names).sort(), requests: r.requests, crossSite: r.crossSite }))
+        .sort((a, b) => b.requests - a.requests || (a.domain < b.domain ? -1 : 1));
+
+    return {
+        site,
+        cookies: Array.from(cookies.values()),
+        receivers: receiverList,
+        leaving: receiverList.filter(r => r.crossSite),
+        graph: { nodes: Array.from(nodes.values()), edges: Array.from(edges.values()) }
+    };
+}
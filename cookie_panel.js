@@ -0,0 +1,169 @@
+/**
+ * cookie_panel.js
+ * "Cookies" tab of the options page: the cookie-sync graph and the list of
+ * cookies leaving the site for one tab (cookie_flow.js).
+ *
+ * Like the waterfall it reads stored history, scoped to the tab's last
+ * navigation, so the analysis covers one site at a time.
+ *
+ * Graph layout: the site sits in the centre and every other cookie-bearing
+ * domain on a ring around it, coloured by party (entity_map.js). Solid
+ * edges are cookies sent cross-site, dashed edges redirect hops between
+ * cookie-bearing domains.
+ */
+
+import { logger } from './logger.js';
+import { sendRequest } from './messaging.js';
+import { buildCookieFlows } from './cookie_flow.js';
+import { PARTY_COLORS } from './entity_map.js';
+import { escapeHtml } from './dom_utils.js';
+
+const MAX_PACKETS = 2000;
+const GRAPH_SIZE = 420;
+const EDGE_COLORS = { sends: '#ef4444', redirect: '#a855f7' };
+
+let initialized = false;
+let tabSelect = null;
+let graphEl = null;
+let leavingEl = null;
+let cookiesEl = null;
+let summaryEl = null;
+
+// Packets from the last main_frame onwards (history comes back chronological)
+function lastNavigation(packets) {
+    let start = 0;
+    packets.forEach((p, i) => { if (p.type === 'main_frame') start = i; });
+    return packets.slice(start);
+}
+
+function layout(graph, site) {
+    const center = GRAPH_SIZE / 2;
+    const others = graph.nodes.filter(n => n.id !== site);
+    const positions = new Map([[site, { x: center, y: center }]]);
+    others.forEach((node, i) => {
+        const angle = (i / Math.max(1, others.length)) * Math.PI * 2 - Math.PI / 2;
+        positions.set(node.id, { x: center + Math.cos(angle) * (center - 60), y: center + Math.sin(angle) * (center - 60) });
+    });
+    return positions;
+}
+
+function renderGraph(model) {
+    if (!model.graph.nodes.length) {
+        graphEl.innerHTML = '<p>No cookies seen for this tab.</p>';
+        return;
+    }
+    const positions = layout(model.graph, model.site);
+    const edges = model.graph.edges.map(e => {
+        const a = positions.get(e.from);
+        const b = positions.get(e.to);
+        return `<line x1="${a.x}" y1="${a.y}" x2="${b.x}" y2="${b.y}" stroke="${EDGE_COLORS[e.kind]}" stroke-width="${Math.min(4, 1 + Math.log2(e.count))}"
+            ${e.kind === 'redirect' ? 'stroke-dasharray="4 3"' : ''} marker-end="url(#cookie-arrow-${e.kind})"><title>${escapeHtml(`${e.from} -> ${e.to} (${e.kind}, ${e.count})`)}</title></line>`;
+    }).join('');
+    const nodes = model.graph.nodes.map(n => {
+        const p = positions.get(n.id);
+        return `<g><circle cx="${p.x}" cy="${p.y}" r="${n.id === model.site ? 10 : 7}" fill="${PARTY_COLORS[n.party]}">
+            <title>${escapeHtml(`${n.id}: sets ${n.sets}, receives on ${n.receives} request(s)`)}</title></circle>
+            <text x="${p.x}" y="${p.y - 12}" font-size="11" text-anchor="middle" fill="#334155">${escapeHtml(n.id)}</text></g>`;
+    }).join('');
+    const markers = Object.entries(EDGE_COLORS).map(([kind, color]) => `<marker id="cookie-arrow-${kind}" viewBox="0 0 10 10" refX="18" refY="5"
+        markerWidth="6" markerHeight="6" orient="auto"><path d="M 0 0 L 10 5 L 0 10 z" fill="${color}"/></marker>`).join('');
+
+    graphEl.innerHTML = `<svg width="${GRAPH_SIZE}" height="${GRAPH_SIZE}" style="border: 1px solid #eee; background: #fafafa;">
+        <defs>${markers}</defs>${edges}${nodes}</svg>
+        <div style="font-size: 12px; color: #555;">
+            <span style="color: ${EDGE_COLORS.sends};">&#9472;</span> cookies sent cross-site &nbsp;
+            <span style="color: ${EDGE_COLORS.redirect};">&#8230;</span> redirect between cookie-bearing domains (possible sync)
+        </div>`;
+}
+
+function renderLeaving(model) {
+    if (!model.leaving.length) {
+        leavingEl.innerHTML = '<p>No cookies were sent to other sites.</p>';
+        return;
+    }
+    const rows = model.leaving.map(r => `<tr>
+        <td>${escapeHtml(r.domain)}</td>
+        <td><span style="color: ${PARTY_COLORS[r.party]};">&#9632;</span> ${escapeHtml(r.party)}</td>
+        <td>${r.names.map(escapeHtml).join(', ')}</td>
+        <td>${r.requests}</td>
+    </tr>`).join('');
+    leavingEl.innerHTML = `<table><thead><tr><th>Receiving domain</th><th>Party</th><th>Cookie names</th><th>Requests</th></tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+function renderCookies(model) {
+    if (!model.cookies.length) {
+        cookiesEl.innerHTML = '<p>No cookies were set.</p>';
+        return;
+    }
+    const flag = (on) => (on ? '&#10003;' : '');
+    const rows = model.cookies.map(c => `<tr>
+        <td>${escapeHtml(c.name)}</td>
+        <td>${escapeHtml(c.setBy)}</td>
+        <td>${escapeHtml(c.domain || '(host only)')}</td>
+        <td>${escapeHtml(c.sameSite || 'unset (Lax)')}</td>
+        <td>${flag(c.secure)}</td>
+        <td>${flag(c.httpOnly)}</td>
+        <td>${flag(c.partitioned)}</td>
+        <td>${c.session ? 'session' : 'persistent'}</td>
+        <td style="color: #b91c1c;">${c.issues.map(escapeHtml).join('; ')}</td>
+    </tr>`).join('');
+    cookiesEl.innerHTML = `<table><thead><tr><th>Name</th><th>Set by</th><th>Domain</th><th>SameSite</th><th>Secure</th>
+        <th>HttpOnly</th><th>Partitioned</th><th>Lifetime</th><th>Issues</th></tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+async function loadTab(tabId) {
+    if (tabId === null || Number.isNaN(tabId)) return;
+    try {
+        const packets = (await sendRequest('history:query', { filter: { tabId, limit: MAX_PACKETS } })).reverse();
+        const model = buildCookieFlows(lastNavigation(packets));
+        summaryEl.textContent = model.site
+            ? `${model.site}: ${model.cookies.length} cookies set, sent to ${model.receivers.length} domains (${model.leaving.length} cross-site)`
+            : '';
+        renderGraph(model);
+        renderLeaving(model);
+        renderCookies(model);
+    } catch (e) {
+        logger.error('Failed to load cookie flows', e);
+        graphEl.innerHTML = `<p>Could not load history: ${escapeHtml(e.message)}</p>`;
+    }
+}
+
+async function refreshTabs() {
+    try {
+        const tabs = await sendRequest('history:tabs');
+        const previous = tabSelect.value;
+        tabSelect.innerHTML = '';
+        tabs.forEach(tab => {
+            const opt = document.createElement('option');
+            opt.value = String(tab.tabId);
+            opt.textContent = `${tab.label} (tab ${tab.tabId})`;
+            tabSelect.appendChild(opt);
+        });
+        if (previous && tabs.some(t => String(t.tabId) === previous)) tabSelect.value = previous;
+        if (tabSelect.value) loadTab(parseInt(tabSelect.value, 10));
+    } catch (e) {
+        logger.error('Failed to list history tabs', e);
+    }
+}
+
+export function init() {
+    if (initialized) {
+        refreshTabs();
+        return;
+    }
+    tabSelect = document.getElementById('cookies-tab');
+    graphEl = document.getElementById('cookies-graph');
+    leavingEl = document.getElementById('cookies-leaving');
+    cookiesEl = document.getElementById('cookies-set');
+    summaryEl = document.getElementById('cookies-summary');
+    if (!tabSelect || !graphEl) {
+        logger.error('Cookies container not found');
+        return;
+    }
+
+    tabSelect.addEventListener('change', () => loadTab(parseInt(tabSelect.value, 10)));
+    document.getElementById('cookies-refresh').addEventListener('click', refreshTabs);
+
+    initialized = true;
+    refreshTabs();
+}
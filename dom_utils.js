@@ -0,0 +1,9 @@
+/**
+ * dom_utils.js
+ * Helpers shared by the extension pages that build their markup as strings.
+ */
+
+// Escape text for use in HTML content and quoted attribute values
+export function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
@@ -0,0 +1,77 @@
+/**
+ * entity_map.js
+ * Which organisation owns which registrable domain, and first-party /
+ * same-organisation / third-party classification of satellites.
+ *
+ * A satellite is classified against its planet's label (the registrable
+ * domain of the tab's main frame, psl.js):
+ * - 'first-party':  same registrable domain as the planet.
+ * - 'same-org':     different domain, same owner (e.g. gstatic.com on google.com).
+ * - 'third-party':  everything else.
+ *
+ * The map is deliberately small - the large properties whose CDN and API
+ * domains would otherwise make their own sites look third-party-heavy.
+ */
+
+import { getRegistrableDomain } from './psl.js';
+
+export const PARTY = {
+    FIRST: 'first-party',
+    SAME_ORG: 'same-org',
+    THIRD: 'third-party'
+};
+
+// Shared by the visualisations so every view uses the same legend
+export const PARTY_COLORS = {
+    'first-party': '#22c55e',
+    'same-org': '#3b82f6',
+    'third-party': '#ef4444',
+    mixed: '#a855f7'
+};
+
+const ENTITIES = {
+    Google: [
+        'google.com', 'gstatic.com', 'googleapis.com', 'googleusercontent.com', 'googlevideo.com',
+        'youtube.com', 'ytimg.com', 'ggpht.com', 'doubleclick.net', 'googlesyndication.com',
+        'googleadservices.com', 'google-analytics.com', 'googletagmanager.com', 'gmail.com', 'withgoogle.com'
+    ],
+    Meta: ['facebook.com', 'facebook.net', 'fbcdn.net', 'fbsbx.com', 'instagram.com', 'cdninstagram.com', 'whatsapp.com', 'whatsapp.net', 'messenger.com'],
+    Microsoft: [
+        'microsoft.com', 'live.com', 'msn.com', 'bing.com', 'office.com', 'office.net', 'outlook.com',
+        'windows.net', 'azureedge.net', 'msecnd.net', 'skype.com', 'linkedin.com', 'licdn.com', 'github.com', 'githubassets.com'
+    ],
+    Amazon: ['amazon.com', 'amazon.co.uk', 'amazon.de', 'media-amazon.com', 'ssl-images-amazon.com', 'amazon-adsystem.com', 'primevideo.com', 'twitch.tv', 'ttvnw.net', 'jtvnw.net'],
+    Apple: ['apple.com', 'icloud.com', 'mzstatic.com', 'cdn-apple.com', 'apple-cloudkit.com'],
+    X: ['twitter.com', 'x.com', 'twimg.com', 't.co'],
+    Yahoo: ['yahoo.com', 'yimg.com', 'aol.com', 'yahooapis.com'],
+    Wikimedia: ['wikipedia.org', 'wikimedia.org', 'wikidata.org', 'wiktionary.org', 'mediawiki.org'],
+    BBC: ['bbc.co.uk', 'bbc.com', 'bbci.co.uk'],
+    'Warner Bros. Discovery': ['cnn.com', 'cnn.io', 'turner.com', 'warnermediacdn.com'],
+    Reddit: ['reddit.com', 'redd.it', 'redditmedia.com', 'redditstatic.com'],
+    Netflix: ['netflix.com', 'nflxext.com', 'nflximg.net', 'nflxvideo.net', 'nflxso.net'],
+    TikTok: ['tiktok.com', 'tiktokcdn.com', 'byteoversea.com', 'ibytedtos.com']
+};
+
+const OWNER_BY_DOMAIN = new Map();
+for (const [owner, domains] of Object.entries(ENTITIES)) {
+    domains.forEach(domain => OWNER_BY_DOMAIN.set(domain, owner));
+}
+
+/**
+ * Owning organisation of a host or registrable domain, or null if unknown.
+ */
+export function getEntity(host) {
+    return OWNER_BY_DOMAIN.get(getRegistrableDomain(host)) || null;
+}
+
+/**
+ * Classify `domain` (a satellite) relative to `siteDomain` (its planet).
+ */
+export function classifyParty(domain, siteDomain) {
+    const site = getRegistrableDomain(siteDomain);
+    const target = getRegistrableDomain(domain);
+    if (!site || !target || site === target) return PARTY.FIRST;
+    const owner = OWNER_BY_DOMAIN.get(target);
+    if (owner && owner === OWNER_BY_DOMAIN.get(site)) return PARTY.SAME_ORG;
+    return PARTY.THIRD;
+}
@@ -0,0 +1,260 @@
+/**
+ * exfiltration.js
+ * Heuristics for data leaving the browser in outbound requests.
+ *
+ * Each finished request to another site (a registrable domain other than
+ * its tab's page) is checked for:
+ * - outbound-volume:  the tab has uploaded more than 512 KB to that domain
+ *                     within 5 minutes (request bodies + headers).
+ * - long-query:       a query string over 1000 characters.
+ * - high-entropy-path: a path segment that looks random - long hex runs
+ *                     (the shape the vectorizer tags `pathseg:hexish`, but
+ *                     32+ characters) or 20+ characters of high Shannon
+ *                     entropy.
+ * - base64-param:     a query value of 32+ characters that decodes as
+ *                     base64 / base64url and carries high entropy.
+ * - beacon-after-unload: a `ping` request (navigator.sendBeacon, <a ping>)
+ *                     sent after its tab was closed or within 3s of the tab
+ *                     starting to navigate to a different site - the
+ *                     last-moment reporting pages do from unload handlers.
+ *
+ * A tab's site comes from its main_frame requests, as they start
+ * (navigationStarted, from webRequest.onBeforeRequest) or, failing that, as
+ * they finish. Until one is seen - tabs already open when the worker
+ * started - a request's initiator stands in for it, and requests without
+ * one are not checked.
+ *
+ * Matches are kept in `log` (newest first, capped) with the reasons, host
+ * and originating tab; background.js persists it as `exfilLog` for the
+ * options page (exfiltration_panel.js).
+ */
+
+import { systemClock } from './clock.js';
+import { getRegistrableDomain } from './psl.js';
+
+const OUTBOUND_WINDOW_MS = 5 * 60 * 1000;
+const OUTBOUND_BYTES = 512 * 1024;
+const LONG_QUERY_CHARS = 1000;
+const ENTROPY_MIN_LENGTH = 20;
+const ENTROPY_BITS = 4.0; // per character; English text sits around 3.5-4
+const HEXISH_MIN_LENGTH = 32;
+const BASE64_MIN_LENGTH = 32;
+const BEACON_GRACE_MS = 3000;
+const LOG_LIMIT = 300;
+const MAX_URL_CHARS = 300;
+const MAX_TABS = 500;
+
+const HEXISH = /^[0-9a-fA-F-]+$/;
+const BASE64 = /^[A-Za-z0-9+/]+={0,2}$|^[A-Za-z0-9_-]+$/;
+
+/**
+ * Shannon entropy of `text` in bits per character.
+ */
+export function shannonEntropy(text) {
+    const chars = Array.from(text || '');
+    if (!chars.length) return 0;
+    const counts = new Map();
+    chars.forEach(ch => counts.set(ch, (counts.get(ch) || 0) + 1));
+    let bits = 0;
+    counts.forEach(count => {
+        const p = count / chars.length;
+        bits -= p * Math.log2(p);
+    });
+    return bits;
+}
+
+function looksRandom(segment) {
+    if (segment.length >= HEXISH_MIN_LENGTH && HEXISH.test(segment) && /\d/.test(segment) && /[a-fA-F]/.test(segment)) return 'hex';
+    if (segment.length >= ENTROPY_MIN_LENGTH && shannonEntropy(segment) >= ENTROPY_BITS) return 'entropy';
+    return null;
+}
+
+// Base64 payloads mix cases and digits; long words and slugs don't
+function looksBase64(value) {
+    return value.length >= BASE64_MIN_LENGTH
+        && BASE64.test(value)
+        && /[a-z]/.test(value) && /[A-Z]/.test(value) && /\d/.test(value)
+        && shannonEntropy(value) >= ENTROPY_BITS;
+}
+
+function packetStart(packet) {
+    const duration = packet.timing && typeof packet.timing.totalMs === 'number'
+        ? packet.timing.totalMs
+        : (packet.latencyMs || 0);
+    return packet.timeStamp - duration;
+}
+
+// Registrable domain of a web URL, or null
+function siteOf(urlStr) {
+    let url;
+    try {
+        url = new URL(urlStr);
+    } catch (e) {
+        return null;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    return getRegistrableDomain(url.hostname) || url.hostname;
+}
+
+function truncate(text) {
+    return text.length > MAX_URL_CHARS ? `${text.slice(0, MAX_URL_CHARS)}...` : text;
+}
+
+/**
+ * URL-shape heuristics for one request; no state involved.
+ */
+export function inspectUrl(url) {
+    const reasons = [];
+    if (url.search.length > LONG_QUERY_CHARS) {
+        reasons.push({ id: 'long-query', detail: `query string of ${url.search.length} characters` });
+    }
+    const randomSegment = url.pathname.split('/').map(decodeSafe).find(seg => looksRandom(seg));
+    if (randomSegment) {
+        reasons.push({
+            id: 'high-entropy-path',
+            detail: looksRandom(randomSegment) === 'hex'
+                ? `${randomSegment.length}-character hex path segment`
+                : `path segment with ${shannonEntropy(randomSegment).toFixed(1)} bits/char entropy`
+        });
+    }
+    const params = [];
+    url.searchParams.forEach((value, key) => { if (looksBase64(value)) params.push(key); });
+    if (params.length) reasons.push({ id: 'base64-param', detail: `base64-looking value in ${params.join(', ')}` });
+    return reasons;
+}
+
+function decodeSafe(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (e) {
+        return segment;
+    }
+}
+
+export class ExfiltrationDetector {
+    constructor({ clock = systemClock } = {}) {
+        this.clock = clock;
+        this.tabs = new Map(); // Map<tabId, { site, label, navigation, navigatedAt, previousSite, closedAt, outbound: Map<domain, [{ t, bytes }]>, flagged: Map<domain, time> }>
+        this.log = []; // newest first
+        this.logVersion = 0;
+    }
+
+    tab(tabId) {
+        if (!this.tabs.has(tabId)) {
+            if (this.tabs.size >= MAX_TABS) this.tabs.delete(this.tabs.keys().next().value);
+            this.tabs.set(tabId, { site: null, label: `Tab ${tabId}`, navigation: null, navigatedAt: null, previousSite: null, closedAt: null, outbound: new Map(), flagged: new Map() });
+        }
+        return this.tabs.get(tabId);
+    }
+
+    tabClosed(tabId, time = this.clock.now()) {
+        if (this.tabs.has(tabId)) this.tab(tabId).closedAt = time;
+    }
+
+    /**
+     * A main_frame request started: the tab leaves its page now, not when
+     * the new one has loaded. Redirect hops of the same request (same
+     * requestId) only move the destination.
+     */
+    navigationStarted(tabId, requestId, urlStr, time = this.clock.now()) {
+        const site = siteOf(urlStr);
+        if (tabId === undefined || tabId === null || tabId === -1 || !site) return;
+        const tab = this.tab(tabId);
+        if (tab.navigation !== requestId) {
+            tab.navigation = requestId;
+            tab.previousSite = tab.site;
+            tab.navigatedAt = time;
+            tab.closedAt = null;
+        }
+        tab.site = site;
+        tab.label = new URL(urlStr).hostname;
+    }
+
+    /**
+     * Check one finished request. Returns the log entry when it is
+     * suspicious, null otherwise.
+     */
+    inspect(packet) {
+        let url;
+        try {
+            url = new URL(packet.url);
+        } catch (e) {
+            return null;
+        }
+        const domain = getRegistrableDomain(url.hostname) || url.hostname;
+        const hasTab = packet.tabId !== undefined && packet.tabId !== null && packet.tabId !== -1;
+        const tab = hasTab ? this.tab(packet.tabId) : null;
+        const start = packetStart(packet);
+
+        if (tab && packet.type === 'main_frame') {
+            // Already recorded when it started, unless that went unseen
+            const started = packet.requestId !== undefined && tab.navigation === packet.requestId;
+            if (!started) {
+                tab.navigation = packet.requestId;
+                tab.previousSite = tab.site;
+                tab.navigatedAt = start;
+                tab.closedAt = null;
+            }
+            tab.site = domain;
+            tab.label = url.hostname;
+            return null;
+        }
+        const site = tab ? (tab.site || siteOf(packet.initiator)) : null;
+        if (tab && !site) return null;
+        // Requests to the page's own site are not leaving it
+        if (tab && site === domain) return null;
+
+        const reasons = inspectUrl(url);
+
+        if (tab) {
+            const sent = (packet.requestContentLength || 0) + (packet.requestHeadersSize || 0);
+            const now = this.clock.now();
+            const window = (tab.outbound.get(domain) || []).filter(e => e.t > now - OUTBOUND_WINDOW_MS);
+            window.push({ t: now, bytes: sent });
+            tab.outbound.set(domain, window);
+            const total = window.reduce((sum, e) => sum + e.bytes, 0);
+            const lastFlag = tab.flagged.get(domain);
+            if (total > OUTBOUND_BYTES && (lastFlag === undefined || now - lastFlag > OUTBOUND_WINDOW_MS)) {
+                tab.flagged.set(domain, now);
+                reasons.push({ id: 'outbound-volume', detail: `${Math.round(total / 1024)} KB sent in ${OUTBOUND_WINDOW_MS / 60000} min` });
+            }
+
+            if (packet.type === 'ping') {
+                if (tab.closedAt !== null && start >= tab.closedAt) {
+                    reasons.push({ id: 'beacon-after-unload', detail: 'beacon sent after the tab was closed' });
+                } else if (tab.navigatedAt !== null && tab.previousSite && tab.previousSite !== tab.site
+                    && start >= tab.navigatedAt && start - tab.navigatedAt <= BEACON_GRACE_MS) {
+                    reasons.push({ id: 'beacon-after-unload', detail: `beacon sent while leaving ${tab.previousSite}` });
+                }
+            }
+        }
+
+        if (!reasons.length) return null;
+        const entry = {
+            time: packet.timeStamp,
+            tabId: hasTab ? packet.tabId : null,
+            tabLabel: tab ? tab.label : 'Background',
+            site,
+            host: url.hostname,
+            domain,
+            method: packet.method,
+            type: packet.type,
+            bytes: packet.requestContentLength || 0,
+            url: truncate(packet.url),
+            reasons
+        };
+        this.log.unshift(entry);
+        if (this.log.length > LOG_LIMIT) this.log.length = LOG_LIMIT;
+        this.logVersion++;
+        return entry;
+    }
+
+    restoreLog(log) {
+        this.log = Array.isArray(log) ? log.slice(0, LOG_LIMIT) : [];
+    }
+
+    clearLog() {
+        this.log = [];
+        this.logVersion++;
+    }
+}
@@ -0,0 +1,75 @@
+/**
+ * exfiltration_panel.js
+ * "Suspicious outbound requests" section of the Anomalies tab: the requests
+ * the exfiltration heuristics (exfiltration.js) matched, with why, where to
+ * and from which tab.
+ *
+ * Reads the persisted `exfilLog` from chrome.storage.local and follows its
+ * changes; the reason filter narrows the table to one heuristic.
+ */
+
+import { logger } from './logger.js';
+import { sendRequest } from './messaging.js';
+import { escapeHtml } from './dom_utils.js';
+
+const REASONS = {
+    'outbound-volume': 'Outbound volume',
+    'long-query': 'Long query string',
+    'high-entropy-path': 'High-entropy path',
+    'base64-param': 'Base64 parameter',
+    'beacon-after-unload': 'Beacon after unload'
+};
+const TABLE_ROWS = 200;
+
+let initialized = false;
+let log = [];
+let tableBody, filterSelect, summaryEl;
+
+function render() {
+    const filter = filterSelect.value;
+    const shown = filter === 'all' ? log : log.filter(entry => entry.reasons.some(r => r.id === filter));
+    const counts = {};
+    log.forEach(entry => entry.reasons.forEach(r => { counts[r.id] = (counts[r.id] || 0) + 1; }));
+    summaryEl.textContent = log.length
+        ? `${log.length} request(s): ${Object.keys(counts).map(id => `${counts[id]} ${(REASONS[id] || id).toLowerCase()}`).join(', ')}`
+        : '';
+
+    tableBody.innerHTML = shown.slice(0, TABLE_ROWS).map(entry => `<tr>
+        <td>${new Date(entry.time).toLocaleString()}</td>
+        <td>${escapeHtml(entry.tabId === null ? entry.tabLabel : `${entry.tabLabel} (tab ${entry.tabId})`)}</td>
+        <td title="${escapeHtml(entry.url)}">${escapeHtml(entry.method)} ${escapeHtml(entry.host)}</td>
+        <td>${entry.reasons.map(r => `<strong>${escapeHtml(REASONS[r.id] || r.id)}</strong>: ${escapeHtml(r.detail)}`).join('<br>')}</td>
+    </tr>`).join('') || '<tr><td colspan="4">No suspicious outbound requests.</td></tr>';
+}
+
+export function init() {
+    if (initialized) {
+        render();
+        return;
+    }
+    tableBody = document.querySelector('#exfil-table tbody');
+    filterSelect = document.getElementById('exfil-filter');
+    summaryEl = document.getElementById('exfil-summary');
+    if (!tableBody) {
+        logger.error('Exfiltration table not found');
+        return;
+    }
+
+    filterSelect.innerHTML = '<option value="all">All reasons</option>'
+        + Object.keys(REASONS).map(id => `<option value="${id}">${REASONS[id]}</option>`).join('');
+    chrome.storage.local.get(['exfilLog'], (result) => {
+        log = result.exfilLog || [];
+        render();
+    });
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area !== 'local' || !changes.exfilLog) return;
+        log = changes.exfilLog.newValue || [];
+        render();
+    });
+    filterSelect.addEventListener('change', render);
+    document.getElementById('exfil-clear').addEventListener('click', () => {
+        sendRequest('exfil:clear').catch(e => logger.error('Failed to clear exfiltration log', e));
+    });
+
+    initialized = true;
+}
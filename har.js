@@ -0,0 +1,243 @@
+/**
+ * har.js
+ * HAR 1.2 export/import for captured packets.
+ *
+ * Export: packetInfo records (history_store.js) -> HAR log. Each tab becomes
+ * a HAR page; fields HAR has no slot for (tabId, resource type, error,
+ * redirect chain, size sources, categories) ride along as `_`-prefixed
+ * custom fields.
+ *
+ * Import: HAR log -> packetInfo records shaped exactly like the ones
+ * background.js builds, so they can be fed straight into the aggregator and
+ * vectorizer. Our own exports round-trip through the custom fields; foreign
+ * HARs (e.g. saved from DevTools) get a synthetic tab per page and their
+ * `_resourceType` / `_transferSize` mapped where present.
+ *
+ * Spec: http://www.softwareishard.com/blog/har-12-spec/
+ */
+
+import { accountResponseBytes } from './byte_accounting.js';
+import { derivePhases } from './request_timing.js';
+
+const CREATOR = { name: 'Network Traffic Analyzer', version: '1.1.0' };
+
+// Tab ids for imported pages without one; kept clear of real Chrome tab ids.
+const SYNTHETIC_TAB_BASE = 1000000;
+
+// DevTools `_resourceType` -> webRequest ResourceType
+const RESOURCE_TYPES = {
+    document: 'main_frame',
+    stylesheet: 'stylesheet',
+    script: 'script',
+    image: 'image',
+    font: 'font',
+    media: 'media',
+    xhr: 'xmlhttprequest',
+    fetch: 'xmlhttprequest',
+    websocket: 'websocket',
+    ping: 'ping',
+    other: 'other'
+};
+
+function toHeaders(headers) {
+    return (headers || []).map(h => ({ name: h.name, value: h.value || '' }));
+}
+
+function queryStringOf(urlStr) {
+    try {
+        return Array.from(new URL(urlStr).searchParams.entries()).map(([name, value]) => ({ name, value }));
+    } catch (e) {
+        return [];
+    }
+}
+
+function headerValue(headers, name) {
+    const lower = name.toLowerCase();
+    const header = (headers || []).find(h => (h.name || '').toLowerCase() === lower);
+    return header ? header.value : null;
+}
+
+// HAR timings must be non-negative for send/wait/receive; -1 means "not applicable".
+function nonNegative(ms) {
+    return typeof ms === 'number' && ms >= 0 ? ms : 0;
+}
+
+function optional(ms) {
+    return typeof ms === 'number' && ms >= 0 ? ms : -1;
+}
+
+function packetStart(packet) {
+    const timing = packet.timing || {};
+    const duration = typeof timing.totalMs === 'number' ? timing.totalMs : (packet.latencyMs || 0);
+    return packet.timeStamp - duration;
+}
+
+function packetToEntry(packet) {
+    const timing = packet.timing || {};
+    const start = packetStart(packet);
+    const redirects = packet.redirectChain || [];
+    const contentType = headerValue(packet.responseHeaders, 'content-type') || '';
+
+    return {
+        pageref: `tab_${packet.tabId}`,
+        startedDateTime: new Date(start).toISOString(),
+        time: Math.max(0, packet.timeStamp - start),
+        request: {
+            method: packet.method,
+            url: packet.url,
+            httpVersion: 'unknown',
+            cookies: [],
+            headers: toHeaders(packet.requestHeaders),
+            queryString: queryStringOf(packet.url),
+            headersSize: packet.requestHeadersSize || -1,
+            bodySize: packet.requestSizeSource === 'unknown' ? -1 : (packet.requestContentLength || 0)
+        },
+        response: {
+            status: packet.statusCode || 0,
+            statusText: '',
+            httpVersion: 'unknown',
+            cookies: [],
+            headers: toHeaders(packet.responseHeaders),
+            content: {
+                size: packet.responseSizeSource === 'unknown' ? -1 : (packet.responseContentLength || 0),
+                mimeType: contentType
+            },
+            redirectURL: redirects.length ? redirects[redirects.length - 1].redirectUrl : '',
+            headersSize: packet.responseHeadersSize || -1,
+            bodySize: packet.responseSizeSource === 'unknown' ? -1 : (packet.responseContentLength || 0),
+            _error: packet.error || null
+        },
+        cache: {},
+        timings: {
+            blocked: optional(timing.queueMs),
+            dns: -1,
+            connect: -1,
+            send: 0,
+            wait: nonNegative(timing.ttfbMs),
+            receive: nonNegative(timing.downloadMs)
+        },
+        _requestId: packet.requestId,
+        _tabId: packet.tabId,
+        _type: packet.type,
+        _fromCache: !!packet.fromCache,
+        _redirectChain: redirects,
+        _requestSizeSource: packet.requestSizeSource || null,
+        _responseSizeSource: packet.responseSizeSource || null,
+        _categories: packet.categories || []
+    };
+}
+
+/**
+ * Convert packets to a HAR 1.2 document. Entries are sorted by start time
+ * and grouped into one page per tab.
+ */
+export function packetsToHar(packets) {
+    const entries = packets.map(packetToEntry)
+        .sort((a, b) => Date.parse(a.startedDateTime) - Date.parse(b.startedDateTime));
+
+    const pages = new Map();
+    entries.forEach(entry => {
+        if (pages.has(entry.pageref)) return;
+        const packet = packets.find(p => `tab_${p.tabId}` === entry.pageref && p.type === 'main_frame');
+        pages.set(entry.pageref, {
+            startedDateTime: entry.startedDateTime,
+            id: entry.pageref,
+            title: packet ? packet.url : `Tab ${entry._tabId}`,
+            pageTimings: { onContentLoad: -1, onLoad: -1 }
+        });
+    });
+
+    return {
+        log: {
+            version: '1.2',
+            creator: CREATOR,
+            pages: Array.from(pages.values()),
+            entries
+        }
+    };
+}
+
+function entryTabId(entry, pageTabIds) {
+    if (typeof entry._tabId === 'number') return entry._tabId;
+    const ref = entry.pageref || '';
+    if (!pageTabIds.has(ref)) pageTabIds.set(ref, SYNTHETIC_TAB_BASE + pageTabIds.size);
+    return pageTabIds.get(ref);
+}
+
+function entryType(entry, index) {
+    if (entry._type) return entry._type;
+    if (entry._resourceType) return RESOURCE_TYPES[entry._resourceType] || 'other';
+    return index === 0 ? 'main_frame' : 'other';
+}
+
+/**
+ * Convert a HAR document (object or JSON string) into packetInfo records,
+ * oldest first. Throws on input that isn't a HAR log. Entries without a
+ * parseable startedDateTime are skipped: they have no place on the timeline.
+ */
+export function harToPackets(har) {
+    const doc = typeof har === 'string' ? JSON.parse(har) : har;
+    if (!doc || !doc.log || !Array.isArray(doc.log.entries)) {
+        throw new Error('Not a HAR file: missing log.entries');
+    }
+
+    const pageTabIds = new Map();
+    const packets = doc.log.entries.map((entry, i) => {
+        const start = Date.parse(entry && entry.startedDateTime);
+        if (!Number.isFinite(start)) return null;
+        const request = entry.request || {};
+        const response = entry.response || {};
+        const t = entry.timings || {};
+
+        // Rebuild lifecycle marks so derivePhases yields the same phase split
+        const blocked = t.blocked > 0 ? t.blocked : 0;
+        const sendHeaders = start + blocked + Math.max(0, t.dns || 0) + Math.max(0, t.connect || 0);
+        const responseStarted = sendHeaders + Math.max(0, t.send || 0) + Math.max(0, t.wait || 0);
+        const completed = start + Math.max(0, entry.time || 0);
+        const marks = { beforeRequest: start, sendHeaders, responseStarted, completed: Math.max(completed, responseStarted) };
+
+        const responseHeaders = toHeaders(response.headers);
+        // Only our own exports say a request failed; status 0 alone is also
+        // what DevTools records for cached and opaque responses
+        const error = typeof response._error === 'string' && response._error ? response._error : null;
+        const encoded = typeof response._transferSize === 'number' && response._transferSize >= 0
+            ? response._transferSize
+            : (response.bodySize >= 0 ? response.bodySize : undefined);
+        const responseBytes = accountResponseBytes({
+            responseHeaders,
+            encodedDataLength: encoded,
+            fromCache: !!entry._fromCache,
+            statusCode: response.status,
+            method: request.method,
+            error
+        });
+        const requestKnown = typeof request.bodySize === 'number' && request.bodySize >= 0;
+
+        return {
+            requestId: entry._requestId || `har-${i}`,
+            url: request.url,
+            method: request.method,
+            statusCode: response.status || 0,
+            type: entryType(entry, i),
+            tabId: entryTabId(entry, pageTabIds),
+            timeStamp: marks.completed,
+            requestHeadersSize: request.headersSize > 0 ? request.headersSize : 0,
+            responseHeadersSize: response.headersSize > 0 ? response.headersSize : 0,
+            requestHeaders: toHeaders(request.headers),
+            responseHeaders,
+            latencyMs: Math.max(0, marks.completed - sendHeaders),
+            requestContentLength: requestKnown ? request.bodySize : 0,
+            responseContentLength: responseBytes.bytes,
+            requestSizeSource: entry._requestSizeSource || (requestKnown ? 'body' : 'unknown'),
+            responseSizeSource: entry._responseSizeSource || responseBytes.source,
+            sizeUnknown: !requestKnown || !responseBytes.known,
+            fromCache: !!entry._fromCache,
+            timing: derivePhases(marks),
+            error,
+            redirectChain: entry._redirectChain || [],
+            ...(Array.isArray(entry._categories) ? { categories: entry._categories } : {})
+        };
+    });
+
+    return packets.filter(Boolean).sort((a, b) => a.timeStamp - b.timeStamp);
+}
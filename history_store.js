@@ -0,0 +1,315 @@
+/**
+ * history_store.js
+ * Persistent Traffic History (IndexedDB).
+ *
+ * Concept:
+ * - Every packet built by background.js is appended to the `packets` store.
+ * - Indexes on timeStamp, tabId, hostname, type and statusCode keep
+ *   after-the-fact investigation queries cheap.
+ * - Retention (max age / max bytes) is enforced periodically, oldest first.
+ *
+ * The service worker owns the writer. Other extension pages (options.html)
+ * never open the database themselves; they go through runtime messaging
+ * (messaging.js `sendRequest('history:*')`), which lands in
+ * `handleHistoryMessage()`.
+ */
+
+import { logger } from './logger.js';
+import { hostnameOf } from './url_utils.js';
+
+const DB_NAME = 'networkProjectorHistory';
+const DB_VERSION = 1;
+const PACKET_STORE = 'packets';
+
+export const DEFAULT_RETENTION = {
+    maxAgeMs: 24 * 60 * 60 * 1000, // 1 day
+    maxBytes: 50 * 1024 * 1024     // ~50MB of serialized packets
+};
+
+// Query filters that map directly onto an index, in order of selectivity.
+const INDEXED_FIELDS = ['tabId', 'hostname', 'statusCode', 'type'];
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onabort = () => reject(tx.error);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+class HistoryStore {
+    constructor(dbName = DB_NAME) {
+        this.dbName = dbName;
+        this.retention = { ...DEFAULT_RETENTION };
+        this.dbPromise = null;
+        this.pending = []; // records waiting for the next batched write
+        this.flushTimer = null;
+        this.totalBytes = 0; // running estimate, seeded on open
+    }
+
+    get available() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    setRetention(newRetention) {
+        if (!newRetention) return;
+        if (typeof newRetention.maxAgeMs === 'number' && newRetention.maxAgeMs > 0) {
+            this.retention.maxAgeMs = newRetention.maxAgeMs;
+        }
+        if (typeof newRetention.maxBytes === 'number' && newRetention.maxBytes > 0) {
+            this.retention.maxBytes = newRetention.maxBytes;
+        }
+    }
+
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+        if (!this.available) return Promise.reject(new Error('IndexedDB is not available'));
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(PACKET_STORE)) {
+                    const store = db.createObjectStore(PACKET_STORE, { keyPath: 'seq', autoIncrement: true });
+                    store.createIndex('timeStamp', 'timeStamp');
+                    store.createIndex('tabId', 'tabId');
+                    store.createIndex('hostname', 'hostname');
+                    store.createIndex('type', 'type');
+                    store.createIndex('statusCode', 'statusCode');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).then(async (db) => {
+            this.totalBytes = await this.measureBytes(db);
+            return db;
+        });
+
+        this.dbPromise.catch((e) => {
+            logger.error('Failed to open history database', e);
+            this.dbPromise = null;
+        });
+        return this.dbPromise;
+    }
+
+    async measureBytes(db) {
+        const tx = db.transaction(PACKET_STORE, 'readonly');
+        let total = 0;
+        await new Promise((resolve, reject) => {
+            const cursorReq = tx.objectStore(PACKET_STORE).openCursor();
+            cursorReq.onsuccess = () => {
+                const cursor = cursorReq.result;
+                if (!cursor) return resolve();
+                total += cursor.value.sizeBytes || 0;
+                cursor.continue();
+            };
+            cursorReq.onerror = () => reject(cursorReq.error);
+        });
+        return total;
+    }
+
+    /**
+     * Queue a packet for persistence. Writes are batched so a burst of
+     * requests costs one transaction instead of one per packet.
+     */
+    add(packet) {
+        if (!this.available || !packet) return;
+        const record = { ...packet, hostname: hostnameOf(packet.url, 'unknown') };
+        record.sizeBytes = JSON.stringify(record).length;
+        this.pending.push(record);
+
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => {
+                this.flushTimer = null;
+                this.flush().catch(e => logger.error('History flush failed', e));
+            }, 500);
+        }
+    }
+
+    async flush() {
+        if (this.pending.length === 0) return;
+        const batch = this.pending.splice(0, this.pending.length);
+        const db = await this.open();
+        const tx = db.transaction(PACKET_STORE, 'readwrite');
+        const store = tx.objectStore(PACKET_STORE);
+        batch.forEach(record => store.add(record));
+        await transactionDone(tx);
+        this.totalBytes += batch.reduce((sum, r) => sum + r.sizeBytes, 0);
+    }
+
+    /**
+     * Query stored packets.
+     * filter: { since, until, tabId, hostname, type, statusCode, limit, order }
+     * order is 'desc' (newest first, default) or 'asc'.
+     */
+    async query(filter = {}) {
+        await this.flush();
+        const db = await this.open();
+        const limit = filter.limit > 0 ? filter.limit : 1000;
+        const direction = filter.order === 'asc' ? 'next' : 'prev';
+
+        // Drive the cursor from the most selective index we have a value for,
+        // falling back to the time index. Remaining criteria are checked per record.
+        const indexField = INDEXED_FIELDS.find(f => filter[f] !== undefined && filter[f] !== null);
+        const tx = db.transaction(PACKET_STORE, 'readonly');
+        const store = tx.objectStore(PACKET_STORE);
+
+        let source;
+        let range = null;
+        if (indexField) {
+            source = store.index(indexField);
+            range = IDBKeyRange.only(filter[indexField]);
+        } else {
+            source = store.index('timeStamp');
+            range = timeRange(filter.since, filter.until);
+        }
+
+        const matches = (record) => {
+            if (filter.since !== undefined && record.timeStamp < filter.since) return false;
+            if (filter.until !== undefined && record.timeStamp > filter.until) return false;
+            for (const f of INDEXED_FIELDS) {
+                if (filter[f] !== undefined && filter[f] !== null && record[f] !== filter[f]) return false;
+            }
+            return true;
+        };
+
+        const results = [];
+        await new Promise((resolve, reject) => {
+            const cursorReq = source.openCursor(range, direction);
+            cursorReq.onsuccess = () => {
+                const cursor = cursorReq.result;
+                if (!cursor) return resolve();
+                if (matches(cursor.value)) results.push(cursor.value);
+                if (results.length >= limit) return resolve();
+                cursor.continue();
+            };
+            cursorReq.onerror = () => reject(cursorReq.error);
+        });
+
+        // Index cursors order by the index key (then primary key); keep the
+        // time ordering callers expect regardless of which index was used.
+        if (indexField) {
+            results.sort((a, b) => direction === 'next' ? a.timeStamp - b.timeStamp : b.timeStamp - a.timeStamp);
+        }
+        return results;
+    }
+
+    /**
+     * Distinct tabs present in the history, newest activity first, labelled
+     * with the hostname of their latest main_frame navigation.
+     */
+    async tabs() {
+        await this.flush();
+        const db = await this.open();
+        const tx = db.transaction(PACKET_STORE, 'readonly');
+        const tabIds = [];
+        await new Promise((resolve, reject) => {
+            const cursorReq = tx.objectStore(PACKET_STORE).index('tabId').openKeyCursor(null, 'nextunique');
+            cursorReq.onsuccess = () => {
+                const cursor = cursorReq.result;
+                if (!cursor) return resolve();
+                if (cursor.key !== -1) tabIds.push(cursor.key);
+                cursor.continue();
+            };
+            cursorReq.onerror = () => reject(cursorReq.error);
+        });
+
+        const tabs = [];
+        for (const tabId of tabIds) {
+            const [latest] = await this.query({ tabId, limit: 1 });
+            const [navigation] = await this.query({ tabId, type: 'main_frame', limit: 1 });
+            tabs.push({
+                tabId,
+                label: navigation ? navigation.hostname : (latest ? latest.hostname : `Tab ${tabId}`),
+                lastSeen: latest ? latest.timeStamp : 0
+            });
+        }
+        return tabs.sort((a, b) => b.lastSeen - a.lastSeen);
+    }
+
+    async stats() {
+        await this.flush();
+        const db = await this.open();
+        const tx = db.transaction(PACKET_STORE, 'readonly');
+        const count = await promisify(tx.objectStore(PACKET_STORE).count());
+        return { count, bytes: this.totalBytes, retention: { ...this.retention } };
+    }
+
+    /**
+     * Drop records older than maxAgeMs, then the oldest records until the
+     * store fits within maxBytes.
+     */
+    async enforceRetention(now = Date.now()) {
+        await this.flush();
+        const db = await this.open();
+        const cutoff = now - this.retention.maxAgeMs;
+        let removed = 0;
+
+        const tx = db.transaction(PACKET_STORE, 'readwrite');
+        const index = tx.objectStore(PACKET_STORE).index('timeStamp');
+        await new Promise((resolve, reject) => {
+            const cursorReq = index.openCursor(null, 'next');
+            cursorReq.onsuccess = () => {
+                const cursor = cursorReq.result;
+                if (!cursor) return resolve();
+                const record = cursor.value;
+                const tooOld = record.timeStamp < cutoff;
+                const tooBig = this.totalBytes > this.retention.maxBytes;
+                if (!tooOld && !tooBig) return resolve();
+                cursor.delete();
+                this.totalBytes = Math.max(0, this.totalBytes - (record.sizeBytes || 0));
+                removed++;
+                cursor.continue();
+            };
+            cursorReq.onerror = () => reject(cursorReq.error);
+        });
+        await transactionDone(tx);
+
+        if (removed > 0) logger.debug(`History retention removed ${removed} packets`);
+        return removed;
+    }
+
+    async clear() {
+        this.pending = [];
+        const db = await this.open();
+        const tx = db.transaction(PACKET_STORE, 'readwrite');
+        tx.objectStore(PACKET_STORE).clear();
+        await transactionDone(tx);
+        this.totalBytes = 0;
+    }
+}
+
+function timeRange(since, until) {
+    if (since !== undefined && until !== undefined) return IDBKeyRange.bound(since, until);
+    if (since !== undefined) return IDBKeyRange.lowerBound(since);
+    if (until !== undefined) return IDBKeyRange.upperBound(until);
+    return null;
+}
+
+export const historyStore = new HistoryStore();
+
+/**
+ * Service-worker side of the history messaging API.
+ * Messages look like { type: 'history:query', filter }.
+ */
+export function handleHistoryMessage(message) {
+    switch (message.type) {
+        case 'history:query':
+            return historyStore.query(message.filter || {});
+        case 'history:tabs':
+            return historyStore.tabs();
+        case 'history:stats':
+            return historyStore.stats();
+        case 'history:clear':
+            return historyStore.clear();
+        default:
+            return Promise.reject(new Error(`Unknown history message: ${message.type}`));
+    }
+}
@@ -0,0 +1,25 @@
+/**
+ * interaction_probe.js
+ * Content script: reports the first real user interaction (click, tap or
+ * key press) on a page, so the privacy report can tell requests a page made
+ * on its own from those the user triggered.
+ *
+ * Only trusted events count; the message carries a wall-clock time that is
+ * comparable with webRequest timeStamps. Runs in the top frame only.
+ */
+
+(() => {
+    const EVENTS = ['pointerdown', 'keydown', 'touchstart'];
+
+    function onFirstInteraction(event) {
+        if (!event.isTrusted) return;
+        EVENTS.forEach(type => window.removeEventListener(type, onFirstInteraction, true));
+        try {
+            chrome.runtime.sendMessage({ type: 'page:interaction', timeStamp: Date.now() });
+        } catch (e) {
+            // Extension reloaded since this page loaded; nothing to report to
+        }
+    }
+
+    EVENTS.forEach(type => window.addEventListener(type, onFirstInteraction, { capture: true, passive: true }));
+})();
@@ -0,0 +1,36 @@
+/**
+ * messaging.js
+ * Request/response helpers over chrome.runtime messaging.
+ *
+ * Extension pages call `sendRequest(type, payload)`; the service worker
+ * routes message types to async handlers with `serveRequests(route)`.
+ * Responses are wrapped as { ok, result } / { ok: false, error } so page
+ * callers get a normal rejected promise for background failures.
+ */
+
+export function sendRequest(type, payload = {}) {
+    return new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage({ type, ...payload }, (response) => {
+            if (chrome.runtime.lastError) return reject(new Error(chrome.runtime.lastError.message));
+            if (!response || !response.ok) return reject(new Error(response ? response.error : 'No response'));
+            resolve(response.result);
+        });
+    });
+}
+
+/**
+ * route(message, sender) returns a Promise for handled types, or null to let
+ * other listeners answer the message.
+ */
+export function serveRequests(route) {
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (!message || typeof message.type !== 'string') return false;
+        const pending = route(message, sender);
+        if (!pending) return false;
+        pending.then(
+            (result) => sendResponse({ ok: true, result }),
+            (error) => sendResponse({ ok: false, error: String((error && error.message) || error) })
+        );
+        return true; // Keep the channel open for the async response
+    });
+}
@@ -1,7 +1,15 @@
 import { init as initViz } from './viz3d.js';
 import { init as initSolarViz } from './viz4d.js';
 import { init as initRadarViz, resize as resizeRadarViz } from './viz_radar.js';
+import { init as initWaterfall } from './waterfall.js';
+import { init as initCookies } from './cookie_panel.js';
+import { init as initAnomalies } from './anomaly_timeline.js';
+import { init as initExfiltration } from './exfiltration_panel.js';
 import { adjudicator } from './hardware_adjudicator.js';
+import { sendRequest } from './messaging.js';
+import { packetsToHar, harToPackets } from './har.js';
+import { initReplayPanel } from './replay_panel.js';
+import { initAlertsPanel } from './alerts_panel.js';
 
 const packetsInCountEl = document.getElementById('packetsInCount');
 const packetsOutCountEl = document.getElementById('packetsOutCount');
@@ -22,13 +30,20 @@ function renderFullUI(data) {
   }
 }
 
+function formatMs(ms) {
+  return ms === null || ms === undefined ? '-' : Math.round(ms);
+}
+
 function addPacketToTable(packet, prepend = false) {
+  const timing = packet.timing || {};
   const row = document.createElement('tr');
   row.innerHTML = `
     <td title="${packet.url}">${packet.url.length > 80 ? packet.url.substring(0, 80) + '...' : packet.url}</td>
     <td>${packet.method}</td>
-    <td>${packet.statusCode}</td>
+    <td>${packet.error ? packet.error : packet.statusCode}</td>
     <td>${packet.type}</td>
+    <td>${formatMs(timing.ttfbMs)}</td>
+    <td>${formatMs(timing.downloadMs)}</td>
     <td>${new Date(packet.timeStamp).toLocaleString()}</td>
   `;
   if (prepend) {
@@ -101,6 +116,75 @@ document.getElementById('timeWindow').addEventListener('change', () => {
   updateChartData();
 });
 
+// Traffic history (IndexedDB in the service worker, queried via messaging)
+const historyCountEl = document.getElementById('historyCount');
+const historyBytesEl = document.getElementById('historyBytes');
+const historyMaxAgeEl = document.getElementById('history-max-age');
+const historyMaxSizeEl = document.getElementById('history-max-size');
+
+function refreshHistoryStats() {
+  sendRequest('history:stats').then((stats) => {
+    historyCountEl.textContent = stats.count;
+    historyBytesEl.textContent = stats.bytes;
+    historyMaxAgeEl.value = Math.round(stats.retention.maxAgeMs / (60 * 60 * 1000));
+    historyMaxSizeEl.value = Math.round(stats.retention.maxBytes / (1024 * 1024));
+  }).catch((e) => console.warn('History stats unavailable', e));
+}
+
+document.getElementById('apply-history-settings').addEventListener('click', () => {
+  const maxAgeHours = Math.max(1, parseFloat(historyMaxAgeEl.value) || 24);
+  const maxSizeMb = Math.max(1, parseFloat(historyMaxSizeEl.value) || 50);
+  chrome.storage.local.set({
+    historyConfig: {
+      maxAgeMs: maxAgeHours * 60 * 60 * 1000,
+      maxBytes: maxSizeMb * 1024 * 1024,
+    }
+  });
+});
+
+document.getElementById('clear-history').addEventListener('click', () => {
+  sendRequest('history:clear').then(refreshHistoryStats);
+});
+
+refreshHistoryStats();
+setInterval(refreshHistoryStats, 5000);
+
+initReplayPanel();
+initAlertsPanel();
+
+// HAR export / import
+const harStatusEl = document.getElementById('har-status');
+const HAR_EXPORT_LIMIT = 10000;
+
+document.getElementById('export-har').addEventListener('click', async () => {
+  try {
+    const packets = await sendRequest('history:query', { filter: { limit: HAR_EXPORT_LIMIT } });
+    const har = packetsToHar(packets);
+    const blob = new Blob([JSON.stringify(har, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `capture-${new Date().toISOString().replace(/[:.]/g, '-')}.har`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    harStatusEl.textContent = `Exported ${har.log.entries.length} entries`;
+  } catch (e) {
+    harStatusEl.textContent = `Export failed: ${e.message}`;
+  }
+});
+
+document.getElementById('import-har').addEventListener('change', async (event) => {
+  const file = event.target.files[0];
+  if (!file) return;
+  try {
+    const packets = harToPackets(await file.text());
+    const result = await sendRequest('har:import', { packets });
+    harStatusEl.textContent = `Imported ${result.imported} entries from ${file.name}`;
+  } catch (e) {
+    harStatusEl.textContent = `Import failed: ${e.message}`;
+  }
+  event.target.value = '';
+});
+
 // Tab switching logic
 document.querySelectorAll('.tab-button').forEach(button => {
   button.addEventListener('click', () => {
@@ -124,6 +208,13 @@ document.querySelectorAll('.tab-button').forEach(button => {
       setTimeout(() => {
           resizeRadarViz();
       }, 50);
+    } else if (tab === 'waterfall') {
+      initWaterfall();
+    } else if (tab === 'cookies') {
+      initCookies();
+    } else if (tab === 'anomalies') {
+      initAnomalies();
+      initExfiltration();
     }
   });
 });
@@ -133,6 +224,9 @@ const trafficChart = document.getElementById('trafficChart');
 const chartLine = document.createElementNS('http://www.w3.org/2000/svg', 'path');
 chartLine.setAttribute('class', 'chart-line');
 trafficChart.appendChild(chartLine);
+// Service-worker restarts (background.js restores its checkpoint) as dashed lines
+const chartMarkers = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+trafficChart.appendChild(chartMarkers);
 
 let chartData = [];
 
@@ -152,6 +246,7 @@ function updateChartData() {
 }
 
 function drawChart() {
+  chartMarkers.innerHTML = '';
   if (chartData.length < 2) {
     chartLine.setAttribute('d', '');
     return;
@@ -179,4 +274,19 @@ function drawChart() {
   }).join(' ');
 
   chartLine.setAttribute('d', pathData);
+
+  chartData.filter(point => point.restart).forEach(point => {
+    const x = timeRange > 0 ? (point.time - minTime) / timeRange * width : width / 2;
+    const marker = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+    marker.setAttribute('class', 'chart-restart');
+    marker.setAttribute('x1', x);
+    marker.setAttribute('x2', x);
+    marker.setAttribute('y1', 0);
+    marker.setAttribute('y2', height);
+    const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+    title.textContent = `Worker restarted at ${new Date(point.time).toLocaleTimeString()}`
+      + (point.checkpointAt ? ` (state from ${new Date(point.checkpointAt).toLocaleTimeString()})` : '');
+    marker.appendChild(title);
+    chartMarkers.appendChild(marker);
+  });
 }
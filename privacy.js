@@ -0,0 +1,112 @@
+/**
+ * privacy.js
+ * Per-planet (tab) privacy report and A-F grade.
+ *
+ * The score starts at 100 and each factor subtracts a capped penalty, so a
+ * grade can always be explained as "lost N points for X":
+ *
+ *   Factor                         Penalty                        Cap
+ *   third-party hosts              2 per host                     30
+ *   tracker categories contacted   advertising 10, analytics 6,   35
+ *                                  social 6, fingerprinting 15,
+ *                                  +1 per tracking host
+ *   cookies set by third parties   2 per cookie                   20
+ *   third-party requests sent      0.5 per request                15
+ *   before the user interacted
+ *
+ *   Grade: A >= 90, B >= 75, C >= 60, D >= 40, F below.
+ *
+ * Inputs come from the aggregator: satellites carry `party` (entity_map.js),
+ * `categories` (categorizer.js) and `cookiesSet` / `preInteraction` counts.
+ * cdn and content categories are reported but not penalised.
+ */
+
+import { PARTY } from './entity_map.js';
+
+const CATEGORY_PENALTIES = {
+    advertising: 10,
+    analytics: 6,
+    social: 6,
+    fingerprinting: 15
+};
+
+const GRADES = [
+    { min: 90, grade: 'A' },
+    { min: 75, grade: 'B' },
+    { min: 60, grade: 'C' },
+    { min: 40, grade: 'D' },
+    { min: -Infinity, grade: 'F' }
+];
+
+const MAX_LISTED_HOSTS = 50;
+
+/**
+ * Number of cookies a response sets. Chrome reports one header per cookie;
+ * folded headers (newline-joined) are split too.
+ */
+export function countSetCookies(headers) {
+    if (!headers) return 0;
+    return headers.reduce((count, h) => {
+        if ((h.name || '').toLowerCase() !== 'set-cookie' || !h.value) return count;
+        return count + h.value.split('\n').filter(line => line.trim()).length;
+    }, 0);
+}
+
+export function gradeFor(score) {
+    return GRADES.find(g => score >= g.min).grade;
+}
+
+function factor(id, label, value, penalty, max, explanation) {
+    return { id, label, value, penalty: Math.min(max, penalty), max, explanation };
+}
+
+/**
+ * Build the report for one planet node (as produced by the aggregator,
+ * before coagulation so every satellite is visible).
+ */
+export function buildPrivacyReport(planet) {
+    const satellites = planet.children || [];
+    const thirdParty = satellites.filter(s => s.party === PARTY.THIRD);
+
+    const categories = {}; // Map<category, host[]>
+    satellites.forEach(s => (s.categories || []).forEach(c => {
+        (categories[c] = categories[c] || []).push(s.id);
+    }));
+    const trackingHosts = new Set();
+    Object.keys(CATEGORY_PENALTIES).forEach(c => (categories[c] || []).forEach(h => trackingHosts.add(h)));
+
+    const cookieHosts = thirdParty.filter(s => s.metrics.cookiesSet > 0);
+    const thirdPartyCookies = cookieHosts.reduce((sum, s) => sum + s.metrics.cookiesSet, 0);
+    const thirdPartyPreInteraction = thirdParty.reduce((sum, s) => sum + (s.metrics.preInteraction || 0), 0);
+
+    const categoryPenalty = Object.keys(categories)
+        .reduce((sum, c) => sum + (CATEGORY_PENALTIES[c] || 0), 0) + trackingHosts.size;
+
+    const factors = [
+        factor('thirdPartyHosts', 'Third-party hosts', thirdParty.length, thirdParty.length * 2, 30,
+            `${thirdParty.length} host(s) outside the site and its organisation, 2 points each`),
+        factor('trackers', 'Tracker categories', Object.keys(categories).filter(c => CATEGORY_PENALTIES[c]).length, categoryPenalty, 35,
+            `${Object.keys(categories).filter(c => CATEGORY_PENALTIES[c]).join(', ') || 'none'}; ${trackingHosts.size} tracking host(s), 1 point each`),
+        factor('thirdPartyCookies', 'Third-party cookies', thirdPartyCookies, thirdPartyCookies * 2, 20,
+            `${thirdPartyCookies} cookie(s) set by ${cookieHosts.length} third-party host(s), 2 points each`),
+        factor('preInteraction', 'Third-party requests before interaction', thirdPartyPreInteraction, thirdPartyPreInteraction * 0.5, 15,
+            planet.interactedAt
+                ? `${thirdPartyPreInteraction} third-party request(s) before the first click or key press, 0.5 points each`
+                : `${thirdPartyPreInteraction} third-party request(s) so far with no user interaction yet, 0.5 points each`)
+    ];
+
+    const score = Math.max(0, Math.round(100 - factors.reduce((sum, f) => sum + f.penalty, 0)));
+    return {
+        score,
+        grade: gradeFor(score),
+        factors,
+        thirdPartyHosts: thirdParty.map(s => s.id).slice(0, MAX_LISTED_HOSTS),
+        categories,
+        thirdPartyCookies: { count: thirdPartyCookies, hosts: cookieHosts.map(s => s.id) },
+        preInteraction: {
+            requests: planet.metrics.preInteraction || 0,
+            thirdPartyRequests: thirdPartyPreInteraction,
+            interacted: !!planet.interactedAt
+        }
+    };
+}
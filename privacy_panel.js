@@ -0,0 +1,111 @@
+/**
+ * privacy_panel.js
+ * Floating per-planet privacy report (privacy.js) and security header
+ * checklist (security_audit.js), opened by clicking a planet in the Solar 4D
+ * view or the Radar.
+ *
+ * `createPrivacyPanel(container)` returns { show(planetNode), update(state),
+ * hide() }; `update` keeps an open panel in sync with each new universeState.
+ */
+
+import { escapeHtml } from './dom_utils.js';
+
+const GRADE_COLORS = { A: '#22c55e', B: '#84cc16', C: '#eab308', D: '#f97316', F: '#ef4444' };
+const CHECK_MARKS = {
+    pass: { symbol: '&#10003;', color: '#86efac' },
+    warn: { symbol: '!', color: '#fde047' },
+    fail: { symbol: '&#10007;', color: '#fca5a5' },
+    na: { symbol: '&ndash;', color: '#94a3b8' }
+};
+
+function hostList(hosts, max = 8) {
+    if (!hosts || !hosts.length) return '<em>none</em>';
+    const shown = hosts.slice(0, max).map(escapeHtml).join(', ');
+    return hosts.length > max ? `${shown} +${hosts.length - max} more` : shown;
+}
+
+function renderSecurity(security) {
+    if (!security) return '<div style="font-size: 0.75rem; color: #94a3b8;">No page load seen for this tab yet.</div>';
+    const rows = security.checks.map(c => `
+        <tr title="${escapeHtml(c.detail)}">
+            <td style="width: 1.2rem; color: ${CHECK_MARKS[c.status].color}; font-weight: 700;">${CHECK_MARKS[c.status].symbol}</td>
+            <td>${escapeHtml(c.label)}</td>
+            <td style="color: #94a3b8;">${escapeHtml(c.detail)}</td>
+        </tr>`).join('');
+    return `<table style="width: 100%; font-size: 0.75rem; border-collapse: collapse;">${rows}</table>`;
+}
+
+function render(planet) {
+    const report = planet.privacy;
+    if (!report) return '<p>No privacy data for this tab.</p>';
+    const security = planet.security;
+
+    const factors = report.factors.map(f => `
+        <tr title="${escapeHtml(f.explanation)}">
+            <td>${escapeHtml(f.label)}</td>
+            <td style="text-align: right;">${f.value}</td>
+            <td style="text-align: right; color: ${f.penalty > 0 ? '#fca5a5' : '#86efac'};">-${Math.round(f.penalty * 10) / 10} / ${f.max}</td>
+        </tr>
+        <tr><td colspan="3" style="font-size: 0.7rem; color: #94a3b8; padding-bottom: 4px;">${escapeHtml(f.explanation)}</td></tr>`).join('');
+
+    const categories = Object.entries(report.categories)
+        .map(([c, hosts]) => `<div><strong>${escapeHtml(c)}</strong>: ${hostList(hosts, 4)}</div>`)
+        .join('') || '<em>none</em>';
+
+    return `
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.5rem;">
+            <div>
+                <div style="font-weight: 600;">${escapeHtml(planet.label)}</div>
+                <div style="font-size: 0.7rem; color: #94a3b8;">Tab ${escapeHtml(planet.id)} &middot; score ${report.score}/100</div>
+            </div>
+            <div style="font-size: 2rem; font-weight: 700; color: ${GRADE_COLORS[report.grade]};">${report.grade}</div>
+        </div>
+        <table style="width: 100%; font-size: 0.75rem; border-collapse: collapse;">${factors}</table>
+        <div style="font-size: 0.75rem; margin-top: 0.5rem;">
+            <div style="margin-bottom: 4px;"><strong>Third-party hosts</strong>: ${hostList(report.thirdPartyHosts)}</div>
+            <div style="margin-bottom: 4px;"><strong>Trackers</strong>: ${categories}</div>
+            <div style="margin-bottom: 4px;"><strong>Third-party cookies</strong>: ${report.thirdPartyCookies.count} from ${hostList(report.thirdPartyCookies.hosts, 4)}</div>
+            <div><strong>Before interaction</strong>: ${report.preInteraction.requests} request(s), ${report.preInteraction.thirdPartyRequests} third-party${report.preInteraction.interacted ? '' : ' (no interaction yet)'}</div>
+        </div>
+        <div style="font-weight: 600; margin: 0.75rem 0 0.25rem;">Security headers${security ? ` &middot; ${security.failed} failed, ${security.warnings} warning(s)` : ''}</div>
+        ${renderSecurity(security)}`;
+}
+
+export function createPrivacyPanel(container) {
+    const el = document.createElement('div');
+    el.className = 'privacy-panel';
+    el.style.cssText = 'position: absolute; top: 1rem; right: 1rem; width: 320px; max-height: 80%; overflow-y: auto; display: none; z-index: 20;'
+        + 'background: rgba(20, 20, 30, 0.92); border: 1px solid rgba(255, 255, 255, 0.15); border-radius: 12px; padding: 0.75rem 1rem;'
+        + "color: white; font-family: 'Inter', sans-serif; box-shadow: 0 10px 30px rgba(0, 0, 0, 0.3);";
+    container.appendChild(el);
+
+    const body = document.createElement('div');
+    const close = document.createElement('button');
+    close.textContent = '×';
+    close.title = 'Close';
+    close.style.cssText = 'position: absolute; top: 4px; right: 8px; background: transparent; border: none; color: #93c5fd; cursor: pointer; font-size: 1rem;';
+    el.append(close, body);
+
+    let planetId = null;
+
+    function hide() {
+        planetId = null;
+        el.style.display = 'none';
+    }
+
+    function show(planetNode) {
+        planetId = planetNode.id;
+        body.innerHTML = render(planetNode);
+        el.style.display = 'block';
+    }
+
+    function update(state) {
+        if (planetId === null || !state || !state.domains) return;
+        const planet = state.domains.find(d => d.id === planetId);
+        if (planet) body.innerHTML = render(planet);
+        else hide(); // tab aged out of the window
+    }
+
+    close.addEventListener('click', hide);
+    return { show, update, hide };
+}
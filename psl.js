@@ -0,0 +1,87 @@
+/**
+ * psl.js
+ * Registrable domain (eTLD+1) resolution against the bundled Public Suffix
+ * List (psl_data.js).
+ *
+ * Shared by the aggregator (satellite ids, planet labels), the vectorizer
+ * (`root:` tokens) and viz3d (domain filter), so `news.bbc.co.uk` and
+ * `static.bbc.co.uk` group as `bbc.co.uk` instead of every `*.co.uk` site
+ * collapsing into `co`.
+ *
+ * Algorithm (https://publicsuffix.org/list/): the longest matching rule
+ * wins, exception rules (`!`) beat wildcards (`*.`), and an unlisted TLD
+ * falls back to the implicit `*` rule. Private-section suffixes (e.g.
+ * `github.io`) are honoured, as browsers do for cookie scoping.
+ *
+ * IP addresses and single-label hosts (`localhost`) are returned unchanged.
+ */
+
+import { ICANN_RULES, PRIVATE_RULES } from './psl_data.js';
+
+const RULES = new Set();
+const WILDCARDS = new Set(); // "*.ck" stored as "ck"
+const EXCEPTIONS = new Set(); // "!www.ck" stored as "www.ck"
+
+(ICANN_RULES + PRIVATE_RULES).split('\n').forEach(rule => {
+    if (!rule) return;
+    if (rule.startsWith('!')) EXCEPTIONS.add(rule.slice(1));
+    else if (rule.startsWith('*.')) WILDCARDS.add(rule.slice(2));
+    else RULES.add(rule);
+});
+
+const CACHE_LIMIT = 5000;
+const cache = new Map(); // Map<host, registrable domain>
+
+function isIpAddress(host) {
+    return host.includes(':') || /^\d{1,3}(\.\d{1,3}){3}$/.test(host);
+}
+
+function normalize(host) {
+    return String(host || '').trim().toLowerCase().replace(/\.$/, '');
+}
+
+/**
+ * Number of labels in the public suffix of `labels` (array, left to right).
+ */
+function suffixLength(labels) {
+    for (let i = 0; i < labels.length; i++) {
+        const candidate = labels.slice(i).join('.');
+        if (EXCEPTIONS.has(candidate)) return labels.length - i - 1;
+        if (RULES.has(candidate)) return labels.length - i;
+        // "*.ck" matches "<anything>.ck"
+        if (i + 1 < labels.length && WILDCARDS.has(labels.slice(i + 1).join('.'))) return labels.length - i;
+    }
+    return 1; // implicit "*" rule
+}
+
+/**
+ * Public suffix (eTLD) of a hostname, e.g. "co.uk" for "news.bbc.co.uk".
+ */
+export function getPublicSuffix(host) {
+    const h = normalize(host);
+    if (!h || isIpAddress(h)) return '';
+    const labels = h.split('.');
+    return labels.slice(labels.length - suffixLength(labels)).join('.');
+}
+
+/**
+ * Registrable domain (eTLD+1) of a hostname, e.g. "bbc.co.uk" for
+ * "news.bbc.co.uk". Hosts that are IPs, single labels or themselves a
+ * public suffix are returned as-is.
+ */
+export function getRegistrableDomain(host) {
+    const h = normalize(host);
+    if (!h) return '';
+    if (cache.has(h)) return cache.get(h);
+
+    let result = h;
+    if (!isIpAddress(h)) {
+        const labels = h.split('.');
+        const suffix = suffixLength(labels);
+        if (labels.length > suffix) result = labels.slice(labels.length - suffix - 1).join('.');
+    }
+
+    if (cache.size >= CACHE_LIMIT) cache.delete(cache.keys().next().value);
+    cache.set(h, result);
+    return result;
+}
@@ -0,0 +1,182 @@
+/**
+ * replay.js
+ * Offline Replay Engine.
+ *
+ * Pushes a recorded packet stream (stored history or an imported HAR)
+ * through the same sinks as live traffic - `aggregator.addPacket` and
+ * `queuePacket` - preserving the original inter-arrival times, scaled by
+ * a playback speed (0.25x - 16x). The sinks are the replay's own: its
+ * aggregator, and the vectorizer's replay queue (queueReplayPacket), which
+ * projects packets with the live model without training it.
+ *
+ * The engine drives a VirtualClock (clock.js) which the target aggregator
+ * must share: the aggregator stamps and prunes nodes by that clock, so its
+ * 60s window slides over *recorded* time instead of wall time.
+ *
+ * Seeking rebuilds the aggregator from scratch by fast-feeding the packets
+ * that fall inside the window ending at the seek position (aggregator only;
+ * the vectorizer sees packets as they are played).
+ */
+
+import { logger } from './logger.js';
+import { VirtualClock } from './clock.js';
+
+export const MIN_SPEED = 0.25;
+export const MAX_SPEED = 16;
+
+// Upper bound on a single wait so pause/seek/speed changes feel immediate
+const MAX_TICK_MS = 250;
+
+export class ReplayEngine {
+    /**
+     * sinks: { aggregator, queuePacket } - the replay's own, never the live
+     * ones; aggregator must use `clock`.
+     */
+    constructor({ aggregator, queuePacket, clock = new VirtualClock() }) {
+        this.aggregator = aggregator;
+        this.queuePacket = queuePacket || (() => {});
+        this.clock = clock;
+        this.packets = [];
+        this.cursor = 0; // index of the next packet to emit
+        this.state = 'idle'; // 'idle' | 'paused' | 'playing' | 'ended'
+        this.timer = null;
+        this.source = null;
+    }
+
+    get active() {
+        return this.state !== 'idle';
+    }
+
+    load(packets, source = 'packets') {
+        this.stop();
+        this.packets = packets
+            .filter(p => p && typeof p.timeStamp === 'number')
+            .slice()
+            .sort((a, b) => a.timeStamp - b.timeStamp);
+        this.source = source;
+        this.cursor = 0;
+        this.aggregator.reset();
+        this.clock.pause();
+        this.clock.setSpeed(1);
+        this.clock.seek(this.packets.length ? this.packets[0].timeStamp : 0);
+        this.state = 'paused';
+        logger.info(`Replay loaded ${this.packets.length} packets from ${source}`);
+        return this.status();
+    }
+
+    play(speed) {
+        if (!this.active || this.packets.length === 0) return this.status();
+        if (speed !== undefined) this.setSpeed(speed);
+        if (this.state === 'ended') this.seek(this.packets[0].timeStamp);
+        this.clock.resume();
+        this.state = 'playing';
+        this.schedule(0);
+        return this.status();
+    }
+
+    pause() {
+        if (this.state !== 'playing') return this.status();
+        this.clock.pause();
+        this.clearTimer();
+        this.state = 'paused';
+        return this.status();
+    }
+
+    setSpeed(speed) {
+        const clamped = Math.min(MAX_SPEED, Math.max(MIN_SPEED, Number(speed) || 1));
+        this.clock.setSpeed(clamped);
+        return this.status();
+    }
+
+    seek(time) {
+        if (!this.active || this.packets.length === 0) return this.status();
+        const start = this.packets[0].timeStamp;
+        const end = this.packets[this.packets.length - 1].timeStamp;
+        const target = Math.min(end, Math.max(start, time));
+        const wasPlaying = this.state === 'playing';
+
+        this.clearTimer();
+        this.clock.pause();
+        this.aggregator.reset();
+
+        // Fast-feed the window that ends at the target so pruning sees the
+        // same population it would have seen during uninterrupted playback.
+        const windowStart = target - this.aggregator.windowDurationMs;
+        let i = 0;
+        for (; i < this.packets.length && this.packets[i].timeStamp <= target; i++) {
+            const packet = this.packets[i];
+            if (packet.timeStamp < windowStart) continue;
+            this.clock.seek(packet.timeStamp);
+            this.aggregator.addPacket(packet);
+        }
+        this.cursor = i;
+        this.clock.seek(target);
+
+        this.state = wasPlaying ? 'playing' : 'paused';
+        if (wasPlaying) {
+            this.clock.resume();
+            this.schedule(0);
+        }
+        return this.status();
+    }
+
+    stop() {
+        this.clearTimer();
+        this.clock.pause();
+        this.state = 'idle';
+        this.packets = [];
+        this.cursor = 0;
+        this.source = null;
+        if (this.aggregator) this.aggregator.reset();
+    }
+
+    clearTimer() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    schedule(delayMs) {
+        this.clearTimer();
+        this.timer = setTimeout(() => this.tick(), delayMs);
+    }
+
+    // Emit every packet whose recorded time has been reached, then sleep
+    // until the next one is due (in wall time, i.e. divided by speed).
+    tick() {
+        this.timer = null;
+        if (this.state !== 'playing') return;
+
+        const now = this.clock.now();
+        while (this.cursor < this.packets.length && this.packets[this.cursor].timeStamp <= now) {
+            const packet = this.packets[this.cursor++];
+            this.queuePacket(packet);
+            this.aggregator.addPacket(packet);
+        }
+
+        if (this.cursor >= this.packets.length) {
+            this.clock.pause();
+            this.state = 'ended';
+            return;
+        }
+
+        const waitMs = (this.packets[this.cursor].timeStamp - now) / this.clock.speed;
+        this.schedule(Math.min(MAX_TICK_MS, Math.max(0, waitMs)));
+    }
+
+    status() {
+        const first = this.packets[0];
+        const last = this.packets[this.packets.length - 1];
+        return {
+            state: this.state,
+            source: this.source,
+            speed: this.clock.speed,
+            position: this.active ? this.clock.now() : null,
+            start: first ? first.timeStamp : null,
+            end: last ? last.timeStamp : null,
+            emitted: this.cursor,
+            total: this.packets.length
+        };
+    }
+}
@@ -0,0 +1,89 @@
+/**
+ * replay_panel.js
+ * Options-page controls for the replay engine running in the service worker.
+ *
+ * Loads a recording (recent stored history or a HAR file), then plays,
+ * pauses, seeks and changes speed over runtime messaging. While a replay
+ * is active every visualization shows the replayed universe.
+ */
+
+import { sendRequest } from './messaging.js';
+import { harToPackets } from './har.js';
+
+let statusEl, seekEl, speedEl, playBtn;
+let status = null;
+let seeking = false;
+
+function fmtTime(ts) {
+    return ts === null || ts === undefined ? '--:--:--' : new Date(ts).toLocaleTimeString();
+}
+
+function render(next) {
+    status = next;
+    const active = status && status.state !== 'idle';
+    playBtn.textContent = status && status.state === 'playing' ? 'Pause' : 'Play';
+    playBtn.disabled = !active;
+    seekEl.disabled = !active;
+
+    if (!active) {
+        statusEl.textContent = 'Live';
+        seekEl.value = 0;
+        return;
+    }
+
+    statusEl.textContent = `${status.state} (${status.source}) ${fmtTime(status.position)} / ${fmtTime(status.end)} - ${status.emitted}/${status.total} packets`;
+    if (!seeking && status.end > status.start) {
+        seekEl.value = Math.round(((status.position - status.start) / (status.end - status.start)) * 1000);
+    }
+}
+
+function call(type, payload) {
+    return sendRequest(type, payload).then(render).catch(e => {
+        statusEl.textContent = `Replay error: ${e.message}`;
+    });
+}
+
+export function initReplayPanel() {
+    statusEl = document.getElementById('replay-status');
+    seekEl = document.getElementById('replay-seek');
+    speedEl = document.getElementById('replay-speed');
+    playBtn = document.getElementById('replay-play');
+    if (!statusEl) return;
+
+    document.getElementById('replay-load-history').addEventListener('click', () => {
+        const minutes = parseFloat(document.getElementById('replay-minutes').value) || 10;
+        call('replay:load', { filter: { since: Date.now() - minutes * 60 * 1000 } });
+    });
+
+    document.getElementById('replay-load-har').addEventListener('change', async (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+        try {
+            const packets = harToPackets(await file.text());
+            await call('replay:load', { packets, label: file.name });
+        } catch (e) {
+            statusEl.textContent = `Replay error: ${e.message}`;
+        }
+        event.target.value = '';
+    });
+
+    playBtn.addEventListener('click', () => {
+        if (status && status.state === 'playing') call('replay:pause');
+        else call('replay:play', { speed: parseFloat(speedEl.value) });
+    });
+
+    speedEl.addEventListener('change', () => call('replay:speed', { speed: parseFloat(speedEl.value) }));
+
+    seekEl.addEventListener('input', () => { seeking = true; });
+    seekEl.addEventListener('change', () => {
+        seeking = false;
+        if (!status || status.start === null) return;
+        const time = status.start + (seekEl.value / 1000) * (status.end - status.start);
+        call('replay:seek', { time });
+    });
+
+    document.getElementById('replay-stop').addEventListener('click', () => call('replay:stop'));
+
+    call('replay:status');
+    setInterval(() => call('replay:status'), 500);
+}
@@ -0,0 +1,36 @@
+/**
+ * request_timing.js
+ * Per-request phase breakdown from webRequest event timestamps.
+ *
+ * Marks (ms, from details.timeStamp):
+ *   beforeRequest -> sendHeaders -> headersReceived -> responseStarted -> completed
+ *
+ * Phases:
+ * - queueMs:    beforeRequest -> sendHeaders (blocking, connection setup and
+ *               any redirect hops, since the first beforeRequest is kept).
+ * - ttfbMs:     sendHeaders -> first response byte (headersReceived, or
+ *               responseStarted when headers were not observed).
+ * - downloadMs: responseStarted -> completed (body transfer).
+ * - totalMs:    beforeRequest (or sendHeaders) -> completed.
+ *
+ * A phase is null when either of its marks is missing (e.g. errors before
+ * any response, or cached responses that skip onSendHeaders).
+ */
+
+function span(from, to) {
+    if (typeof from !== 'number' || typeof to !== 'number') return null;
+    return Math.max(0, to - from);
+}
+
+export function derivePhases(marks) {
+    if (!marks) return { queueMs: null, ttfbMs: null, downloadMs: null, totalMs: null };
+    const firstByte = typeof marks.headersReceived === 'number' ? marks.headersReceived : marks.responseStarted;
+    const bodyStart = typeof marks.responseStarted === 'number' ? marks.responseStarted : marks.headersReceived;
+    const start = typeof marks.beforeRequest === 'number' ? marks.beforeRequest : marks.sendHeaders;
+    return {
+        queueMs: span(marks.beforeRequest, marks.sendHeaders),
+        ttfbMs: span(marks.sendHeaders, firstByte),
+        downloadMs: span(bodyStart, marks.completed),
+        totalMs: span(start, marks.completed)
+    };
+}
@@ -0,0 +1,39 @@
+/**
+ * build_wasm.js
+ * Compiles the aggregator core (wasm/universe_core, AssemblyScript) to
+ * wasm/universe_core.wasm, where background.js loads it from.
+ *
+ *   npm run build:wasm
+ *
+ * Runs before `npm test`, so the parity tests always see a module built from
+ * the current source. The output is not checked in: build it once before
+ * loading the extension unpacked, or the worker runs on the JS core.
+ */
+
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const source = path.join('wasm', 'universe_core', 'assembly', 'index.ts');
+const out = path.join('wasm', 'universe_core.wasm');
+
+async function main() {
+  // The compiler is only published as an ES module
+  const { default: asc } = await import('assemblyscript/asc');
+  const { error } = await asc.main([
+    source,
+    '--baseDir', root,
+    '--outFile', out,
+    '-O3',
+    '--noAssert',
+    '--runtime', 'stub', // the columns are allocated once and never freed
+    '--use', 'abort=', // no imports: instantiated with an empty import object
+  ], { stdout: process.stdout, stderr: process.stderr });
+
+  if (error) {
+    console.error(`build:wasm failed: ${error.message}`);
+    process.exit(1);
+  }
+  console.log(`Wrote ${out}`);
+}
+
+main();
@@ -0,0 +1,126 @@
+/**
+ * update_lists.js
+ * Regenerates the category lists in lists/ that categorizer.js loads.
+ *
+ *   node scripts/update_lists.js path/to/easylist.txt path/to/easyprivacy.txt path/to/entities.json
+ *
+ * Sources:
+ * - EasyList and EasyPrivacy (https://easylist.to/, GPLv3 / CC BY-SA 3.0):
+ *   https://easylist.to/easylist/easylist.txt and .../easyprivacy.txt.
+ * - third-party-web (https://github.com/patrickhulce/third-party-web, MIT):
+ *   dist/entities.json, also published as the `third-party-web` npm package.
+ *
+ * The EasyList files are cut down to the network rules the categoriser can
+ * evaluate per host: `||host^` and `||host/path` anchors (and their `@@`
+ * exceptions) whose only options are `third-party` / `~third-party`. Rules
+ * with other options are dropped, since the categoriser ignores options and
+ * would over-match them; so are cosmetic rules and un-anchored URL patterns,
+ * which would cost a regular expression test on every request.
+ *
+ * third-party-web entities become a Disconnect-style services.json. It has
+ * no fingerprinting category, so FINGERPRINTING below (vendors from
+ * Disconnect's Fingerprinting categories) is added to it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const listsDir = path.resolve(__dirname, '..', 'lists');
+
+const [easylist, easyprivacy, entities] = process.argv.slice(2);
+if (!easylist || !easyprivacy || !entities) {
+  console.error('Usage: node scripts/update_lists.js <easylist.txt> <easyprivacy.txt> <entities.json>');
+  process.exit(2);
+}
+
+// third-party-web category -> Disconnect category (see categorizer.js)
+const ENTITY_CATEGORIES = {
+  ad: 'Advertising',
+  analytics: 'Analytics',
+  social: 'Social',
+  cdn: 'CDN',
+  content: 'Content',
+  video: 'Content'
+};
+
+const FINGERPRINTING = {
+  FingerprintingInvasive: [
+    { FingerprintJS: { 'https://fingerprint.com/': ['fpjs.io', 'fingerprint.com', 'fpnpmcdn.net'] } },
+    { ThreatMetrix: { 'https://risk.lexisnexis.com/': ['online-metrix.net'] } },
+    { iovation: { 'https://www.iovation.com/': ['iesnare.com', 'iovation.com'] } },
+    { BlueCava: { 'https://bluecava.com/': ['bluecava.com'] } }
+  ],
+  FingerprintingGeneral: [
+    { MaxMind: { 'https://www.maxmind.com/': ['maxmind.com'] } },
+    { Sift: { 'https://sift.com/': ['sift.com', 'siftscience.com'] } },
+    { PerimeterX: { 'https://www.perimeterx.com/': ['perimeterx.net', 'px-cdn.net'] } }
+  ]
+};
+
+const HOST = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)+$/;
+
+// A network rule the categoriser can evaluate per host, or null
+function keepRule(line) {
+  if (!line.startsWith('||') && !line.startsWith('@@||')) return null;
+  if (line.includes('#')) return null;
+  const dollar = line.lastIndexOf('$');
+  if (dollar > 0 && !line.slice(dollar + 1).split(',').every(o => o === 'third-party' || o === '~third-party')) return null;
+  const pattern = line.slice(line.indexOf('||') + 2, dollar > 0 ? dollar : undefined);
+  const split = pattern.search(/[/^*|]/);
+  const host = split === -1 ? pattern : pattern.slice(0, split);
+  // Hosts with wildcards or an end anchor can't be looked up by host
+  if (!HOST.test(host) || (split !== -1 && '*|'.includes(pattern[split]))) return null;
+  return line;
+}
+
+function header(text, key) {
+  const match = text.match(new RegExp(`^! ${key}: (.*)$`, 'm'));
+  return match ? match[1].trim() : 'unknown';
+}
+
+function writeAbp(source, name, title) {
+  const text = fs.readFileSync(source, 'utf8');
+  const rules = [...new Set(text.split(/\r?\n/).map(l => keepRule(l.trim())).filter(Boolean))];
+  const out = [
+    '[Adblock Plus 2.0]',
+    `! Title: ${title} (network rules), generated by scripts/update_lists.js - do not edit.`,
+    `! Source: ${title} version ${header(text, 'Version')}, last modified ${header(text, 'Last modified')}`,
+    '! Homepage: https://easylist.to/ (licence: https://easylist.to/pages/licence.html)',
+    '! Host-anchored rules only, with no options besides third-party; see the script.',
+    ...rules,
+    ''
+  ].join('\n');
+  fs.writeFileSync(path.join(listsDir, name), out);
+  console.log(`Wrote lists/${name}: ${rules.length} rules`);
+}
+
+function writeServices(source, name) {
+  const doc = JSON.parse(fs.readFileSync(source, 'utf8'));
+  const categories = {};
+  let count = 0;
+  doc.forEach(entity => {
+    const category = ENTITY_CATEGORIES[entity.category];
+    if (!category || !Array.isArray(entity.domains)) return;
+    const domains = [...new Set(entity.domains.map(d => d.replace(/^\*\./, '').toLowerCase()))].filter(d => HOST.test(d));
+    if (!domains.length) return;
+    (categories[category] = categories[category] || []).push({ [entity.name]: { [entity.homepage || '']: domains } });
+    count += domains.length;
+  });
+  Object.assign(categories, FINGERPRINTING);
+  const out = {
+    license: 'Generated by scripts/update_lists.js - do not edit. Disconnect services.json format. '
+      + 'Advertising, Analytics, Social, CDN and Content from third-party-web (https://github.com/patrickhulce/third-party-web, MIT); '
+      + 'the Fingerprinting categories are listed in the script.',
+    categories
+  };
+  // One entity per line, as in Disconnect's own file
+  const body = Object.entries(out.categories)
+    .map(([category, list]) => `    ${JSON.stringify(category)}: [\n${list.map(e => `      ${JSON.stringify(e)}`).join(',\n')}\n    ]`)
+    .join(',\n');
+  fs.writeFileSync(path.join(listsDir, name), `{\n  "license": ${JSON.stringify(out.license)},\n  "categories": {\n${body}\n  }\n}\n`);
+  console.log(`Wrote lists/${name}: ${count} domains`);
+}
+
+writeAbp(easylist, 'easylist.txt', 'EasyList');
+writeAbp(easyprivacy, 'easyprivacy.txt', 'EasyPrivacy');
+writeServices(entities, 'services.json');
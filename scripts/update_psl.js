@@ -0,0 +1,57 @@
+/**
+ * update_psl.js
+ * Regenerates psl_data.js from a copy of the Public Suffix List.
+ *
+ *   node scripts/update_psl.js path/to/public_suffix_list.dat
+ *
+ * Get the list from https://publicsuffix.org/list/public_suffix_list.dat.
+ * Rules are stored punycoded (hostnames reach us in ASCII form), one per
+ * line, with the ICANN and private sections kept apart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { domainToASCII } = require('url');
+
+const source = process.argv[2];
+if (!source) {
+  console.error('Usage: node scripts/update_psl.js <public_suffix_list.dat>');
+  process.exit(2);
+}
+
+const sections = { icann: [], private: [] };
+let section = null;
+
+fs.readFileSync(source, 'utf8').split(/\r?\n/).forEach(raw => {
+  const line = raw.trim();
+  if (line.includes('===BEGIN ICANN DOMAINS===')) section = 'icann';
+  else if (line.includes('===BEGIN PRIVATE DOMAINS===')) section = 'private';
+  if (!section || !line || line.startsWith('//')) return;
+
+  // Rules are the first whitespace-delimited token; keep !/* prefixes intact
+  const rule = line.split(/\s/)[0];
+  const prefix = rule.match(/^(!|\*\.)?/)[0];
+  const ascii = domainToASCII(rule.slice(prefix.length));
+  if (!ascii) return;
+  sections[section].push(prefix + ascii);
+});
+
+const out = `/**
+ * psl_data.js
+ * Public Suffix List rules, generated by scripts/update_psl.js - do not edit.
+ *
+ * Source: https://publicsuffix.org/list/public_suffix_list.dat
+ * (Mozilla Public License 2.0). ${sections.icann.length} ICANN + ${sections.private.length} private rules.
+ */
+
+export const ICANN_RULES = \`
+${sections.icann.join('\n')}
+\`;
+
+export const PRIVATE_RULES = \`
+${sections.private.join('\n')}
+\`;
+`;
+
+fs.writeFileSync(path.resolve(__dirname, '..', 'psl_data.js'), out);
+console.log(`Wrote psl_data.js: ${sections.icann.length} ICANN + ${sections.private.length} private rules`);
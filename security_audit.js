@@ -0,0 +1,195 @@
+/**
+ * security_audit.js
+ * Security header audit of a tab's main_frame response, plus mixed content
+ * seen under it.
+ *
+ * Checks (each 'pass' | 'warn' | 'fail', or 'na' when it doesn't apply):
+ * - https:       the page itself was served over HTTPS.
+ * - csp:         Content-Security-Policy present; unsafe-inline / unsafe-eval
+ *                or wildcard script sources are weaknesses. Report-only
+ *                policies enforce nothing.
+ * - hsts:        Strict-Transport-Security max-age (180 days recommended).
+ * - framing:     X-Frame-Options or CSP frame-ancestors (clickjacking).
+ * - referrer:    Referrer-Policy, unsafe-url / no-referrer-when-downgrade leak.
+ * - permissions: Permissions-Policy present.
+ * - mixed:       http: / ws: subrequests under an https page. Scripts, frames,
+ *                XHR etc. (active) fail; images and media (passive) warn.
+ *
+ * The aggregator audits each main_frame packet and counts mixed content per
+ * planet; `buildSecurityReport` turns that into the checklist shown in the
+ * planet panel and the failure count behind the viz4d warning halo.
+ */
+
+export const STATUS = {
+    PASS: 'pass',
+    WARN: 'warn',
+    FAIL: 'fail',
+    NA: 'na'
+};
+
+const HSTS_RECOMMENDED_SECONDS = 180 * 24 * 60 * 60;
+const PASSIVE_TYPES = ['image', 'media'];
+const MAX_MIXED_URLS = 20;
+
+function check(id, label, status, detail) {
+    return { id, label, status, detail };
+}
+
+// All values of a header, one per occurrence
+function headerValues(headers, name) {
+    return (headers || [])
+        .filter(h => (h.name || '').toLowerCase() === name && h.value)
+        .map(h => h.value);
+}
+
+function protocolOf(urlStr) {
+    try {
+        return new URL(urlStr).protocol;
+    } catch (e) {
+        return '';
+    }
+}
+
+/**
+ * Parse a CSP header value into Map<directive, sources[]>. Several policies
+ * (separate headers or comma-joined) are merged; the first directive wins.
+ */
+export function parseCsp(values) {
+    const directives = new Map();
+    values.flatMap(v => v.split(',')).forEach(policy => {
+        policy.split(';').forEach(part => {
+            const [name, ...sources] = part.trim().split(/\s+/);
+            if (!name) return;
+            const key = name.toLowerCase();
+            if (!directives.has(key)) directives.set(key, sources.map(s => s.toLowerCase()));
+        });
+    });
+    return directives;
+}
+
+function auditCsp(headers) {
+    const enforced = headerValues(headers, 'content-security-policy');
+    const reportOnly = headerValues(headers, 'content-security-policy-report-only');
+    if (!enforced.length) {
+        return reportOnly.length
+            ? check('csp', 'Content-Security-Policy', STATUS.WARN, 'Report-only policy; nothing is enforced')
+            : check('csp', 'Content-Security-Policy', STATUS.FAIL, 'No policy; any injected script will run');
+    }
+
+    const csp = parseCsp(enforced);
+    const scriptSources = csp.get('script-src') || csp.get('default-src');
+    if (!scriptSources) return check('csp', 'Content-Security-Policy', STATUS.WARN, 'Policy sets neither script-src nor default-src');
+
+    // A nonce, hash or strict-dynamic makes browsers ignore 'unsafe-inline'
+    const hasNonceOrHash = scriptSources.some(s => /^'(nonce-|sha256-|sha384-|sha512-|strict-dynamic)/.test(s));
+    const weaknesses = [];
+    if (scriptSources.includes("'unsafe-inline'") && !hasNonceOrHash) weaknesses.push("'unsafe-inline'");
+    if (scriptSources.includes("'unsafe-eval'")) weaknesses.push("'unsafe-eval'");
+    const wildcards = scriptSources.filter(s => s === '*' || s === 'http:' || s === 'https:' || s === 'data:');
+    if (wildcards.length) weaknesses.push(`wildcard sources (${wildcards.join(' ')})`);
+
+    return weaknesses.length
+        ? check('csp', 'Content-Security-Policy', STATUS.WARN, `Scripts allow ${weaknesses.join(', ')}`)
+        : check('csp', 'Content-Security-Policy', STATUS.PASS, 'Script sources are restricted');
+}
+
+function auditHsts(headers, https) {
+    if (!https) return check('hsts', 'Strict-Transport-Security', STATUS.NA, 'Only honoured over HTTPS');
+    const value = headerValues(headers, 'strict-transport-security')[0];
+    if (!value) return check('hsts', 'Strict-Transport-Security', STATUS.WARN, 'Not sent; first visits can be downgraded to HTTP');
+    const match = /max-age\s*=\s*"?(\d+)/i.exec(value);
+    const maxAge = match ? parseInt(match[1], 10) : 0;
+    if (maxAge === 0) return check('hsts', 'Strict-Transport-Security', STATUS.FAIL, 'max-age=0 switches HSTS off');
+    const days = Math.floor(maxAge / 86400);
+    return maxAge < HSTS_RECOMMENDED_SECONDS
+        ? check('hsts', 'Strict-Transport-Security', STATUS.WARN, `max-age is ${days} days; 180+ recommended`)
+        : check('hsts', 'Strict-Transport-Security', STATUS.PASS, `max-age ${days} days${/includesubdomains/i.test(value) ? ', includeSubDomains' : ''}`);
+}
+
+function auditFraming(headers) {
+    const ancestors = parseCsp(headerValues(headers, 'content-security-policy')).get('frame-ancestors');
+    if (ancestors) {
+        return ancestors.includes('*')
+            ? check('framing', 'Framing protection', STATUS.WARN, 'frame-ancestors allows any site')
+            : check('framing', 'Framing protection', STATUS.PASS, `frame-ancestors ${ancestors.join(' ') || "'none'"}`);
+    }
+    const xfo = (headerValues(headers, 'x-frame-options')[0] || '').trim().toUpperCase();
+    if (xfo === 'DENY' || xfo === 'SAMEORIGIN') return check('framing', 'Framing protection', STATUS.PASS, `X-Frame-Options ${xfo}`);
+    return xfo
+        ? check('framing', 'Framing protection', STATUS.WARN, `X-Frame-Options ${xfo} is not supported by browsers`)
+        : check('framing', 'Framing protection', STATUS.WARN, 'Page can be framed by any site (clickjacking)');
+}
+
+function auditReferrer(headers) {
+    const values = headerValues(headers, 'referrer-policy');
+    // The last recognised token of a comma list is the one browsers apply
+    const policy = values.length ? values.join(',').split(',').map(s => s.trim().toLowerCase()).filter(Boolean).pop() : null;
+    if (!policy) return check('referrer', 'Referrer-Policy', STATUS.WARN, 'Not set; browser default applies');
+    if (policy === 'unsafe-url') return check('referrer', 'Referrer-Policy', STATUS.FAIL, 'unsafe-url sends full URLs everywhere');
+    if (policy === 'no-referrer-when-downgrade') return check('referrer', 'Referrer-Policy', STATUS.WARN, 'Full URLs go to every HTTPS site');
+    return check('referrer', 'Referrer-Policy', STATUS.PASS, policy);
+}
+
+function auditPermissions(headers) {
+    return headerValues(headers, 'permissions-policy').length
+        ? check('permissions', 'Permissions-Policy', STATUS.PASS, 'Browser features are restricted')
+        : check('permissions', 'Permissions-Policy', STATUS.WARN, 'Not set; embedded frames may request any feature');
+}
+
+/**
+ * Header checks for one main_frame response.
+ */
+export function auditResponseHeaders(url, headers) {
+    const https = protocolOf(url) === 'https:';
+    return [
+        https
+            ? check('https', 'HTTPS', STATUS.PASS, 'Page served over HTTPS')
+            : check('https', 'HTTPS', STATUS.FAIL, 'Page served over plain HTTP'),
+        auditCsp(headers),
+        auditHsts(headers, https),
+        auditFraming(headers),
+        auditReferrer(headers),
+        auditPermissions(headers)
+    ];
+}
+
+export function createMixedContent() {
+    return { active: 0, passive: 0, urls: [] };
+}
+
+/**
+ * Count `packet` into `mixed` if it is an insecure subrequest of `pageUrl`.
+ */
+export function recordMixedContent(mixed, pageUrl, packet) {
+    if (protocolOf(pageUrl) !== 'https:') return;
+    const protocol = protocolOf(packet.url);
+    if (protocol !== 'http:' && protocol !== 'ws:') return;
+    if (PASSIVE_TYPES.includes(packet.type)) mixed.passive++;
+    else mixed.active++;
+    if (mixed.urls.length < MAX_MIXED_URLS) mixed.urls.push(packet.url);
+}
+
+function auditMixed(mixed, https) {
+    if (!https) return check('mixed', 'Mixed content', STATUS.NA, 'Page is not HTTPS');
+    if (mixed.active > 0) return check('mixed', 'Mixed content', STATUS.FAIL, `${mixed.active} active and ${mixed.passive} passive http subrequest(s)`);
+    if (mixed.passive > 0) return check('mixed', 'Mixed content', STATUS.WARN, `${mixed.passive} passive http subrequest(s) (images / media)`);
+    return check('mixed', 'Mixed content', STATUS.PASS, 'All subrequests are secure');
+}
+
+/**
+ * Checklist for a planet, or null before its main_frame has been seen.
+ * `audit` is { url, checks } from the navigation, `mixed` the running counts.
+ */
+export function buildSecurityReport(audit, mixed) {
+    if (!audit) return null;
+    const checks = [...audit.checks, auditMixed(mixed || createMixedContent(), protocolOf(audit.url) === 'https:')];
+    const count = (status) => checks.filter(c => c.status === status).length;
+    return {
+        url: audit.url,
+        checks,
+        failed: count(STATUS.FAIL),
+        warnings: count(STATUS.WARN),
+        passed: count(STATUS.PASS),
+        mixedContent: mixed ? mixed.urls.slice() : []
+    };
+}
@@ -0,0 +1,283 @@
+/**
+ * state_delta.js
+ * Versioned deltas of the universeState, so the state stream carries what
+ * changed since the last tick rather than the whole tree every 200ms.
+ *
+ * The state is flattened into nodes keyed by
+ *   planets     `p:<tabId>`
+ *   satellites  `s:<tabId>/<domain>`  (cluster moons included)
+ *   asteroids   `a:<beltId>|<domain>`
+ * A planet's `children` become the list of its satellite keys, so moons
+ * reordering or joining / leaving the cluster moon show up as a change to
+ * the planet (plus the cluster's new label and memberCount). Top-level
+ * fields (timestamp, belts, anomalies, replay, and the planet / asteroid key
+ * lists) are compared as a whole.
+ *
+ * Messages:
+ *   { kind: 'keyframe', version, state }
+ *   { kind: 'delta', version, base, added: [[key, node]], removed: [key],
+ *     updated: [[key, changes]], top: { set, unset } }
+ * `changes` holds only the fields that changed - for `metrics`, only the
+ * changed metrics - and `$unset` for fields that went away (an expired
+ * `anomaly`). Values are absolute, so applying a delta twice is harmless.
+ * A keyframe goes out every KEYFRAME_INTERVAL versions, and on demand when a
+ * page subscribes or falls behind (streams.js).
+ *
+ * DeltaDecoder rebuilds the state on the page and reports which planets
+ * changed, so the renderers only touch those.
+ */
+
+import { subscribe, requestSnapshot, STREAMS } from './streams.js';
+
+export const KEYFRAME_INTERVAL = 50; // 10s of 200ms ticks
+
+function flatten(state) {
+    const nodes = new Map();
+    const planetKeys = (state.domains || []).map(planet => {
+        const key = `p:${planet.id}`;
+        const childKeys = (planet.children || []).map(child => {
+            const childKey = `s:${planet.id}/${child.id}`;
+            nodes.set(childKey, child);
+            return childKey;
+        });
+        nodes.set(key, { ...planet, children: childKeys });
+        return key;
+    });
+    const asteroidKeys = (state.interstellar || []).map(node => {
+        const key = `a:${node.belt ? node.belt.id : ''}|${node.id}`;
+        nodes.set(key, node);
+        return key;
+    });
+    const { domains, interstellar, ...top } = state;
+    return { nodes, top: { ...top, planetKeys, asteroidKeys } };
+}
+
+// What a node looked like at the last encode: fields serialized, metrics copied
+function recordNode(node) {
+    const fields = {};
+    Object.keys(node).forEach(name => {
+        if (name !== 'metrics') fields[name] = JSON.stringify(node[name]);
+    });
+    return { fields, metrics: { ...node.metrics } };
+}
+
+function diffNode(before, node) {
+    const changes = {};
+    let changed = false;
+    Object.keys(node).forEach(name => {
+        if (name === 'metrics') {
+            const metrics = {};
+            Object.keys(node.metrics).forEach(metric => {
+                if (node.metrics[metric] !== before.metrics[metric]) metrics[metric] = node.metrics[metric];
+            });
+            if (Object.keys(metrics).length > 0) {
+                changes.metrics = metrics;
+                changed = true;
+            }
+        } else if (JSON.stringify(node[name]) !== before.fields[name]) {
+            changes[name] = node[name];
+            changed = true;
+        }
+    });
+    const unset = Object.keys(before.fields).filter(name => !(name in node));
+    if (unset.length > 0) {
+        changes.$unset = unset;
+        changed = true;
+    }
+    return changed ? changes : null;
+}
+
+function planetIdOf(key) {
+    if (key.startsWith('p:')) return key.slice(2);
+    if (key.startsWith('s:')) return key.slice(2, key.indexOf('/'));
+    return null;
+}
+
+/**
+ * Worker side: turns each new universeState into a keyframe or a delta
+ * against the previous one.
+ */
+export class DeltaEncoder {
+    constructor({ keyframeInterval = KEYFRAME_INTERVAL } = {}) {
+        this.keyframeInterval = keyframeInterval;
+        this.version = 0;
+        this.lastKeyframe = 0;
+        this.current = null; // latest state
+        this.previous = null; // { nodes: Map<key, record>, top: { field: json } } at the last encode
+    }
+
+    encode(state) {
+        const flat = flatten(state);
+        this.version++;
+        this.current = state;
+        const message = !this.previous || this.version - this.lastKeyframe >= this.keyframeInterval
+            ? this.keyframe()
+            : this.diff(flat);
+        const nodes = new Map();
+        flat.nodes.forEach((node, key) => nodes.set(key, recordNode(node)));
+        const top = {};
+        Object.keys(flat.top).forEach(name => { top[name] = JSON.stringify(flat.top[name]); });
+        this.previous = { nodes, top };
+        return message;
+    }
+
+    // Track the state without diffing it (nobody is listening); the next
+    // encode starts over with a keyframe
+    hold(state) {
+        this.version++;
+        this.current = state;
+        this.previous = null;
+    }
+
+    keyframe() {
+        if (!this.current) return null;
+        this.lastKeyframe = this.version;
+        return { kind: 'keyframe', version: this.version, state: this.current };
+    }
+
+    diff(flat) {
+        const added = [];
+        const updated = [];
+        flat.nodes.forEach((node, key) => {
+            const before = this.previous.nodes.get(key);
+            if (!before) {
+                added.push([key, node]);
+                return;
+            }
+            const changes = diffNode(before, node);
+            if (changes) updated.push([key, changes]);
+        });
+        const removed = [];
+        this.previous.nodes.forEach((record, key) => {
+            if (!flat.nodes.has(key)) removed.push(key);
+        });
+        const set = {};
+        Object.keys(flat.top).forEach(name => {
+            if (JSON.stringify(flat.top[name]) !== this.previous.top[name]) set[name] = flat.top[name];
+        });
+        const unset = Object.keys(this.previous.top).filter(name => !(name in flat.top));
+        return { kind: 'delta', version: this.version, base: this.version - 1, added, removed, updated, top: { set, unset } };
+    }
+}
+
+/**
+ * Page side: applies keyframes and deltas. `apply` returns
+ * { state, changes } or null when a delta doesn't follow the version held
+ * (a keyframe is needed). `changes` is { keyframe, planets: Set of changed
+ * planet ids, removedPlanets: [id], interstellar: bool }.
+ */
+export class DeltaDecoder {
+    constructor() {
+        this.version = null;
+        this.nodes = new Map();
+        this.top = null;
+        this.built = new Map(); // Map<planetKey, planet with children> reused while unchanged
+        this.state = null;
+    }
+
+    apply(message) {
+        if (!message) return null;
+        if (message.kind === 'keyframe') {
+            const flat = flatten(message.state);
+            this.nodes = flat.nodes;
+            this.top = flat.top;
+            this.built.clear();
+            this.version = message.version;
+            this.state = this.build();
+            return { state: this.state, changes: { keyframe: true, planets: new Set(), removedPlanets: [], interstellar: true } };
+        }
+        if (message.kind !== 'delta' || message.base !== this.version) return null;
+
+        const changes = { keyframe: false, planets: new Set(), removedPlanets: [], interstellar: false };
+        const touch = (key) => {
+            const planetId = planetIdOf(key);
+            if (planetId !== null) changes.planets.add(planetId);
+            else changes.interstellar = true;
+        };
+        message.removed.forEach(key => {
+            if (key.startsWith('p:')) changes.removedPlanets.push(this.nodes.get(key).id);
+            else touch(key);
+            this.nodes.delete(key);
+            this.built.delete(key);
+        });
+        message.added.forEach(([key, node]) => {
+            this.nodes.set(key, node);
+            touch(key);
+        });
+        message.updated.forEach(([key, fields]) => {
+            const before = this.nodes.get(key);
+            if (!before) return;
+            // Copy rather than mutate: views may still hold the previous state
+            const { $unset, metrics, ...rest } = fields;
+            const node = { ...before, ...rest };
+            if (metrics) node.metrics = { ...before.metrics, ...metrics };
+            ($unset || []).forEach(name => { delete node[name]; });
+            this.nodes.set(key, node);
+            touch(key);
+        });
+        const top = { ...this.top, ...message.top.set };
+        message.top.unset.forEach(name => { delete top[name]; });
+        if ('asteroidKeys' in message.top.set || 'belts' in message.top.set) changes.interstellar = true;
+        this.top = top;
+
+        // Report the planets' own ids (tab ids are numbers) rather than key text
+        const planets = new Set();
+        changes.planets.forEach(id => {
+            const key = `p:${id}`;
+            this.built.delete(key);
+            if (this.nodes.has(key)) planets.add(this.nodes.get(key).id);
+        });
+        changes.planets = planets;
+        this.version = message.version;
+        this.state = this.build();
+        return { state: this.state, changes };
+    }
+
+    build() {
+        const { planetKeys, asteroidKeys, ...top } = this.top;
+        const domains = planetKeys.map(key => {
+            if (!this.built.has(key)) {
+                const planet = this.nodes.get(key);
+                this.built.set(key, { ...planet, children: planet.children.map(childKey => this.nodes.get(childKey)) });
+            }
+            return this.built.get(key);
+        });
+        return { ...top, domains, interstellar: asteroidKeys.map(key => this.nodes.get(key)) };
+    }
+}
+
+// --- One decoded state subscription per page, shared by the views ---
+
+const decoder = new DeltaDecoder();
+const stateHandlers = new Set();
+let unsubscribeStream = null;
+
+function receive(message) {
+    const result = decoder.apply(message);
+    if (!result) {
+        // Missed a version: wait for a keyframe
+        requestSnapshot(STREAMS.STATE);
+        return;
+    }
+    stateHandlers.forEach(handler => handler(result.state, result.changes));
+}
+
+/**
+ * Call `handler(state, changes)` with each decoded universeState. A view
+ * that subscribes late starts from the current state as a keyframe.
+ */
+export function subscribeState(handler) {
+    stateHandlers.add(handler);
+    if (!unsubscribeStream) {
+        unsubscribeStream = subscribe(STREAMS.STATE, receive);
+    } else if (decoder.state) {
+        handler(decoder.state, { keyframe: true, planets: new Set(), removedPlanets: [], interstellar: true });
+    }
+    return () => {
+        stateHandlers.delete(handler);
+        if (stateHandlers.size === 0 && unsubscribeStream) {
+            unsubscribeStream();
+            unsubscribeStream = null;
+        }
+    };
+}
@@ -0,0 +1,217 @@
+/**
+ * streams.js
+ * Live data from the service worker to extension pages over a long-lived
+ * chrome.runtime port, instead of rewriting chrome.storage keys that every
+ * page then has to re-read and re-parse.
+ *
+ * Streams:
+ * - 'state':  universeState keyframes and deltas (state_delta.js).
+ * - 'points': new vectorizer points; the first message is the worker's
+ *             buffer of recent points.
+ * - 'replayPoints': the same for the points of a replay (replay.js),
+ *             which start over with an empty snapshot on load, seek and stop.
+ * - 'alerts': new alerts (oldest first); the first message is the alert log.
+ *
+ * Protocol, on a port named 'streams':
+ *   page -> worker  { op: 'subscribe', streams } | { op: 'unsubscribe', streams } | { op: 'ack', seq }
+ *   worker -> page  { op: 'data', stream, seq, snapshot, dropped, payload }
+ * `snapshot` marks a payload that replaces what the page has rather than
+ * extending it; one is sent for every subscribe (a page can subscribe again
+ * to ask for a fresh one).
+ *
+ * Backpressure: the worker keeps at most `maxInFlight` unacknowledged
+ * messages per page, and pages ack each message once its handlers have run.
+ * Updates for a page that is behind wait in one slot per stream: 'state'
+ * deltas can't be skipped, so a second one arriving while the first still
+ * waits replaces both with a fresh snapshot (a keyframe of the newest state);
+ * 'points' / 'replayPoints' / 'alerts' are concatenated up to their limit, with the overflow
+ * counted in `dropped`.
+ *
+ * chrome.storage is left for what has to survive restarts: settings,
+ * counters and the alert / anomaly / exfiltration logs.
+ */
+
+import { logger } from './logger.js';
+
+export const STREAM_PORT = 'streams';
+
+export const STREAMS = {
+    STATE: 'state',
+    POINTS: 'points',
+    REPLAY_POINTS: 'replayPoints',
+    ALERTS: 'alerts'
+};
+
+const STREAM_CONFIG = {
+    state: { mode: 'resync' },
+    points: { mode: 'append', limit: 2500 },
+    replayPoints: { mode: 'append', limit: 2500 },
+    alerts: { mode: 'append', limit: 200 }
+};
+
+export const MAX_IN_FLIGHT = 2;
+const RECONNECT_MS = 1000;
+
+// Keep the newest `limit` items, reporting how many were cut
+function capped(items, limit) {
+    const dropped = Math.max(0, items.length - limit);
+    return { items: dropped ? items.slice(dropped) : items, dropped };
+}
+
+/**
+ * Worker side: accepts page connections and fans published updates out to
+ * the pages subscribed to each stream.
+ */
+export class StreamHub {
+    constructor({ maxInFlight = MAX_IN_FLIGHT } = {}) {
+        this.maxInFlight = maxInFlight;
+        this.subscribers = new Set(); // { port, streams: Set, inFlight, seq, pending: Map<stream, entry> }
+        this.snapshots = new Map(); // Map<stream, () => payload>
+    }
+
+    listen(runtime = chrome.runtime) {
+        runtime.onConnect.addListener((port) => {
+            if (port.name === STREAM_PORT) this.accept(port);
+        });
+    }
+
+    // Where the first message of a subscription comes from
+    provideSnapshot(stream, getPayload) {
+        this.snapshots.set(stream, getPayload);
+    }
+
+    accept(port) {
+        const subscriber = { port, streams: new Set(), inFlight: 0, seq: 0, pending: new Map() };
+        this.subscribers.add(subscriber);
+        port.onMessage.addListener((message) => this.handle(subscriber, message));
+        port.onDisconnect.addListener(() => this.subscribers.delete(subscriber));
+    }
+
+    handle(subscriber, message) {
+        if (!message) return;
+        const streams = (message.streams || []).filter(stream => STREAM_CONFIG[stream]);
+        if (message.op === 'subscribe') {
+            streams.forEach(stream => {
+                subscriber.streams.add(stream);
+                const getPayload = this.snapshots.get(stream);
+                const payload = getPayload ? getPayload() : null;
+                if (payload !== null && payload !== undefined) this.enqueue(subscriber, stream, payload, true);
+            });
+        } else if (message.op === 'unsubscribe') {
+            streams.forEach(stream => {
+                subscriber.streams.delete(stream);
+                subscriber.pending.delete(stream);
+            });
+        } else if (message.op === 'ack') {
+            subscriber.inFlight = Math.max(0, subscriber.inFlight - 1);
+            this.flush(subscriber);
+        }
+    }
+
+    hasSubscribers(stream) {
+        for (const subscriber of this.subscribers) {
+            if (subscriber.streams.has(stream)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Send `payload` to every page subscribed to `stream`. For append streams
+     * the payload is an array of new items; `snapshot` replaces them instead.
+     */
+    publish(stream, payload, { snapshot = false } = {}) {
+        this.subscribers.forEach(subscriber => {
+            if (subscriber.streams.has(stream)) this.enqueue(subscriber, stream, payload, snapshot);
+        });
+    }
+
+    enqueue(subscriber, stream, payload, snapshot) {
+        const config = STREAM_CONFIG[stream];
+        const queued = subscriber.pending.get(stream);
+        if (config.mode === 'resync') {
+            const getPayload = this.snapshots.get(stream);
+            const resync = queued && !snapshot && getPayload;
+            subscriber.pending.set(stream, resync
+                ? { payload: getPayload(), snapshot: true, dropped: queued.dropped + 1 }
+                : { payload, snapshot, dropped: queued ? queued.dropped + 1 : 0 });
+        } else if (!queued || snapshot) {
+            const { items, dropped } = capped(payload, config.limit);
+            subscriber.pending.set(stream, { payload: items, snapshot, dropped });
+        } else {
+            const { items, dropped } = capped(queued.payload.concat(payload), config.limit);
+            subscriber.pending.set(stream, { payload: items, snapshot: queued.snapshot, dropped: queued.dropped + dropped });
+        }
+        this.flush(subscriber);
+    }
+
+    flush(subscriber) {
+        while (subscriber.inFlight < this.maxInFlight && subscriber.pending.size > 0) {
+            const [stream, entry] = subscriber.pending.entries().next().value;
+            subscriber.pending.delete(stream);
+            subscriber.inFlight++;
+            try {
+                subscriber.port.postMessage({ op: 'data', stream, seq: ++subscriber.seq, snapshot: entry.snapshot, dropped: entry.dropped, payload: entry.payload });
+            } catch (e) {
+                // The page went away between its disconnect and our send
+                this.subscribers.delete(subscriber);
+                return;
+            }
+        }
+    }
+}
+
+// --- Page side ---
+
+let port = null;
+const handlers = new Map(); // Map<stream, Set<handler>>
+
+function connect() {
+    port = chrome.runtime.connect({ name: STREAM_PORT });
+    port.onMessage.addListener((message) => {
+        if (!message || message.op !== 'data') return;
+        const info = { snapshot: message.snapshot, dropped: message.dropped };
+        (handlers.get(message.stream) || new Set()).forEach(handler => {
+            try {
+                handler(message.payload, info);
+            } catch (e) {
+                logger.error(`Stream handler for ${message.stream} failed`, e);
+            }
+        });
+        if (port) port.postMessage({ op: 'ack', seq: message.seq });
+    });
+    port.onDisconnect.addListener(() => {
+        port = null;
+        // The service worker was stopped or restarted: subscribe again once it is back
+        setTimeout(() => {
+            if (port || handlers.size === 0) return;
+            connect();
+            port.postMessage({ op: 'subscribe', streams: Array.from(handlers.keys()) });
+        }, RECONNECT_MS);
+    });
+}
+
+// Ask the worker to send `stream`'s snapshot again (e.g. after a gap in deltas)
+export function requestSnapshot(stream) {
+    if (port && handlers.has(stream)) port.postMessage({ op: 'subscribe', streams: [stream] });
+}
+
+/**
+ * Call `handler(payload, { snapshot, dropped })` for each message on
+ * `stream`. Every subscribe starts with a snapshot, so a second view on the
+ * same stream gets a full picture too. Returns an unsubscribe function.
+ */
+export function subscribe(stream, handler) {
+    if (!handlers.has(stream)) handlers.set(stream, new Set());
+    handlers.get(stream).add(handler);
+    if (!port) connect();
+    port.postMessage({ op: 'subscribe', streams: [stream] });
+
+    return () => {
+        const set = handlers.get(stream);
+        if (!set) return;
+        set.delete(handler);
+        if (set.size > 0) return;
+        handlers.delete(stream);
+        if (port) port.postMessage({ op: 'unsubscribe', streams: [stream] });
+    };
+}
@@ -0,0 +1,271 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+// aggregator.js is an ES module (the extension loads it natively)
+let UniverseAggregator;
+let JsUniverseCore;
+
+before(async () => {
+  const { logger } = await import('../logger.js');
+  logger.setLevel(4); // NONE
+  ({ UniverseAggregator } = await import('../aggregator.js'));
+  ({ JsUniverseCore } = await import('../universe_core.js'));
+});
+
+function packet(overrides = {}) {
+  return {
+    url: 'https://example.com/index.html',
+    method: 'GET',
+    statusCode: 200,
+    type: 'script',
+    tabId: 7,
+    responseContentLength: 100,
+    requestContentLength: 0,
+    ...overrides,
+  };
+}
+
+test('creates one planet per tab with the packet domain as satellite', () => {
+  const agg = UniverseAggregator.deterministic();
+  agg.addPacket(packet({ url: 'https://example.com/a.js' }));
+  agg.addPacket(packet({ url: 'https://cdn.example.net/b.js' }));
+  agg.addPacket(packet({ url: 'https://cdn.example.net/c.js' }));
+
+  const state = agg.getState();
+  assert.equal(state.domains.length, 1);
+  const planet = state.domains[0];
+  assert.equal(planet.id, '7');
+  assert.equal(planet.type, 'planet');
+  assert.equal(planet.metrics.frequency, 3);
+  assert.deepEqual(planet.children.map(c => c.id), ['example.com', 'example.net']);
+  assert.equal(planet.children[1].metrics.frequency, 2);
+  assert.equal(planet.children[1].metrics.volume, 200);
+});
+
+test('groups satellites by registrable domain', () => {
+  const agg = UniverseAggregator.deterministic();
+  agg.addPacket(packet({ url: 'https://www.bbc.co.uk/news', type: 'main_frame' }));
+  agg.addPacket(packet({ url: 'https://static.files.bbc.co.uk/app.js' }));
+  agg.addPacket(packet({ url: 'https://cdn.example.co.uk/lib.js' }));
+
+  const planet = agg.getState().domains[0];
+  assert.equal(planet.label, 'bbc.co.uk');
+  assert.deepEqual(planet.children.map(c => c.id), ['bbc.co.uk', 'example.co.uk']);
+  assert.equal(planet.children[0].metrics.frequency, 2);
+});
+
+test('main_frame navigations relabel the planet, subresources do not', () => {
+  const agg = UniverseAggregator.deterministic();
+  agg.addPacket(packet({ url: 'https://cdn.example.net/early.js' }));
+  assert.equal(agg.getState().domains[0].label, 'example.net');
+
+  agg.addPacket(packet({ url: 'https://news.example.org/', type: 'main_frame' }));
+  assert.equal(agg.getState().domains[0].label, 'example.org');
+
+  agg.addPacket(packet({ url: 'https://ads.example.com/pixel.gif', type: 'image' }));
+  const planet = agg.getState().domains[0];
+  assert.equal(planet.id, '7');
+  assert.equal(planet.label, 'example.org');
+});
+
+test('traffic without a tab is routed to interstellar', () => {
+  const agg = UniverseAggregator.deterministic();
+  agg.addPacket(packet({ tabId: -1, url: 'https://update.example.com/check' }));
+  agg.addPacket(packet({ tabId: undefined, url: 'https://update.example.com/check' }));
+
+  const state = agg.getState();
+  assert.equal(state.domains.length, 0);
+  assert.equal(state.interstellar.length, 1);
+  assert.equal(state.interstellar[0].type, 'asteroid');
+  assert.equal(state.interstellar[0].metrics.frequency, 2);
+});
+
+test('splits interstellar traffic into attributed belts', () => {
+  const agg = UniverseAggregator.deterministic();
+  agg.addPacket(packet({ tabId: -1, url: 'https://cdn.example.net/a.js', initiator: 'https://mail.example.org' }));
+  agg.addPacket(packet({ tabId: -1, url: 'https://api.example.org/sync', initiator: 'https://mail.example.org' }));
+  agg.addPacket(packet({ tabId: -1, url: 'https://cdn.example.net/b.js', initiator: 'chrome-extension://abcdefghijklmnop' }));
+  agg.addPacket(packet({ tabId: -1, url: 'https://update.googleapis.com/check' }));
+  agg.addPacket(packet({ tabId: -1, url: 'https://mystery.test/ping' }));
+
+  const state = agg.getState();
+  // The same domain reached from two belts is two asteroids
+  assert.deepEqual(state.interstellar.map(n => `${n.belt.id}/${n.id}`),
+    ['sw:example.org/example.net', 'sw:example.org/example.org', 'extension/example.net', 'browser/update.googleapis.com', 'unknown/mystery.test']);
+  assert.deepEqual(state.belts.map(b => [b.id, b.members, b.frequency]), [
+    ['sw:example.org', 2, 2],
+    ['extension', 1, 1],
+    ['browser', 1, 1],
+    ['unknown', 1, 1]
+  ]);
+  assert.equal(state.belts[0].label, 'Service workers of example.org');
+});
+
+test('prunes nodes once they fall outside the window, keeping the boundary', () => {
+  const agg = UniverseAggregator.deterministic(60000, 1000);
+  agg.addPacket(packet({ url: 'https://old.example.com/' }));
+  agg.addPacket(packet({ tabId: -1, url: 'https://bg.example.com/' }));
+  agg.clock.advance(30000);
+  agg.addPacket(packet({ url: 'https://fresh.example.org/' }));
+
+  // Exactly windowDurationMs after the first packets: still inside
+  agg.clock.set(1000 + 60000);
+  let state = agg.getState();
+  assert.deepEqual(state.domains[0].children.map(c => c.id), ['example.com', 'example.org']);
+  assert.equal(state.interstellar.length, 1);
+
+  // One millisecond later the old satellite and the asteroid are gone
+  agg.clock.advance(1);
+  state = agg.getState();
+  assert.deepEqual(state.domains[0].children.map(c => c.id), ['example.org']);
+  assert.equal(state.interstellar.length, 0);
+
+  // The planet itself goes once its last packet ages out
+  agg.clock.set(1000 + 30000 + 60000 + 1);
+  assert.equal(agg.getState().domains.length, 0);
+});
+
+test('coagulates the smallest satellites into a cluster moon', () => {
+  const agg = UniverseAggregator.deterministic();
+  agg.setConfig({ maxSatellitesPerPlanet: 2 });
+  const volumes = { 'a.example': 500, 'b.example': 400, 'c.example': 30, 'd.example': 20 };
+  for (const [host, volume] of Object.entries(volumes)) {
+    agg.addPacket(packet({ url: `https://${host}/`, responseContentLength: volume }));
+    agg.clock.advance(10);
+  }
+
+  const planet = agg.getState().domains[0];
+  assert.deepEqual(planet.children.map(c => c.id), ['a.example', 'b.example', '7-cluster']);
+  const cluster = planet.children[2];
+  assert.equal(cluster.label, '+2 Others');
+  assert.equal(cluster.metrics.frequency, 2);
+  assert.equal(cluster.metrics.volume, 50);
+  assert.equal(cluster.metrics.lastActive, 30); // latest member, not "now"
+
+  // The underlying tree is untouched by coagulation
+  assert.equal(agg.tabs.get(7).children.length, 4);
+});
+
+test('deterministic mode yields identical state for identical input', () => {
+  const feed = (agg) => {
+    agg.setConfig({ maxSatellitesPerPlanet: 1 });
+    [3, 1, 2].forEach(tabId => {
+      ['x.example', 'y.example', 'z.example'].forEach(host => {
+        agg.addPacket(packet({ tabId, url: `https://${host}/`, responseContentLength: 10 }));
+        agg.clock.advance(5);
+      });
+    });
+    return agg.getState();
+  };
+
+  const first = feed(UniverseAggregator.deterministic());
+  const second = feed(UniverseAggregator.deterministic());
+  assert.deepEqual(first, second);
+  assert.deepEqual(first.domains.map(d => d.id), ['1', '2', '3']);
+  // Equal volume and frequency: ties resolve by id
+  assert.equal(first.domains[0].children[0].id, 'x.example');
+});
+
+test('classifies satellites by party and reports third-party ratios', () => {
+  const agg = UniverseAggregator.deterministic();
+  agg.addPacket(packet({ url: 'https://www.google.com/', type: 'main_frame' }));
+  agg.addPacket(packet({ url: 'https://fonts.gstatic.com/font.woff2' }));
+  agg.addPacket(packet({ url: 'https://cdn.tracker.example/t.js' }));
+  agg.addPacket(packet({ url: 'https://cdn.tracker.example/t2.js' }));
+
+  const planet = agg.getState().domains[0];
+  const parties = Object.fromEntries(planet.children.map(c => [c.id, c.party]));
+  assert.deepEqual(parties, {
+    'google.com': 'first-party',
+    'gstatic.com': 'same-org',
+    'tracker.example': 'third-party',
+  });
+  assert.equal(planet.parties.thirdParty, 1);
+  assert.equal(planet.parties.thirdPartyRatio, 1 / 3);
+  assert.equal(planet.parties.thirdPartyRequestRatio, 2 / 4);
+});
+
+test('reclassifies moons when the planet navigates to another site', () => {
+  const agg = UniverseAggregator.deterministic();
+  agg.addPacket(packet({ url: 'https://example.com/', type: 'main_frame' }));
+  agg.addPacket(packet({ url: 'https://example.org/' }));
+  assert.equal(agg.getState().domains[0].children[1].party, 'third-party');
+
+  agg.addPacket(packet({ url: 'https://example.org/', type: 'main_frame' }));
+  const moons = agg.getState().domains[0].children;
+  assert.equal(moons.find(c => c.id === 'example.org').party, 'first-party');
+  assert.equal(moons.find(c => c.id === 'example.com').party, 'third-party');
+});
+
+test('unions packet categories per satellite and counts them per planet', () => {
+  const agg = UniverseAggregator.deterministic();
+  agg.addPacket(packet({ url: 'https://example.com/', type: 'main_frame' }));
+  agg.addPacket(packet({ url: 'https://ads.example.net/a.js', categories: ['advertising'] }));
+  agg.addPacket(packet({ url: 'https://px.example.net/p.gif', categories: ['analytics', 'advertising'] }));
+
+  const planet = agg.getState().domains[0];
+  assert.deepEqual(planet.children.find(c => c.id === 'example.net').categories, ['advertising', 'analytics']);
+  assert.deepEqual(planet.children.find(c => c.id === 'example.com').categories, []);
+  assert.deepEqual(planet.categoryCounts, { advertising: 1, analytics: 1 });
+});
+
+test('snapshot and restore carry nodes over, live ones winning', () => {
+  const before = UniverseAggregator.deterministic(60000, 1000);
+  before.addPacket(packet({ url: 'https://news.test/', type: 'main_frame' }));
+  before.addPacket(packet({ tabId: 9, url: 'https://mail.test/', type: 'main_frame' }));
+  before.addPacket(packet({ tabId: -1, url: 'https://update.googleapis.com/x' }));
+  const snapshot = before.snapshot();
+
+  const after = UniverseAggregator.deterministic(60000, 1000);
+  after.addPacket(packet({ tabId: 9, url: 'https://docs.test/', type: 'main_frame' }));
+  after.restore(snapshot);
+  after.restore(null);
+
+  const state = after.getState();
+  assert.deepEqual(state.domains.map(p => [p.id, p.label]), [['7', 'news.test'], ['9', 'docs.test']]);
+  assert.equal(state.interstellar.length, 1);
+  assert.equal(state.domains[0].metrics.frequency, 1);
+
+  before.addPacket(packet({ url: 'https://news.test/more' }));
+  assert.equal(after.getState().domains[0].metrics.frequency, 1, 'the snapshot is a copy');
+});
+
+test('releases the interned key ids of pruned nodes', () => {
+  const agg = UniverseAggregator.deterministic(1000, 0);
+  for (let round = 0; round < 20; round++) {
+    for (let i = 0; i < 100; i++) {
+      agg.addPacket(packet({ url: `https://site${round}-${i}.test/`, type: i === 0 ? 'main_frame' : 'script' }));
+      agg.addPacket(packet({ tabId: -1, url: `https://bg${round}-${i}.test/` }));
+    }
+    agg.clock.advance(2000);
+    agg.getState();
+  }
+  // The last round is still in its window until the next prune
+  assert.ok(agg.keyIds.size <= 201, `${agg.keyIds.size} ids interned`);
+  assert.ok(agg.nextKeyId <= 2 * 201, `${agg.nextKeyId} ids handed out for 4000 domains`);
+
+  agg.clock.advance(2000);
+  assert.equal(agg.getState().domains.length, 0);
+  assert.equal(agg.keyIds.size, 0);
+
+  // Reused ids still find their own nodes
+  agg.addPacket(packet({ url: 'https://again.test/' }));
+  agg.addPacket(packet({ url: 'https://cdn.again.test/x.js' }));
+  agg.addPacket(packet({ url: 'https://other.test/' }));
+  assert.deepEqual(agg.getState().domains[0].children.map(c => [c.id, c.metrics.frequency]), [['again.test', 2], ['other.test', 1]]);
+});
+
+test('counts the packets a full core has no room for', () => {
+  const agg = UniverseAggregator.deterministic();
+  agg.useCore(new JsUniverseCore({ capacity: 4 }));
+  agg.addPacket(packet({ url: 'https://a.test/' }));
+  agg.addPacket(packet({ url: 'https://b.test/' }));
+  agg.addPacket(packet({ tabId: -1, url: 'https://c.test/' })); // needs a belt and an asteroid
+  agg.addPacket(packet({ tabId: 9, url: 'https://d.test/' }));
+  agg.addPacket(packet({ url: 'https://a.test/more' })); // existing rows still count
+  assert.equal(agg.dropped, 2);
+
+  const planet = agg.getState().domains[0];
+  assert.deepEqual(planet.children.map(c => [c.id, c.metrics.frequency]), [['a.test', 2], ['b.test', 1]]);
+  assert.equal(agg.getState().interstellar.length, 0);
+});
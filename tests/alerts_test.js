@@ -0,0 +1,98 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+let AlertEngine;
+let validateRule;
+let ManualClock;
+
+before(async () => {
+  ({ AlertEngine, validateRule } = await import('../alerts.js'));
+  ({ ManualClock } = await import('../clock.js'));
+});
+
+function engine(rules) {
+  const clock = new ManualClock(0);
+  const delivered = [];
+  const alerts = new AlertEngine({ clock, rules, onAlert: (alert, rule) => delivered.push({ alert, rule }) });
+  return { clock, alerts, delivered };
+}
+
+function packet(url, overrides = {}) {
+  return { url, type: 'script', tabId: 7, ...overrides };
+}
+
+test('rejects rules that cannot be evaluated', () => {
+  assert.throws(() => validateRule({ id: 'x', type: 'nope' }), /Unknown alert rule type/);
+  assert.throws(() => validateRule({ id: 'x', type: 'pattern' }), /needs a pattern/);
+  assert.throws(() => validateRule({ id: 'x', type: 'requestRate', threshold: 'many' }), /needs a threshold/);
+  assert.deepEqual(validateRule({ id: 'x', type: 'newHosts', threshold: 3 }), {
+    id: 'x', name: 'x', type: 'newHosts', enabled: true, notify: false, cooldownMs: 0, threshold: 3, windowMs: 60000,
+  });
+});
+
+test('fires on a burst of new hosts, then respects the cooldown', () => {
+  const { clock, alerts, delivered } = engine([
+    { id: 'burst', name: 'Burst', type: 'newHosts', threshold: 3, windowMs: 10000, cooldownMs: 60000, notify: true },
+  ]);
+  alerts.evaluatePacket(packet('https://site.test/', { type: 'main_frame' }));
+  alerts.evaluatePacket(packet('https://site.test/again.js')); // not new
+  ['a', 'b'].forEach(h => alerts.evaluatePacket(packet(`https://${h}.test/`)));
+  assert.equal(delivered.length, 0);
+
+  const [fired] = alerts.evaluatePacket(packet('https://c.test/'));
+  assert.equal(fired.message, 'site.test: 4 new hosts in 10s (limit 3)');
+  assert.equal(delivered[0].rule.notify, true);
+
+  clock.advance(1000);
+  assert.deepEqual(alerts.evaluatePacket(packet('https://d.test/')), []); // cooling down
+  clock.advance(60000);
+  // The window has moved on: the old burst no longer counts
+  assert.deepEqual(alerts.evaluatePacket(packet('https://e.test/')), []);
+  assert.equal(alerts.log.length, 1);
+});
+
+test('sums upload volume per tab inside the window', () => {
+  const { clock, alerts } = engine([
+    { id: 'up', type: 'uploadVolume', threshold: 1000, windowMs: 5000, cooldownMs: 0 },
+  ]);
+  alerts.evaluatePacket(packet('https://a.test/u', { requestContentLength: 600 }));
+  alerts.evaluatePacket(packet('https://a.test/u', { requestContentLength: 600, tabId: 8 })); // another tab
+  clock.advance(6000);
+  assert.equal(alerts.evaluatePacket(packet('https://a.test/u', { requestContentLength: 600 })).length, 0);
+  const [fired] = alerts.evaluatePacket(packet('https://a.test/u', { requestContentLength: 600 }));
+  assert.equal(fired.value, 1200);
+  assert.equal(fired.tab, '7');
+});
+
+test('counts request rate and matches host/path patterns', () => {
+  const { alerts } = engine([
+    { id: 'rate', type: 'requestRate', threshold: 2, windowMs: 1000, cooldownMs: 0 },
+    { id: 'collect', type: 'pattern', pattern: '*.tracker.test/collect*', cooldownMs: 0 },
+    { id: 'off', type: 'pattern', pattern: '*', enabled: false },
+  ]);
+  assert.deepEqual(alerts.evaluatePacket(packet('https://www.tracker.test/collect?id=1')).map(a => a.ruleId), ['collect']);
+  assert.deepEqual(alerts.evaluatePacket(packet('https://tracker.test/collect')).map(a => a.ruleId), []);
+  assert.deepEqual(alerts.evaluatePacket(packet('https://x.test/')).map(a => a.ruleId), ['rate']);
+});
+
+test('evaluates error rate on state snapshots', () => {
+  const { alerts } = engine([
+    { id: 'errors', type: 'errorRate', threshold: 0.5, minRequests: 10, cooldownMs: 0 },
+  ]);
+  const planet = (id, frequency, errors) => ({ id, label: `site-${id}`, metrics: { frequency, errors } });
+  const fired = alerts.evaluateState({ domains: [planet('1', 10, 6), planet('2', 4, 4), planet('3', 20, 5)] });
+  assert.deepEqual(fired.map(a => a.message), ['site-1: 60% of 10 requests failed (limit 50%)']);
+});
+
+test('keeps the log bounded and restorable', () => {
+  const { alerts } = engine([{ id: 'all', type: 'pattern', pattern: '*', cooldownMs: 0 }]);
+  for (let i = 0; i < 250; i++) alerts.evaluatePacket(packet(`https://h${i}.test/`));
+  assert.equal(alerts.log.length, 200);
+  assert.equal(alerts.log[0].label, 'Tab 7');
+
+  const restored = new AlertEngine({ rules: [] });
+  restored.restoreLog(alerts.log);
+  assert.equal(restored.log.length, 200);
+  restored.clearLog();
+  assert.deepEqual(restored.log, []);
+});
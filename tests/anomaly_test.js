@@ -0,0 +1,100 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+let AnomalyDetector;
+let BUCKET_MS;
+let ManualClock;
+
+before(async () => {
+  ({ AnomalyDetector, BUCKET_MS } = await import('../anomaly.js'));
+  ({ ManualClock } = await import('../clock.js'));
+});
+
+function packet(url, overrides = {}) {
+  return { url, type: 'xmlhttprequest', tabId: 5, requestContentLength: 100, responseContentLength: 900, latencyMs: 80, ...overrides };
+}
+
+// `buckets` buckets of `perBucket` requests to `url`, closing each with a tick
+function steady(detector, clock, url, buckets, perBucket) {
+  const raised = [];
+  for (let b = 0; b < buckets; b++) {
+    for (let i = 0; i < perBucket; i++) raised.push(...detector.observe(packet(url)));
+    clock.advance(BUCKET_MS);
+    raised.push(...detector.tick());
+  }
+  return raised;
+}
+
+test('flags a request spike against the learned baseline', () => {
+  const clock = new ManualClock(0);
+  const detector = new AnomalyDetector({ clock });
+  assert.deepEqual(steady(detector, clock, 'https://api.example.com/poll', 15, 3), []);
+
+  const raised = steady(detector, clock, 'https://api.example.com/poll', 1, 30);
+  const hostSpike = raised.find(f => f.scope === 'host' && f.metric === 'requests');
+  assert.equal(hostSpike.id, 'example.com');
+  assert.equal(hostSpike.kind, 'spike');
+  assert.equal(hostSpike.value, 30);
+  assert.ok(hostSpike.z >= 3);
+  assert.ok(raised.some(f => f.scope === 'tab' && f.id === '5' && f.metric === 'requests'));
+  assert.ok(raised.some(f => f.metric === 'bytes'));
+  assert.equal(raised.some(f => f.metric === 'latency'), false); // latency did not change
+
+  // A sustained spike extends the flag but is logged once
+  const logged = detector.log.length;
+  steady(detector, clock, 'https://api.example.com/poll', 1, 30);
+  assert.equal(detector.log.length, logged);
+
+  // Flags expire a minute after the last anomalous bucket
+  clock.advance(61 * 1000);
+  detector.tick();
+  assert.deepEqual(detector.activeFlags(), []);
+});
+
+test('new hosts are only flagged after the learning period', () => {
+  const clock = new ManualClock(0);
+  const detector = new AnomalyDetector({ clock });
+  assert.deepEqual(detector.observe(packet('https://early.test/')), []);
+
+  clock.advance(5 * 60 * 1000);
+  const [flag] = detector.observe(packet('https://cdn.late.test/x', { tabId: 9 }));
+  assert.equal(flag.kind, 'new-host');
+  assert.equal(flag.id, 'late.test');
+  assert.equal(flag.tabId, 9);
+  assert.deepEqual(detector.observe(packet('https://www.late.test/')), []); // same registrable domain
+  assert.deepEqual(detector.observe(packet('https://early.test/')), []);
+});
+
+test('annotates state copies without touching the aggregator nodes', () => {
+  const clock = new ManualClock(5 * 60 * 1000);
+  const detector = new AnomalyDetector({ clock });
+  detector.learningSince = 0;
+  detector.observe(packet('https://new.test/', { tabId: -1 }));
+
+  const satellite = { id: 'new.test', metrics: {} };
+  const state = {
+    domains: [{ id: '5', children: [satellite, { id: 'other.test', metrics: {} }] }],
+    interstellar: [{ id: 'new.test', metrics: {} }],
+  };
+  const annotated = detector.annotateState(state);
+  assert.equal(annotated.domains[0].children[0].anomaly[0].kind, 'new-host');
+  assert.equal(annotated.domains[0].children[1].anomaly, undefined);
+  assert.equal(annotated.interstellar[0].anomaly.length, 1);
+  assert.equal(annotated.domains[0].anomaly, undefined);
+  assert.equal(annotated.anomalies.length, 1);
+  assert.equal('anomaly' in satellite, false);
+});
+
+test('baselines survive a snapshot / restore round trip', () => {
+  const clock = new ManualClock(0);
+  const detector = new AnomalyDetector({ clock });
+  steady(detector, clock, 'https://api.example.com/poll', 15, 3);
+
+  const restored = new AnomalyDetector({ clock });
+  restored.restore(JSON.parse(JSON.stringify(detector.snapshot())));
+  assert.equal(restored.learningSince, 0);
+  assert.ok(restored.knownHosts.has('example.com'));
+
+  const raised = steady(restored, clock, 'https://api.example.com/poll', 1, 30);
+  assert.ok(raised.some(f => f.scope === 'host' && f.metric === 'requests'));
+});
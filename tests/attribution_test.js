@@ -0,0 +1,46 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+let attributeBackground;
+let BELT_KINDS;
+
+before(async () => {
+  ({ attributeBackground, BELT_KINDS } = await import('../attribution.js'));
+});
+
+function packet(overrides = {}) {
+  return { url: 'https://api.example.com/data', tabId: -1, frameId: -1, ...overrides };
+}
+
+test('extension initiators go to the extensions belt', () => {
+  const belt = attributeBackground(packet({ initiator: 'chrome-extension://abcdefghijklmnopabcdefghijklmnop' }));
+  assert.equal(belt.kind, BELT_KINDS.EXTENSION);
+  assert.equal(belt.id, 'extension');
+});
+
+test('web initiators are attributed to that site\'s service workers', () => {
+  const belt = attributeBackground(packet({ initiator: 'https://app.news.co.uk', url: 'https://cdn.other.test/sw-cache.js' }));
+  assert.equal(belt.kind, BELT_KINDS.SERVICE_WORKER);
+  assert.equal(belt.owner, 'news.co.uk');
+  assert.equal(belt.id, 'sw:news.co.uk');
+  assert.equal(belt.label, 'Service workers of news.co.uk');
+});
+
+test('documentUrl is used only for requests made by a document', () => {
+  const fromFrame = attributeBackground(packet({ frameId: 0, documentUrl: 'https://shop.test/checkout' }));
+  assert.equal(fromFrame.id, 'sw:shop.test');
+  const noFrame = attributeBackground(packet({ frameId: -1, documentUrl: 'https://shop.test/checkout' }));
+  assert.equal(noFrame.kind, BELT_KINDS.UNKNOWN);
+});
+
+test('browser pages and browser service hosts are browser services', () => {
+  assert.equal(attributeBackground(packet({ initiator: 'chrome://settings' })).kind, BELT_KINDS.BROWSER);
+  assert.equal(attributeBackground(packet({ url: 'https://update.googleapis.com/service/update2/json' })).kind, BELT_KINDS.BROWSER);
+  assert.equal(attributeBackground(packet({ url: 'https://r3---sn-abc.gvt1.com/edgedl/release2/x.crx' })).kind, BELT_KINDS.BROWSER);
+});
+
+test('anything else is unknown', () => {
+  assert.equal(attributeBackground(packet()).kind, BELT_KINDS.UNKNOWN);
+  assert.equal(attributeBackground(packet({ initiator: 'null' })).kind, BELT_KINDS.UNKNOWN);
+  assert.equal(attributeBackground(packet({ url: 'not a url' })).kind, BELT_KINDS.UNKNOWN);
+});
@@ -0,0 +1,132 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installFakeChrome, driveRequest, sleep } = require('./fake_chrome.js');
+const fixture = require('./fixtures/news_site.json');
+
+// The full pipeline runs headless: background.js wires the webRequest
+// listeners into the aggregator and vectorizer exactly as in the browser,
+// and its 200ms loop publishes universeState on the state stream, read here
+// the way the options page does (streams.js over a fake port).
+let harness;
+let chrome;
+const streamed = { state: null, points: [] };
+
+before(async () => {
+  harness = installFakeChrome();
+  chrome = harness.chrome;
+  const { logger } = await import('../logger.js');
+  logger.setLevel(4); // NONE
+  await import('../background.js');
+  const { subscribe, STREAMS } = await import('../streams.js');
+  const { subscribeState } = await import('../state_delta.js');
+  subscribeState((state) => { streamed.state = state; });
+  subscribe(STREAMS.POINTS, (points, { snapshot }) => {
+    streamed.points = snapshot ? points : streamed.points.concat(points);
+  });
+
+  fixture.requests.forEach(req => driveRequest(chrome, req));
+
+  // Long enough for the vectorizer (50ms) and universe (200ms) loops to run
+  await sleep(600);
+});
+
+after(() => {
+  harness.teardown();
+});
+
+function planetsById() {
+  const state = streamed.state;
+  assert.ok(state, 'universeState was published');
+  return new Map(state.domains.map(p => [p.id, p]));
+}
+
+test('builds one planet per tab with its satellites', () => {
+  const planets = planetsById();
+  const expected = fixture.expected.planets;
+  assert.deepEqual([...planets.keys()].sort(), Object.keys(expected).sort());
+
+  for (const [id, want] of Object.entries(expected)) {
+    const planet = planets.get(id);
+    assert.equal(planet.label, want.label);
+    assert.equal(planet.metrics.frequency, want.frequency);
+    assert.deepEqual(planet.children.map(c => c.id).sort(), want.satellites);
+  }
+});
+
+test('routes tab-less traffic to interstellar debris', () => {
+  const state = streamed.state;
+  assert.deepEqual(state.interstellar.map(n => n.id), fixture.expected.interstellar);
+});
+
+test('streams live state and points instead of writing them to storage', () => {
+  assert.equal(chrome.storage.local.peek('universeState'), undefined);
+  assert.equal(chrome.storage.local.peek('vectorizedPackets'), undefined);
+  assert.ok(streamed.state.domains.length > 0);
+});
+
+test('marks failed requests as errored satellites', () => {
+  const errored = [];
+  for (const planet of planetsById().values()) {
+    planet.children.filter(c => c.state === 'error').forEach(c => errored.push(c.id));
+  }
+  assert.deepEqual(errored.sort(), fixture.expected.erroredSatellites);
+});
+
+test('keeps the redirect chain on the originating request', () => {
+  const recent = chrome.storage.local.peek('recentPackets');
+  const nav = recent.find(p => p.requestId === '1');
+  assert.equal(nav.redirectChain.length, 1);
+  assert.equal(nav.redirectChain[0].redirectUrl, 'https://news.example.com/');
+  assert.equal(nav.timing.ttfbMs, 80);
+
+  const streamed = recent.find(p => p.requestId === '7');
+  assert.equal(streamed.sizeUnknown, true);
+});
+
+test('vectorizes every packet, including failed ones', () => {
+  const points = streamed.points;
+  assert.equal(points.length, fixture.expected.packets);
+
+  const failed = points.find(p => p.id === '6');
+  assert.equal(failed.error, 'net::ERR_NAME_NOT_RESOLVED');
+  assert.ok(failed.diagnostics.tokens.includes('status:error'));
+  points.forEach(p => assert.equal(p.y.length, 3));
+});
+
+test('keeps cookie names and attributes but never their values', () => {
+  driveRequest(chrome, {
+    requestId: 'cookies-1', tabId: 11, type: 'image', url: 'https://ad.tracker.test/sync.gif', start: 5000,
+    requestHeaders: [{ name: 'Cookie', value: 'uid=secret-1; seg=secret-2' }],
+    responseHeaders: [{ name: 'Set-Cookie', value: 'uid=secret-3; Domain=.tracker.test; Secure; SameSite=None' }],
+  });
+
+  const packet = chrome.storage.local.peek('recentPackets').find(p => p.requestId === 'cookies-1');
+  assert.deepEqual(packet.requestHeaders, [{ name: 'Cookie', value: 'uid; seg' }]);
+  assert.deepEqual(packet.responseHeaders, [{ name: 'Set-Cookie', value: 'uid; Domain=.tracker.test; Secure; SameSite=None' }]);
+  assert.doesNotMatch(JSON.stringify(packet), /secret/);
+});
+
+test('imports land on planets of their own, never on a live tab with the same id', async () => {
+  const { sendRequest } = await import('../messaging.js');
+  const [liveId] = Object.keys(fixture.expected.planets);
+  await sleep(300); // the state after the earlier tests' requests
+  const live = planetsById().get(liveId);
+  const frequency = live.metrics.frequency;
+  const satellites = live.children.map(c => c.id);
+
+  const imported = {
+    requestId: 'import-1', url: 'https://imported.test/', method: 'GET', statusCode: 200, type: 'main_frame',
+    tabId: Number(liveId), timeStamp: Date.now(), requestHeaders: [], responseHeaders: [],
+    requestHeadersSize: 100, responseHeadersSize: 100, requestContentLength: 0, responseContentLength: 1000,
+  };
+  assert.deepEqual(await sendRequest('har:import', { packets: [imported] }), { imported: 1 });
+  await sleep(300);
+
+  const planets = planetsById();
+  assert.equal(planets.get(liveId).metrics.frequency, frequency);
+  assert.deepEqual(planets.get(liveId).children.map(c => c.id), satellites);
+  const importedPlanet = [...planets.values()].find(p => p.children.some(c => c.id === 'imported.test'));
+  assert.ok(importedPlanet, 'the import has a planet');
+  assert.notEqual(String(importedPlanet.id), liveId);
+});
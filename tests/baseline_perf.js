@@ -72,8 +72,9 @@ const TARGET_URL = 'https://en.wikipedia.org/wiki/Internet';
   // 5. Extract Universe State from Options Page
   const metrics = await optionsPage.evaluate(async () => {
       return new Promise((resolve) => {
-          chrome.storage.local.get('universeState', (result) => {
-              const state = result.universeState;
+          // Live state is streamed, not stored; ask the service worker for it
+          chrome.runtime.sendMessage({ type: 'state:get' }, (response) => {
+              const state = response && response.ok ? response.result : null;
               if (!state) {
                   resolve({ error: "No Universe State found" });
                   return;
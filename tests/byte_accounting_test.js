@@ -0,0 +1,25 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+let accountResponseBytes;
+
+before(async () => {
+  ({ accountResponseBytes } = await import('../byte_accounting.js'));
+});
+
+const LENGTH = [{ name: 'Content-Length', value: '5120' }];
+
+test('a cache hit counts no bytes even when it declares a Content-Length', () => {
+  assert.deepEqual(
+    accountResponseBytes({ statusCode: 200, fromCache: true, responseHeaders: LENGTH }),
+    { bytes: 0, source: 'cache', known: true });
+});
+
+test('a network response is sized from its Content-Length', () => {
+  assert.deepEqual(
+    accountResponseBytes({ statusCode: 200, fromCache: false, responseHeaders: LENGTH }),
+    { bytes: 5120, source: 'content-length', known: true });
+  assert.deepEqual(
+    accountResponseBytes({ statusCode: 200, fromCache: false, responseHeaders: [] }),
+    { bytes: 0, source: 'unknown', known: false });
+});
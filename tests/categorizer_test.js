@@ -0,0 +1,78 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+let Categorizer;
+let categorizer;
+
+const list = (name) => fs.readFileSync(path.join(__dirname, '..', 'lists', name), 'utf8');
+
+before(async () => {
+  ({ Categorizer } = await import('../categorizer.js'));
+  // Same lists the extension ships, read from disk instead of fetched
+  categorizer = new Categorizer();
+  categorizer.addDisconnectList(list('services.json'));
+  categorizer.addAbpList(list('easylist.txt'), 'advertising');
+  categorizer.addAbpList(list('easyprivacy.txt'), 'analytics');
+});
+
+test('matches Disconnect domains and their subdomains', () => {
+  assert.deepEqual(categorizer.categorize('https://stats.g.doubleclick.net/j/collect'), ['advertising']);
+  assert.deepEqual(categorizer.categorize('https://www.google-analytics.com/g/collect'), ['analytics']);
+  assert.deepEqual(categorizer.categorize('https://connect.facebook.net/en_US/sdk.js'), ['social']);
+  assert.deepEqual(categorizer.categorize('https://cdnjs.cloudflare.com/ajax/libs/x.js'), ['cdn']);
+  assert.deepEqual(categorizer.categorize('https://i.ytimg.com/vi/x/hq.jpg'), ['content']);
+  assert.deepEqual(categorizer.categorize('https://m.fpjs.io/agent'), ['fingerprinting']);
+});
+
+test('matches EasyList-style host anchors and path patterns', () => {
+  assert.deepEqual(categorizer.categorize('https://ads.teads.tv/page/1'), ['advertising']);
+  assert.deepEqual(categorizer.categorize('https://news.example.com/static/prebid.js'), ['advertising']);
+  assert.deepEqual(categorizer.categorize('https://cdn.example.com/js/analytics.js'), ['analytics']);
+  assert.deepEqual(categorizer.categorize('https://news-track7.localhost:8080/pixel.gif?uid=7'), ['analytics']);
+});
+
+test('matches plain URL patterns', () => {
+  const c = new Categorizer();
+  c.addAbpList('/pixel.gif?\n|https://cdn.*/prebid.js', 'advertising');
+  assert.deepEqual(c.categorize('https://news-track7.localhost:8080/pixel.gif?uid=7'), ['advertising']);
+  assert.deepEqual(c.categorize('https://cdn.example.com/prebid.js'), ['advertising']);
+  assert.deepEqual(c.categorize('http://cdn.example.com/prebid.js'), []);
+});
+
+test('caches by host and matched path rules, not by URL', () => {
+  const c = new Categorizer();
+  c.addAbpList('||tracker.example^\n||cdn.example/ads/\n@@||cdn.example/ads/ok/', 'advertising');
+  for (let i = 0; i < 50; i++) {
+    assert.deepEqual(c.categorize(`https://t.tracker.example/p?id=${i}`), ['advertising']);
+    assert.deepEqual(c.categorize(`https://cdn.example/ads/${i}.js`), ['advertising']);
+    assert.deepEqual(c.categorize(`https://cdn.example/ads/ok/${i}.js`), []);
+    assert.deepEqual(c.categorize(`https://cdn.example/app/${i}.js`), []);
+  }
+  assert.equal(c.hostCache.size, 2);
+  assert.equal(c.cache.size, 4);
+});
+
+test('matches host-anchored paths after a port or an upper-case host', () => {
+  const c = new Categorizer();
+  c.addAbpList('||cdn.example/ads/', 'advertising');
+  assert.deepEqual(c.categorize('https://cdn.example:8443/ads/x.js'), ['advertising']);
+  assert.deepEqual(c.categorize('https://CDN.Example/ads/x.js'), ['advertising']);
+  assert.deepEqual(c.categorize('https://cdn.example/app/?next=/ads/'), []);
+});
+
+test('leaves ordinary requests uncategorised', () => {
+  assert.deepEqual(categorizer.categorize('https://example.com/index.html'), []);
+  assert.deepEqual(categorizer.categorize('not a url'), []);
+});
+
+test('applies exceptions and $third-party', () => {
+  const c = new Categorizer();
+  c.addAbpList('||tracker.example^$third-party\n/beacon/*\n@@||example.com/beacon/ok', 'analytics');
+
+  assert.deepEqual(c.categorize('https://tracker.example/t', 'https://news.example.org/'), ['analytics']);
+  assert.deepEqual(c.categorize('https://tracker.example/t', 'https://www.tracker.example/'), []);
+  assert.deepEqual(c.categorize('https://example.com/beacon/ok'), []);
+  assert.deepEqual(c.categorize('https://example.com/beacon/other'), ['analytics']);
+});
@@ -0,0 +1,120 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installFakeChrome, driveRequest, sleep } = require('./fake_chrome.js');
+
+// background.js started the way a restarted service worker is: with the
+// previous instance's checkpoint in storage.session and its vectorizer model
+// in storage.local.
+let harness;
+let chrome;
+const startedAt = Date.now();
+
+function savedModel() {
+  const values = (length, fill) => Array.from({ length }, (_, i) => fill(i));
+  return {
+    version: 1,
+    shape: { hashDim: 2048, projDim: 16, pcaDim: 3, kClusters: 8 },
+    projSeed: 42,
+    docCount: 1000,
+    tombstones: 2,
+    vocab: [['host:old.example.org', 900], ['method:GET', 1000]],
+    W: values(48, i => (i % 7) / 7 - 0.5),
+    centers: values(24, i => (i % 5) / 5),
+    counts: values(8, () => 125),
+    scaler: { mean: values(16, () => 0.1), var: values(16, () => 2) },
+  };
+}
+
+before(async () => {
+  harness = installFakeChrome();
+  chrome = harness.chrome;
+  const { logger } = await import('../logger.js');
+  logger.setLevel(4); // NONE
+
+  const { UniverseAggregator } = await import('../aggregator.js');
+  const previous = new UniverseAggregator();
+  previous.addPacket({ url: 'https://mail.example.org/', method: 'GET', type: 'main_frame', tabId: 99, statusCode: 200, responseContentLength: 4096 });
+  chrome.storage.session.set({
+    workerCheckpoint: {
+      savedAt: startedAt - 5000,
+      aggregator: previous.snapshot(),
+      // Sent before the restart, completes after it
+      requestData: {
+        'r-inflight': { requestHeadersSize: 321, startTime: 500, requestHeaders: [], redirects: [], requestBodyBytes: null, bodyCounted: true, timings: { sendHeaders: 500 }, seenAt: startedAt },
+      },
+    },
+  });
+  chrome.storage.local.set({ vectorizerModel: savedModel(), trafficHistory: [{ time: startedAt - 6000, value: 10 }] });
+
+  await import('../background.js');
+  await sleep(50);
+
+  driveRequest(chrome, { requestId: 'r-new', tabId: 12, type: 'main_frame', url: 'https://news.example.com/', start: 1000 });
+  chrome.webRequest.onCompleted.dispatch({ requestId: 'r-inflight', url: 'https://mail.example.org/inbox', method: 'GET', type: 'xmlhttprequest', tabId: 99, frameId: 0, statusCode: 200, responseHeaders: [], timeStamp: 620 });
+  await sleep(400);
+});
+
+after(() => {
+  harness.teardown();
+});
+
+test('restores the checkpointed planets next to live ones', async () => {
+  const state = await new Promise(resolve => chrome.runtime.sendMessage({ type: 'state:get' }, resolve));
+  const planets = new Map(state.result.domains.map(p => [p.id, p]));
+  assert.deepEqual([...planets.keys()].sort(), ['12', '99']);
+  assert.equal(planets.get('99').label, 'example.org');
+  assert.equal(planets.get('99').metrics.frequency, 2, 'the restored planet keeps counting');
+});
+
+test('completes requests that were in flight across the restart', () => {
+  const packet = chrome.storage.local.peek('recentPackets').find(p => p.requestId === 'r-inflight');
+  assert.equal(packet.requestHeadersSize, 321);
+  assert.equal(packet.latencyMs, 120);
+});
+
+test('marks the restart in the traffic history', () => {
+  const history = chrome.storage.local.peek('trafficHistory');
+  const markers = history.filter(point => point.restart);
+  assert.equal(markers.length, 1);
+  assert.equal(markers[0].checkpointAt, startedAt - 5000);
+  assert.ok(markers[0].time >= startedAt);
+  assert.equal(history[0].value, 10, 'earlier history is kept');
+});
+
+test('keeps training the restored vectorizer model and checkpoints on suspend', () => {
+  chrome.runtime.onSuspend.dispatch();
+  const model = chrome.storage.local.peek('vectorizerModel');
+  assert.equal(model.projSeed, 42, 'same random projection');
+  assert.equal(model.docCount, 1002);
+  assert.ok(model.vocab.some(([token]) => token === 'host:old.example.org'));
+  assert.ok(model.vocab.some(([token]) => token === 'host:news.example.com'));
+
+  const checkpoint = chrome.storage.session.peek('workerCheckpoint');
+  assert.ok(checkpoint.savedAt >= startedAt);
+  assert.deepEqual(checkpoint.aggregator.tabs.map(([tabId]) => tabId).sort(), [12, 99]);
+  assert.deepEqual(Object.keys(checkpoint.requestData), [], 'finished requests are not carried over');
+});
+
+test('a checkpoint over the session quota is logged, and in-flight requests are capped and headerless', async () => {
+  const unhandled = [];
+  const onUnhandled = (reason) => unhandled.push(reason);
+  process.on('unhandledRejection', onUnhandled);
+  const set = chrome.storage.session.set;
+  chrome.storage.session.set = () => Promise.reject(new Error('Session storage quota bytes exceeded. Values were not stored.'));
+  const before = chrome.storage.session.peek('workerCheckpoint');
+  chrome.runtime.onSuspend.dispatch();
+  await sleep(20);
+  chrome.storage.session.set = set;
+  process.off('unhandledRejection', onUnhandled);
+  assert.deepEqual(unhandled, []);
+  assert.deepEqual(chrome.storage.session.peek('workerCheckpoint'), before);
+
+  for (let i = 0; i < 300; i++) {
+    chrome.webRequest.onSendHeaders.dispatch({ requestId: `open-${i}`, url: 'https://api.example.com/', method: 'GET', type: 'xmlhttprequest', tabId: 12, frameId: 0, timeStamp: 2000, requestHeaders: [{ name: 'Authorization', value: 'Bearer secret' }] });
+  }
+  chrome.runtime.onSuspend.dispatch();
+  const requests = Object.values(chrome.storage.session.peek('workerCheckpoint').requestData);
+  assert.equal(requests.length, 200);
+  assert.ok(requests.every(entry => entry.requestHeaders.length === 0 && entry.requestHeadersSize > 0));
+});
@@ -0,0 +1,82 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+let parseSetCookie;
+let parseCookieHeader;
+let redactCookieHeaders;
+let buildCookieFlows;
+
+before(async () => {
+  ({ parseSetCookie, parseCookieHeader, redactCookieHeaders, buildCookieFlows } = await import('../cookie_flow.js'));
+});
+
+function packet(url, { type = 'image', cookie, setCookie, redirectChain } = {}) {
+  return {
+    url,
+    type,
+    requestHeaders: cookie ? [{ name: 'Cookie', value: cookie }] : [],
+    responseHeaders: setCookie ? [{ name: 'Set-Cookie', value: setCookie }] : [],
+    redirectChain: redirectChain || [],
+  };
+}
+
+test('parses Set-Cookie attributes and drops the value', () => {
+  const cookie = parseSetCookie('id=abc; Domain=.ads.test; Path=/; Max-Age=3600; Secure; HttpOnly; SameSite=none; Partitioned');
+  assert.deepEqual(cookie, {
+    name: 'id', domain: 'ads.test', path: '/', secure: true, httpOnly: true, sameSite: 'None', partitioned: true, session: false,
+  });
+  assert.equal(parseSetCookie('pref=1').sameSite, null);
+  assert.equal(parseSetCookie('pref=1').session, true);
+});
+
+test('reads names from a Cookie header', () => {
+  assert.deepEqual(parseCookieHeader('a=1; b=x=y;  c'), ['a', 'b', 'c']);
+  assert.deepEqual(parseCookieHeader(''), []);
+});
+
+test('redacts cookie values and leaves other headers alone', () => {
+  const headers = [
+    { name: 'cookie', value: 'a=1; b=2' },
+    { name: 'Set-Cookie', value: 'sid=xyz; Path=/; HttpOnly\nlang=en; Max-Age=60' },
+    { name: 'Content-Type', value: 'text/html' },
+  ];
+  assert.deepEqual(redactCookieHeaders(headers), [
+    { name: 'cookie', value: 'a; b' },
+    { name: 'Set-Cookie', value: 'sid; Path=/; HttpOnly\nlang; Max-Age=60' },
+    { name: 'Content-Type', value: 'text/html' },
+  ]);
+  // Redaction is idempotent, and parsing still works on the result
+  const redacted = redactCookieHeaders(headers);
+  assert.deepEqual(redactCookieHeaders(redacted), redacted);
+  assert.equal(parseSetCookie(redacted[1].value.split('\n')[0]).httpOnly, true);
+});
+
+test('lists cookies leaving the site and builds the sync graph', () => {
+  const flows = buildCookieFlows([
+    packet('https://www.news.test/', { type: 'main_frame', cookie: 'session', setCookie: 'session; Path=/; Secure; HttpOnly' }),
+    packet('https://static.news.test/app.js', { type: 'script', cookie: 'session' }),
+    packet('https://px.ads.test/p.gif', { cookie: 'uid', setCookie: 'uid; Domain=ads.test; SameSite=None' }),
+    packet('https://px.ads.test/p2.gif', { cookie: 'uid; seg' }),
+    packet('https://match.broker.test/sync', {
+      cookie: 'bid',
+      redirectChain: [{ url: 'https://px.ads.test/redir', redirectUrl: 'https://match.broker.test/sync' }],
+    }),
+    packet('https://fonts.cdn.test/a.woff'),
+  ]);
+
+  assert.equal(flows.site, 'news.test');
+  assert.deepEqual(flows.leaving, [
+    { domain: 'ads.test', party: 'third-party', names: ['seg', 'uid'], requests: 2, crossSite: true },
+    { domain: 'broker.test', party: 'third-party', names: ['bid'], requests: 1, crossSite: true },
+  ]);
+  assert.equal(flows.receivers.length, 3);
+
+  const uid = flows.cookies.find(c => c.name === 'uid');
+  assert.equal(uid.setBy, 'px.ads.test');
+  assert.deepEqual(uid.issues, ['SameSite=None without Secure (rejected by Chrome)', 'unpartitioned cross-site cookie']);
+  assert.deepEqual(flows.cookies.find(c => c.name === 'session').issues, []);
+
+  const edges = flows.graph.edges.map(e => `${e.from}>${e.to}:${e.kind}`).sort();
+  assert.deepEqual(edges, ['ads.test>broker.test:redirect', 'news.test>ads.test:sends', 'news.test>broker.test:sends']);
+  assert.deepEqual(flows.graph.nodes.map(n => n.id).sort(), ['ads.test', 'broker.test', 'news.test']);
+});
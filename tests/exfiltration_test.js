@@ -0,0 +1,137 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+let ExfiltrationDetector;
+let shannonEntropy;
+let ManualClock;
+
+before(async () => {
+  ({ ExfiltrationDetector, shannonEntropy } = await import('../exfiltration.js'));
+  ({ ManualClock } = await import('../clock.js'));
+});
+
+function packet(url, overrides = {}) {
+  return { url, method: 'GET', type: 'xmlhttprequest', tabId: 4, timeStamp: 1000, latencyMs: 20, requestContentLength: 0, requestHeadersSize: 300, ...overrides };
+}
+
+function detectorOn(site, clock = new ManualClock(0)) {
+  const detector = new ExfiltrationDetector({ clock });
+  detector.inspect(packet(`https://www.${site}/`, { type: 'main_frame', timeStamp: 0 }));
+  return detector;
+}
+
+const reasonIds = (entry) => entry.reasons.map(r => r.id);
+
+test('shannon entropy separates words from random tokens', () => {
+  assert.equal(shannonEntropy(''), 0);
+  assert.equal(shannonEntropy('aaaa'), 0);
+  assert.ok(shannonEntropy('quarterly-report-summary') < 4);
+  assert.ok(shannonEntropy('Xk9fQ2mZp7LwR4tYb8NcV3hJ') >= 4);
+});
+
+test('ordinary third-party requests are not flagged', () => {
+  const detector = detectorOn('news.test');
+  assert.equal(detector.inspect(packet('https://cdn.static.test/assets/app-bundle.js?v=12')), null);
+  assert.equal(detector.inspect(packet('https://img.static.test/2024/05/quarterly-report-summary.png')), null);
+  assert.deepEqual(detector.log, []);
+});
+
+test('same-site requests are ignored even when they look suspicious', () => {
+  const detector = detectorOn('news.test');
+  assert.equal(detector.inspect(packet(`https://api.news.test/q?${'x='.padEnd(1500, 'y')}`)), null);
+});
+
+test('flags long queries, random path segments and base64 parameters', () => {
+  const detector = detectorOn('news.test');
+  const longQuery = detector.inspect(packet(`https://collect.tracker.test/c?d=${'a'.repeat(1200)}`));
+  assert.deepEqual(reasonIds(longQuery), ['long-query']);
+  assert.equal(longQuery.host, 'collect.tracker.test');
+  assert.equal(longQuery.tabId, 4);
+  assert.equal(longQuery.tabLabel, 'www.news.test');
+  assert.ok(longQuery.url.length < 400, 'stored URL is truncated');
+
+  const hex = detector.inspect(packet('https://sync.tracker.test/u/3f2a9c1e7b4d8f60a5c2e9d1b7f3a6c4/p.gif'));
+  assert.deepEqual(reasonIds(hex), ['high-entropy-path']);
+  const random = detector.inspect(packet('https://sync.tracker.test/id/Xk9fQ2mZp7LwR4tYb8NcV3hJ'));
+  assert.deepEqual(reasonIds(random), ['high-entropy-path']);
+
+  const payload = Buffer.from('email=jane@example.com;cart=1234;ssn=000-00-0000').toString('base64');
+  const b64 = detector.inspect(packet(`https://collect.tracker.test/e?v=1&data=${encodeURIComponent(payload)}`));
+  assert.deepEqual(reasonIds(b64), ['base64-param']);
+  assert.match(b64.reasons[0].detail, /data/);
+
+  assert.equal(detector.log.length, 4);
+  assert.equal(detector.log[0], b64, 'newest first');
+});
+
+test('flags outbound volume per destination once per window', () => {
+  const clock = new ManualClock(0);
+  const detector = detectorOn('mail.test', clock);
+  const upload = () => detector.inspect(packet('https://upload.storage.test/chunk', { method: 'POST', requestContentLength: 200 * 1024 }));
+
+  assert.equal(upload(), null);
+  assert.equal(upload(), null);
+  const flagged = upload();
+  assert.deepEqual(reasonIds(flagged), ['outbound-volume']);
+  assert.equal(flagged.bytes, 200 * 1024);
+  assert.equal(upload(), null, 'not repeated within the window');
+
+  clock.advance(6 * 60 * 1000);
+  assert.equal(upload(), null, 'window restarts');
+  // Uploads to a different destination are counted separately
+  assert.equal(detector.inspect(packet('https://other.cdn.test/put', { method: 'PUT', requestContentLength: 200 * 1024 })), null);
+});
+
+test('flags beacons sent while leaving a site or after the tab closed', () => {
+  const detector = detectorOn('shop.test');
+  const beacon = (timeStamp) => detector.inspect(packet('https://metrics.analytics.test/beacon', { type: 'ping', method: 'POST', timeStamp }));
+
+  assert.equal(beacon(500), null, 'beacon during the visit');
+
+  detector.inspect(packet('https://www.news.test/', { type: 'main_frame', timeStamp: 10000, latencyMs: 100 }));
+  const leaving = beacon(10500);
+  assert.deepEqual(reasonIds(leaving), ['beacon-after-unload']);
+  assert.match(leaving.reasons[0].detail, /shop\.test/);
+  assert.equal(beacon(20000), null, 'long after the navigation');
+
+  detector.tabClosed(4, 30000);
+  assert.deepEqual(reasonIds(beacon(30100)), ['beacon-after-unload']);
+});
+
+test('counts a navigation from its start, before the new page has loaded', () => {
+  const detector = detectorOn('shop.test');
+  const beacon = (timeStamp) => detector.inspect(packet('https://metrics.analytics.test/beacon', { type: 'ping', method: 'POST', timeStamp }));
+
+  // A slow main_frame that redirects: the old page's beacon finishes first
+  detector.navigationStarted(4, 'nav-2', 'https://news.test/', 10000);
+  detector.navigationStarted(4, 'nav-2', 'https://www.news.test/', 10200);
+  const leaving = beacon(10500);
+  assert.deepEqual(reasonIds(leaving), ['beacon-after-unload']);
+  assert.match(leaving.reasons[0].detail, /shop\.test/);
+  assert.equal(leaving.site, 'news.test');
+
+  detector.inspect(packet('https://www.news.test/', { requestId: 'nav-2', type: 'main_frame', timeStamp: 14000, latencyMs: 4000 }));
+  assert.match(beacon(11000).reasons[0].detail, /shop\.test/, 'the finished main_frame keeps the navigation start');
+  assert.equal(beacon(14000), null, 'more than 3s after the navigation started');
+});
+
+test('tabs whose site is unknown fall back to the initiator, or are skipped', () => {
+  const detector = new ExfiltrationDetector({ clock: new ManualClock(0) });
+  const longQuery = `https://collect.tracker.test/p?d=${'a'.repeat(1200)}`;
+
+  assert.equal(detector.inspect(packet(longQuery)), null, 'no site and no initiator');
+  assert.equal(detector.inspect(packet(longQuery, { initiator: 'https://www.tracker.test' })), null, 'same site as the initiator');
+  const entry = detector.inspect(packet(longQuery, { initiator: 'https://www.shop.test' }));
+  assert.deepEqual(reasonIds(entry), ['long-query']);
+  assert.equal(entry.site, 'shop.test');
+});
+
+test('restoreLog and clearLog bump the version only on change', () => {
+  const detector = new ExfiltrationDetector({ clock: new ManualClock(0) });
+  detector.restoreLog([{ host: 'a.test', reasons: [] }]);
+  assert.equal(detector.log.length, 1);
+  assert.equal(detector.logVersion, 0);
+  detector.clearLog();
+  assert.deepEqual(detector.log, []);
+  assert.equal(detector.logVersion, 1);
+});
@@ -0,0 +1,250 @@
+/**
+ * fake_chrome.js
+ * In-memory stand-in for the chrome.* APIs the extension uses, so
+ * background.js / aggregator.js / vectorizer.js can run under plain Node.
+ *
+ * Covers: storage.local / storage.session (+ onChanged), webRequest
+ * lifecycle events, runtime messaging, ports and onSuspend, tabs.onRemoved. Events expose `dispatch(...args)` for tests to fire.
+ *
+ * `installFakeChrome()` also tracks timers created afterwards, so the
+ * module-level setInterval loops in the extension can be cleared and the
+ * test process can exit.
+ */
+
+class FakeEvent {
+  constructor() {
+    this.listeners = [];
+  }
+
+  addListener(fn, filter, extraInfoSpec) {
+    this.listeners.push({ fn, filter, extraInfoSpec });
+  }
+
+  removeListener(fn) {
+    this.listeners = this.listeners.filter(l => l.fn !== fn);
+  }
+
+  hasListener(fn) {
+    return this.listeners.some(l => l.fn === fn);
+  }
+
+  hasListeners() {
+    return this.listeners.length > 0;
+  }
+
+  dispatch(...args) {
+    return this.listeners.map(l => l.fn(...args));
+  }
+}
+
+const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+function createStorageArea(areaName, onChanged) {
+  const data = new Map();
+
+  function read(keys) {
+    const result = {};
+    if (keys === null || keys === undefined) {
+      for (const [k, v] of data) result[k] = clone(v);
+    } else if (typeof keys === 'string') {
+      if (data.has(keys)) result[keys] = clone(data.get(keys));
+    } else if (Array.isArray(keys)) {
+      keys.forEach(k => { if (data.has(k)) result[k] = clone(data.get(k)); });
+    } else {
+      // Object form: keys with default values
+      for (const [k, fallback] of Object.entries(keys)) {
+        result[k] = data.has(k) ? clone(data.get(k)) : fallback;
+      }
+    }
+    return result;
+  }
+
+  function write(items) {
+    const changes = {};
+    for (const [k, v] of Object.entries(items)) {
+      changes[k] = { oldValue: clone(data.get(k)), newValue: clone(v) };
+      data.set(k, clone(v));
+    }
+    // Chrome delivers onChanged asynchronously
+    setImmediate(() => onChanged.dispatch(changes, areaName));
+  }
+
+  function remove(keys) {
+    const changes = {};
+    [].concat(keys).forEach(k => {
+      if (!data.has(k)) return;
+      changes[k] = { oldValue: clone(data.get(k)) };
+      data.delete(k);
+    });
+    setImmediate(() => onChanged.dispatch(changes, areaName));
+  }
+
+  // Callback style when a callback is passed, promise style otherwise
+  const api = (fn) => (arg, callback) => {
+    const result = fn(arg);
+    if (typeof callback === 'function') {
+      setImmediate(() => callback(result));
+      return undefined;
+    }
+    return Promise.resolve(result);
+  };
+
+  return {
+    get: api(read),
+    set: api(items => { write(items); }),
+    remove: api(keys => { remove(keys); }),
+    clear: api(() => { remove(Array.from(data.keys())); }),
+    // Test helper: synchronous snapshot of a key
+    peek: (key) => clone(data.get(key)),
+  };
+}
+
+const WEB_REQUEST_EVENTS = [
+  'onBeforeRequest', 'onBeforeSendHeaders', 'onSendHeaders', 'onHeadersReceived',
+  'onBeforeRedirect', 'onResponseStarted', 'onCompleted', 'onErrorOccurred',
+];
+
+/**
+ * Two connected runtime.Port ends. Messages are cloned and delivered
+ * asynchronously, like the real structured-clone channel; disconnecting one
+ * end fires onDisconnect on the other.
+ */
+function createPortPair(name, sender) {
+  const page = { name, onMessage: new FakeEvent(), onDisconnect: new FakeEvent(), connected: true };
+  const worker = { name, sender, onMessage: new FakeEvent(), onDisconnect: new FakeEvent(), connected: true };
+  const link = (from, to) => {
+    from.postMessage = (message) => {
+      if (!from.connected) throw new Error('Attempting to use a disconnected port object');
+      const copy = clone(message);
+      setImmediate(() => { if (to.connected) to.onMessage.dispatch(copy, to); });
+    };
+    from.disconnect = () => {
+      if (!from.connected) return;
+      from.connected = false;
+      to.connected = false;
+      setImmediate(() => to.onDisconnect.dispatch(to));
+    };
+  };
+  link(page, worker);
+  link(worker, page);
+  return { page, worker };
+}
+
+function createFakeChrome() {
+  const onChanged = new FakeEvent();
+  const onMessage = new FakeEvent();
+  const onConnect = new FakeEvent();
+
+  const runtime = {
+    id: 'fake-extension-id',
+    lastError: undefined,
+    onMessage,
+    onConnect,
+    onSuspend: new FakeEvent(),
+    connect({ name = '' } = {}) {
+      const { page, worker } = createPortPair(name, { id: runtime.id });
+      onConnect.dispatch(worker);
+      return page;
+    },
+    getURL: (path) => `chrome-extension://fake-extension-id/${path.replace(/^\//, '')}`,
+    sendMessage(message, callback) {
+      let responded = false;
+      const sendResponse = (response) => {
+        if (responded) return;
+        responded = true;
+        if (callback) setImmediate(() => callback(response));
+      };
+      const keepOpen = onMessage.dispatch(clone(message), { id: runtime.id }, sendResponse).some(r => r === true);
+      if (!keepOpen && !responded && callback) setImmediate(() => callback(undefined));
+    },
+  };
+
+  const webRequest = {};
+  WEB_REQUEST_EVENTS.forEach(name => { webRequest[name] = new FakeEvent(); });
+
+  return {
+    runtime,
+    webRequest,
+    tabs: { onRemoved: new FakeEvent() },
+    storage: {
+      onChanged,
+      local: createStorageArea('local', onChanged),
+      session: createStorageArea('session', onChanged),
+    },
+  };
+}
+
+/**
+ * Fire the webRequest events for one synthetic request, in lifecycle order.
+ * req: { requestId, url, method, type, tabId, start, ttfbMs, downloadMs,
+ *        statusCode, requestHeaders, responseHeaders, fromCache,
+ *        redirects: [{ url, statusCode }], error }
+ */
+function driveRequest(chrome, req) {
+  const base = {
+    requestId: req.requestId,
+    method: req.method || 'GET',
+    type: req.type || 'other',
+    tabId: req.tabId === undefined ? -1 : req.tabId,
+    frameId: 0,
+    initiator: req.initiator,
+  };
+  let t = req.start || 0;
+  let url = req.url;
+
+  const hops = req.redirects || [];
+  hops.forEach((hop, i) => {
+    const redirectUrl = i + 1 < hops.length ? hops[i + 1].url : url;
+    chrome.webRequest.onBeforeRequest.dispatch({ ...base, url: hop.url, timeStamp: t });
+    chrome.webRequest.onSendHeaders.dispatch({ ...base, url: hop.url, timeStamp: t += 1, requestHeaders: req.requestHeaders || [] });
+    chrome.webRequest.onHeadersReceived.dispatch({ ...base, url: hop.url, timeStamp: t += 5, statusCode: hop.statusCode || 302 });
+    chrome.webRequest.onBeforeRedirect.dispatch({ ...base, url: hop.url, redirectUrl, statusCode: hop.statusCode || 302, timeStamp: t });
+  });
+
+  chrome.webRequest.onBeforeRequest.dispatch({ ...base, url, timeStamp: t, requestBody: req.requestBody });
+  chrome.webRequest.onSendHeaders.dispatch({ ...base, url, timeStamp: t += 2, requestHeaders: req.requestHeaders || [] });
+
+  if (req.error) {
+    chrome.webRequest.onErrorOccurred.dispatch({ ...base, url, timeStamp: t += (req.ttfbMs || 1), error: req.error });
+    return;
+  }
+
+  const response = { ...base, url, statusCode: req.statusCode || 200, responseHeaders: req.responseHeaders || [], fromCache: !!req.fromCache };
+  chrome.webRequest.onHeadersReceived.dispatch({ ...response, timeStamp: t += (req.ttfbMs || 10) });
+  chrome.webRequest.onResponseStarted.dispatch({ ...response, timeStamp: t });
+  chrome.webRequest.onCompleted.dispatch({ ...response, timeStamp: t += (req.downloadMs || 5) });
+}
+
+function installFakeChrome() {
+  const chrome = createFakeChrome();
+  const previousChrome = globalThis.chrome;
+  globalThis.chrome = chrome;
+
+  const realSetInterval = globalThis.setInterval;
+  const realSetTimeout = globalThis.setTimeout;
+  const handles = new Set();
+  globalThis.setInterval = (...args) => {
+    const h = realSetInterval(...args);
+    handles.add(h);
+    return h;
+  };
+  globalThis.setTimeout = (...args) => {
+    const h = realSetTimeout(...args);
+    handles.add(h);
+    return h;
+  };
+
+  return {
+    chrome,
+    teardown() {
+      handles.forEach(h => clearInterval(h));
+      globalThis.setInterval = realSetInterval;
+      globalThis.setTimeout = realSetTimeout;
+      globalThis.chrome = previousChrome;
+    },
+  };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = { FakeEvent, createFakeChrome, createPortPair, installFakeChrome, driveRequest, sleep };
@@ -0,0 +1,118 @@
+/**
+ * fixture_server.js
+ * Local HTTP server for the Standard Candle suite (standard_candles.js).
+ *
+ * One listener answers for every `*.localhost` host; the Host header picks
+ * the behaviour:
+ *  - a profile page host (e.g. `news.localhost`) serves `/` as a synthetic
+ *    page that pulls scripts, images, lazy images, tracking pixels and XHR
+ *    polls from the profile's third-party hosts;
+ *  - any host serves the assets (`/lib.js`, `/img.png`, `/pixel.gif`, `/poll`).
+ *
+ * No dependencies, so it also runs standalone for manual browsing:
+ *   node tests/fixture_server.js [port]
+ */
+
+const http = require('http');
+const { PROFILES } = require('./standard_candles.js');
+
+// 1x1 transparent GIF / PNG
+const GIF = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+const LIB_JS = Buffer.from('window.__candleLoaded = (window.__candleLoaded || 0) + 1;\n');
+
+function pageIndex() {
+  const pages = new Map(); // Map<host, profileName>
+  for (const [name, profile] of Object.entries(PROFILES)) {
+    profile.pages.forEach(page => pages.set(page.host, name));
+  }
+  return pages;
+}
+
+function renderPage(profile, host, port) {
+  const url = (h, path) => `http://${h}:${port}${path}`;
+  const scripts = profile.scripts.map(h => `<script src="${url(h, '/lib.js')}"></script>`);
+  const images = profile.images.map((h, i) => `<img src="${url(h, `/img.png?i=${i}`)}" width="1" height="1">`);
+  const lazy = profile.lazyImages.map((h, i) => `<img loading="lazy" src="${url(h, `/img.png?lazy=${i}`)}" width="1" height="1">`);
+  const pixels = JSON.stringify(profile.pixels.map(h => url(h, '/pixel.gif')));
+  const poll = profile.poll
+    ? `let polls = 0;
+      const timer = setInterval(() => {
+        fetch(${JSON.stringify(url(profile.poll.host, '/poll'))} + '?n=' + polls).catch(() => {});
+        if (++polls >= ${profile.poll.count}) clearInterval(timer);
+      }, ${profile.poll.intervalMs});`
+    : '';
+
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${host}</title><link rel="icon" href="data:,"></head>
+<body>
+  <h1>${host}</h1>
+  <p>${profile.description}</p>
+  ${scripts.join('\n  ')}
+  ${images.join('\n  ')}
+  <div style="height: 5000px;"></div>
+  ${lazy.join('\n  ')}
+  <script>
+    ${pixels}.forEach((src, i) => { new Image().src = src + '?uid=' + i; });
+    ${poll}
+  </script>
+</body>
+</html>`;
+}
+
+function send(res, status, type, body) {
+  res.writeHead(status, {
+    'Content-Type': type,
+    'Content-Length': body.length,
+    'Cache-Control': 'no-store',
+    'Access-Control-Allow-Origin': '*',
+  });
+  res.end(body);
+}
+
+/**
+ * Start the server. Resolves to { port, url(host, path), close() }.
+ * Port 0 picks a free port.
+ */
+function startFixtureServer(port = 0) {
+  const pages = pageIndex();
+
+  const server = http.createServer((req, res) => {
+    const host = (req.headers.host || '').split(':')[0];
+    const path = req.url.split('?')[0];
+
+    if (path === '/') {
+      const name = pages.get(host);
+      if (!name) return send(res, 404, 'text/plain', Buffer.from(`No candle page for ${host}`));
+      return send(res, 200, 'text/html; charset=utf-8', Buffer.from(renderPage(PROFILES[name], host, server.address().port)));
+    }
+    if (path === '/lib.js') return send(res, 200, 'application/javascript', LIB_JS);
+    if (path === '/img.png') return send(res, 200, 'image/png', PNG);
+    if (path === '/pixel.gif') return send(res, 200, 'image/gif', GIF);
+    if (path === '/poll') return send(res, 200, 'application/json', Buffer.from(JSON.stringify({ host, t: Date.now() })));
+    return send(res, 404, 'text/plain', Buffer.from('Not found'));
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, () => {
+      const actualPort = server.address().port;
+      resolve({
+        port: actualPort,
+        url: (host, path = '/') => `http://${host}:${actualPort}${path}`,
+        close: () => new Promise(done => server.close(() => done())),
+      });
+    });
+  });
+}
+
+module.exports = { startFixtureServer, renderPage };
+
+if (require.main === module) {
+  startFixtureServer(parseInt(process.argv[2], 10) || 8080).then(({ url }) => {
+    Object.entries(PROFILES).forEach(([name, profile]) => {
+      console.log(`${name.padEnd(12)} ${url(profile.pages[0].host)}${profile.pages.length > 1 ? ` (+${profile.pages.length - 1} more tabs)` : ''}`);
+    });
+  });
+}
@@ -0,0 +1,136 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+let packetsToHar;
+let harToPackets;
+
+before(async () => {
+  ({ packetsToHar, harToPackets } = await import('../har.js'));
+});
+
+function packet(overrides = {}) {
+  return {
+    requestId: '101',
+    url: 'https://www.example.com/',
+    method: 'GET',
+    statusCode: 200,
+    type: 'main_frame',
+    tabId: 7,
+    timeStamp: 1700000000500,
+    requestHeadersSize: 320,
+    responseHeadersSize: 180,
+    requestHeaders: [{ name: 'Accept', value: 'text/html' }],
+    responseHeaders: [{ name: 'Content-Type', value: 'text/html' }, { name: 'Content-Length', value: '2048' }],
+    latencyMs: 450,
+    requestContentLength: 0,
+    responseContentLength: 2048,
+    requestSizeSource: 'body',
+    responseSizeSource: 'content-length',
+    sizeUnknown: false,
+    fromCache: false,
+    timing: { queueMs: 50, ttfbMs: 300, downloadMs: 150, totalMs: 500 },
+    error: null,
+    redirectChain: [],
+    categories: ['content'],
+    ...overrides,
+  };
+}
+
+function foreignHar(entries) {
+  return { log: { version: '1.2', creator: { name: 'WebInspector', version: '537.36' }, pages: [], entries } };
+}
+
+function foreignEntry(overrides = {}) {
+  return {
+    pageref: 'page_1',
+    startedDateTime: '2025-11-22T10:00:00.000Z',
+    time: 120,
+    request: { method: 'GET', url: 'https://www.example.com/', headers: [], headersSize: 300, bodySize: 0 },
+    response: { status: 200, headers: [], headersSize: 150, bodySize: 1024, content: { size: 1024, mimeType: 'text/html' } },
+    timings: { blocked: 10, dns: -1, connect: -1, send: 0, wait: 80, receive: 30 },
+    ...overrides,
+  };
+}
+
+test('our own exports import back as the packets that were exported', () => {
+  const packets = [
+    packet(),
+    packet({
+      requestId: '102',
+      url: 'https://cdn.tracker.test/p.js?id=abc',
+      type: 'script',
+      timeStamp: 1700000000900,
+      responseHeaders: [{ name: 'Content-Type', value: 'application/javascript' }],
+      responseContentLength: 512,
+      responseSizeSource: 'encoded',
+      timing: { queueMs: 0, ttfbMs: 200, downloadMs: 100, totalMs: 300 },
+      redirectChain: [{ url: 'http://cdn.tracker.test/p.js?id=abc', redirectUrl: 'https://cdn.tracker.test/p.js?id=abc', statusCode: 307 }],
+      categories: ['advertising', 'analytics'],
+    }),
+    packet({
+      requestId: '103',
+      url: 'https://api.example.com/ping',
+      method: 'POST',
+      statusCode: 0,
+      type: 'ping',
+      tabId: 9,
+      timeStamp: 1700000001000,
+      responseHeaders: [],
+      responseHeadersSize: 0,
+      responseContentLength: 0,
+      responseSizeSource: 'none',
+      timing: { queueMs: 10, ttfbMs: null, downloadMs: null, totalMs: 10 },
+      error: 'net::ERR_BLOCKED_BY_CLIENT',
+      categories: [],
+    }),
+  ];
+
+  const har = JSON.parse(JSON.stringify(packetsToHar(packets)));
+  assert.deepEqual(har.log.pages.map(p => p.id), ['tab_7', 'tab_9']);
+
+  const imported = harToPackets(har);
+  assert.equal(imported.length, packets.length);
+  imported.forEach((got, i) => {
+    const want = packets[i];
+    for (const field of ['requestId', 'url', 'method', 'statusCode', 'type', 'tabId', 'timeStamp',
+      'requestHeadersSize', 'requestHeaders', 'responseHeaders', 'requestSizeSource', 'responseSizeSource',
+      'fromCache', 'error', 'redirectChain', 'categories']) {
+      assert.deepEqual(got[field], want[field], `${want.requestId}.${field}`);
+    }
+    assert.equal(got.timing.totalMs, want.timing.totalMs, `${want.requestId}.timing.totalMs`);
+  });
+  assert.equal(imported[0].responseContentLength, 2048);
+  assert.equal(imported[0].timing.queueMs, 50);
+  assert.equal(imported[0].timing.ttfbMs, 300);
+  assert.equal(imported[0].timing.downloadMs, 150);
+});
+
+test('a foreign status-0 entry without _error is not a failed request', () => {
+  const [cached, failed] = harToPackets(foreignHar([
+    foreignEntry({ response: { status: 0, headers: [], headersSize: -1, bodySize: -1, content: { size: 0 } } }),
+    foreignEntry({
+      startedDateTime: '2025-11-22T10:00:01.000Z',
+      response: { status: 0, headers: [], headersSize: -1, bodySize: -1, content: { size: 0 }, _error: 'net::ERR_NAME_NOT_RESOLVED' },
+    }),
+  ]));
+  assert.equal(cached.statusCode, 0);
+  assert.equal(cached.error, null);
+  assert.equal(failed.error, 'net::ERR_NAME_NOT_RESOLVED');
+});
+
+test('skips entries whose startedDateTime does not parse', () => {
+  const packets = harToPackets(foreignHar([
+    foreignEntry({ startedDateTime: 'yesterday-ish' }),
+    foreignEntry({ startedDateTime: undefined }),
+    foreignEntry({ request: { method: 'GET', url: 'https://www.example.com/app.js' } }),
+  ]));
+  assert.equal(packets.length, 1);
+  assert.equal(packets[0].url, 'https://www.example.com/app.js');
+  assert.ok(Number.isFinite(packets[0].timeStamp));
+  assert.ok(packets.every(p => Object.values(p.timing).every(v => v === null || Number.isFinite(v))));
+});
+
+test('rejects documents without log.entries', () => {
+  assert.throws(() => harToPackets({ log: {} }), /Not a HAR file/);
+  assert.throws(() => harToPackets('{"entries": []}'), /Not a HAR file/);
+});
@@ -0,0 +1,132 @@
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// An in-memory IndexedDB (indexedDB, IDBKeyRange) for the store to open
+require('fake-indexeddb/auto');
+const { sleep } = require('./fake_chrome.js');
+
+let historyStore;
+let handleHistoryMessage;
+let DEFAULT_RETENTION;
+
+before(async () => {
+  const { logger } = await import('../logger.js');
+  logger.setLevel(4); // NONE
+  ({ historyStore, handleHistoryMessage, DEFAULT_RETENTION } = await import('../history_store.js'));
+});
+
+beforeEach(async () => {
+  await historyStore.clear();
+  historyStore.setRetention(DEFAULT_RETENTION);
+});
+
+function packet(overrides = {}) {
+  return {
+    requestId: String(Math.random()),
+    url: 'https://www.example.com/',
+    method: 'GET',
+    type: 'script',
+    tabId: 7,
+    statusCode: 200,
+    timeStamp: 1000,
+    ...overrides,
+  };
+}
+
+// A small browsing session over two tabs and background traffic
+function addSession() {
+  [
+    packet({ timeStamp: 1000, type: 'main_frame', url: 'https://news.test/' }),
+    packet({ timeStamp: 1100, url: 'https://cdn.news.test/app.js' }),
+    packet({ timeStamp: 1200, url: 'https://ads.tracker.test/p.gif', statusCode: 404, type: 'image' }),
+    packet({ timeStamp: 2000, tabId: 9, type: 'main_frame', url: 'https://mail.test/inbox' }),
+    packet({ timeStamp: 2100, tabId: 9, url: 'https://ads.tracker.test/q.gif', type: 'image' }),
+    packet({ timeStamp: 3000, tabId: -1, url: 'https://update.googleapis.com/x', type: 'other' }),
+  ].forEach(p => historyStore.add(p));
+}
+
+test('batches added packets into one write after a short delay', async () => {
+  addSession();
+  assert.equal(historyStore.pending.length, 6, 'nothing written yet');
+  assert.equal((await historyStore.stats()).count, 6, 'a read flushes first');
+
+  historyStore.add(packet({ timeStamp: 4000 }));
+  historyStore.add(packet({ timeStamp: 4001 }));
+  assert.equal(historyStore.pending.length, 2);
+  await sleep(700);
+  assert.equal(historyStore.pending.length, 0, 'the timer flushed the batch');
+  const stats = await historyStore.stats();
+  assert.equal(stats.count, 8);
+  assert.ok(stats.bytes > 0);
+});
+
+test('stores the hostname and a size with every packet', async () => {
+  historyStore.add(packet({ url: 'https://Static.Example.org:8443/a.js' }));
+  historyStore.add(packet({ url: 'not a url' }));
+  const records = await historyStore.query({ order: 'asc' });
+  assert.deepEqual(records.map(r => r.hostname), ['static.example.org', 'unknown']);
+  assert.ok(records.every(r => r.sizeBytes > 0 && typeof r.seq === 'number'));
+});
+
+test('queries by index, by time range, in either order and up to a limit', async () => {
+  addSession();
+  const urls = async (filter) => (await historyStore.query(filter)).map(r => r.url);
+
+  assert.deepEqual(await urls({ tabId: 9 }), ['https://ads.tracker.test/q.gif', 'https://mail.test/inbox']);
+  assert.deepEqual(await urls({ hostname: 'ads.tracker.test', order: 'asc' }), ['https://ads.tracker.test/p.gif', 'https://ads.tracker.test/q.gif']);
+  assert.deepEqual(await urls({ statusCode: 404 }), ['https://ads.tracker.test/p.gif']);
+  assert.deepEqual(await urls({ type: 'main_frame', tabId: 7 }), ['https://news.test/']);
+  assert.deepEqual(await urls({ since: 1100, until: 2000, order: 'asc' }), ['https://cdn.news.test/app.js', 'https://ads.tracker.test/p.gif', 'https://mail.test/inbox']);
+  assert.deepEqual(await urls({ hostname: 'ads.tracker.test', since: 2000 }), ['https://ads.tracker.test/q.gif']);
+  assert.deepEqual(await urls({ limit: 2 }), ['https://update.googleapis.com/x', 'https://ads.tracker.test/q.gif']);
+  assert.deepEqual(await urls({ tabId: 42 }), []);
+});
+
+test('lists tabs by latest activity, labelled by their last navigation', async () => {
+  addSession();
+  assert.deepEqual(await historyStore.tabs(), [
+    { tabId: 9, label: 'mail.test', lastSeen: 2100 },
+    { tabId: 7, label: 'news.test', lastSeen: 1200 },
+  ]);
+});
+
+test('retention drops packets older than maxAgeMs', async () => {
+  addSession();
+  historyStore.setRetention({ maxAgeMs: 1500 });
+  assert.equal(await historyStore.enforceRetention(3500), 3);
+  const left = await historyStore.query({ order: 'asc' });
+  assert.deepEqual(left.map(r => r.timeStamp), [2000, 2100, 3000]);
+  assert.equal(await historyStore.enforceRetention(3500), 0, 'nothing more to do');
+});
+
+test('retention drops the oldest packets until the store fits maxBytes', async () => {
+  addSession();
+  const records = await historyStore.query({ order: 'asc' });
+  const newestTwo = records.slice(-2).reduce((sum, r) => sum + r.sizeBytes, 0);
+  historyStore.setRetention({ maxBytes: newestTwo });
+  assert.equal(await historyStore.enforceRetention(3500), 4);
+  const stats = await historyStore.stats();
+  assert.equal(stats.count, 2);
+  assert.equal(stats.bytes, newestTwo);
+  assert.deepEqual((await historyStore.query({ order: 'asc' })).map(r => r.timeStamp), [2100, 3000]);
+});
+
+test('ignores retention settings that are not positive numbers', () => {
+  historyStore.setRetention({ maxAgeMs: -1, maxBytes: 'lots' });
+  assert.deepEqual(historyStore.retention, DEFAULT_RETENTION);
+});
+
+test('answers history:* messages', async () => {
+  addSession();
+  const records = await handleHistoryMessage({ type: 'history:query', filter: { tabId: 7, order: 'asc' } });
+  assert.equal(records.length, 3);
+  assert.equal((await handleHistoryMessage({ type: 'history:query' })).length, 6, 'no filter: everything');
+  assert.deepEqual((await handleHistoryMessage({ type: 'history:tabs' })).map(t => t.tabId), [9, 7]);
+  const stats = await handleHistoryMessage({ type: 'history:stats' });
+  assert.equal(stats.count, 6);
+  assert.deepEqual(stats.retention, DEFAULT_RETENTION);
+
+  await handleHistoryMessage({ type: 'history:clear' });
+  assert.deepEqual(await handleHistoryMessage({ type: 'history:stats' }), { count: 0, bytes: 0, retention: DEFAULT_RETENTION });
+  await assert.rejects(handleHistoryMessage({ type: 'history:drop' }), /Unknown history message: history:drop/);
+});
@@ -0,0 +1,103 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+let UniverseAggregator;
+let countSetCookies;
+let gradeFor;
+
+before(async () => {
+  ({ UniverseAggregator } = await import('../aggregator.js'));
+  ({ countSetCookies, gradeFor } = await import('../privacy.js'));
+});
+
+function packet(overrides = {}) {
+  return { url: 'https://example.com/', method: 'GET', statusCode: 200, type: 'script', tabId: 3, timeStamp: 1000, ...overrides };
+}
+
+const cookie = (value) => ({ name: 'Set-Cookie', value });
+
+test('counts Set-Cookie headers, including folded ones', () => {
+  assert.equal(countSetCookies([cookie('a=1'), { name: 'content-type', value: 'text/html' }, cookie('b=2\nc=3')]), 3);
+  assert.equal(countSetCookies(undefined), 0);
+});
+
+test('grades on fixed thresholds', () => {
+  assert.deepEqual([100, 90, 89, 75, 60, 40, 39, 0].map(gradeFor), ['A', 'A', 'B', 'B', 'C', 'D', 'F', 'F']);
+});
+
+test('a first-party-only page scores 100 / A', () => {
+  const agg = UniverseAggregator.deterministic();
+  agg.addPacket(packet({ type: 'main_frame', responseHeaders: [cookie('session=1')] }));
+  agg.addPacket(packet({ url: 'https://static.example.com/app.js' }));
+
+  const { privacy } = agg.getState().domains[0];
+  assert.equal(privacy.score, 100);
+  assert.equal(privacy.grade, 'A');
+  assert.equal(privacy.thirdPartyCookies.count, 0);
+});
+
+test('explains each lost point', () => {
+  const agg = UniverseAggregator.deterministic();
+  agg.addPacket(packet({ type: 'main_frame' }));
+  agg.addPacket(packet({ url: 'https://ads.adtech.example/a.js', categories: ['advertising'], responseHeaders: [cookie('uid=1'), cookie('seg=2')] }));
+  agg.addPacket(packet({ url: 'https://px.metrics.example/p.gif', categories: ['analytics'] }));
+
+  const { privacy } = agg.getState().domains[0];
+  const penalty = Object.fromEntries(privacy.factors.map(f => [f.id, f.penalty]));
+  assert.deepEqual(penalty, {
+    thirdPartyHosts: 4, // 2 hosts
+    trackers: 18, // advertising 10 + analytics 6 + 2 tracking hosts
+    thirdPartyCookies: 4, // 2 cookies
+    preInteraction: 1, // 2 third-party requests, no interaction yet
+  });
+  assert.equal(privacy.score, 73);
+  assert.equal(privacy.grade, 'C');
+  assert.deepEqual(privacy.categories, { advertising: ['adtech.example'], analytics: ['metrics.example'] });
+  assert.deepEqual(privacy.thirdPartyCookies.hosts, ['adtech.example']);
+});
+
+test('only requests sent before the first interaction count, until the next navigation', () => {
+  const agg = UniverseAggregator.deterministic();
+  agg.addPacket(packet({ type: 'main_frame', timeStamp: 1000 }));
+  agg.addPacket(packet({ url: 'https://early.example.net/', timeStamp: 1100 }));
+  agg.markInteraction(3, 2000);
+  agg.markInteraction(3, 2500); // only the first one sticks
+  agg.addPacket(packet({ url: 'https://late.example.net/', timeStamp: 3000, timing: { totalMs: 500 } }));
+  agg.addPacket(packet({ url: 'https://slow.example.net/', timeStamp: 3000, timing: { totalMs: 1500 } })); // sent at 1500
+
+  let report = agg.getState().domains[0].privacy.preInteraction;
+  assert.deepEqual(report, { requests: 3, thirdPartyRequests: 2, interacted: true });
+
+  agg.addPacket(packet({ type: 'main_frame', timeStamp: 4000 }));
+  agg.addPacket(packet({ url: 'https://late.example.net/', timeStamp: 4100 }));
+  report = agg.getState().domains[0].privacy.preInteraction;
+  assert.deepEqual(report, { requests: 2, thirdPartyRequests: 1, interacted: false });
+});
+
+test('pre-interaction counts start over on every navigation', () => {
+  const agg = UniverseAggregator.deterministic();
+  const preInteraction = () => {
+    const planet = agg.getState().domains[0];
+    return [planet.privacy.preInteraction.thirdPartyRequests, planet.children.map(s => [s.id, s.metrics.preInteraction])];
+  };
+
+  // Page 1: two third-party requests before the user does anything
+  agg.addPacket(packet({ type: 'main_frame', timeStamp: 1000 }));
+  agg.addPacket(packet({ url: 'https://ads.adtech.example/a.js', timeStamp: 1100 }));
+  agg.addPacket(packet({ url: 'https://ads.adtech.example/b.js', timeStamp: 1200 }));
+  assert.deepEqual(preInteraction(), [2, [['example.com', 1], ['adtech.example', 2]]]);
+
+  // Page 2: one more before the click, one after it
+  agg.addPacket(packet({ type: 'main_frame', timeStamp: 5000 }));
+  agg.addPacket(packet({ url: 'https://ads.adtech.example/a.js', timeStamp: 5100 }));
+  agg.markInteraction(3, 6000);
+  agg.addPacket(packet({ url: 'https://ads.adtech.example/c.js', timeStamp: 6100 }));
+  assert.deepEqual(preInteraction(), [1, [['example.com', 1], ['adtech.example', 1]]]);
+
+  // Page 3: the user clicks before any third party loads
+  agg.addPacket(packet({ type: 'main_frame', timeStamp: 9000 }));
+  agg.markInteraction(3, 9500);
+  agg.addPacket(packet({ url: 'https://ads.adtech.example/a.js', timeStamp: 9600 }));
+  assert.deepEqual(preInteraction(), [0, [['example.com', 1], ['adtech.example', 0]]]);
+  assert.equal(agg.getState().domains[0].privacy.factors.find(f => f.id === 'preInteraction').penalty, 0);
+});
@@ -0,0 +1,42 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+let getRegistrableDomain;
+let getPublicSuffix;
+
+before(async () => {
+  ({ getRegistrableDomain, getPublicSuffix } = await import('../psl.js'));
+});
+
+test('resolves multi-label public suffixes', () => {
+  assert.equal(getRegistrableDomain('news.bbc.co.uk'), 'bbc.co.uk');
+  assert.equal(getRegistrableDomain('bbc.co.uk'), 'bbc.co.uk');
+  assert.equal(getPublicSuffix('news.bbc.co.uk'), 'co.uk');
+  assert.equal(getRegistrableDomain('a.b.example.com'), 'example.com');
+});
+
+test('applies wildcard and exception rules', () => {
+  // *.ck with !www.ck
+  assert.equal(getRegistrableDomain('shop.foo.ck'), 'shop.foo.ck');
+  assert.equal(getRegistrableDomain('www.ck'), 'www.ck');
+  assert.equal(getPublicSuffix('www.ck'), 'ck');
+});
+
+test('honours private-section suffixes', () => {
+  assert.equal(getRegistrableDomain('user.github.io'), 'user.github.io');
+  assert.equal(getRegistrableDomain('cdn.user.github.io'), 'user.github.io');
+});
+
+test('falls back to the implicit * rule for unlisted TLDs', () => {
+  assert.equal(getRegistrableDomain('news-ads3.localhost'), 'news-ads3.localhost');
+  assert.equal(getRegistrableDomain('deep.host.internal'), 'host.internal');
+});
+
+test('leaves IPs, single labels and suffixes unchanged', () => {
+  assert.equal(getRegistrableDomain('192.168.0.1'), '192.168.0.1');
+  assert.equal(getRegistrableDomain('[::1]'), '[::1]');
+  assert.equal(getRegistrableDomain('localhost'), 'localhost');
+  assert.equal(getRegistrableDomain('co.uk'), 'co.uk');
+  assert.equal(getRegistrableDomain('WWW.Example.COM.'), 'example.com');
+  assert.equal(getRegistrableDomain(''), '');
+});
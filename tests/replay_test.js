@@ -0,0 +1,159 @@
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+let ReplayEngine;
+let MIN_SPEED;
+let MAX_SPEED;
+let VirtualClock;
+let UniverseAggregator;
+
+// The VirtualClock runs off Date.now; the tests move wall time by hand and
+// call tick() themselves instead of waiting on the engine's timers
+const realNow = Date.now;
+let wall = 0;
+let engine = null;
+
+before(async () => {
+  const { logger } = await import('../logger.js');
+  logger.setLevel(4); // NONE
+  ({ ReplayEngine, MIN_SPEED, MAX_SPEED } = await import('../replay.js'));
+  ({ VirtualClock } = await import('../clock.js'));
+  ({ UniverseAggregator } = await import('../aggregator.js'));
+  Date.now = () => wall;
+});
+
+after(() => {
+  Date.now = realNow;
+});
+
+afterEach(() => {
+  if (engine) engine.stop();
+  engine = null;
+});
+
+const START = 100000;
+
+// Ten packets ten seconds apart, one domain each
+function recording() {
+  return Array.from({ length: 10 }, (_, i) => ({
+    requestId: `r${i}`,
+    url: `https://d${i}.test/x.js`,
+    method: 'GET',
+    statusCode: 200,
+    type: 'script',
+    tabId: 7,
+    timeStamp: START + i * 10000,
+    responseContentLength: 100,
+    requestContentLength: 0,
+  }));
+}
+
+// An engine over a 30s-window aggregator, recording what reaches it and
+// what is queued for the vectorizer
+function setup() {
+  wall = 0;
+  const clock = new VirtualClock();
+  const aggregator = new UniverseAggregator(30000, clock);
+  const fed = [];
+  const addPacket = aggregator.addPacket.bind(aggregator);
+  aggregator.addPacket = (packet) => {
+    fed.push(packet.requestId);
+    addPacket(packet);
+  };
+  const queued = [];
+  engine = new ReplayEngine({ aggregator, queuePacket: packet => queued.push(packet.requestId), clock });
+  engine.load(recording().reverse(), 'test');
+  return { clock, aggregator, fed, queued };
+}
+
+function moons(aggregator) {
+  const planet = aggregator.getState().domains[0];
+  return planet ? planet.children.map(c => c.id).sort() : [];
+}
+
+test('clamps the playback speed to 0.25x - 16x', () => {
+  const { clock } = setup();
+  assert.equal(MIN_SPEED, 0.25);
+  assert.equal(MAX_SPEED, 16);
+  assert.equal(engine.setSpeed(100).speed, 16);
+  assert.equal(engine.setSpeed(0.01).speed, 0.25);
+  assert.equal(engine.setSpeed(-4).speed, 0.25);
+  assert.equal(engine.setSpeed('fast').speed, 1, 'not a number: back to 1x');
+  assert.equal(engine.setSpeed(4).speed, 4);
+  assert.equal(engine.play(64).speed, 16);
+  assert.equal(clock.speed, 16);
+});
+
+test('plays at the recorded pace scaled by speed, and stops emitting while paused', () => {
+  const { fed, queued } = setup();
+  assert.deepEqual(engine.status(), {
+    state: 'paused', source: 'test', speed: 1, position: START,
+    start: START, end: START + 90000, emitted: 0, total: 10,
+  });
+
+  engine.play(4);
+  engine.tick();
+  assert.deepEqual(fed, ['r0']);
+
+  wall += 5000; // 20s of recording at 4x
+  engine.tick();
+  assert.deepEqual(fed, ['r0', 'r1', 'r2']);
+
+  assert.equal(engine.pause().state, 'paused');
+  wall += 100000;
+  engine.tick();
+  assert.deepEqual(fed, ['r0', 'r1', 'r2'], 'nothing is emitted while paused');
+  assert.equal(engine.status().position, START + 20000, 'the clock stood still');
+
+  engine.play();
+  wall += 2500;
+  engine.tick();
+  assert.deepEqual(fed, ['r0', 'r1', 'r2', 'r3']);
+  assert.equal(engine.status().emitted, 4);
+
+  wall += 60000 / 4;
+  engine.tick();
+  assert.equal(engine.status().state, 'ended');
+  assert.equal(fed.length, 10);
+  assert.deepEqual(queued, fed, 'every played packet is queued for the vectorizer');
+});
+
+test('seeking rebuilds the aggregator from the window that ends at the target', () => {
+  const { aggregator, fed, queued } = setup();
+  let status = engine.seek(START + 50000);
+  assert.equal(status.state, 'paused');
+  assert.equal(status.position, START + 50000);
+  assert.equal(status.emitted, 6, 'playback resumes after the target');
+  assert.deepEqual(fed, ['r2', 'r3', 'r4', 'r5'], 'only the last 30s are fast-fed');
+  assert.deepEqual(moons(aggregator), ['d2.test', 'd3.test', 'd4.test', 'd5.test']);
+  assert.deepEqual(queued, [], 'the vectorizer only sees packets as they are played');
+
+  // Backwards: the later packets are gone again
+  fed.length = 0;
+  status = engine.seek(START + 10000);
+  assert.deepEqual(fed, ['r0', 'r1']);
+  assert.deepEqual(moons(aggregator), ['d0.test', 'd1.test']);
+  assert.equal(status.emitted, 2);
+
+  // Out of range targets are clamped to the recording
+  assert.equal(engine.seek(0).position, START);
+  assert.equal(engine.seek(START + 500000).position, START + 90000);
+  assert.equal(engine.status().emitted, 10);
+});
+
+test('seeking while playing carries on playing from the target', () => {
+  const { fed } = setup();
+  engine.play(2);
+  engine.tick();
+  assert.equal(engine.seek(START + 70000).state, 'playing');
+  fed.length = 0;
+  wall += 5000; // 10s at 2x
+  engine.tick();
+  assert.deepEqual(fed, ['r8']);
+
+  wall += 5000;
+  engine.tick();
+  assert.equal(engine.status().state, 'ended');
+  assert.equal(engine.play().state, 'playing', 'play after the end starts over');
+  assert.equal(engine.status().position, START);
+});
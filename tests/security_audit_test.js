@@ -0,0 +1,87 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+let auditResponseHeaders;
+let buildSecurityReport;
+let UniverseAggregator;
+
+before(async () => {
+  ({ auditResponseHeaders, buildSecurityReport } = await import('../security_audit.js'));
+  ({ UniverseAggregator } = await import('../aggregator.js'));
+});
+
+const h = (name, value) => ({ name, value });
+
+function statuses(checks) {
+  return Object.fromEntries(checks.map(c => [c.id, c.status]));
+}
+
+test('a well-configured page passes every header check', () => {
+  const checks = auditResponseHeaders('https://good.test/', [
+    h('Content-Security-Policy', "default-src 'self'; script-src 'self' 'nonce-abc' 'unsafe-inline'; frame-ancestors 'none'"),
+    h('Strict-Transport-Security', 'max-age=31536000; includeSubDomains'),
+    h('Referrer-Policy', 'strict-origin-when-cross-origin'),
+    h('Permissions-Policy', 'camera=()'),
+  ]);
+  assert.deepEqual(statuses(checks), { https: 'pass', csp: 'pass', hsts: 'pass', framing: 'pass', referrer: 'pass', permissions: 'pass' });
+});
+
+test('flags missing and weak headers', () => {
+  assert.deepEqual(statuses(auditResponseHeaders('https://bare.test/', [])), {
+    https: 'pass', csp: 'fail', hsts: 'warn', framing: 'warn', referrer: 'warn', permissions: 'warn',
+  });
+
+  const weak = auditResponseHeaders('https://weak.test/', [
+    h('Content-Security-Policy', "script-src * 'unsafe-inline' 'unsafe-eval'"),
+    h('Strict-Transport-Security', 'max-age=0'),
+    h('X-Frame-Options', 'ALLOW-FROM https://a.test'),
+    h('Referrer-Policy', 'no-referrer, unsafe-url'),
+  ]);
+  assert.deepEqual(statuses(weak), { https: 'pass', csp: 'warn', hsts: 'fail', framing: 'warn', referrer: 'fail', permissions: 'warn' });
+  assert.match(weak.find(c => c.id === 'csp').detail, /'unsafe-inline', 'unsafe-eval', wildcard sources \(\*\)/);
+
+  const plain = statuses(auditResponseHeaders('http://plain.test/', [h('X-Frame-Options', 'sameorigin')]));
+  assert.equal(plain.https, 'fail');
+  assert.equal(plain.hsts, 'na');
+  assert.equal(plain.framing, 'pass');
+});
+
+test('report-only CSP and short HSTS are warnings', () => {
+  const checks = statuses(auditResponseHeaders('https://a.test/', [
+    h('Content-Security-Policy-Report-Only', "default-src 'self'"),
+    h('Strict-Transport-Security', 'max-age=86400'),
+  ]));
+  assert.equal(checks.csp, 'warn');
+  assert.equal(checks.hsts, 'warn');
+  assert.equal(buildSecurityReport(null, null), null);
+});
+
+function packet(overrides = {}) {
+  return { url: 'https://shop.test/', method: 'GET', statusCode: 200, type: 'main_frame', tabId: 4, timeStamp: 1000, ...overrides };
+}
+
+test('planets carry the audit of their last navigation plus mixed content', () => {
+  const agg = UniverseAggregator.deterministic();
+  agg.addPacket(packet({ responseHeaders: [h('Content-Security-Policy', "default-src 'self'")] }));
+  agg.addPacket(packet({ url: 'http://img.cdn.test/a.png', type: 'image' }));
+  agg.addPacket(packet({ url: 'http://js.cdn.test/a.js', type: 'script' }));
+  agg.addPacket(packet({ url: 'https://js.cdn.test/b.js', type: 'script' }));
+
+  let security = agg.getState().domains[0].security;
+  const mixed = security.checks.find(c => c.id === 'mixed');
+  assert.equal(mixed.status, 'fail');
+  assert.equal(mixed.detail, '1 active and 1 passive http subrequest(s)');
+  assert.deepEqual(security.mixedContent, ['http://img.cdn.test/a.png', 'http://js.cdn.test/a.js']);
+  assert.equal(security.failed, 1);
+  assert.equal(security.passed, 2); // https and csp; the other headers are missing
+
+  // The next navigation starts a fresh audit; a failed one has nothing to audit
+  agg.addPacket(packet({ url: 'https://shop.test/cart', timeStamp: 2000 }));
+  security = agg.getState().domains[0].security;
+  assert.equal(security.checks.find(c => c.id === 'mixed').status, 'pass');
+  assert.equal(security.url, 'https://shop.test/cart');
+
+  agg.addPacket(packet({ url: 'https://shop.test/down', error: 'net::ERR_CONNECTION_RESET', timeStamp: 3000 }));
+  assert.equal(agg.getState().domains[0].security, null);
+  assert.equal('pageAudit' in agg.getState().domains[0], false);
+});
@@ -0,0 +1,131 @@
+/**
+ * standard_candle_perf.js
+ * Standard Candle suite (MASTER_PLAN.md §4) against the local fixture server.
+ *
+ * For each candle profile: open its page(s) in fresh tabs, scroll to trigger
+ * lazy loading, let XHR polling finish, then dump `universeState` from the
+ * extension and compare it with the profile's ground truth. Prints a
+ * Fidelity Score per candle and overall; exits non-zero below 100%.
+ *
+ *   node tests/standard_candle_perf.js [profile ...]
+ */
+
+const puppeteer = require('puppeteer');
+const path = require('path');
+const { startFixtureServer } = require('./fixture_server.js');
+const { PROFILES, groundTruth, computeFidelity } = require('./standard_candles.js');
+
+const EXTENSION_PATH = path.resolve(__dirname, '..');
+const SETTLE_MS = 4000; // > longest poll run + one 200ms universe tick
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+async function findExtensionId(browser) {
+  for (let i = 0; i < 10; i++) {
+    const targets = await browser.targets();
+    for (const t of targets) {
+      if (t.type() === 'service_worker' || t.type() === 'background_page') {
+        const url = t.url();
+        if (url.startsWith('chrome-extension://')) return url.split('/')[2];
+      }
+    }
+    await sleep(500);
+  }
+  return '';
+}
+
+async function readUniverse(optionsPage) {
+  return optionsPage.evaluate(() => new Promise((resolve) => {
+    chrome.runtime.sendMessage({ type: 'state:get' }, (response) => resolve(response && response.ok ? response.result : null));
+  }));
+}
+
+// What the page itself saw, per the Resource Timing API (MASTER_PLAN.md §4.3 step 5)
+async function observedHosts(page) {
+  return page.evaluate(() => {
+    const hosts = new Set([location.hostname]);
+    performance.getEntriesByType('resource').forEach(e => hosts.add(new URL(e.name).hostname));
+    return Array.from(hosts);
+  });
+}
+
+async function runCandle(browser, optionsPage, server, name) {
+  const profile = PROFILES[name];
+  const truth = groundTruth(profile);
+  console.log(`\n=== ${name}: ${profile.description} (${truth.length} tab(s)) ===`);
+
+  // Tabs load side by side: opened one after another, the first ones could
+  // age out of the aggregator's 60s window before the last one finishes.
+  const pages = await Promise.all(profile.pages.map(async ({ host }) => {
+    const page = await browser.newPage();
+    await page.goto(server.url(host), { waitUntil: 'networkidle2', timeout: 60000 });
+    await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+    return page;
+  }));
+  await sleep(SETTLE_MS);
+
+  const observed = new Set();
+  for (const page of pages) (await observedHosts(page)).forEach(h => observed.add(h));
+
+  const report = computeFidelity(await readUniverse(optionsPage), truth);
+  report.planets.forEach(row => {
+    const status = row.found ? `${row.rendered - 1}/${row.actual - 1} moons` : 'PLANET MISSING';
+    console.log(`  ${row.label.padEnd(24)} ${status}${row.missing.length ? `, missing: ${row.missing.slice(0, 5).join(', ')}` : ''}${row.extra.length ? `, extra: ${row.extra.length}` : ''}`);
+  });
+
+  const expectedHosts = new Set(truth.flatMap(t => t.satellites));
+  const unseen = [...expectedHosts].filter(h => !observed.has(h));
+  if (unseen.length) console.log(`  (page never requested ${unseen.length} expected hosts, e.g. ${unseen[0]})`);
+  console.log(`  Fidelity: ${(report.score * 100).toFixed(1)}% (${report.rendered}/${report.actual} entities)`);
+
+  for (const page of pages) await page.close();
+  return report;
+}
+
+(async () => {
+  const names = process.argv.slice(2).length ? process.argv.slice(2) : Object.keys(PROFILES);
+  const unknown = names.filter(n => !PROFILES[n]);
+  if (unknown.length) {
+    console.error(`Unknown profile(s): ${unknown.join(', ')}. Known: ${Object.keys(PROFILES).join(', ')}`);
+    process.exit(2);
+  }
+
+  const server = await startFixtureServer();
+  console.log(`Fixture server on port ${server.port}`);
+
+  console.log(`Launch Puppeteer with Extension: ${EXTENSION_PATH}`);
+  const browser = await puppeteer.launch({
+    headless: false, // Extensions only work in headful mode
+    args: [
+      `--disable-extensions-except=${EXTENSION_PATH}`,
+      `--load-extension=${EXTENSION_PATH}`
+    ]
+  });
+
+  try {
+    const extensionId = await findExtensionId(browser);
+    if (!extensionId) throw new Error('Could not detect extension ID');
+    console.log(`Extension ID detected: ${extensionId}`);
+
+    const optionsPage = await browser.newPage();
+    await optionsPage.goto(`chrome-extension://${extensionId}/options.html`);
+
+    let actual = 0;
+    let rendered = 0;
+    for (const name of names) {
+      const report = await runCandle(browser, optionsPage, server, name);
+      actual += report.actual;
+      rendered += report.rendered;
+    }
+
+    const score = actual > 0 ? rendered / actual : 1;
+    console.log(`\n--- FIDELITY SCORE: ${(score * 100).toFixed(1)}% (${rendered}/${actual}) ---`);
+    process.exitCode = score < 1 ? 1 : 0;
+  } catch (e) {
+    console.error('Standard candle run failed:', e);
+    process.exitCode = 1;
+  } finally {
+    await browser.close();
+    await server.close();
+  }
+})();
@@ -0,0 +1,89 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { PROFILES, groundTruth, computeFidelity } = require('./standard_candles.js');
+const { startFixtureServer } = require('./fixture_server.js');
+
+let UniverseAggregator;
+let server;
+
+before(async () => {
+  ({ UniverseAggregator } = await import('../aggregator.js'));
+  server = await startFixtureServer();
+});
+
+after(() => server.close());
+
+function get(host, path) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: server.port, path, headers: { Host: `${host}:${server.port}` } }, (res) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body }));
+    }).on('error', reject);
+  });
+}
+
+// Feed the aggregator one packet per expected host, as a perfect capture would
+function captureTruth(truth) {
+  const agg = UniverseAggregator.deterministic();
+  truth.forEach((planet, i) => {
+    planet.satellites.forEach(host => {
+      agg.addPacket({
+        url: `http://${host}/`,
+        type: host === planet.label ? 'main_frame' : 'script',
+        tabId: i + 1,
+        responseContentLength: 100,
+      });
+    });
+  });
+  return agg.getState();
+}
+
+test('candle ground truth matches the MASTER_PLAN table', () => {
+  const moons = (name) => groundTruth(PROFILES[name]).reduce((sum, p) => sum + p.satellites.length, 0);
+
+  assert.equal(groundTruth(PROFILES.search).length, 1);
+  assert.ok(moons('search') >= 5 && moons('search') <= 10);
+  assert.ok(moons('wiki') >= 2 && moons('wiki') <= 5);
+  assert.ok(moons('news') >= 100);
+  assert.equal(groundTruth(PROFILES.saturation).length, 50);
+  assert.ok(moons('saturation') >= 5000);
+});
+
+test('fixture pages reference every third-party host of their profile', async () => {
+  for (const [name, profile] of Object.entries(PROFILES)) {
+    const { host } = profile.pages[0];
+    const { status, body } = await get(host, '/');
+    assert.equal(status, 200, name);
+    groundTruth(profile)[0].satellites
+      .filter(h => h !== host)
+      .forEach(h => assert.ok(body.includes(`${h}:${server.port}`), `${name} page misses ${h}`));
+  }
+});
+
+test('fixture assets are served from any host', async () => {
+  assert.equal((await get('news-track7.localhost', '/pixel.gif')).status, 200);
+  assert.equal((await get('search-suggest.localhost', '/poll')).status, 200);
+  assert.equal((await get('nowhere.localhost', '/')).status, 404);
+});
+
+test('a perfect capture scores 100%, coagulated moons included', () => {
+  for (const name of ['search', 'news']) {
+    const truth = groundTruth(PROFILES[name]);
+    const report = computeFidelity(captureTruth(truth), truth);
+    assert.equal(report.score, 1, name);
+  }
+});
+
+test('missing planets and moons lower the score', () => {
+  const truth = groundTruth(PROFILES.wiki);
+  assert.equal(computeFidelity({ domains: [] }, truth).score, 0);
+
+  const state = captureTruth(truth);
+  state.domains[0].children = state.domains[0].children.filter(c => c.id !== 'wiki-upload.localhost');
+  const report = computeFidelity(state, truth);
+  assert.equal(report.rendered, report.actual - 1);
+  assert.deepEqual(report.planets[0].missing, ['wiki-upload.localhost']);
+});
@@ -0,0 +1,140 @@
+/**
+ * standard_candles.js
+ * Synthetic "Standard Candle" sites (MASTER_PLAN.md §4.1) and their ground truth.
+ *
+ * Each profile reproduces the traffic shape of a real site class without
+ * touching the internet: every host is a `<name>.localhost` hostname, which
+ * Chrome resolves to loopback, so one fixture server (fixture_server.js) can
+ * play all of them. Hosts are single labels under `.localhost` so each one is
+ * its own registrable domain and counts as a separate moon.
+ *
+ * Ground truth is derived from the profile itself: one planet per page, and
+ * one moon per distinct host that page (and its lazy/polled resources) hits.
+ */
+
+const SATURATION_TABS = 50;
+const SATURATION_HOSTS = 100;
+
+function range(n, fn) {
+  return Array.from({ length: n }, (_, i) => fn(i));
+}
+
+/**
+ * Profile shape:
+ *  pages:       [{ host }] - one tab is opened per page
+ *  scripts:     hosts serving a <script> each
+ *  images:      hosts serving an eager <img>
+ *  lazyImages:  hosts serving a below-the-fold <img loading="lazy">
+ *  pixels:      hosts hit by a JS tracking pixel
+ *  poll:        { host, intervalMs, count } - XHR polling (null = none)
+ */
+const PROFILES = {
+  // google.com: few hosts, low volume, frequent XHR
+  search: {
+    description: 'Low volume, high frequency (XHR)',
+    pages: [{ host: 'search.localhost' }],
+    scripts: ['search-static.localhost', 'search-apis.localhost'],
+    images: ['search-images.localhost'],
+    lazyImages: [],
+    pixels: ['search-log.localhost'],
+    poll: { host: 'search-suggest.localhost', intervalMs: 250, count: 12 },
+  },
+
+  // wikipedia.org: static assets, lazy images from one upload host
+  wiki: {
+    description: 'Static assets, low frequency',
+    pages: [{ host: 'wiki.localhost' }],
+    scripts: ['wiki-meta.localhost'],
+    images: [],
+    lazyImages: ['wiki-upload.localhost'],
+    pixels: [],
+    poll: null,
+  },
+
+  // cnn.com: 100+ third parties, mostly ad tech
+  news: {
+    description: 'High volume, massive tracking (AdTech)',
+    pages: [{ host: 'news.localhost' }],
+    scripts: range(30, i => `news-ads${i}.localhost`),
+    images: ['news-cdn.localhost'],
+    lazyImages: range(20, i => `news-media${i}.localhost`),
+    pixels: range(60, i => `news-track${i}.localhost`),
+    poll: { host: 'news-live.localhost', intervalMs: 1000, count: 3 },
+  },
+
+  // 50 tabs x 100 hosts: stress test for coagulation
+  saturation: {
+    description: 'Stress test for Coagulation',
+    pages: range(SATURATION_TABS, i => ({ host: `sat${i}.localhost` })),
+    scripts: [],
+    images: range(SATURATION_HOSTS, i => `sat-h${i}.localhost`),
+    lazyImages: [],
+    pixels: [],
+    poll: null,
+  },
+};
+
+function profileHosts(profile) {
+  const hosts = [
+    ...profile.scripts,
+    ...profile.images,
+    ...profile.lazyImages,
+    ...profile.pixels,
+  ];
+  if (profile.poll) hosts.push(profile.poll.host);
+  return hosts;
+}
+
+/**
+ * Expected universe for a profile: [{ label, satellites: [host, ...] }],
+ * one entry per page. The page's own host is a moon of its planet too.
+ */
+function groundTruth(profile) {
+  const thirdParty = profileHosts(profile);
+  return profile.pages.map(page => ({
+    label: page.host,
+    satellites: Array.from(new Set([page.host, ...thirdParty])).sort(),
+  }));
+}
+
+/**
+ * Fidelity Score = RenderedEntities / ActualEntities (MASTER_PLAN.md §4.2).
+ *
+ * Entities are planets plus moons. A coagulated "+N Others" moon stands for
+ * its N members, so a fully coagulated planet still scores 100% as long as
+ * every real host is either shown or represented. Hosts the universe shows
+ * that aren't in the truth are reported as `extra` but don't raise the score.
+ */
+function computeFidelity(universeState, truth) {
+  const planets = (universeState && universeState.domains) || [];
+  const report = { planets: [], actual: 0, rendered: 0, score: 0 };
+
+  truth.forEach(expected => {
+    const planet = planets.find(p => p.label === expected.label);
+    const actual = 1 + expected.satellites.length;
+    const row = { label: expected.label, found: !!planet, actual, rendered: 0, missing: [], extra: [] };
+
+    if (planet) {
+      const wanted = new Set(expected.satellites);
+      const children = planet.children || [];
+      const shown = children.filter(c => !c.memberCount).map(c => c.id);
+      const represented = children.reduce((sum, c) => sum + (c.memberCount || 0), 0);
+      const matched = shown.filter(id => wanted.has(id)).length;
+
+      row.rendered = 1 + Math.min(expected.satellites.length, matched + represented);
+      row.extra = shown.filter(id => !wanted.has(id));
+      if (!represented) row.missing = expected.satellites.filter(id => !shown.includes(id));
+    } else {
+      row.missing = expected.satellites.slice();
+    }
+
+    report.planets.push(row);
+    report.actual += row.actual;
+    report.rendered += row.rendered;
+  });
+
+  report.score = report.actual > 0 ? report.rendered / report.actual : 1;
+  return report;
+}
+
+module.exports = { PROFILES, SATURATION_TABS, SATURATION_HOSTS, profileHosts, groundTruth, computeFidelity };
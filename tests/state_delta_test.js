@@ -0,0 +1,130 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+let DeltaEncoder;
+let DeltaDecoder;
+let UniverseAggregator;
+
+before(async () => {
+  ({ DeltaEncoder, DeltaDecoder } = await import('../state_delta.js'));
+  ({ UniverseAggregator } = await import('../aggregator.js'));
+});
+
+function packet(overrides = {}) {
+  return {
+    url: 'https://example.com/index.html',
+    method: 'GET',
+    statusCode: 200,
+    type: 'script',
+    tabId: 7,
+    responseContentLength: 100,
+    requestContentLength: 0,
+    ...overrides,
+  };
+}
+
+// Messages cross a port as structured clones
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+test('decoded deltas rebuild exactly the state that was encoded', () => {
+  const agg = UniverseAggregator.deterministic(60000, 1000);
+  const encoder = new DeltaEncoder();
+  const decoder = new DeltaDecoder();
+  const steps = [
+    () => agg.addPacket(packet({ url: 'https://news.test/', type: 'main_frame' })),
+    () => agg.addPacket(packet({ url: 'https://cdn.static.test/app.js' })),
+    () => agg.addPacket(packet({ tabId: 9, url: 'https://mail.test/', type: 'main_frame' })),
+    () => agg.addPacket(packet({ tabId: -1, url: 'https://update.googleapis.com/x' })),
+    () => agg.addPacket(packet({ tabId: -1, url: 'https://push.news.test/', initiator: 'https://news.test' })),
+    () => agg.clock.advance(40000),
+    () => agg.addPacket(packet({ tabId: 9, url: 'https://ads.tracker.test/p.gif', type: 'image' })),
+    () => agg.clock.advance(30000), // tab 7's traffic and the asteroids age out
+  ];
+
+  steps.forEach((step, i) => {
+    step();
+    agg.clock.advance(200);
+    const state = agg.getState();
+    const message = encoder.encode(state);
+    assert.equal(message.kind, i === 0 ? 'keyframe' : 'delta');
+    const result = decoder.apply(clone(message));
+    assert.ok(result, `step ${i} applies`);
+    assert.deepEqual(clone(result.state), clone(state), `step ${i} round-trips`);
+  });
+  assert.deepEqual(decoder.state.domains.map(d => d.id), ['9']);
+});
+
+test('a delta carries only the metrics that changed', () => {
+  const agg = UniverseAggregator.deterministic(60000, 1000);
+  const encoder = new DeltaEncoder();
+  agg.addPacket(packet({ url: 'https://example.com/a.js' }));
+  agg.addPacket(packet({ tabId: 9, url: 'https://other.test/' }));
+  encoder.encode(agg.getState());
+
+  agg.addPacket(packet({ url: 'https://cdn.example.net/b.js' }));
+  const delta = encoder.encode(agg.getState());
+  assert.deepEqual(delta.added.map(([key]) => key), ['s:7/example.net']);
+  assert.deepEqual(delta.removed, []);
+  const planet = delta.updated.find(([key]) => key === 'p:7');
+  assert.ok(planet, 'the planet gained a moon');
+  assert.deepEqual(planet[1].children, ['s:7/example.com', 's:7/example.net']);
+  assert.ok(planet[1].metrics.frequency === 2 && !('label' in planet[1]), 'unchanged fields are left out');
+  assert.ok(!delta.updated.some(([key]) => key.startsWith('p:9') || key.startsWith('s:9/')), 'tab 9 did not change');
+});
+
+test('fields that disappear are unset and removed planets are reported', () => {
+  const encoder = new DeltaEncoder();
+  const decoder = new DeltaDecoder();
+  const planet = (id, extra = {}) => ({ id, type: 'planet', label: id, metrics: { frequency: 1, volume: 10 }, children: [], ...extra });
+
+  decoder.apply(encoder.encode({ timestamp: 1, domains: [planet('1', { anomaly: { score: 4 } }), planet('2')], interstellar: [] }));
+  const delta = encoder.encode({ timestamp: 2, domains: [planet('1')], interstellar: [] });
+  assert.deepEqual(delta.updated, [['p:1', { $unset: ['anomaly'] }]]);
+  assert.deepEqual(delta.removed, ['p:2']);
+  assert.deepEqual(delta.top.set, { timestamp: 2, planetKeys: ['p:1'] });
+
+  const { state, changes } = decoder.apply(clone(delta));
+  assert.ok(!('anomaly' in state.domains[0]));
+  assert.deepEqual([...changes.planets], ['1']);
+  assert.deepEqual(changes.removedPlanets, ['2']);
+  assert.equal(changes.interstellar, false);
+});
+
+test('unchanged planets are reused between decoded states', () => {
+  const encoder = new DeltaEncoder();
+  const decoder = new DeltaDecoder();
+  const planet = (id, frequency) => ({ id, label: id, metrics: { frequency }, children: [] });
+
+  const first = decoder.apply(encoder.encode({ domains: [planet('1', 1), planet('2', 1)], interstellar: [] })).state;
+  const second = decoder.apply(clone(encoder.encode({ domains: [planet('1', 2), planet('2', 1)], interstellar: [] }))).state;
+  assert.notEqual(second, first);
+  assert.notEqual(second.domains[0], first.domains[0]);
+  assert.equal(second.domains[1], first.domains[1]);
+  assert.equal(first.domains[0].metrics.frequency, 1, 'the previous state is not mutated');
+});
+
+test('sends a keyframe every keyframeInterval versions and after hold', () => {
+  const encoder = new DeltaEncoder({ keyframeInterval: 3 });
+  const state = (timestamp) => ({ timestamp, domains: [], interstellar: [] });
+  const kinds = [1, 2, 3, 4, 5, 6, 7].map(t => encoder.encode(state(t)).kind);
+  assert.deepEqual(kinds, ['keyframe', 'delta', 'delta', 'keyframe', 'delta', 'delta', 'keyframe']);
+
+  encoder.hold(state(8));
+  assert.deepEqual(encoder.keyframe(), { kind: 'keyframe', version: 8, state: state(8) });
+  assert.equal(encoder.encode(state(9)).kind, 'keyframe', 'nothing to diff against after hold');
+});
+
+test('a delta that skips a version is refused until the next keyframe', () => {
+  const encoder = new DeltaEncoder();
+  const decoder = new DeltaDecoder();
+  const state = (timestamp) => ({ timestamp, domains: [], interstellar: [] });
+  decoder.apply(encoder.encode(state(1)));
+  encoder.encode(state(2)); // lost
+  assert.equal(decoder.apply(encoder.encode(state(3))), null);
+  assert.equal(decoder.version, 1);
+
+  const result = decoder.apply(encoder.keyframe());
+  assert.equal(result.changes.keyframe, true);
+  assert.equal(result.state.timestamp, 3);
+  assert.ok(decoder.apply(encoder.encode(state(4))));
+});
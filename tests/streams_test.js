@@ -0,0 +1,145 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createPortPair } = require('./fake_chrome.js');
+
+let StreamHub;
+let STREAMS;
+
+before(async () => {
+  ({ StreamHub, STREAMS } = await import('../streams.js'));
+});
+
+// A page connected to `hub` that records messages and acks only on demand
+function connectPage(hub) {
+  const { page, worker } = createPortPair('streams', { id: 'test' });
+  hub.accept(worker);
+  const received = [];
+  page.onMessage.addListener((message) => received.push(message));
+  return {
+    page,
+    received,
+    send: (message) => page.postMessage(message),
+    ack: () => page.postMessage({ op: 'ack', seq: received[received.length - 1].seq }),
+  };
+}
+
+// Fake ports deliver on setImmediate; a timer could fire before a chain of
+// them when the event loop is busy, so drain a few rounds instead
+const settle = async () => {
+  for (let i = 0; i < 10; i++) await new Promise(resolve => setImmediate(resolve));
+};
+
+test('a subscription starts with the snapshot', async () => {
+  const hub = new StreamHub();
+  hub.provideSnapshot(STREAMS.STATE, () => ({ domains: ['a'] }));
+  const page = connectPage(hub);
+
+  page.send({ op: 'subscribe', streams: [STREAMS.STATE, 'bogus'] });
+  await settle();
+  assert.equal(page.received.length, 1);
+  assert.deepEqual(page.received[0], { op: 'data', stream: 'state', seq: 1, snapshot: true, dropped: 0, payload: { domains: ['a'] } });
+  assert.equal(hub.hasSubscribers(STREAMS.STATE), true);
+  assert.equal(hub.hasSubscribers(STREAMS.POINTS), false);
+});
+
+test('only subscribed pages receive a stream', async () => {
+  const hub = new StreamHub();
+  const states = connectPage(hub);
+  const alerts = connectPage(hub);
+  states.send({ op: 'subscribe', streams: [STREAMS.STATE] });
+  alerts.send({ op: 'subscribe', streams: [STREAMS.ALERTS] });
+  await settle();
+
+  hub.publish(STREAMS.STATE, { n: 1 });
+  hub.publish(STREAMS.ALERTS, [{ id: 'x' }]);
+  await settle();
+  assert.deepEqual(states.received.map(m => m.stream), ['state']);
+  assert.deepEqual(alerts.received.map(m => m.stream), ['alerts']);
+});
+
+test('a slow page gets a keyframe of the newest state instead of a backlog of deltas', async () => {
+  const hub = new StreamHub({ maxInFlight: 1 });
+  let latest = 0;
+  hub.provideSnapshot(STREAMS.STATE, () => (latest ? { kind: 'keyframe', n: latest } : null));
+  const page = connectPage(hub);
+  page.send({ op: 'subscribe', streams: [STREAMS.STATE] });
+  await settle();
+  assert.equal(page.received.length, 0, 'no state yet, no snapshot');
+
+  for (let n = 1; n <= 5; n++) {
+    latest = n;
+    hub.publish(STREAMS.STATE, { kind: 'delta', n });
+  }
+  await settle();
+  assert.deepEqual(page.received.map(m => m.payload.n), [1], 'nothing more until the first is acked');
+
+  page.ack();
+  await settle();
+  assert.deepEqual(page.received.map(m => m.payload), [{ kind: 'delta', n: 1 }, { kind: 'keyframe', n: 5 }]);
+  assert.equal(page.received[1].snapshot, true);
+  assert.equal(page.received[1].dropped, 3, 'states 2-4 were skipped');
+
+  page.ack();
+  latest = 6;
+  hub.publish(STREAMS.STATE, { kind: 'delta', n: 6 });
+  await settle();
+  assert.deepEqual(page.received[2].payload, { kind: 'delta', n: 6 }, 'caught up: deltas again');
+});
+
+test('append streams are concatenated while a page is behind, up to their limit', async () => {
+  const hub = new StreamHub({ maxInFlight: 1 });
+  hub.provideSnapshot(STREAMS.POINTS, () => [{ id: 0 }]);
+  const page = connectPage(hub);
+  page.send({ op: 'subscribe', streams: [STREAMS.POINTS] });
+  await settle();
+
+  hub.publish(STREAMS.POINTS, [{ id: 1 }, { id: 2 }]);
+  hub.publish(STREAMS.POINTS, [{ id: 3 }]);
+  page.ack();
+  await settle();
+  assert.equal(page.received.length, 2);
+  assert.deepEqual(page.received[1].payload.map(p => p.id), [1, 2, 3]);
+  assert.equal(page.received[1].snapshot, false);
+
+  const many = Array.from({ length: 3000 }, (_, id) => ({ id }));
+  hub.publish(STREAMS.POINTS, many.slice(0, 1000));
+  hub.publish(STREAMS.POINTS, many.slice(1000));
+  page.ack();
+  await settle();
+  const last = page.received[2];
+  assert.equal(last.payload.length, 2500);
+  assert.equal(last.payload[0].id, 500, 'the oldest points are the ones cut');
+  assert.equal(last.dropped, 500);
+});
+
+test('a snapshot publish replaces queued appends', async () => {
+  const hub = new StreamHub({ maxInFlight: 1 });
+  const page = connectPage(hub);
+  page.send({ op: 'subscribe', streams: [STREAMS.ALERTS, STREAMS.STATE] });
+  await settle();
+
+  hub.publish(STREAMS.STATE, { n: 1 }); // in flight
+  hub.publish(STREAMS.ALERTS, [{ id: 'a' }]);
+  hub.publish(STREAMS.ALERTS, [], { snapshot: true }); // log cleared
+  await settle();
+  page.ack();
+  await settle();
+  assert.deepEqual(page.received[1], { op: 'data', stream: 'alerts', seq: 2, snapshot: true, dropped: 0, payload: [] });
+});
+
+test('unsubscribed and disconnected pages are dropped', async () => {
+  const hub = new StreamHub();
+  const page = connectPage(hub);
+  page.send({ op: 'subscribe', streams: [STREAMS.STATE] });
+  await settle();
+  page.send({ op: 'unsubscribe', streams: [STREAMS.STATE] });
+  await settle();
+  hub.publish(STREAMS.STATE, { n: 1 });
+  await settle();
+  assert.equal(page.received.length, 0);
+
+  page.page.disconnect();
+  await settle();
+  assert.equal(hub.subscribers.size, 0);
+});
@@ -0,0 +1,176 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const WASM = path.join(__dirname, '..', 'wasm', 'universe_core.wasm');
+
+let JsUniverseCore;
+let WasmUniverseCore;
+let loadUniverseCore;
+let NO_ROW;
+let ENTITY_TYPES;
+let UniverseAggregator;
+let ManualClock;
+
+before(async () => {
+  ({ JsUniverseCore, WasmUniverseCore, loadUniverseCore, ENTITY_TYPES, NO_ROW } = await import('../universe_core.js'));
+  ({ UniverseAggregator } = await import('../aggregator.js'));
+  ({ ManualClock } = await import('../clock.js'));
+  const { logger } = await import('../logger.js');
+  logger.setLevel(4); // NONE
+});
+
+// Ten minutes of traffic: crowded tabs, navigations, failures, background
+// belts, and tabs that go quiet long enough to be pruned
+function fixtures() {
+  let seed = 88675123; // xorshift32, so every run feeds the same sequence
+  const random = () => {
+    seed ^= seed << 13; seed >>>= 0;
+    seed ^= seed >>> 17;
+    seed ^= seed << 5; seed >>>= 0;
+    return seed / 4294967296;
+  };
+  return Array.from({ length: 3000 }, (_, i) => {
+    const background = random() < 0.15;
+    const tabId = background ? -1 : 1 + Math.floor(random() * (i < 1500 ? 6 : 3));
+    const host = Math.floor(random() * random() * 20);
+    return {
+      at: i * 200,
+      packet: {
+        url: `https://s${i % 3}.host${host}.test/r/${i}`,
+        method: 'GET',
+        statusCode: 200,
+        type: i % 250 === 0 ? 'main_frame' : 'script',
+        tabId,
+        initiator: background && host % 4 === 0 ? `https://host${host % 5}.test` : undefined,
+        responseContentLength: Math.floor(random() * 4) * 1000, // plenty of volume ties
+        requestContentLength: 0,
+        responseHeaders: [],
+        error: random() < 0.05 ? 'net::ERR_FAILED' : null,
+      },
+    };
+  });
+}
+
+// Feeds the fixtures to an aggregator on `core`; returns its state every 250 packets
+function replay(core, { switchAt = -1 } = {}) {
+  const clock = new ManualClock(0);
+  const agg = new UniverseAggregator(60000, clock);
+  if (core) agg.useCore(core);
+  const states = [];
+  fixtures().forEach(({ at, packet }, i) => {
+    if (i === switchAt) agg.useCore(new JsUniverseCore());
+    clock.set(at);
+    agg.addPacket(packet);
+    if (i % 250 === 249) states.push(agg.getState());
+  });
+  clock.advance(45000);
+  states.push(agg.getState());
+  return states;
+}
+
+// The core's own behaviour, checked on both implementations
+const CORES = [
+  ['JS core', async (options) => new JsUniverseCore(options)],
+  ['WebAssembly core', async () => loadWasmCore()],
+];
+
+async function loadWasmCore() {
+  assert.ok(fs.existsSync(WASM), 'wasm/universe_core.wasm is missing: npm run build:wasm');
+  const core = await loadUniverseCore(fs.readFileSync(WASM));
+  assert.ok(core instanceof WasmUniverseCore, 'instantiated');
+  return core;
+}
+
+CORES.forEach(([name, makeCore]) => {
+  test(`${name}: ingest finds or creates a root and its child and counts on both`, async () => {
+    const core = await makeCore();
+    const moonA = core.ingest(ENTITY_TYPES.PLANET, 7, 100, 50, false, 1000);
+    const planet = core.lastRoot();
+    const moonB = core.ingest(ENTITY_TYPES.PLANET, 7, 101, 500, true, 1500);
+    assert.equal(core.ingest(ENTITY_TYPES.PLANET, 7, 100, 25, false, 2000), moonA);
+    assert.equal(core.lastRoot(), planet);
+
+    const c = core.columns();
+    assert.equal(c.frequencies[planet], 3);
+    assert.equal(c.volumes[planet], 575);
+    assert.equal(c.lastActive[planet], 2000);
+    assert.equal(c.frequencies[moonA], 2);
+    assert.equal(c.errors[moonB], 1);
+    assert.equal(c.types[moonA], ENTITY_TYPES.MOON);
+    assert.equal(c.parentIds[moonA], planet);
+    assert.equal(c.parentIds[planet], NO_ROW);
+
+    const asteroid = core.ingest(ENTITY_TYPES.BELT, 7, 100, 10, false, 1200);
+    assert.equal(c.types[asteroid], ENTITY_TYPES.ASTEROID);
+    assert.notEqual(core.lastRoot(), planet, 'a belt and a tab with the same key are different roots');
+  });
+
+  test(`${name}: coagulate orders children by volume, oldest first on ties`, async () => {
+    const core = await makeCore();
+    const a = core.ingest(ENTITY_TYPES.PLANET, 1, 1, 100, false, 0);
+    const planet = core.lastRoot();
+    const b = core.ingest(ENTITY_TYPES.PLANET, 1, 2, 300, false, 0);
+    const c = core.ingest(ENTITY_TYPES.PLANET, 1, 3, 100, false, 0);
+    assert.deepEqual(core.coagulate(planet), [b, a, c]);
+    core.ingest(ENTITY_TYPES.PLANET, 1, 3, 1, false, 0);
+    assert.deepEqual(core.coagulate(planet), [b, c, a]);
+
+    const many = Array.from({ length: 50 }, (_, i) => core.ingest(ENTITY_TYPES.PLANET, 1, 10 + i, (i * 7) % 5, false, 0));
+    const expected = [a, b, c, ...many].sort((x, y) =>
+      (core.columns().volumes[y] - core.columns().volumes[x]) || (core.columns().born[x] - core.columns().born[y]));
+    assert.deepEqual(core.coagulate(planet), expected);
+  });
+
+  test(`${name}: prune frees children before roots and reuses their rows`, async () => {
+    const core = await makeCore();
+    const moonA = core.ingest(ENTITY_TYPES.PLANET, 7, 100, 50, false, 1000);
+    const planet = core.lastRoot();
+    const moonB = core.ingest(ENTITY_TYPES.PLANET, 7, 101, 500, false, 1500);
+    const asteroid = core.ingest(ENTITY_TYPES.BELT, 3, 100, 10, false, 1200);
+    const belt = core.lastRoot();
+    core.ingest(ENTITY_TYPES.PLANET, 7, 100, 25, false, 2000);
+
+    assert.deepEqual(core.prune(1600), [moonB, asteroid, belt]);
+    assert.deepEqual(core.coagulate(planet), [moonA]);
+    assert.equal(core.size, 2);
+
+    const again = core.ingest(ENTITY_TYPES.BELT, 3, 100, 1, false, 3000);
+    assert.equal(core.columns().frequencies[again], 1, 'a fresh row, not the pruned one');
+    assert.equal(core.count, 5, 'freed rows are reused');
+
+    // Many keys with deletes in between keep the lookup consistent
+    for (let i = 0; i < 5000; i++) core.ingest(ENTITY_TYPES.PLANET, 8, 1000 + i, i, false, 4000 + (i % 2));
+    assert.equal(core.prune(4001).length, 2500 + 4, 'half of planet 8, plus everything from before');
+    const planet8 = core.root(ENTITY_TYPES.PLANET, 8);
+    assert.equal(core.coagulate(planet8).length, 2500);
+    for (let i = 1; i < 5000; i += 2) assert.equal(core.columns().frequencies[core.child(planet8, 1000 + i)], 1, `domain ${i}`);
+    assert.equal(core.size, 2501, 'finding the survivors created no rows');
+  });
+});
+
+test('JS core: returns NO_ROW once full', () => {
+  const core = new JsUniverseCore({ capacity: 3 });
+  core.ingest(ENTITY_TYPES.PLANET, 7, 100, 1, false, 0);
+  core.ingest(ENTITY_TYPES.PLANET, 7, 101, 1, false, 0);
+  assert.equal(core.ingest(ENTITY_TYPES.PLANET, 7, 102, 1, false, 0), NO_ROW);
+  assert.equal(core.count, 3);
+});
+
+test('the aggregator carries its nodes over to a new core', () => {
+  assert.deepEqual(replay(null, { switchAt: 1234 }), replay(null));
+});
+
+test('falls back to the JS core when the module cannot be instantiated', async () => {
+  const core = await loadUniverseCore(new Uint8Array([0, 97, 115, 109, 9, 9, 9, 9]));
+  assert.ok(core instanceof JsUniverseCore);
+  assert.ok(await loadUniverseCore('chrome-extension://fake-extension-id/wasm/universe_core.wasm') instanceof JsUniverseCore);
+});
+
+test('the WebAssembly core gives the same states as the JS core', async () => {
+  const wasmStates = replay(await loadWasmCore());
+  const jsStates = replay(new JsUniverseCore());
+  assert.equal(wasmStates.length, jsStates.length);
+  wasmStates.forEach((state, i) => assert.deepEqual(state, jsStates[i], `state ${i}`));
+});
@@ -0,0 +1,71 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installFakeChrome, sleep } = require('./fake_chrome.js');
+
+let harness;
+let vectorizer;
+
+before(async () => {
+  harness = installFakeChrome();
+  const { logger } = await import('../logger.js');
+  logger.setLevel(4); // NONE
+  vectorizer = await import('../vectorizer.js');
+  vectorizer.restoreModel(null);
+});
+
+after(() => {
+  harness.teardown();
+});
+
+function packet(requestId) {
+  return {
+    requestId,
+    url: `https://cdn.example.com/${requestId}.js`,
+    method: 'GET',
+    type: 'script',
+    statusCode: 200,
+    timeStamp: 1000,
+    requestHeadersSize: 200,
+    responseHeaders: [],
+  };
+}
+
+test('points processed inside the emit throttle go out once traffic stops', async () => {
+  const batches = [];
+  vectorizer.onPoints(points => batches.push(points.map(p => p.id)));
+
+  vectorizer.queuePacket(packet('first'));
+  await sleep(80); // processed and emitted straight away
+  assert.deepEqual(batches, [['first']]);
+
+  // The final batch lands within 100ms of that emit, then the page goes quiet
+  vectorizer.queuePacket(packet('last-1'));
+  vectorizer.queuePacket(packet('last-2'));
+  await sleep(300);
+  assert.deepEqual(batches, [['first'], ['last-1', 'last-2']]);
+  assert.deepEqual(vectorizer.recentPoints().map(p => p.id), ['first', 'last-1', 'last-2']);
+});
+
+test('replayed packets are projected without training the model and stream on their own', async () => {
+  const live = [];
+  const replayed = [];
+  vectorizer.onPoints(points => live.push(...points.map(p => p.id)));
+  vectorizer.onReplayPoints(points => replayed.push(...points.map(p => p.id)));
+  const model = vectorizer.snapshotModel();
+
+  vectorizer.queueReplayPacket(packet('replay-1'));
+  vectorizer.queueReplayPacket({ ...packet('replay-2'), url: 'https://tracker.test/new/path.gif?uid=1' });
+  await sleep(150);
+  assert.deepEqual(replayed, ['replay-1', 'replay-2']);
+  assert.deepEqual(live, []);
+  assert.deepEqual(vectorizer.snapshotModel(), model, 'the live model is untouched');
+
+  const points = vectorizer.recentReplayPoints();
+  assert.deepEqual(points.map(p => p.id), ['replay-1', 'replay-2']);
+  assert.ok(points.every(p => p.y.every(Number.isFinite) && p.cluster >= 0));
+  assert.deepEqual(vectorizer.recentPoints().map(p => p.id), ['first', 'last-1', 'last-2']);
+
+  vectorizer.clearReplayPoints();
+  assert.deepEqual(vectorizer.recentReplayPoints(), []);
+});
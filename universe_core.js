@@ -0,0 +1,334 @@
+/**
+ * universe_core.js
+ * The aggregator's row bookkeeping (MASTER_PLAN.md Phase 3): which row holds
+ * which planet, moon, belt or asteroid, their volume / frequency / errors /
+ * last activity, and the three hot operations over them:
+ *
+ *   ingest(kind, key, domain, volume, failed, now)  find-or-create a root
+ *       (planet per tab key, belt per belt key) and its child for `domain`,
+ *       count the packet on both; returns the child row
+ *   prune(cutoff)       free every row last active before `cutoff`, children
+ *       before roots; returns the freed rows
+ *   coagulate(root)     the children of `root`, largest volume first and
+ *       oldest first on ties; returns their rows
+ *
+ * Two implementations with the same semantics row for row:
+ * - WasmUniverseCore: wasm/universe_core (AssemblyScript), columns in its linear memory,
+ *   read here through typed-array views.
+ * - JsUniverseCore: the same columns in growable typed arrays. The fallback
+ *   whenever the .wasm cannot be fetched or instantiated.
+ *
+ * Keys are u32 on both sides: tab ids, and domain / belt ids interned by the
+ * caller (UniverseAggregator). Strings never cross into the core.
+ */
+
+import { logger } from './logger.js';
+
+// Values of the `types` column; FREE marks a reusable row
+export const ENTITY_TYPES = {
+    PLANET: 0,
+    MOON: 1,
+    BELT: 3,
+    ASTEROID: 4,
+    FREE: 255
+};
+
+// parentIds of a root, and the row returned when there is none
+export const NO_ROW = 0xFFFFFFFF;
+export const MAX_ENTITIES = 1 << 18; // wasm/universe_core/assembly/index.ts
+
+const INITIAL_CAPACITY = 256;
+const ROOT_KEY_BASE = 2 ** 52; // root keys above every child key, all exact in a double
+
+const COLUMNS = [
+    ['ids', Uint32Array],
+    ['types', Uint8Array],
+    ['parentIds', Uint32Array],
+    ['labels', Uint32Array],
+    ['volumes', Float64Array],
+    ['frequencies', Uint32Array],
+    ['errors', Uint32Array],
+    ['lastActive', Float64Array],
+    ['born', Uint32Array],
+    // children as doubly linked lists, stored +1 (0 = none)
+    ['firstChild', Uint32Array],
+    ['nextSibling', Uint32Array],
+    ['prevSibling', Uint32Array],
+    ['rowKeys', Float64Array]
+];
+
+function rootKey(kind, key) {
+    return ROOT_KEY_BASE + (kind & 0xFF) * 2 ** 32 + key;
+}
+
+function childKey(parent, domain) {
+    return (parent + 1) * 2 ** 32 + domain;
+}
+
+/**
+ * The core in plain JS: the module's columns as typed arrays that grow up to
+ * `capacity`, and a Map for its hash table.
+ */
+export class JsUniverseCore {
+    constructor({ capacity = MAX_ENTITIES } = {}) {
+        this.maxEntities = capacity;
+        COLUMNS.forEach(([name, Type]) => { this[name] = new Type(Math.min(INITIAL_CAPACITY, capacity)); });
+        this.reset();
+    }
+
+    reset() {
+        this.count = 0; // rows handed out, free ones included
+        this.free = [];
+        this.seq = 0;
+        this.lastRootRow = NO_ROW;
+        this.table = new Map(); // Map<key, row>
+    }
+
+    get size() {
+        return this.count - this.free.length;
+    }
+
+    get capacity() {
+        return this.maxEntities;
+    }
+
+    columns() {
+        return this;
+    }
+
+    lastRoot() {
+        return this.lastRootRow;
+    }
+
+    grow() {
+        const length = Math.min(this.ids.length * 2, this.maxEntities);
+        COLUMNS.forEach(([name, Type]) => {
+            const column = new Type(length);
+            column.set(this[name]);
+            this[name] = column;
+        });
+    }
+
+    allocate(kind, id, parent, key) {
+        let row;
+        if (this.free.length > 0) {
+            row = this.free.pop();
+        } else if (this.count < this.maxEntities) {
+            if (this.count === this.ids.length) this.grow();
+            row = this.count++;
+        } else {
+            return NO_ROW;
+        }
+        this.ids[row] = id;
+        this.types[row] = kind;
+        this.parentIds[row] = parent;
+        this.labels[row] = id;
+        this.volumes[row] = 0;
+        this.frequencies[row] = 0;
+        this.errors[row] = 0;
+        this.lastActive[row] = 0;
+        this.born[row] = this.seq;
+        this.seq = (this.seq + 1) >>> 0;
+        this.firstChild[row] = 0;
+        this.prevSibling[row] = 0;
+        this.nextSibling[row] = 0;
+        this.rowKeys[row] = key;
+        if (parent !== NO_ROW) {
+            const head = this.firstChild[parent];
+            this.nextSibling[row] = head;
+            if (head !== 0) this.prevSibling[head - 1] = row + 1;
+            this.firstChild[parent] = row + 1;
+        }
+        this.table.set(key, row);
+        return row;
+    }
+
+    lookupOrAllocate(key, kind, id, parent) {
+        const row = this.table.get(key);
+        return row === undefined ? this.allocate(kind, id, parent, key) : row;
+    }
+
+    root(kind, key) {
+        return this.lookupOrAllocate(rootKey(kind, key), kind, key, NO_ROW);
+    }
+
+    child(root, domain) {
+        if (root === NO_ROW) return NO_ROW;
+        const kind = this.types[root] === ENTITY_TYPES.PLANET ? ENTITY_TYPES.MOON : ENTITY_TYPES.ASTEROID;
+        return this.lookupOrAllocate(childKey(root, domain), kind, domain, root);
+    }
+
+    touch(row, volume, failed, now) {
+        this.frequencies[row]++;
+        this.volumes[row] += volume;
+        if (failed) this.errors[row]++;
+        this.lastActive[row] = now;
+    }
+
+    ingest(kind, key, domain, volume, failed, now) {
+        const root = this.root(kind, key);
+        const child = this.child(root, domain);
+        this.lastRootRow = root;
+        if (child === NO_ROW) return NO_ROW;
+        this.touch(root, volume, failed, now);
+        this.touch(child, volume, failed, now);
+        return child;
+    }
+
+    setMetrics(row, volume, frequency, errors, lastActive) {
+        this.volumes[row] = volume;
+        this.frequencies[row] = frequency;
+        this.errors[row] = errors;
+        this.lastActive[row] = lastActive;
+    }
+
+    setLabel(row, label) {
+        this.labels[row] = label;
+    }
+
+    release(row) {
+        const parent = this.parentIds[row];
+        if (parent !== NO_ROW) {
+            const prev = this.prevSibling[row];
+            const next = this.nextSibling[row];
+            if (prev !== 0) this.nextSibling[prev - 1] = next;
+            else this.firstChild[parent] = next;
+            if (next !== 0) this.prevSibling[next - 1] = prev;
+        }
+        this.table.delete(this.rowKeys[row]);
+        this.types[row] = ENTITY_TYPES.FREE;
+        this.free.push(row);
+    }
+
+    prune(cutoff) {
+        const freed = [];
+        [false, true].forEach(roots => {
+            for (let row = 0; row < this.count; row++) {
+                if (this.types[row] === ENTITY_TYPES.FREE || (this.parentIds[row] === NO_ROW) !== roots) continue;
+                if (this.lastActive[row] < cutoff) {
+                    this.release(row);
+                    freed.push(row);
+                }
+            }
+        });
+        return freed;
+    }
+
+    coagulate(root) {
+        const rows = [];
+        for (let link = this.firstChild[root]; link !== 0; link = this.nextSibling[link - 1]) rows.push(link - 1);
+        return rows.sort((a, b) => (this.volumes[b] - this.volumes[a]) || (this.born[a] - this.born[b]));
+    }
+}
+
+/**
+ * Calls into an instantiated wasm/universe_core module. Column views are
+ * rebuilt whenever the module's memory buffer is replaced. Rows come back as
+ * i32, so they are read unsigned (NO_ROW is -1 otherwise).
+ */
+export class WasmUniverseCore {
+    constructor(instance) {
+        this.exports = instance.exports;
+        this.buffer = null;
+        this.views = null;
+    }
+
+    get count() {
+        return this.exports.count();
+    }
+
+    get size() {
+        return this.exports.size();
+    }
+
+    get capacity() {
+        return this.exports.capacity();
+    }
+
+    columns() {
+        const e = this.exports;
+        if (this.buffer !== e.memory.buffer) {
+            const buffer = e.memory.buffer;
+            const length = e.capacity();
+            this.buffer = buffer;
+            this.views = {
+                ids: new Uint32Array(buffer, e.ids_ptr(), length),
+                types: new Uint8Array(buffer, e.types_ptr(), length),
+                parentIds: new Uint32Array(buffer, e.parent_ids_ptr(), length),
+                labels: new Uint32Array(buffer, e.labels_ptr(), length),
+                volumes: new Float64Array(buffer, e.volumes_ptr(), length),
+                frequencies: new Uint32Array(buffer, e.frequencies_ptr(), length),
+                errors: new Uint32Array(buffer, e.errors_ptr(), length),
+                lastActive: new Float64Array(buffer, e.last_active_ptr(), length),
+                born: new Uint32Array(buffer, e.born_ptr(), length),
+                out: new Uint32Array(buffer, e.out_ptr(), length)
+            };
+        }
+        return this.views;
+    }
+
+    reset() {
+        this.exports.reset();
+    }
+
+    lastRoot() {
+        return this.exports.last_root() >>> 0;
+    }
+
+    root(kind, key) {
+        return this.exports.root(kind, key) >>> 0;
+    }
+
+    child(root, domain) {
+        return this.exports.child(root, domain) >>> 0;
+    }
+
+    touch(row, volume, failed, now) {
+        this.exports.touch(row, volume, failed ? 1 : 0, now);
+    }
+
+    ingest(kind, key, domain, volume, failed, now) {
+        return this.exports.ingest(kind, key, domain, volume, failed ? 1 : 0, now) >>> 0;
+    }
+
+    setMetrics(row, volume, frequency, errors, lastActive) {
+        this.exports.set_metrics(row, volume, frequency, errors, lastActive);
+    }
+
+    setLabel(row, label) {
+        this.exports.set_label(row, label);
+    }
+
+    prune(cutoff) {
+        const n = this.exports.prune(cutoff);
+        return Array.from(this.columns().out.subarray(0, n));
+    }
+
+    coagulate(root) {
+        const n = this.exports.coagulate(root);
+        return Array.from(this.columns().out.subarray(0, n));
+    }
+}
+
+/**
+ * Instantiates the wasm core from a URL (fetched) or from the module's bytes.
+ * Resolves to a JsUniverseCore instead if that fails for any reason: no
+ * WebAssembly, a CSP without 'wasm-unsafe-eval', a missing or stale build.
+ */
+export async function loadUniverseCore(source) {
+    try {
+        let bytes = source;
+        if (typeof source === 'string') {
+            const response = await fetch(source);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            bytes = await response.arrayBuffer();
+        }
+        const { instance } = await WebAssembly.instantiate(bytes, {});
+        const core = new WasmUniverseCore(instance);
+        core.reset();
+        return core;
+    } catch (e) {
+        logger.warn('universe_core: WebAssembly unavailable, using the JS core:', e.message);
+        return new JsUniverseCore();
+    }
+}
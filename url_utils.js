@@ -0,0 +1,13 @@
+/**
+ * url_utils.js
+ * URL helpers shared by the worker modules and the extension pages.
+ */
+
+// The URL's hostname, or `fallback` when it doesn't parse
+export function hostnameOf(urlStr, fallback = '') {
+    try {
+        return new URL(urlStr).hostname;
+    } catch (e) {
+        return fallback;
+    }
+}
@@ -1,4 +1,5 @@
 import { logger } from './logger.js';
+import { getRegistrableDomain } from './psl.js';
 
 // ---- Config ----
 const VEC_CONFIG = {
@@ -20,6 +21,8 @@ const VEC_CONFIG = {
 const State = {
   // streaming buffers
   pktQueue: [],
+  pendingPoints: [], // processed but not yet emitted (emit throttle)
+  recentPoints: [], // last POINTS_LIMIT emitted points, the snapshot for new subscribers
   lastEmit: 0,
 
 
@@ -33,9 +36,15 @@ const State = {
   hashSeed: 1337,
 
 
-  // random projection matrix (hashDim -> projDim)
+  // random projection matrix (hashDim -> projDim), generated from projSeed
+  // so a checkpoint only needs the seed to rebuild it
+  projSeed: (Math.random() * 0x100000000) >>> 0,
   R: null, // Float32Array(hashDim*projDim)
 
+  // packets wait in pktQueue until restoreModel() has run, so none are
+  // projected onto a basis that is about to be replaced
+  modelReady: false,
+
 
   // PCA (Oja's rule)
   pca: {
@@ -72,13 +81,22 @@ function murmur32(str, seed=State.hashSeed){
   return h >>> 0;
 }
 
+// Small seeded PRNG (mulberry32), uniform in [0, 1)
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
 // ---- Core Logic ----
 
+// Registrable domain (eTLD+1), e.g. "bbc.co.uk" from "news.bbc.co.uk"
 function getRootDomain(host) {
-    if (!host) return '';
-    const parts = host.split('.').filter(Boolean);
-    if (parts.length >= 2) return parts[parts.length - 2];
-    return host;
+    return getRegistrableDomain(host);
 }
 
 function bucketSize(bytes) {
@@ -117,9 +135,20 @@ function tokenize(packet) {
     } catch (e) {
         // Invalid URL, skip URL-derived tokens
     }
+    (packet.categories || []).forEach(c => tokens.add(`category:${c}`));
     tokens.add(`method:${packet.method}`);
     tokens.add(`type:${packet.type}`);
-    tokens.add(`status:${Math.floor(packet.statusCode / 100)}xx`);
+    if (packet.error) {
+        // Failed requests have no status code; tag the failure reason instead
+        tokens.add('status:error');
+        tokens.add(`error:${packet.error.replace(/^net::/, '').toLowerCase()}`);
+    } else {
+        tokens.add(`status:${Math.floor(packet.statusCode / 100)}xx`);
+    }
+    if (packet.redirectChain && packet.redirectChain.length > 0) {
+        tokens.add('redirect:yes');
+        tokens.add(`redirect:hops:${Math.min(packet.redirectChain.length, 5)}`);
+    }
     packet.responseHeaders.forEach(h => {
         if (!h || !h.name) return;
         const name = h.name.toLowerCase();
@@ -140,13 +169,20 @@ function tokenize(packet) {
     const totalBytes = reqBytes + resBytes;
     const sizeBucket = bucketSize(totalBytes);
     const reqBucket = bucketSize(reqBytes);
-    const resBucket = bucketSize(resBytes);
+    // An unknown body size (chunked/streamed) is its own bucket, not 'none'
+    const resBucket = packet.responseSizeSource === 'unknown' ? 'unknown' : bucketSize(resBytes);
     const latBucket = bucketLatency(packet.latencyMs);
 
     tokens.add(`flow:size:${sizeBucket}`);
     tokens.add(`flow:reqSize:${reqBucket}`);
     tokens.add(`flow:resSize:${resBucket}`);
     tokens.add(`flow:latency:${latBucket}`);
+    if (packet.timing) {
+        // Split latency: slow to respond (ttfb) vs slow to transfer (download)
+        tokens.add(`flow:ttfb:${bucketLatency(packet.timing.ttfbMs)}`);
+        tokens.add(`flow:download:${bucketLatency(packet.timing.downloadMs)}`);
+    }
+    if (packet.fromCache) tokens.add('cache:hit');
 
     return tokens;
 }
@@ -182,9 +218,10 @@ function vectorize(tokens) {
 
 function project(vec) {
     if (!State.R) {
+        const random = seededRandom(State.projSeed);
         State.R = new Float32Array(VEC_CONFIG.hashDim * VEC_CONFIG.projDim);
         for (let i = 0; i < State.R.length; i++) {
-            State.R[i] = Math.random() > 0.5 ? 1 : -1;
+            State.R[i] = random() > 0.5 ? 1 : -1;
         }
     }
     const projected = new Float32Array(VEC_CONFIG.projDim);
@@ -198,7 +235,7 @@ function project(vec) {
     return projected;
 }
 
-function onlinePCA(pvec) {
+function pcaProject(pvec) {
     if (!State.pca.W) {
         State.pca.W = new Float32Array(VEC_CONFIG.projDim * VEC_CONFIG.pcaDim);
         for (let i = 0; i < State.pca.W.length; i++) {
@@ -213,6 +250,11 @@ function onlinePCA(pvec) {
         }
         y[i] = sum;
     }
+    return y;
+}
+
+function onlinePCA(pvec) {
+    const y = pcaProject(pvec);
 
     // If PCA becomes unstable, reset it.
     if (!y.every(isFinite)) {
@@ -248,7 +290,7 @@ function onlinePCA(pvec) {
     return y;
 }
 
-function onlineKMeans(y) {
+function nearestCluster(y) {
     if (!State.kmeans.centers) {
         State.kmeans.centers = new Float32Array(VEC_CONFIG.kClusters * VEC_CONFIG.pcaDim);
         for (let i = 0; i < State.kmeans.centers.length; i++) {
@@ -268,6 +310,11 @@ function onlineKMeans(y) {
             bestCluster = i;
         }
     }
+    return bestCluster;
+}
+
+function onlineKMeans(y) {
+    const bestCluster = nearestCluster(y);
     State.kmeans.counts[bestCluster]++;
     const lr = 1 / State.kmeans.counts[bestCluster];
     for (let j = 0; j < VEC_CONFIG.pcaDim; j++) {
@@ -302,23 +349,137 @@ export function queuePacket(packet) {
     State.pktQueue.push(packet);
 }
 
+// Replayed packets (replay.js) are embedded with the live model but never
+// train it, and their points have their own buffers and listener
+const Replay = {
+  pktQueue: [],
+  pendingPoints: [],
+  recentPoints: [],
+  lastEmit: 0
+};
+
+export function queueReplayPacket(packet) {
+    Replay.pktQueue.push(packet);
+}
+
+// Emitted points go to one listener (background.js streams them to pages)
+const POINTS_LIMIT = 2500;
+let pointsListener = () => {};
+
+export function onPoints(listener) {
+    pointsListener = listener;
+}
+
+export function recentPoints() {
+    return State.recentPoints.slice();
+}
+
+let replayPointsListener = () => {};
+
+export function onReplayPoints(listener) {
+    replayPointsListener = listener;
+}
+
+export function recentReplayPoints() {
+    return Replay.recentPoints.slice();
+}
+
+// Forget the replay's points, queued ones included (a new replay, a seek or a stop)
+export function clearReplayPoints() {
+    Replay.pktQueue = [];
+    Replay.pendingPoints = [];
+    Replay.recentPoints = [];
+}
+
+// ---- Checkpoints ----
+// The model (vocab, projection seed, PCA basis, k-means centers, scaler) is
+// what makes points comparable over time; background.js checkpoints it so a
+// restarted service worker carries on in the same embedding space.
+
+const MODEL_VERSION = 1;
+
+function modelShape() {
+    return { hashDim: VEC_CONFIG.hashDim, projDim: VEC_CONFIG.projDim, pcaDim: VEC_CONFIG.pcaDim, kClusters: VEC_CONFIG.kClusters };
+}
+
+export function snapshotModel() {
+    return {
+        version: MODEL_VERSION,
+        shape: modelShape(),
+        projSeed: State.projSeed,
+        docCount: State.docCount,
+        tombstones: State.tombstones,
+        vocab: [...State.vocab.entries()],
+        W: State.pca.W ? Array.from(State.pca.W) : null,
+        centers: State.kmeans.centers ? Array.from(State.kmeans.centers) : null,
+        counts: Array.from(State.kmeans.counts),
+        scaler: { mean: Array.from(State.scaler.mean), var: Array.from(State.scaler.var) }
+    };
+}
+
+function validSnapshot(saved) {
+    if (!saved || saved.version !== MODEL_VERSION || !saved.shape) return false;
+    const shape = modelShape();
+    if (Object.keys(shape).some(key => saved.shape[key] !== shape[key])) return false;
+    const sized = (values, length) => values === null || (Array.isArray(values) && values.length === length && values.every(Number.isFinite));
+    return sized(saved.W, shape.projDim * shape.pcaDim)
+        && sized(saved.centers, shape.kClusters * shape.pcaDim)
+        && sized(saved.counts, shape.kClusters)
+        && !!saved.scaler && sized(saved.scaler.mean, shape.projDim) && sized(saved.scaler.var, shape.projDim)
+        && Array.isArray(saved.vocab);
+}
+
+/**
+ * Adopt a checkpointed model, or start afresh when there is none (or it
+ * doesn't fit the current dimensions). Either way, queued packets are
+ * processed from here on.
+ */
+export function restoreModel(saved) {
+    if (saved && !validSnapshot(saved)) {
+        logger.warn('Ignoring incompatible vectorizer checkpoint');
+    } else if (saved) {
+        State.projSeed = saved.projSeed >>> 0;
+        State.R = null;
+        State.docCount = saved.docCount || 0;
+        State.tombstones = saved.tombstones || 0;
+        State.vocab = new Map(saved.vocab);
+        State.pca.W = saved.W ? Float32Array.from(saved.W) : null;
+        State.kmeans.centers = saved.centers ? Float32Array.from(saved.centers) : null;
+        State.kmeans.counts = Uint32Array.from(saved.counts);
+        State.scaler.mean = Float32Array.from(saved.scaler.mean);
+        State.scaler.var = Float32Array.from(saved.scaler.var);
+        logger.info('Restored vectorizer model', { docCount: State.docCount, vocabSize: State.vocab.size });
+    }
+    State.modelReady = true;
+}
+
 function processQueue() {
-    if (State.pktQueue.length === 0) return;
+    if (!State.modelReady) return;
+    if (State.pktQueue.length > 0) processBatch(State, true);
+    if (Replay.pktQueue.length > 0) processBatch(Replay, false);
+    flushPoints(State, pointsListener);
+    flushPoints(Replay, replayPointsListener);
+}
 
-    const batchSize = Math.min(State.pktQueue.length, VEC_CONFIG.batch);
-    const batch = State.pktQueue.splice(0, batchSize);
-    const points = [];
+// `learn`: update the vocab, scaler, PCA basis and k-means centers with the
+// batch; otherwise only project it onto them
+function processBatch(buffers, learn) {
+    const batchSize = Math.min(buffers.pktQueue.length, VEC_CONFIG.batch);
+    const batch = buffers.pktQueue.splice(0, batchSize);
+    const points = buffers.pendingPoints;
 
     batch.forEach(packet => {
-        State.docCount += 1; // increment total docs processed
         const tokens = tokenize(packet);
-        updateVocab(tokens);
+        if (learn) {
+            State.docCount += 1; // increment total docs processed
+            updateVocab(tokens);
+        }
         const vec = vectorize(tokens);
         const pvec = project(vec);
-        updateScaler(pvec);
+        if (learn) updateScaler(pvec);
         const scaled_pvec = scale(pvec);
-        const y = onlinePCA(scaled_pvec);
-        const cluster = onlineKMeans(y);
+        const y = learn ? onlinePCA(scaled_pvec) : pcaProject(scaled_pvec);
+        const cluster = learn ? onlineKMeans(y) : nearestCluster(y);
 
         const diagnostics = {
             tokens: [...tokens],
@@ -337,25 +498,32 @@ function processQueue() {
             ts: packet.timeStamp,
             y: Array.from(y),
             cluster,
-            size: packet.requestHeadersSize + (packet.responseHeadersSize || 0),
+            size: packet.requestHeadersSize + (packet.responseHeadersSize || 0) + (packet.requestContentLength || 0) + (packet.responseContentLength || 0),
+            sizeUnknown: !!packet.sizeUnknown,
             method: packet.method,
             type: packet.type,
             status: packet.statusCode,
+            error: packet.error || null,
+            categories: packet.categories || [],
             diagnostics,
         });
         logger.debug(`Processed packet ${packet.requestId}`, { y, cluster });
     });
+}
 
+// Batches processed between emits are carried over, not dropped, and go
+// out on a later tick even when no more packets arrive
+function flushPoints(buffers, listener) {
+    const points = buffers.pendingPoints;
     const now = Date.now();
-    if (now - State.lastEmit > 1000 / VEC_CONFIG.emitHz) {
-        chrome.storage.local.get({ vectorizedPackets: [] }, (result) => {
-            const allPoints = result.vectorizedPackets.concat(points);
-            if (allPoints.length > 2500) {
-                allPoints.splice(0, allPoints.length - 2500);
-            }
-            chrome.storage.local.set({ vectorizedPackets: allPoints });
-        });
-        State.lastEmit = now;
+    if (points.length > 0 && now - buffers.lastEmit > 1000 / VEC_CONFIG.emitHz) {
+        buffers.pendingPoints = [];
+        buffers.recentPoints.push(...points);
+        if (buffers.recentPoints.length > POINTS_LIMIT) {
+            buffers.recentPoints.splice(0, buffers.recentPoints.length - POINTS_LIMIT);
+        }
+        listener(points);
+        buffers.lastEmit = now;
     }
 }
 
@@ -1,5 +1,7 @@
 import { logger } from './logger.js';
 import { OrbitControls } from './OrbitControls.js';
+import { getRegistrableDomain } from './psl.js';
+import { subscribe, STREAMS } from './streams.js';
 
 let scene, camera, renderer, points, controls;
 const MAX_POINTS = 2500;
@@ -7,7 +9,7 @@ let initialized = false;
 let packetCache = []; // currently displayed/filtered points
 let resizeObserver = null;
 let resizeScheduled = false;
-let allPackets = []; // full dataset from storage
+let allPackets = []; // full dataset from the points stream
 let projectionMode = 'absolute'; // 'absolute' | 'relative'
 let rangeStartPct = 0; // 0..100
 let rangeEndPct = 100; // 0..100
@@ -17,6 +19,7 @@ let playTimer = null; // interval id for playhead
 let selectedClusters = new Set();
 let selectedDomains = new Set();
 let selectedTokens = new Set();
+let selectedCategories = new Set();
 let vectorizerSettings = { weighting: 'count', minDfRatio: 0, maxDfRatio: 1, vocabSize: 1000 };
 let histCanvas = null;
 let histCtx = null;
@@ -171,18 +174,18 @@ export function init() {
         }
     });
 
-    // Listen for storage changes
-    chrome.storage.onChanged.addListener((changes, namespace) => {
-        if (namespace === 'local' && changes.vectorizedPackets) {
-            updatePoints(changes.vectorizedPackets.newValue);
-        }
+    // Points streams from the service worker: a snapshot of recent points, then
+    // new ones. A replay's points are shown instead of the live ones while
+    // there are any.
+    let livePoints = [];
+    let replayPoints = [];
+    subscribe(STREAMS.POINTS, (points, { snapshot }) => {
+        livePoints = snapshot ? points : livePoints.concat(points).slice(-MAX_POINTS);
+        if (!replayPoints.length) updatePoints(livePoints);
     });
-
-    // Initial load
-    chrome.storage.local.get('vectorizedPackets', (result) => {
-        if (result.vectorizedPackets) {
-            updatePoints(result.vectorizedPackets);
-        }
+    subscribe(STREAMS.REPLAY_POINTS, (points, { snapshot }) => {
+        replayPoints = snapshot ? points : replayPoints.concat(points).slice(-MAX_POINTS);
+        updatePoints(replayPoints.length ? replayPoints : livePoints);
     });
 
     // UI controls for projection mode and time window
@@ -201,6 +204,7 @@ export function init() {
     const clusterSel = document.getElementById('cluster-filter');
     const domainSel = document.getElementById('domain-filter');
     const tokenSel = document.getElementById('token-filter');
+    const categorySel = document.getElementById('category-filter');
     const weightingSel = document.getElementById('weighting-mode');
     const minDfInput = document.getElementById('min-df');
     const maxDfInput = document.getElementById('max-df');
@@ -434,7 +438,8 @@ export function init() {
             selectedClusters.clear();
             selectedDomains.clear();
             selectedTokens.clear();
-            for (const sel of [clusterSel, domainSel, tokenSel]) {
+            selectedCategories.clear();
+            for (const sel of [clusterSel, domainSel, tokenSel, categorySel]) {
                 if (!sel) continue;
                 for (const opt of sel.options) opt.selected = false;
             }
@@ -461,6 +466,7 @@ export function init() {
         if (clusterSel) clusterSel.addEventListener('change', () => { selectedClusters = extractSelected(clusterSel); rebuildGeometry(); });
         if (domainSel) domainSel.addEventListener('change', () => { selectedDomains = extractSelected(domainSel); rebuildGeometry(); });
         if (tokenSel) tokenSel.addEventListener('change', () => { selectedTokens = extractSelected(tokenSel); rebuildGeometry(); });
+        if (categorySel) categorySel.addEventListener('change', () => { selectedCategories = extractSelected(categorySel); rebuildGeometry(); });
     }
     attachSelectListeners();
 
@@ -496,14 +502,17 @@ function parseHost(u) {
     try { return new URL(u).hostname; } catch { return ''; }
 }
 
-// Extract a simple domain key: the label just before the TLD (e.g. "google" from "www.google.com")
+// Domain key: the registrable domain (e.g. "google.com" from "www.google.com",
+// "bbc.co.uk" from "news.bbc.co.uk"), same grouping as the aggregator's satellites
 function getDomainKey(host) {
-    if (!host) return '';
-    const parts = host.split('.').filter(Boolean);
-    if (parts.length >= 2) {
-        return parts[parts.length - 2];
-    }
-    return host;
+    return getRegistrableDomain(host);
+}
+
+// Tracker categories of a point (categorizer.js); older points only carry them as tokens
+function getCategories(p) {
+    if (Array.isArray(p.categories)) return p.categories;
+    const toks = (p.diagnostics && p.diagnostics.tokens) ? p.diagnostics.tokens : [];
+    return toks.filter(t => t.startsWith('category:')).map(t => t.slice('category:'.length));
 }
 
 function applySelections(data) {
@@ -512,12 +521,16 @@ function applySelections(data) {
         if (selectedClusters.size > 0) {
             if (!selectedClusters.has(String(p.cluster))) return false;
         }
-        // domain filter (grouped by root domain label)
+        // domain filter (grouped by registrable domain)
         if (selectedDomains.size > 0) {
             const host = parseHost(p.url);
             const key = getDomainKey(host);
             if (!selectedDomains.has(key)) return false;
         }
+        // tracker category filter (any match)
+        if (selectedCategories.size > 0) {
+            if (!getCategories(p).some(c => selectedCategories.has(c))) return false;
+        }
         // token filter (any match)
         if (selectedTokens.size > 0) {
             const toks = (p.diagnostics && p.diagnostics.tokens) ? p.diagnostics.tokens : [];
@@ -533,6 +546,7 @@ function populateFilters(windowed) {
     const clusterCounts = new Map();
     const domainCounts = new Map();
     const tokenCounts = new Map();
+    const categoryCounts = new Map();
     for (const p of windowed) {
         const c = String(p.cluster || 0);
         clusterCounts.set(c, (clusterCounts.get(c) || 0) + 1);
@@ -541,6 +555,7 @@ function populateFilters(windowed) {
         if (key) domainCounts.set(key, (domainCounts.get(key) || 0) + 1);
         const toks = (p.diagnostics && p.diagnostics.tokens) ? p.diagnostics.tokens : [];
         for (const t of toks) tokenCounts.set(t, (tokenCounts.get(t) || 0) + 1);
+        for (const c of getCategories(p)) categoryCounts.set(c, (categoryCounts.get(c) || 0) + 1);
     }
     // sort by count desc
     const clusterSorted = [...clusterCounts.entries()].sort((a,b)=>b[1]-a[1]);
@@ -562,6 +577,7 @@ function populateFilters(windowed) {
     setOptions(document.getElementById('cluster-filter'), clusterSorted);
     setOptions(document.getElementById('domain-filter'), domainSorted);
     setOptions(document.getElementById('token-filter'), tokenSorted);
+    setOptions(document.getElementById('category-filter'), [...categoryCounts.entries()].sort((a,b)=>b[1]-a[1]));
 }
 
 function rebuildGeometry() {
@@ -969,13 +985,24 @@ function renderStatus() {
     }
     if (selectedTokens.size > 10) addChip(`+${selectedTokens.size - 10} more tokens`, null);
 
+    // Categories
+    for (const c of selectedCategories) {
+        addChip(`Category: ${c}`, () => {
+            selectedCategories.delete(c);
+            const sel = document.getElementById('category-filter');
+            if (sel) { for (const opt of sel.options) if (opt.value === c) opt.selected = false; }
+            rebuildGeometry();
+        });
+    }
+
     // Clear all
     if (clearBtn) {
         clearBtn.onclick = () => {
-            selectedClusters.clear(); selectedDomains.clear(); selectedTokens.clear();
+            selectedClusters.clear(); selectedDomains.clear(); selectedTokens.clear(); selectedCategories.clear();
             const cs = document.getElementById('cluster-filter'); if (cs) for (const o of cs.options) o.selected = false;
             const ds = document.getElementById('domain-filter'); if (ds) for (const o of ds.options) o.selected = false;
             const ts = document.getElementById('token-filter'); if (ts) for (const o of ts.options) o.selected = false;
+            const cats = document.getElementById('category-filter'); if (cats) for (const o of cats.options) o.selected = false;
             const startSlider = document.getElementById('time-range-start');
             const endSlider = document.getElementById('time-range-end');
             rangeStartPct = 0; rangeEndPct = 100;
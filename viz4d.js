@@ -1,10 +1,16 @@
 import { logger } from './logger.js';
+import { estimateVolume } from './byte_accounting.js';
+import { PARTY_COLORS } from './entity_map.js';
+import { BELT_COLORS } from './attribution.js';
+import { createPrivacyPanel } from './privacy_panel.js';
+import { subscribeState } from './state_delta.js';
 
 // --- Global Variables ---
 let scene, camera, renderer;
 let sun, sunLight, ambientLight;
 let sunGroup; // A group to hold the sun and all planet systems
 let celestialBodies = new Map(); // Map<ID, BodyObject>
+let asteroidBelts = new Map(); // Map<beltId, { ring, labelDiv, radius, targetRadius }>
 let clock = new THREE.Clock();
 
 // Mouse/Camera control state
@@ -24,11 +30,18 @@ let params = {
     tailSize: 1.0,
     diffusion: 0.0,
     glowIntensity: 1.0,
-    maxSatellites: 20 // New limit parameter
+    maxSatellites: 20, // New limit parameter
+    partyColors: false // Colour moons by first/same-org/third party instead of by domain
 };
 
 let initialized = false;
 let currentUniverseState = null;
+let privacyPanel = null; // opened by clicking a planet
+
+// Asteroid belts (tab-less traffic) sit outside the outermost planet orbit
+const BELT_GAP = 10;
+const BELT_SPACING = 6;
+const BELT_HALF_WIDTH = 0.04; // of the belt radius
 
 // --- Shaders for Particle Tails ---
 const vertexShader = `
@@ -102,6 +115,17 @@ function createControls() {
                 </label>
                 <input type="range" id="glowIntensitySlider" min="0.1" max="2.5" step="0.05" value="1.0" style="width: 100%; margin-bottom: 1rem;">
 
+                <label for="partyColorsToggle" style="display: flex; align-items: center; gap: 0.5rem; margin-bottom: 0.25rem; font-weight: 500; font-size: 0.8rem;">
+                    <input type="checkbox" id="partyColorsToggle">
+                    <span>Colour moons by party</span>
+                </label>
+                <div id="partyLegend" style="display: none; font-size: 0.7rem; margin-bottom: 0.5rem;">
+                    <span style="color: ${PARTY_COLORS['first-party']};">&#9679; first</span>
+                    <span style="color: ${PARTY_COLORS['same-org']}; margin-left: 0.5rem;">&#9679; same org</span>
+                    <span style="color: ${PARTY_COLORS['third-party']}; margin-left: 0.5rem;">&#9679; third</span>
+                    <span style="color: ${PARTY_COLORS.mixed}; margin-left: 0.5rem;">&#9679; mixed</span>
+                </div>
+
                 <div style="margin-top: 0.5rem; font-size: 0.75rem; color: #aaa;">
                     Active Planets: <span id="activeDomainsCount" style="color:white">0</span>
                 </div>
@@ -154,22 +178,63 @@ function getPhaseForKey(key) {
     return (h % 1000) / 1000 * Math.PI * 2;
 }
 
+function createLabelDiv(text, isPlanet) {
+    const labelDiv = document.createElement('div');
+    labelDiv.className = 'planet-label';
+    labelDiv.textContent = text;
+    labelDiv.style.position = 'absolute';
+    labelDiv.style.top = '0'; // CSS Fix for transform
+    labelDiv.style.left = '0';
+    labelDiv.style.color = 'white';
+    labelDiv.style.fontFamily = "'Inter', sans-serif";
+    labelDiv.style.fontSize = isPlanet ? '12px' : '10px';
+    labelDiv.style.fontWeight = isPlanet ? 'bold' : 'normal';
+    labelDiv.style.textShadow = '0 0 4px black';
+    labelDiv.style.pointerEvents = 'none';
+    labelDiv.style.opacity = '0'; // Start hidden
+    labelDiv.style.transition = 'opacity 0.2s';
+    labelDiv.style.willChange = 'transform, opacity';
+
+    const container = document.getElementById('solar-container');
+    if (container) container.appendChild(labelDiv);
+    return labelDiv;
+}
+
+// Project a world position to the canvas and move the label there
+function placeLabel(labelDiv, worldPos, visible) {
+    const screenPos = worldPos.clone().project(camera);
+    const x = (screenPos.x * .5 + .5) * renderer.domElement.clientWidth;
+    const y = (-(screenPos.y * .5) + .5) * renderer.domElement.clientHeight;
+
+    if (visible && screenPos.z < 1) {
+        labelDiv.style.transform = `translate(-50%, -50%) translate(${x}px, ${y}px)`;
+        labelDiv.style.opacity = '1';
+    } else {
+        labelDiv.style.opacity = '0';
+    }
+}
+
 function createCelestialBody(id, type, index, label) {
     const isPlanet = type === 'planet';
-    const baseSize = isPlanet ? 1.0 : 0.2; 
+    const isAsteroid = type === 'asteroid';
+    const baseSize = isPlanet ? 1.0 : (isAsteroid ? 0.35 : 0.2);
     const color = getColorForKey(label || id);
     
+    // Asteroids take their radius from their belt (updateBelts)
     const orbitRadius = isPlanet ? (15 + index * 8) : (2.5 + index * 0.8); 
-    const orbitalSpeed = (isPlanet ? 0.2 : 1.5) * (10 / orbitRadius); 
+    const orbitalSpeed = isAsteroid ? 0.05 : (isPlanet ? 0.2 : 1.5) * (10 / orbitRadius);
     const phaseOffset = getPhaseForKey(id);
 
-    // Optimization: Lower detail for satellites
+    // Optimization: Lower detail for satellites, rough rocks for asteroids
     const segmentCount = isPlanet ? 32 : 8;
-    const geometry = new THREE.SphereGeometry(baseSize, segmentCount, segmentCount);
+    const geometry = isAsteroid
+        ? new THREE.DodecahedronGeometry(baseSize, 0)
+        : new THREE.SphereGeometry(baseSize, segmentCount, segmentCount);
+    const emissiveIntensity = isPlanet ? 0.5 : 0.2;
     const material = new THREE.MeshStandardMaterial({
         color: color,
         emissive: color,
-        emissiveIntensity: isPlanet ? 0.5 : 0.2
+        emissiveIntensity
     });
     const mesh = new THREE.Mesh(geometry, material);
 
@@ -177,26 +242,7 @@ function createCelestialBody(id, type, index, label) {
     // IMPORTANT: Mesh stays at 0,0,0 inside anchor. We move the ANCHOR to orbit.
     anchor.add(mesh);
 
-    // Label
-    const labelText = cleanLabel(label || id);
-    const labelDiv = document.createElement('div');
-    labelDiv.className = 'planet-label';
-    labelDiv.textContent = labelText;
-    labelDiv.style.position = 'absolute';
-    labelDiv.style.top = '0'; // CSS Fix for transform
-    labelDiv.style.left = '0';
-    labelDiv.style.color = 'white';
-    labelDiv.style.fontFamily = "'Inter', sans-serif";
-    labelDiv.style.fontSize = isPlanet ? '12px' : '10px';
-    labelDiv.style.fontWeight = isPlanet ? 'bold' : 'normal';
-    labelDiv.style.textShadow = '0 0 4px black';
-    labelDiv.style.pointerEvents = 'none';
-    labelDiv.style.opacity = '0'; // Start hidden
-    labelDiv.style.transition = 'opacity 0.2s';
-    labelDiv.style.willChange = 'transform, opacity';
-    
-    const container = document.getElementById('solar-container');
-    if (container) container.appendChild(labelDiv);
+    const labelDiv = createLabelDiv(cleanLabel(label || id), isPlanet);
 
     let tail = null;
     if (isPlanet) {
@@ -217,7 +263,9 @@ function createCelestialBody(id, type, index, label) {
     }
 
     return {
-        id, type, mesh, anchor, tail, labelDiv, orbitRadius, orbitalSpeed, phaseOffset, baseSize,
+        id, type, mesh, anchor, tail, labelDiv, orbitRadius, orbitalSpeed, phaseOffset, baseSize, baseColor: color, halo: null,
+        baseEmissive: emissiveIntensity, anomalous: false,
+        beltId: null, beltOffset: (phaseOffset / Math.PI - 1) * 1.5, // asteroids: spread across the belt's width
         tailPositions: [], tailSizes: [], tailOpacities: [],
         targetScale: 0.01, 
         currentScale: 0.01,
@@ -225,57 +273,205 @@ function createCelestialBody(id, type, index, label) {
     };
 }
 
-function updateUniverseState(state) {
+// Bodies whose volume is partly extrapolated (unknown-size traffic) are drawn
+// translucent so a chunked-heavy planet doesn't look as certain as a measured one.
+function applyVolume(body, metrics) {
+    const { volume, uncertainty } = estimateVolume(metrics);
+    body.targetScale = 1.0 + Math.log10(volume + 1) * 0.2;
+    const material = body.mesh.material;
+    material.transparent = uncertainty > 0;
+    material.opacity = 1.0 - uncertainty * 0.6;
+}
+
+// Moons take their party colour while the toggle is on, their domain colour otherwise
+function applyParty(body, party) {
+    const color = params.partyColors && PARTY_COLORS[party]
+        ? new THREE.Color(PARTY_COLORS[party])
+        : body.baseColor;
+    body.mesh.material.color.copy(color);
+    body.mesh.material.emissive.copy(color);
+}
+
+// Planets failing a security check (security_audit.js) get a pulsing red
+// halo; it is created on first failure and kept hidden afterwards if fixed.
+function applySecurity(body, security) {
+    const failing = !!security && security.failed > 0;
+    if (failing && !body.halo) {
+        const material = new THREE.MeshBasicMaterial({
+            color: 0xef4444, transparent: true, opacity: 0.3, side: THREE.BackSide, blending: THREE.AdditiveBlending, depthWrite: false
+        });
+        body.halo = new THREE.Mesh(new THREE.SphereGeometry(body.baseSize * 1.6, 24, 24), material);
+        body.mesh.add(body.halo); // scales with the planet
+    }
+    if (body.halo) body.halo.visible = failing;
+}
+
+// Satellites are keyed by planet too: the same third party is a moon of
+// every tab that talks to it
+function satelliteKey(planetId, childId) {
+    return `${planetId}/${childId}`;
+}
+
+function fade(id) {
+    const body = celestialBodies.get(id);
+    if (body) body.targetScale = 0.001;
+}
+
+function syncPlanet(domainNode, dIndex) {
+    let planet = celestialBodies.get(domainNode.id);
+    if (!planet) {
+        planet = createCelestialBody(domainNode.id, 'planet', dIndex, domainNode.label);
+        planet.satelliteKeys = new Set();
+        celestialBodies.set(domainNode.id, planet);
+        sunGroup.add(planet.anchor);
+    }
+
+    applyVolume(planet, domainNode.metrics);
+    applySecurity(planet, domainNode.security);
+    planet.anomalous = !!domainNode.anomaly;
+    planet.shouldShowLabel = true; // Always show planet labels
+
+    // Limit Satellites to prevent clutter (sorted on a copy: the state is shared)
+    const sortedChildren = [...(domainNode.children || [])]
+        .sort((a, b) => (b.metrics.volume || 0) - (a.metrics.volume || 0))
+        .slice(0, params.maxSatellites);
+
+    const satelliteKeys = new Set();
+    sortedChildren.forEach((childNode, cIndex) => {
+        const key = satelliteKey(domainNode.id, childNode.id);
+        satelliteKeys.add(key);
+
+        let satellite = celestialBodies.get(key);
+        if (!satellite) {
+            satellite = createCelestialBody(key, 'satellite', cIndex, childNode.label);
+            celestialBodies.set(key, satellite);
+            planet.anchor.add(satellite.anchor);
+        }
+        applyVolume(satellite, childNode.metrics);
+        applyParty(satellite, childNode.party);
+        satellite.anomalous = !!childNode.anomaly;
+
+        // Only show label for top 2 satellites
+        satellite.shouldShowLabel = (cIndex < 2);
+    });
+    planet.satelliteKeys.forEach(key => {
+        if (!satelliteKeys.has(key)) fade(key);
+    });
+    planet.satelliteKeys = satelliteKeys;
+}
+
+function fadePlanet(id) {
+    const planet = celestialBodies.get(id);
+    if (!planet) return;
+    planet.targetScale = 0.001;
+    planet.satelliteKeys.forEach(fade);
+}
+
+/**
+ * Apply a decoded state (state_delta.js). Keyframes rebuild every body;
+ * deltas only touch the planets in `changes` and, when tab-less traffic
+ * changed, the belts.
+ */
+function updateUniverseState(state, changes) {
     currentUniverseState = state;
     if (!state || !state.domains) return;
+    if (privacyPanel) privacyPanel.update(state);
 
     document.getElementById('activeDomainsCount').innerText = state.domains.length;
 
-    const activeIds = new Set();
-
-    state.domains.forEach((domainNode, dIndex) => {
-        activeIds.add(domainNode.id);
-        
-        let planet = celestialBodies.get(domainNode.id);
-        if (!planet) {
-            planet = createCelestialBody(domainNode.id, 'planet', dIndex, domainNode.label);
-            celestialBodies.set(domainNode.id, planet);
-            sunGroup.add(planet.anchor);
+    if (!changes || changes.keyframe) {
+        const activePlanets = new Set();
+        state.domains.forEach((domainNode, dIndex) => {
+            activePlanets.add(domainNode.id);
+            syncPlanet(domainNode, dIndex);
+        });
+        for (const [id, body] of celestialBodies) {
+            if (body.type === 'planet' && !activePlanets.has(id)) fadePlanet(id);
         }
+    } else {
+        state.domains.forEach((domainNode, dIndex) => {
+            if (changes.planets.has(domainNode.id)) syncPlanet(domainNode, dIndex);
+        });
+        changes.removedPlanets.forEach(fadePlanet);
+    }
 
-        const vol = domainNode.metrics.volume || 0;
-        planet.targetScale = 1.0 + Math.log10(vol + 1) * 0.2;
-        planet.shouldShowLabel = true; // Always show planet labels
+    updateBelts(state, !changes || changes.keyframe || changes.interstellar);
+}
 
-        if (domainNode.children) {
-            // Limit Satellites to prevent clutter
-            const sortedChildren = domainNode.children
-                .sort((a, b) => (b.metrics.volume || 0) - (a.metrics.volume || 0))
-                .slice(0, params.maxSatellites);
+function createBelt(info) {
+    const color = new THREE.Color(BELT_COLORS[info.kind] || BELT_COLORS.unknown);
+    const material = new THREE.MeshBasicMaterial({
+        color, transparent: true, opacity: 0.12, side: THREE.DoubleSide, depthWrite: false
+    });
+    // Unit ring, scaled to the belt radius every frame
+    const ring = new THREE.Mesh(new THREE.RingGeometry(1 - BELT_HALF_WIDTH, 1 + BELT_HALF_WIDTH, 128), material);
+    ring.rotation.x = -Math.PI / 2;
+    sunGroup.add(ring);
+    const labelDiv = createLabelDiv(info.label, false);
+    labelDiv.style.color = BELT_COLORS[info.kind] || BELT_COLORS.unknown;
+    return { ring, labelDiv, color, radius: 0, targetRadius: 0 };
+}
 
-            sortedChildren.forEach((childNode, cIndex) => {
-                activeIds.add(childNode.id);
-                
-                let satellite = celestialBodies.get(childNode.id);
-                if (!satellite) {
-                    satellite = createCelestialBody(childNode.id, 'satellite', cIndex, childNode.label);
-                    celestialBodies.set(childNode.id, satellite);
-                    planet.anchor.add(satellite.anchor);
-                }
-                const satVol = childNode.metrics.volume || 0;
-                satellite.targetScale = 1.0 + Math.log10(satVol + 1) * 0.2;
-                
-                // Only show label for top 2 satellites
-                satellite.shouldShowLabel = (cIndex < 2);
-            });
+function removeBelt(belt) {
+    sunGroup.remove(belt.ring);
+    belt.ring.geometry.dispose();
+    belt.ring.material.dispose();
+    if (belt.labelDiv.parentNode) belt.labelDiv.parentNode.removeChild(belt.labelDiv);
+}
+
+// Tab-less traffic: one asteroid belt per attribution (attribution.js), one
+// asteroid per registrable domain in it. The rings follow the planet count
+// every time; the asteroids only when `asteroidsChanged`.
+function updateBelts(state, asteroidsChanged) {
+    const outerOrbit = 15 + Math.max(0, state.domains.length - 1) * 8;
+    const activeBelts = new Set();
+
+    (state.belts || []).forEach((info, bIndex) => {
+        activeBelts.add(info.id);
+        let belt = asteroidBelts.get(info.id);
+        if (!belt) {
+            belt = createBelt(info);
+            belt.radius = outerOrbit + BELT_GAP + bIndex * BELT_SPACING;
+            asteroidBelts.set(info.id, belt);
         }
+        belt.targetRadius = outerOrbit + BELT_GAP + bIndex * BELT_SPACING;
+        belt.labelDiv.textContent = `${info.label} (${info.members})`;
     });
 
-    for (const [id, body] of celestialBodies) {
-        if (!activeIds.has(id)) {
-            body.targetScale = 0.001; 
+    const activeAsteroids = new Set();
+    (asteroidsChanged ? state.interstellar || [] : []).forEach((node, aIndex) => {
+        const beltId = node.belt ? node.belt.id : 'unknown';
+        const id = `asteroid:${beltId}|${node.id}`;
+        activeAsteroids.add(id);
+
+        let asteroid = celestialBodies.get(id);
+        if (!asteroid) {
+            asteroid = createCelestialBody(id, 'asteroid', aIndex, node.label);
+            asteroid.beltId = beltId;
+            const belt = asteroidBelts.get(beltId);
+            if (belt) {
+                asteroid.baseColor = belt.color;
+                asteroid.mesh.material.color.copy(belt.color);
+                asteroid.mesh.material.emissive.copy(belt.color);
+            }
+            celestialBodies.set(id, asteroid);
+            sunGroup.add(asteroid.anchor);
+        }
+        applyVolume(asteroid, node.metrics);
+        asteroid.anomalous = !!node.anomaly;
+        asteroid.shouldShowLabel = false; // the belt is labelled instead
+    });
+
+    for (const [id, belt] of asteroidBelts) {
+        if (!activeBelts.has(id)) {
+            removeBelt(belt);
+            asteroidBelts.delete(id);
         }
     }
+    if (!asteroidsChanged) return;
+    for (const [id, body] of celestialBodies) {
+        if (body.type === 'asteroid' && !activeAsteroids.has(id)) body.targetScale = 0.001;
+    }
 }
 
 function updateTail(body) {
@@ -339,6 +535,9 @@ export function init() {
     renderer.setSize(container.clientWidth, container.clientHeight);
     container.appendChild(renderer.domElement);
 
+    privacyPanel = createPrivacyPanel(container);
+    setupPlanetPicking(renderer.domElement);
+
     sunLight = new THREE.PointLight(0xffaa00, 2, 2000);
     scene.add(sunLight);
     ambientLight = new THREE.AmbientLight(0x404060, 0.5);
@@ -352,21 +551,37 @@ export function init() {
     sunGroup.add(sun);
     scene.add(sunGroup);
 
-    if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
-        chrome.storage.onChanged.addListener((changes, ns) => {
-            if (ns === 'local' && changes.universeState) {
-                updateUniverseState(changes.universeState.newValue);
-            }
-        });
-        chrome.storage.local.get('universeState', (res) => {
-            if (res.universeState) updateUniverseState(res.universeState);
-        });
+    if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.connect) {
+        subscribeState(updateUniverseState);
     }
 
     initialized = true;
     animate();
 }
 
+// Click (not drag) on a planet opens its privacy report
+function setupPlanetPicking(canvas) {
+    const raycaster = new THREE.Raycaster();
+    const pointer = new THREE.Vector2();
+    let downAt = null;
+
+    canvas.addEventListener('pointerdown', (e) => { downAt = { x: e.clientX, y: e.clientY }; });
+    canvas.addEventListener('pointerup', (e) => {
+        if (!downAt || Math.hypot(e.clientX - downAt.x, e.clientY - downAt.y) > 4) return;
+        const rect = canvas.getBoundingClientRect();
+        pointer.x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
+        pointer.y = -((e.clientY - rect.top) / rect.height) * 2 + 1;
+        raycaster.setFromCamera(pointer, camera);
+
+        const planets = Array.from(celestialBodies.values()).filter(b => b.type === 'planet');
+        const hit = raycaster.intersectObjects(planets.map(b => b.mesh), false)[0];
+        if (!hit) return;
+        const body = planets.find(b => b.mesh === hit.object);
+        const node = currentUniverseState && currentUniverseState.domains.find(d => d.id === body.id);
+        if (node) privacyPanel.show(node);
+    });
+}
+
 function setupEventListeners() {
     // Collapse Toggle
     const toggleBtn = document.getElementById('toggleVizPanel');
@@ -398,6 +613,15 @@ function setupEventListeners() {
         });
     }
 
+    const partyToggle = document.getElementById('partyColorsToggle');
+    if (partyToggle) {
+        partyToggle.addEventListener('change', (e) => {
+            params.partyColors = e.target.checked;
+            document.getElementById('partyLegend').style.display = params.partyColors ? 'block' : 'none';
+            updateUniverseState(currentUniverseState);
+        });
+    }
+
     const sliders = ['sunSpeed', 'orbitSpeed', 'tailLength', 'glowIntensity'];
     sliders.forEach(id => {
         const el = document.getElementById(id + 'Slider');
@@ -463,7 +687,12 @@ function animate() {
             toRemove.push(id);
         }
 
-        body.mesh.scale.set(body.currentScale, body.currentScale, body.currentScale);
+        // Anomalous bodies (anomaly.js flags) pulse in size and glow
+        const pulse = body.anomalous ? Math.abs(Math.sin(time * 4)) : 0;
+        const scale = body.currentScale * (1 + 0.25 * pulse);
+        body.mesh.scale.set(scale, scale, scale);
+        body.mesh.material.emissiveIntensity = body.baseEmissive + 0.8 * pulse;
+        if (body.halo && body.halo.visible) body.halo.material.opacity = 0.2 + 0.15 * Math.sin(time * 3);
         
         const angle = time * body.orbitalSpeed * params.orbitSpeed + body.phaseOffset;
         
@@ -474,6 +703,15 @@ function animate() {
                 0,
                 Math.sin(angle) * body.orbitRadius
             );
+        } else if (body.type === 'asteroid') {
+            // Drift along the belt, bobbing slightly off its plane
+            const belt = asteroidBelts.get(body.beltId);
+            const radius = (belt ? belt.radius : body.orbitRadius) + body.beltOffset;
+            body.anchor.position.set(
+                Math.cos(angle) * radius,
+                Math.sin(angle * 3 + body.phaseOffset) * 0.6,
+                Math.sin(angle) * radius
+            );
         } else {
             // Orbit Planet (Anchor moves relative to Planet Anchor)
             body.anchor.position.set(
@@ -491,24 +729,19 @@ function animate() {
             const worldPos = new THREE.Vector3();
             body.mesh.getWorldPosition(worldPos);
             worldPos.y += body.baseSize * body.currentScale + 2; // Offset above planet
-            
-            // Project to 2D
-            const screenPos = worldPos.clone().project(camera);
-            
-            const x = (screenPos.x * .5 + .5) * renderer.domElement.clientWidth;
-            const y = (-(screenPos.y * .5) + .5) * renderer.domElement.clientHeight;
-
-            if (body.shouldShowLabel && screenPos.z < 1 && body.currentScale > 0.2) {
-                body.labelDiv.style.transform = `translate(-50%, -50%) translate(${x}px, ${y}px)`;
-                body.labelDiv.style.opacity = '1';
-            } else {
-                body.labelDiv.style.opacity = '0';
-            }
+            placeLabel(body.labelDiv, worldPos, body.shouldShowLabel && body.currentScale > 0.2);
         }
 
         updateTail(body);
     });
 
+    // Belts ease out as planets are added, labelled at their near edge
+    asteroidBelts.forEach(belt => {
+        belt.radius += (belt.targetRadius - belt.radius) * Math.min(1, 2.0 * delta);
+        belt.ring.scale.set(belt.radius, belt.radius, 1);
+        placeLabel(belt.labelDiv, sunGroup.localToWorld(new THREE.Vector3(0, 1.5, belt.radius)), true);
+    });
+
     toRemove.forEach(id => {
         const body = celestialBodies.get(id);
         if (body) {
@@ -523,6 +756,10 @@ function animate() {
             if (body.labelDiv && body.labelDiv.parentNode) {
                 body.labelDiv.parentNode.removeChild(body.labelDiv);
             }
+            if (body.halo) {
+                body.halo.geometry.dispose();
+                body.halo.material.dispose();
+            }
             body.mesh.geometry.dispose();
             body.mesh.material.dispose();
             celestialBodies.delete(id);
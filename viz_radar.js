@@ -11,9 +11,18 @@
  *   Crisp text rendering for labels.
  * - Orbit Lines / Tails: Single full-screen Canvas 2D overlay.
  *   Why? Canvas 2D is extremely fast for drawing simple lines/arcs.
+ * - Clicking a planet opens its privacy report (privacy_panel.js).
+ * - Moons are coloured by party (first / same-org / third, entity_map.js);
+ *   a planet's red ring grows with its share of third-party moons.
+ * - Bodies flagged by the anomaly detector (anomaly.js) get a pulsing ring
+ *   on the canvas layer.
  */
 
 import { logger } from './logger.js';
+import { estimateVolume } from './byte_accounting.js';
+import { PARTY_COLORS } from './entity_map.js';
+import { createPrivacyPanel } from './privacy_panel.js';
+import { subscribeState } from './state_delta.js';
 
 let container = null;
 let domLayer = null; // Div for Planets
@@ -23,6 +32,7 @@ let width = 0;
 let height = 0;
 let initialized = false;
 let universeState = null;
+let privacyPanel = null; // opened by clicking a planet
 
 // State
 const entities = new Map(); // Map<ID, { el, x, y, z, type, label, ... }>
@@ -33,7 +43,8 @@ let animationFrameId = null;
 const ORBIT_SCALE = 150; // Pixels
 const SATELLITE_SCALE = 40; // Pixels
 const PLANET_SIZE = 40;
-const SATELLITE_SIZE = 8;
+const SATELLITE_SIZE = 8; // Minimum; grows with (estimated) volume
+const SATELLITE_MAX_SIZE = 20;
 
 export function init() {
     if (initialized) return;
@@ -70,19 +81,13 @@ export function init() {
     resizeObserver.observe(container);
     handleResize(); // Initial size
 
+    privacyPanel = createPrivacyPanel(container);
+
     // 4. Data Listener
-    if (typeof chrome !== 'undefined' && chrome.storage) {
-        chrome.storage.onChanged.addListener((changes, ns) => {
-            if (ns === 'local' && changes.universeState) {
-                universeState = changes.universeState.newValue;
-                updateEntities(universeState);
-            }
-        });
-        chrome.storage.local.get('universeState', (res) => {
-            if (res.universeState) {
-                universeState = res.universeState;
-                updateEntities(universeState);
-            }
+    if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.connect) {
+        subscribeState((state, changes) => {
+            universeState = state;
+            updateEntities(universeState, changes);
         });
     }
 
@@ -142,6 +147,13 @@ function createPlanetElement(id, label) {
     el.style.overflow = 'hidden';
     el.style.whiteSpace = 'nowrap';
     el.style.textOverflow = 'ellipsis';
+    // The layer ignores the pointer; planets opt back in so they can be clicked
+    el.style.pointerEvents = 'auto';
+    el.style.cursor = 'pointer';
+    el.addEventListener('click', () => {
+        const node = universeState && universeState.domains.find(d => d.id === id);
+        if (node) privacyPanel.show(node);
+    });
     
     domLayer.appendChild(el);
     return el;
@@ -162,67 +174,124 @@ function createSatelliteElement(id) {
     return el;
 }
 
-function updateEntities(state) {
-    if (!state || !state.domains) return;
+// Moon size follows volume; moons whose volume is mostly extrapolated from
+// unknown-size (chunked) responses are drawn hollow instead of solid.
+function applySatelliteVolume(sat) {
+    const { volume, uncertainty } = estimateVolume(sat.metrics);
+    const color = PARTY_COLORS[sat.party] || PARTY_COLORS['third-party'];
+    sat.size = Math.min(SATELLITE_MAX_SIZE, SATELLITE_SIZE + Math.log10(volume + 1) * 1.5);
+    sat.el.style.width = `${sat.size}px`;
+    sat.el.style.height = `${sat.size}px`;
+    if (uncertainty > 0.5) {
+        sat.el.style.background = 'transparent';
+        sat.el.style.border = `1px dashed ${color}`;
+    } else {
+        sat.el.style.background = color;
+        sat.el.style.border = 'none';
+    }
+}
 
-    const activeIds = new Set();
-    
-    state.domains.forEach((planetNode, i) => {
-        activeIds.add(planetNode.id);
-        
-        // Ensure Planet Exists
-        let planet = entities.get(planetNode.id);
-        if (!planet) {
-            const el = createPlanetElement(planetNode.id, planetNode.label);
-            planet = { 
-                id: planetNode.id, 
-                type: 'planet', 
-                el, 
-                angle: Math.random() * Math.PI * 2, 
-                radius: 0, // Center (Sun orbit handled in animation)
-                orbitSpeed: 0.05 + Math.random() * 0.05,
-                metrics: planetNode.metrics
-            };
-            entities.set(planetNode.id, planet);
-        } else {
-            // Update Label if changed
-            if (planet.el.textContent !== planetNode.label) {
-                planet.el.textContent = planetNode.label;
-            }
-            planet.metrics = planetNode.metrics;
+function applyPlanetParties(planet, parties) {
+    const ratio = parties ? parties.thirdPartyRatio : 0;
+    planet.el.style.boxShadow = `0 0 10px rgba(59, 130, 246, 0.5), 0 0 0 ${Math.round(ratio * 6)}px rgba(239, 68, 68, 0.8)`;
+}
+
+function removeEntity(id) {
+    const entity = entities.get(id);
+    if (!entity) return;
+    entity.el.remove();
+    entities.delete(id);
+}
+
+function syncPlanet(planetNode) {
+    // Ensure Planet Exists
+    let planet = entities.get(planetNode.id);
+    if (!planet) {
+        const el = createPlanetElement(planetNode.id, planetNode.label);
+        planet = { 
+            id: planetNode.id, 
+            type: 'planet', 
+            el, 
+            angle: Math.random() * Math.PI * 2, 
+            radius: 0, // Center (Sun orbit handled in animation)
+            orbitSpeed: 0.05 + Math.random() * 0.05,
+            metrics: planetNode.metrics,
+            satelliteKeys: new Set()
+        };
+        entities.set(planetNode.id, planet);
+    } else {
+        // Update Label if changed
+        if (planet.el.textContent !== planetNode.label) {
+            planet.el.textContent = planetNode.label;
         }
+        planet.metrics = planetNode.metrics;
+    }
+    planet.anomalous = !!planetNode.anomaly;
+    applyPlanetParties(planet, planetNode.parties);
 
-        // Process Satellites
-        if (planetNode.children) {
-            planetNode.children.forEach((satNode, j) => {
-                activeIds.add(satNode.id);
-                
-                let sat = entities.get(satNode.id);
-                if (!sat) {
-                    const el = createSatelliteElement(satNode.id);
-                    sat = {
-                        id: satNode.id,
-                        type: 'satellite',
-                        parentId: planetNode.id,
-                        el,
-                        angle: Math.random() * Math.PI * 2,
-                        radius: SATELLITE_SCALE + (j * 5), // Spiral out slightly
-                        orbitSpeed: 0.5 + Math.random() * 0.5,
-                        metrics: satNode.metrics
-                    };
-                    entities.set(satNode.id, sat);
-                }
-                sat.metrics = satNode.metrics;
-            });
+    // Process Satellites, keyed by planet: a third party can orbit several tabs
+    const satelliteKeys = new Set();
+    (planetNode.children || []).forEach((satNode, j) => {
+        const key = `${planetNode.id}/${satNode.id}`;
+        satelliteKeys.add(key);
+
+        let sat = entities.get(key);
+        if (!sat) {
+            const el = createSatelliteElement(satNode.id);
+            sat = {
+                id: satNode.id,
+                type: 'satellite',
+                parentId: planetNode.id,
+                el,
+                angle: Math.random() * Math.PI * 2,
+                radius: SATELLITE_SCALE + (j * 5), // Spiral out slightly
+                orbitSpeed: 0.5 + Math.random() * 0.5,
+                size: SATELLITE_SIZE,
+                metrics: satNode.metrics
+            };
+            entities.set(key, sat);
         }
+        sat.metrics = satNode.metrics;
+        sat.party = satNode.party;
+        sat.anomalous = !!satNode.anomaly;
+        applySatelliteVolume(sat);
+    });
+    planet.satelliteKeys.forEach(key => {
+        if (!satelliteKeys.has(key)) removeEntity(key);
+    });
+    planet.satelliteKeys = satelliteKeys;
+}
+
+function removePlanet(id) {
+    const planet = entities.get(id);
+    if (!planet) return;
+    planet.satelliteKeys.forEach(removeEntity);
+    removeEntity(id);
+}
+
+// Keyframes (state_delta.js) rebuild everything; deltas only touch the
+// planets that changed
+function updateEntities(state, changes) {
+    if (!state || !state.domains) return;
+    privacyPanel.update(state);
+
+    if (changes && !changes.keyframe) {
+        state.domains.forEach(planetNode => {
+            if (changes.planets.has(planetNode.id)) syncPlanet(planetNode);
+        });
+        changes.removedPlanets.forEach(removePlanet);
+        return;
+    }
+
+    const activeIds = new Set();
+    state.domains.forEach(planetNode => {
+        activeIds.add(planetNode.id);
+        syncPlanet(planetNode);
     });
 
     // Prune
     for (const [id, entity] of entities) {
-        if (!activeIds.has(id)) {
-            entity.el.remove();
-            entities.delete(id);
-        }
+        if (entity.type === 'planet' && !activeIds.has(id)) removePlanet(id);
     }
 }
 
@@ -274,7 +343,7 @@ function animate() {
                 entity.x = parent.x + x;
                 entity.y = parent.y + y;
 
-                entity.el.style.transform = `translate3d(${entity.x - SATELLITE_SIZE/2}px, ${entity.y - SATELLITE_SIZE/2}px, 0px)`;
+                entity.el.style.transform = `translate3d(${entity.x - entity.size/2}px, ${entity.y - entity.size/2}px, 0px)`;
                 
                 // Draw Orbit Line around Parent
                 ctx.beginPath();
@@ -290,5 +359,16 @@ function animate() {
                 ctx.stroke();
             }
         }
+
+        if (entity.anomalous && entity.x !== undefined) {
+            const size = entity.type === 'planet' ? PLANET_SIZE : entity.size;
+            const phase = (now * 1.5) % 1; // expanding ring, 1.5 per second
+            ctx.beginPath();
+            ctx.strokeStyle = `rgba(250, 204, 21, ${0.9 * (1 - phase)})`;
+            ctx.lineWidth = 2;
+            ctx.arc(entity.x, entity.y, size / 2 + 4 + phase * 12, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.lineWidth = 1;
+        }
     });
 }
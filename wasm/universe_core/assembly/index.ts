@@ -0,0 +1,332 @@
+// universe_core
+// The aggregator's hot path in WebAssembly: a struct-of-arrays universe
+// (MASTER_PLAN.md 3.1) living in this module's linear memory, with
+// `ingest`, `prune` and `coagulate` over it.
+//
+// JS keeps the strings: tab ids, interned domain ids and belt ids arrive as
+// u32 keys, so nothing here allocates after start-up. Rows are entities; the
+// columns are read by JS through typed-array views at the `*_ptr()` addresses.
+//
+// This file and universe_core.js (`JsUniverseCore`, the fallback) implement
+// the same semantics row for row; tests/universe_core_test.js runs both.
+//
+// Build: `npm run build:wasm` (AssemblyScript, installed with the dev
+// dependencies; `npm test` builds it first).
+
+const MAX_ENTITIES: u32 = 1 << 18;
+const TABLE_SIZE: u32 = 1 << 19; // power of two, at most half full
+const NO_ROW: u32 = 0xFFFFFFFF;
+
+const PLANET: u8 = 0;
+const MOON: u8 = 1;
+const ASTEROID: u8 = 4;
+const FREE: u8 = 255;
+
+// Columns, MAX_ENTITIES entries each
+const ids = heap.alloc(MAX_ENTITIES << 2);
+const types = heap.alloc(MAX_ENTITIES);
+const parentIds = heap.alloc(MAX_ENTITIES << 2);
+const labels = heap.alloc(MAX_ENTITIES << 2);
+const volumes = heap.alloc(MAX_ENTITIES << 3);
+const frequencies = heap.alloc(MAX_ENTITIES << 2);
+const errors = heap.alloc(MAX_ENTITIES << 2);
+const lastActive = heap.alloc(MAX_ENTITIES << 3);
+const born = heap.alloc(MAX_ENTITIES << 2);
+// children of a row as a doubly linked list (stored +1, 0 = none)
+const firstChild = heap.alloc(MAX_ENTITIES << 2);
+const nextSibling = heap.alloc(MAX_ENTITIES << 2);
+const prevSibling = heap.alloc(MAX_ENTITIES << 2);
+const rowKeys = heap.alloc(MAX_ENTITIES << 3);
+const freeRows = heap.alloc(MAX_ENTITIES << 2);
+const out = heap.alloc(MAX_ENTITIES << 2);
+
+// Open addressing, linear probing; key 0 marks an empty slot
+const tableKeys = heap.alloc(TABLE_SIZE << 3);
+const tableRows = heap.alloc(TABLE_SIZE << 2);
+
+let rowCount: u32 = 0; // rows handed out, free ones included
+let freeCount: u32 = 0;
+let seq: u32 = 0;
+let lastRoot: u32 = NO_ROW;
+
+// @ts-ignore: decorator
+@inline function getU32(column: usize, row: u32): u32 {
+    return load<u32>(column + (<usize>row << 2));
+}
+
+// @ts-ignore: decorator
+@inline function setU32(column: usize, row: u32, value: u32): void {
+    store<u32>(column + (<usize>row << 2), value);
+}
+
+// @ts-ignore: decorator
+@inline function getF64(column: usize, row: u32): f64 {
+    return load<f64>(column + (<usize>row << 3));
+}
+
+// @ts-ignore: decorator
+@inline function setF64(column: usize, row: u32, value: f64): void {
+    store<f64>(column + (<usize>row << 3), value);
+}
+
+// @ts-ignore: decorator
+@inline function getType(row: u32): u8 {
+    return load<u8>(types + <usize>row);
+}
+
+// @ts-ignore: decorator
+@inline function setType(row: u32, kind: u8): void {
+    store<u8>(types + <usize>row, kind);
+}
+
+function rootKey(kind: u32, key: u32): u64 {
+    return (<u64>1 << 62) | ((<u64>(kind & 0xFF)) << 32) | <u64>key;
+}
+
+function childKey(parent: u32, domain: u32): u64 {
+    return ((<u64>parent + 1) << 32) | <u64>domain;
+}
+
+function home(key: u64): u32 {
+    // splitmix64 finalizer
+    let z = key;
+    z = (z ^ (z >> 30)) * 0xbf58476d1ce4e5b9;
+    z = (z ^ (z >> 27)) * 0x94d049bb133111eb;
+    z ^= z >> 31;
+    return <u32>z & (TABLE_SIZE - 1);
+}
+
+function getKey(slot: u32): u64 {
+    return load<u64>(tableKeys + (<usize>slot << 3));
+}
+
+function setKey(slot: u32, key: u64): void {
+    store<u64>(tableKeys + (<usize>slot << 3), key);
+}
+
+// The slot holding `key`, or the empty slot where it would go
+function find(key: u64): u32 {
+    let slot = home(key);
+    while (true) {
+        const k = getKey(slot);
+        if (k == 0 || k == key) return slot;
+        slot = (slot + 1) & (TABLE_SIZE - 1);
+    }
+    return slot;
+}
+
+// Backward-shift deletion, so there are no tombstones
+function removeKey(key: u64): void {
+    let hole = find(key);
+    if (getKey(hole) == 0) return;
+    let slot = hole;
+    while (true) {
+        slot = (slot + 1) & (TABLE_SIZE - 1);
+        const k = getKey(slot);
+        if (k == 0) break;
+        const h = home(k);
+        const movable = hole <= slot ? (h <= hole || h > slot) : (h <= hole && h > slot);
+        if (movable) {
+            setKey(hole, k);
+            setU32(tableRows, hole, getU32(tableRows, slot));
+            hole = slot;
+        }
+    }
+    setKey(hole, 0);
+}
+
+function allocate(kind: u8, id: u32, parent: u32, key: u64): u32 {
+    let row: u32;
+    if (freeCount > 0) {
+        freeCount--;
+        row = getU32(freeRows, freeCount);
+    } else if (rowCount < MAX_ENTITIES) {
+        row = rowCount++;
+    } else {
+        return NO_ROW;
+    }
+    setU32(ids, row, id);
+    setType(row, kind);
+    setU32(parentIds, row, parent);
+    setU32(labels, row, id);
+    setF64(volumes, row, 0);
+    setU32(frequencies, row, 0);
+    setU32(errors, row, 0);
+    setF64(lastActive, row, 0);
+    setU32(born, row, seq++);
+    setU32(firstChild, row, 0);
+    setU32(prevSibling, row, 0);
+    setU32(nextSibling, row, 0);
+    store<u64>(rowKeys + (<usize>row << 3), key);
+    if (parent != NO_ROW) {
+        const head = getU32(firstChild, parent);
+        setU32(nextSibling, row, head);
+        if (head != 0) setU32(prevSibling, head - 1, row + 1);
+        setU32(firstChild, parent, row + 1);
+    }
+    const slot = find(key);
+    setKey(slot, key);
+    setU32(tableRows, slot, row);
+    return row;
+}
+
+function lookupOrAllocate(key: u64, kind: u8, id: u32, parent: u32): u32 {
+    const slot = find(key);
+    if (getKey(slot) == key) return getU32(tableRows, slot);
+    return allocate(kind, id, parent, key);
+}
+
+function release(row: u32): void {
+    const parent = getU32(parentIds, row);
+    if (parent != NO_ROW) {
+        const prev = getU32(prevSibling, row);
+        const next = getU32(nextSibling, row);
+        if (prev != 0) setU32(nextSibling, prev - 1, next);
+        else setU32(firstChild, parent, next);
+        if (next != 0) setU32(prevSibling, next - 1, prev);
+    }
+    removeKey(load<u64>(rowKeys + (<usize>row << 3)));
+    setType(row, FREE);
+    setU32(freeRows, freeCount++, row);
+}
+
+// Coagulation order: largest volume first, older rows first on ties
+function before(a: u32, b: u32): bool {
+    const va = getF64(volumes, a);
+    const vb = getF64(volumes, b);
+    if (va != vb) return va > vb;
+    return getU32(born, a) < getU32(born, b);
+}
+
+function siftDown(start: u32, end: u32): void {
+    let root = start;
+    while (true) {
+        let child = root * 2 + 1;
+        if (child >= end) return;
+        if (child + 1 < end && before(getU32(out, child), getU32(out, child + 1))) child++;
+        const r = getU32(out, root);
+        const c = getU32(out, child);
+        if (!before(r, c)) return;
+        setU32(out, root, c);
+        setU32(out, child, r);
+        root = child;
+    }
+}
+
+// Heapsort of out[0..n] so that `before` rows come first, in place
+function sortOut(n: u32): void {
+    if (n < 2) return;
+    for (let i = n / 2; i > 0; i--) siftDown(i - 1, n);
+    for (let end = n - 1; end > 0; end--) {
+        const first = getU32(out, 0);
+        setU32(out, 0, getU32(out, end));
+        setU32(out, end, first);
+        siftDown(0, end);
+    }
+}
+
+// ---- Exports (see WasmUniverseCore in universe_core.js) ----
+
+export function reset(): void {
+    rowCount = 0;
+    freeCount = 0;
+    seq = 0;
+    lastRoot = NO_ROW;
+    memory.fill(tableKeys, 0, <usize>TABLE_SIZE << 3);
+}
+
+export function root(kind: u32, key: u32): u32 {
+    return lookupOrAllocate(rootKey(kind, key), <u8>kind, key, NO_ROW);
+}
+
+export function child(rootRow: u32, domain: u32): u32 {
+    if (rootRow == NO_ROW) return NO_ROW;
+    const kind = getType(rootRow) == PLANET ? MOON : ASTEROID;
+    return lookupOrAllocate(childKey(rootRow, domain), kind, domain, rootRow);
+}
+
+export function touch(row: u32, volume: f64, failed: u32, now: f64): void {
+    setU32(frequencies, row, getU32(frequencies, row) + 1);
+    setF64(volumes, row, getF64(volumes, row) + volume);
+    if (failed != 0) setU32(errors, row, getU32(errors, row) + 1);
+    setF64(lastActive, row, now);
+}
+
+export function ingest(kind: u32, key: u32, domain: u32, volume: f64, failed: u32, now: f64): u32 {
+    const rootRow = root(kind, key);
+    const childRow = child(rootRow, domain);
+    lastRoot = rootRow;
+    if (childRow == NO_ROW) return NO_ROW;
+    touch(rootRow, volume, failed, now);
+    touch(childRow, volume, failed, now);
+    return childRow;
+}
+
+export function last_root(): u32 {
+    return lastRoot;
+}
+
+export function set_metrics(row: u32, volume: f64, frequency: u32, errorCount: u32, active: f64): void {
+    setF64(volumes, row, volume);
+    setU32(frequencies, row, frequency);
+    setU32(errors, row, errorCount);
+    setF64(lastActive, row, active);
+}
+
+export function set_label(row: u32, label: u32): void {
+    setU32(labels, row, label);
+}
+
+// Free every row last active before `cutoff`, children before roots.
+// The freed rows are written to `out`; returns how many.
+export function prune(cutoff: f64): u32 {
+    let n: u32 = 0;
+    for (let pass = 0; pass < 2; pass++) {
+        const roots = pass == 1;
+        for (let row: u32 = 0; row < rowCount; row++) {
+            if (getType(row) == FREE || (getU32(parentIds, row) == NO_ROW) != roots) continue;
+            if (getF64(lastActive, row) < cutoff) {
+                release(row);
+                setU32(out, n++, row);
+            }
+        }
+    }
+    return n;
+}
+
+// The children of `rootRow`, largest volume first (oldest first on ties),
+// written to `out`; returns how many. The caller keeps the first few and
+// folds the rest into a cluster.
+export function coagulate(rootRow: u32): u32 {
+    let n: u32 = 0;
+    let link = getU32(firstChild, rootRow);
+    while (link != 0) {
+        setU32(out, n++, link - 1);
+        link = getU32(nextSibling, link - 1);
+    }
+    sortOut(n);
+    return n;
+}
+
+export function count(): u32 {
+    return rowCount;
+}
+
+export function size(): u32 {
+    return rowCount - freeCount;
+}
+
+export function capacity(): u32 {
+    return MAX_ENTITIES;
+}
+
+export function ids_ptr(): usize { return ids; }
+export function types_ptr(): usize { return types; }
+export function parent_ids_ptr(): usize { return parentIds; }
+export function labels_ptr(): usize { return labels; }
+export function volumes_ptr(): usize { return volumes; }
+export function frequencies_ptr(): usize { return frequencies; }
+export function errors_ptr(): usize { return errors; }
+export function last_active_ptr(): usize { return lastActive; }
+export function born_ptr(): usize { return born; }
+export function out_ptr(): usize { return out; }
@@ -0,0 +1,228 @@
+/**
+ * waterfall.js
+ * DevTools-style request waterfall for a single tab (Planet).
+ *
+ * Works entirely from stored history (history_store.js), so a tab can be
+ * inspected long after its page finished loading.
+ *
+ * Layout:
+ * - Rows are grouped by the same hierarchy the aggregator builds:
+ *   Planet (tab) -> Satellite (registrable domain) -> requests.
+ * - Each bar starts at the request's offset from the first request shown
+ *   and is split into queue / TTFB / download phases (request_timing.js).
+ * - Bar colour follows the resource type.
+ */
+
+import { logger } from './logger.js';
+import { sendRequest } from './messaging.js';
+import { getRegistrableDomain } from './psl.js';
+import { escapeHtml } from './dom_utils.js';
+import { hostnameOf } from './url_utils.js';
+
+const TYPE_COLORS = {
+    main_frame: '#2563eb',
+    sub_frame: '#60a5fa',
+    script: '#f59e0b',
+    stylesheet: '#a855f7',
+    image: '#10b981',
+    font: '#ec4899',
+    xmlhttprequest: '#f97316',
+    media: '#14b8a6',
+    ping: '#64748b',
+    other: '#94a3b8'
+};
+
+const MAX_PACKETS = 2000;
+
+let initialized = false;
+let tabSelect = null;
+let scopeSelect = null;
+let container = null;
+let summaryEl = null;
+
+function colorForType(type) {
+    return TYPE_COLORS[type] || TYPE_COLORS.other;
+}
+
+function formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function pathOf(urlStr) {
+    try {
+        const url = new URL(urlStr);
+        return (url.pathname + url.search) || '/';
+    } catch (e) {
+        return urlStr;
+    }
+}
+
+// Start/end of a packet on the shared time axis. timeStamp marks the terminal
+// event; the start is recovered from the derived total duration.
+function packetSpan(packet) {
+    const timing = packet.timing || {};
+    const duration = typeof timing.totalMs === 'number' ? timing.totalMs : (packet.latencyMs || 0);
+    return { start: packet.timeStamp - duration, end: packet.timeStamp, duration };
+}
+
+/**
+ * Build Planet -> Satellite -> request rows from raw history records.
+ * Exported so other views can reuse the grouping without a DOM.
+ */
+export function buildWaterfall(packets) {
+    const rows = packets.map(packet => {
+        const hostname = hostnameOf(packet.url, 'unknown');
+        return { packet, hostname, host: getRegistrableDomain(hostname) || hostname, ...packetSpan(packet) };
+    });
+    rows.sort((a, b) => a.start - b.start);
+    const origin = rows.length ? rows[0].start : 0;
+    const end = rows.reduce((max, r) => Math.max(max, r.end), origin);
+
+    const groups = new Map(); // Map<domain, { host, rows, bytes, firstStart }>
+    rows.forEach(row => {
+        row.offset = row.start - origin;
+        if (!groups.has(row.host)) groups.set(row.host, { host: row.host, rows: [], bytes: 0, errors: 0, firstStart: row.offset });
+        const group = groups.get(row.host);
+        group.rows.push(row);
+        group.bytes += (row.packet.responseContentLength || 0) + (row.packet.requestContentLength || 0);
+        if (row.packet.error) group.errors++;
+    });
+
+    return {
+        origin,
+        totalMs: Math.max(1, end - origin),
+        groups: Array.from(groups.values()).sort((a, b) => a.firstStart - b.firstStart)
+    };
+}
+
+function renderBar(row, totalMs) {
+    const timing = row.packet.timing || {};
+    const left = (row.offset / totalMs) * 100;
+    const width = Math.max(0.2, (row.duration / totalMs) * 100);
+    const color = colorForType(row.packet.type);
+
+    // Phase segments as fractions of the bar; unknown phases collapse into one block
+    const phases = [
+        { ms: timing.queueMs, opacity: 0.35 },
+        { ms: timing.ttfbMs, opacity: 0.65 },
+        { ms: timing.downloadMs, opacity: 1.0 }
+    ].filter(p => typeof p.ms === 'number' && p.ms > 0);
+    const phaseTotal = phases.reduce((sum, p) => sum + p.ms, 0);
+    const segments = phaseTotal > 0
+        ? phases.map(p => `<div style="flex: ${p.ms / phaseTotal}; background: ${color}; opacity: ${p.opacity};"></div>`).join('')
+        : `<div style="flex: 1; background: ${color};"></div>`;
+
+    const title = `queue ${fmtMs(timing.queueMs)} | ttfb ${fmtMs(timing.ttfbMs)} | download ${fmtMs(timing.downloadMs)}`;
+    return `<div title="${title}" style="position: absolute; top: 3px; bottom: 3px; left: ${left}%; width: ${width}%; display: flex; ${row.packet.error ? 'outline: 1px solid #ef4444;' : ''}">${segments}</div>`;
+}
+
+// Path only when the row's host is the group's domain itself, host + path otherwise
+function rowName(row, group) {
+    const path = pathOf(row.packet.url);
+    return row.hostname === group.host ? path : `${row.hostname}${path}`;
+}
+
+function fmtMs(ms) {
+    return typeof ms === 'number' ? `${Math.round(ms)}ms` : '-';
+}
+
+function render(model, label) {
+    if (!model.groups.length) {
+        container.innerHTML = '<p>No stored requests for this tab.</p>';
+        summaryEl.textContent = '';
+        return;
+    }
+
+    const requestCount = model.groups.reduce((sum, g) => sum + g.rows.length, 0);
+    summaryEl.textContent = `${label}: ${requestCount} requests across ${model.groups.length} domains, ${Math.round(model.totalMs)}ms`;
+
+    const html = [`<table class="waterfall-table"><thead><tr>
+        <th style="width: 30%;">Name</th><th>Status</th><th>Type</th><th>Size</th><th>Time</th><th style="width: 40%;">Waterfall</th>
+    </tr></thead><tbody>`];
+
+    model.groups.forEach(group => {
+        html.push(`<tr class="waterfall-group"><td colspan="6"><strong>${escapeHtml(group.host)}</strong>
+            (${group.rows.length} requests, ${formatBytes(group.bytes)}${group.errors ? `, ${group.errors} failed` : ''})</td></tr>`);
+        group.rows.forEach(row => {
+            const p = row.packet;
+            const size = p.sizeUnknown ? 'unknown' : (p.fromCache ? '(cache)' : formatBytes((p.responseContentLength || 0) + (p.requestContentLength || 0)));
+            html.push(`<tr>
+                <td title="${escapeHtml(p.url)}" style="white-space: nowrap; overflow: hidden; text-overflow: ellipsis; max-width: 0;">${escapeHtml(rowName(row, group))}</td>
+                <td>${escapeHtml(p.error || p.statusCode)}</td>
+                <td><span style="color: ${colorForType(p.type)};">&#9632;</span> ${escapeHtml(p.type)}</td>
+                <td>${size}</td>
+                <td>${Math.round(row.duration)}ms</td>
+                <td style="position: relative; padding: 0;">${renderBar(row, model.totalMs)}</td>
+            </tr>`);
+        });
+    });
+
+    html.push('</tbody></table>');
+    container.innerHTML = html.join('');
+}
+
+async function loadTab(tabId) {
+    if (tabId === null || Number.isNaN(tabId)) return;
+    try {
+        // Newest MAX_PACKETS for the tab, back in chronological order
+        let packets = (await sendRequest('history:query', { filter: { tabId, limit: MAX_PACKETS } })).reverse();
+
+        // "Last navigation": only requests from the latest main_frame onwards
+        if (scopeSelect.value === 'navigation') {
+            const navigations = packets.filter(p => p.type === 'main_frame');
+            if (navigations.length) {
+                const navStart = packetSpan(navigations[navigations.length - 1]).start;
+                packets = packets.filter(p => packetSpan(p).start >= navStart);
+            }
+        }
+
+        const label = tabSelect.options[tabSelect.selectedIndex] ? tabSelect.options[tabSelect.selectedIndex].textContent : `Tab ${tabId}`;
+        render(buildWaterfall(packets), label);
+    } catch (e) {
+        logger.error('Failed to load waterfall', e);
+        container.innerHTML = `<p>Could not load history: ${escapeHtml(e.message)}</p>`;
+    }
+}
+
+async function refreshTabs() {
+    try {
+        const tabs = await sendRequest('history:tabs');
+        const previous = tabSelect.value;
+        tabSelect.innerHTML = '';
+        tabs.forEach(tab => {
+            const opt = document.createElement('option');
+            opt.value = String(tab.tabId);
+            opt.textContent = `${tab.label} (tab ${tab.tabId})`;
+            tabSelect.appendChild(opt);
+        });
+        if (previous && tabs.some(t => String(t.tabId) === previous)) tabSelect.value = previous;
+        if (tabSelect.value) loadTab(parseInt(tabSelect.value, 10));
+    } catch (e) {
+        logger.error('Failed to list history tabs', e);
+    }
+}
+
+export function init() {
+    if (initialized) {
+        refreshTabs();
+        return;
+    }
+    tabSelect = document.getElementById('waterfall-tab');
+    scopeSelect = document.getElementById('waterfall-scope');
+    container = document.getElementById('waterfall-container');
+    summaryEl = document.getElementById('waterfall-summary');
+    if (!tabSelect || !container) {
+        logger.error('Waterfall container not found');
+        return;
+    }
+
+    tabSelect.addEventListener('change', () => loadTab(parseInt(tabSelect.value, 10)));
+    scopeSelect.addEventListener('change', () => loadTab(parseInt(tabSelect.value, 10)));
+    document.getElementById('waterfall-refresh').addEventListener('click', refreshTabs);
+
+    initialized = true;
+    refreshTabs();
+}